@@ -4,47 +4,218 @@ const mongodb = require('mongodb');
 // Get MongoClient, Db and ObjectID classes
 const { MongoClient, ObjectID, Db, Cursor } = mongodb;
 
+// Require EventEmitter class used to publish connection events and once function used to wait for stream events.
+const { EventEmitter, once } = require('events');
+
+// Require StringDecoder class used to decode imported streams.
+const { StringDecoder } = require('string_decoder');
+
+// Require crypto module used to sign continuation tokens.
+const crypto = require('crypto');
+
+// Require fs and path modules used to load migrations.
+const fs = require('fs');
+const path = require('path');
+
+// Require the helpers inspecting, comparing and copying the documents and their values, shared with the in-memory database.
+const { logicalQueryOperators, isPlainObject, isNumeric, isOfType, valuesEqual, getPathValue, joinPath, removeUndefined, cloneValue, isOperatorObject, getTypeOrder, encodeTokenValue, idKey } = require('./documentHelpers');
+
 // Public methods
 
 /**
  * Returns the database in asynchronous fashion.
+ * The underlying MongoClient is registered under the combination of connectionURL and options and reused by every subsequent call made with the same arguments,
+ * therefore database references to several databases obtained that way share the same connection pool.
+ * Urls starting with 'memory://' refer to in-memory databases (see createMemoryDatabase), which are kept for the lifetime of the process,
+ * so each call made with the same url and databaseName returns the same database.
  * @param {String} connectionURL The database connection url.
- * @param {String} databaseName The name of the database.
+ * @param {String=} databaseName The name of the database. Optional, if not provided the database specified by connectionURL is used.
  * @param {Object=} options Optional settings.
  * @returns {Promise<Db>} The database instance.
  */
 function getDatabaseAsync(connectionURL, databaseName, options) {
-    // Returns the promise of obtaining the database reference.
-    return new Promise((resolve, reject) => {
-        // If options object has been provided .. 
-        if (options)
-            // Connect to MongoDB database
-            MongoClient.connect(connectionURL, options, (error, client) => {
-                // If error has been returned ..
-                if (error)
-                    // .. use it as a rejection argument while rejecting the promise.
-                    reject(error);
-                // Otherwise if no error has been returned ..
-                else
-                    // .. obtain the database reference and resolve the promise providing it as a completion argument.
-                    resolve(client.db(databaseName));
-            });
-        // Otherwise if options parameter hasn't been provided
-        else
-            // Connect to MongoDB database
-            MongoClient.connect(connectionURL, { useNewUrlParser: true, useUnifiedTopology: true }, (error, client) => {
-                // If error has been returned ..
-                if (error)
-                    // .. use it as a rejection argument while rejecting the promise.
-                    reject(error);
-                // Otherwise if no error has been returned ..
-                else
-                    // .. obtain the database reference and resolve the promise providing it as a completion argument.
-                    resolve(client.db(databaseName));
-            });
-    });
+    // If in-memory database has been requested return the one registered under provided url and name, creating it if necessary,
+    // requiring the in-memory database module on the first use.
+    if (typeof connectionURL === 'string' && connectionURL.startsWith(memoryProtocol)) return Promise.resolve(require('./memoryDb').getMemoryDatabase(connectionURL, databaseName));
+
+    // Returns the promise of obtaining the registered client and the database reference from it.
+    return getClientAsync(connectionURL, options).then((client) => client.db(databaseName));
 } module.exports.getDatabaseAsync = getDatabaseAsync;
 
+/**
+ * Returns the MongoClient registered under provided connectionURL and options in asynchronous fashion.
+ * If no such client has been registered yet, it connects a new one and registers it.
+ * @param {String} connectionURL The database connection url.
+ * @param {Object=} options Optional settings.
+ * @returns {Promise<MongoClient>} The connected client instance.
+ */
+function getClientAsync(connectionURL, options) {
+    // If provided connectionURL argument is not of expected type throw appropriate exception.
+    if (typeof (connectionURL) !== 'string') throw new TypeError('Provided \'connectionURL\' must be a string.');
+
+    // Use provided options or the default ones if options parameter hasn't been provided.
+    const connectionOptions = options || { useNewUrlParser: true, useUnifiedTopology: true };
+    // Get the key under which the connection is registered.
+    const key = getConnectionKey(connectionURL, connectionOptions);
+
+    // Try to obtain already registered connection.
+    let connection = connections.get(key);
+
+    // If connection hasn't been registered yet ..
+    if (!connection) {
+        // .. and the maximum number of registered clients has been reached reject with appropriate exception.
+        if (connections.size >= connectionSettings.maxClients)
+            return Promise.reject(new Error(`Maximum number of registered clients (${connectionSettings.maxClients}) has been reached. Close unused connections or increase 'maxClients' setting.`));
+
+        // .. create and register it.
+        connection = createConnection(key, connectionURL, connectionOptions);
+        connections.set(key, connection);
+    }
+
+    // Return the promise of connecting the client.
+    return connection.connectPromise;
+} module.exports.getClientAsync = getClientAsync;
+
+/**
+ * Closes the client registered under provided connectionURL and options in asynchronous fashion.
+ * Before the client is closed all operations that are in flight are given a chance to complete.
+ * @param {String} connectionURL The database connection url.
+ * @param {Object=} options Optional settings the client has been registered with.
+ * @param {Number=} drainTimeoutMS Maximum amount of milliseconds to wait for in-flight operations. Optional, if not provided the 'drainTimeoutMS' setting is used.
+ * @returns {Promise<Boolean>} Returns a promise resolved with true if a client has been closed or false if no such client has been registered.
+ */
+function closeAsync(connectionURL, options, drainTimeoutMS) {
+    // If provided connectionURL argument is not of expected type throw appropriate exception.
+    if (typeof (connectionURL) !== 'string') throw new TypeError('Provided \'connectionURL\' must be a string.');
+
+    // Obtain the registered connection.
+    const connection = connections.get(getConnectionKey(connectionURL, options || { useNewUrlParser: true, useUnifiedTopology: true }));
+
+    // If no connection has been registered resolve with false.
+    if (!connection) return Promise.resolve(false);
+
+    // Return the promise of closing the connection.
+    return closeConnectionAsync(connection, drainTimeoutMS).then(() => true);
+} module.exports.closeAsync = closeAsync;
+
+/**
+ * Closes all registered clients in asynchronous fashion, draining in-flight operations of each of them first.
+ * @param {Number=} drainTimeoutMS Maximum amount of milliseconds to wait for in-flight operations. Optional, if not provided the 'drainTimeoutMS' setting is used.
+ * @returns {Promise<Number>} Returns a promise resolved with the number of closed clients.
+ */
+function closeAllAsync(drainTimeoutMS) {
+    // Obtain a snapshot of all the registered connections.
+    const registered = Array.from(connections.values());
+
+    // Close all of them and resolve with their count.
+    return Promise.all(registered.map((connection) => closeConnectionAsync(connection, drainTimeoutMS))).then(() => registered.length);
+} module.exports.closeAllAsync = closeAllAsync;
+
+/**
+ * Registers process signal handlers closing all registered clients before the process exits.
+ * Handler is registered just once per signal, after closing the clients the signal is raised again so the default behaviour of the process is preserved.
+ * @param {[String]=} signals Signals to handle. Optional, if not provided SIGINT and SIGTERM are handled.
+ * @param {Number=} drainTimeoutMS Maximum amount of milliseconds to wait for in-flight operations.
+ * @returns {Function} Returns a function unregistering the handlers.
+ */
+function registerShutdownHook(signals, drainTimeoutMS) {
+    // Use provided signals or the default ones.
+    const handledSignals = signals || ['SIGINT', 'SIGTERM'];
+    // If provided signals argument is not an array throw appropriate exception.
+    if (!Array.isArray(handledSignals)) throw new TypeError('Provided argument \'signals\' is not an Array.');
+
+    // Create handlers for each of the signals.
+    const handlers = handledSignals.map((signal) => {
+        // Handler closing all the clients and raising the signal again.
+        const handler = () => {
+            closeAllAsync(drainTimeoutMS)
+                // Regardless of the outcome ..
+                .catch((error) => { if (connectionEvents.listenerCount('error') > 0) connectionEvents.emit('error', { error }); })
+                // .. raise the signal again.
+                .then(() => process.kill(process.pid, signal));
+        };
+        // Register the handler.
+        process.once(signal, handler);
+        // Return both, so they can be unregistered.
+        return { signal, handler };
+    });
+
+    // Return function unregistering the handlers.
+    return () => handlers.forEach(({ signal, handler }) => process.removeListener(signal, handler));
+} module.exports.registerShutdownHook = registerShutdownHook;
+
+/**
+ * Returns the health information of the client registered under provided connectionURL and options.
+ * @param {String} connectionURL The database connection url.
+ * @param {Object=} options Optional settings the client has been registered with.
+ * @returns {Object} Object containing 'state' ('connecting', 'connected', 'disconnected', 'closing' or 'closed'), 'inFlight' operations count,
+ * 'lastHeartbeat' date and 'lastError', or null if no such client has been registered.
+ */
+function getConnectionHealth(connectionURL, options) {
+    // If provided connectionURL argument is not of expected type throw appropriate exception.
+    if (typeof (connectionURL) !== 'string') throw new TypeError('Provided \'connectionURL\' must be a string.');
+
+    // Obtain the registered connection.
+    const connection = connections.get(getConnectionKey(connectionURL, options || { useNewUrlParser: true, useUnifiedTopology: true }));
+
+    // If no connection has been registered return null.
+    if (!connection) return null;
+
+    // Return the copy of health information.
+    return { state: connection.state, inFlight: connection.inFlight.size, lastHeartbeat: connection.lastHeartbeat, lastError: connection.lastError };
+} module.exports.getConnectionHealth = getConnectionHealth;
+
+/**
+ * Configures the connection registry.
+ * @param {Object} settings Settings to be changed.
+ * @param {Number=} settings.maxClients Maximum number of clients that can be registered at the same time.
+ * @param {Number=} settings.poolSize Pool size used for clients which options don't specify one.
+ * @param {Number=} settings.drainTimeoutMS Default maximum amount of milliseconds to wait for in-flight operations while closing clients.
+ * @returns {Object} Copy of the settings in use.
+ */
+function configureConnections(settings) {
+    // If provided settings is not a non-null object throw appropriate exception.
+    if (typeof settings !== 'object' || settings === null) throw new TypeError('Provided \'settings\' must be a non-null object.');
+
+    // Loop through all the settings ..
+    for (const key of Object.keys(connectionSettings)) {
+        // .. skip the ones which are not provided ..
+        if (settings[key] === undefined) continue;
+        // .. throw appropriate exception if provided value is not a positive number ..
+        if (typeof settings[key] !== 'number' || !(settings[key] > 0)) throw new TypeError(`Provided setting '${key}' must be a positive number.`);
+        // .. and apply the others.
+        connectionSettings[key] = settings[key];
+    }
+
+    // Return the copy of the settings.
+    return Object.assign({}, connectionSettings);
+} module.exports.configureConnections = configureConnections;
+
+/**
+ * Event emitter of all the registered clients. Emits 'connected', 'disconnected', 'reconnect', 'closed' and 'error' events,
+ * each of them with an object containing 'connectionURL' and 'state' of the affected client.
+ * @type {EventEmitter}
+ */
+const connectionEvents = new EventEmitter(); module.exports.connectionEvents = connectionEvents;
+
+/**
+ * Creates an in-memory stand-in of the database, so code using this library can be tested without MongoDB. It passes the instanceof Db checks
+ * and supports all the functions of this library except watchAsync and applySchemaValidatorAsync validators, which are accepted but not enforced.
+ * Supported are the common query operators, update operators (except positional ones), update pipelines, sort, skip, limit, projection,
+ * the common aggregation stages, indexes (unique, sparse and partial ones are enforced reporting duplicate key errors, TTL ones never expire). Each transaction
+ * works on its own copy of the collections taken when it started and committing it fails with the transient write conflict error if someone else has changed the same documents.
+ * @param {String=} databaseName The name of the database. Defaults to 'test'.
+ * @returns {Db} Returns the new empty database.
+ */
+function createMemoryDatabase(databaseName) {
+    // If provided databaseName is neither undefined nor a string throw appropriate exception.
+    if (databaseName !== undefined && typeof (databaseName) !== 'string') throw new TypeError('Provided \'databaseName\' must be a string.');
+
+    // Return the new database, requiring the in-memory database module on the first use.
+    const { MemoryDb } = require('./memoryDb');
+    return new MemoryDb(databaseName || 'test');
+} module.exports.createMemoryDatabase = createMemoryDatabase;
+
 /**
  * Inserts provided object to database in asynchronous fashion.
  * @param {Db} db Database to insert objectToInsert to.
@@ -54,10 +225,10 @@ function getDatabaseAsync(connectionURL, databaseName, options) {
  * @param {Object=} options Optional settings.
  * @returns {Promise<CommandResult>} Returns a promise of inserting objectToInsert into the database.
  */
-function insertOneAsync(db, collectionKey, objectToInsert, _id, options) {
+const insertOneAsync = withMiddleware('insertOne', ['objectToInsert', '_id', 'options'], function insertOneAsync(db, collectionKey, objectToInsert, _id, options) {
 
     // If provided db is not an instance of mongodb Db class throw appropriate exception.
-    if (!db instanceof Db) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
     // If provided collectionKey argument is not of expected type throw appropriate exception.    
     if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
 
@@ -70,8 +241,13 @@ function insertOneAsync(db, collectionKey, objectToInsert, _id, options) {
         objectToInsert._id = _id;
     }
 
-    // Returns the promise of inserting the object into the database.
-    return new Promise((resolve, reject) => {
+    // Stamp creation date, modification date and version if the collection requires it.
+    stampInsertedDocuments(collectionKey, [objectToInsert]);
+    // Validate object to insert against the schema registered for the collection.
+    assertDocumentsValid(collectionKey, [objectToInsert], false);
+
+    // Returns the promise of inserting the object into the database, recording it in the history if the collection has audit trail enabled.
+    return runAuditedInsertAsync(db, collectionKey, 'insertOne', [objectToInsert], options, (session) => runOperationAsync('insertOne', collectionKey, withSessionOption(options, session), (options) => new Promise((resolve, reject) => {
         // If options object has been provided .. 
         if (options)
             // Inserts provided object to insert into the database under the provided collectionKey key.
@@ -99,8 +275,8 @@ function insertOneAsync(db, collectionKey, objectToInsert, _id, options) {
                     resolve(result);
             });
 
-    });
-} module.exports.insertOneAsync = insertOneAsync;
+    })));
+}); module.exports.insertOneAsync = insertOneAsync;
 
 /**
  * Inserts provided objects into the database in asynchronous fashion.
@@ -111,10 +287,10 @@ function insertOneAsync(db, collectionKey, objectToInsert, _id, options) {
  * @param {Object=} options Optional settings.
  * @returns {Promise<CommandResult>} Returns a promise of inserting objectsToInsert into the database.
  */
-function insertManyAsync(db, collectionKey, objectsToInsert, _ids, options) {
+const insertManyAsync = withMiddleware('insertMany', ['objectsToInsert', '_ids', 'options'], function insertManyAsync(db, collectionKey, objectsToInsert, _ids, options) {
 
     // If provided db is not an instance of mongodb Db class throw appropriate exception.
-    if (!db instanceof Db) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
     // If provided collectionKey argument is not of expected type throw appropriate exception.    
     if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
     // If provided argument objectsToInsert is not an array throw appropriate exception.
@@ -143,8 +319,13 @@ function insertManyAsync(db, collectionKey, objectsToInsert, _ids, options) {
         }
     }
 
-    // Returns the promise of inserting array into the database.
-    return new Promise((resolve, reject) => {
+    // Stamp creation date, modification date and version if the collection requires it.
+    stampInsertedDocuments(collectionKey, objectsToInsert);
+    // Validate objects to insert against the schema registered for the collection.
+    assertDocumentsValid(collectionKey, objectsToInsert, true);
+
+    // Returns the promise of inserting array into the database, recording it in the history if the collection has audit trail enabled.
+    return runAuditedInsertAsync(db, collectionKey, 'insertMany', objectsToInsert, options, (session) => runOperationAsync('insertMany', collectionKey, withSessionOption(options, session), (options) => new Promise((resolve, reject) => {
         if (options)
             // Inserts provided objects to insert into the database under the provided collectionKey key.
             db.collection(collectionKey).insertMany(objectsToInsert, options, (error, result) => {
@@ -169,8 +350,8 @@ function insertManyAsync(db, collectionKey, objectsToInsert, _ids, options) {
                     // .. resolve the promise using the insertion result as a completion argument.
                     resolve(result);
             });
-    });
-} module.exports.insertManyAsync = insertManyAsync;
+    })));
+}); module.exports.insertManyAsync = insertManyAsync;
 
 /**
  * Searching through the database and returns the first entry matching provided selector filter.
@@ -180,14 +361,18 @@ function insertManyAsync(db, collectionKey, objectsToInsert, _ids, options) {
  * @param {Object=} options Optional settings.
  * @returns {Promise<Object>} Database entry found based on the provided selector filter.
  */
-function findOneAsync(db, collectionKey, selector, options) {
+const findOneAsync = withMiddleware('findOne', ['selector', 'options'], function findOneAsync(db, collectionKey, selector, options) {
     // If provided db is not an instance of mongodb Db class throw appropriate exception.
-    if (!db instanceof Db) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
     // If provided collectionKey argument is not of expected type throw appropriate exception.    
     if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided selector contains invalid query operators throw appropriate exception.
+    if (selector !== undefined) assertSelectorValid(selector);
+    // Exclude soft-deleted entries unless they have been explicitly requested.
+    selector = excludeSoftDeleted(collectionKey, selector, options);
 
     // Returns promise of finding and returning a database entry.
-    return new Promise((resolve, reject) => {
+    return runCachedAsync(collectionKey, 'findOne', selector, options, () => runOperationAsync('findOne', collectionKey, options, (options) => new Promise((resolve, reject) => {
         // If options object has been provided .. 
         if (options)
             // Find first object matching provided selector filter.
@@ -214,8 +399,8 @@ function findOneAsync(db, collectionKey, selector, options) {
                     // .. resolve the promise using the insertion result as a completion argument.
                     resolve(result);
             });
-    });
-} module.exports.findOneAsync = findOneAsync;
+    })));
+}); module.exports.findOneAsync = findOneAsync;
 
 /**
  * Searching through the database and returns all the database cursor pointing to all the database entries matching provided selector filter.
@@ -225,14 +410,18 @@ function findOneAsync(db, collectionKey, selector, options) {
  * @param {Object=} options Optional settings.
  * @returns {Promise<Cursor>} Database entries found based on the provided selector filter.
  */
-function findAsync(db, collectionKey, selector, options) {
+const findAsync = withMiddleware('find', ['selector', 'options'], function findAsync(db, collectionKey, selector, options) {
     // If provided db is not an instance of mongodb Db class throw appropriate exception.
-    if (!db instanceof Db) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
     // If provided collectionKey argument is not of expected type throw appropriate exception.    
     if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided selector contains invalid query operators throw appropriate exception.
+    if (selector !== undefined) assertSelectorValid(selector);
+    // Exclude soft-deleted entries unless they have been explicitly requested.
+    selector = excludeSoftDeleted(collectionKey, selector, options);
 
     // Returns promise of finding and returning all database entries matching provided selector filter.
-    return new Promise((resolve, reject) => {
+    return runOperationAsync('find', collectionKey, options, (options) => new Promise((resolve, reject) => {
         // If options object has been provided
         if (options)
             // Find all the entries matching provided selector filter.
@@ -259,8 +448,8 @@ function findAsync(db, collectionKey, selector, options) {
                     // .. resolve the promise using the insertion result as a completion argument.
                     resolve(result);
             });
-    });
-} module.exports.findAsync = findAsync;
+    }));
+}); module.exports.findAsync = findAsync;
 
 /**
  * Searching through the database and returns all entries matching provided selector filter.
@@ -272,22 +461,27 @@ function findAsync(db, collectionKey, selector, options) {
  */
 function findManyAsync(db, collectionKey, selector, options) {
     // If provided db is not an instance of mongodb Db class throw appropriate exception.
-    if (!db instanceof Db) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
     // If provided collectionKey argument is not of expected type throw appropriate exception.    
     if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided selector contains invalid query operators throw appropriate exception.
+    if (selector !== undefined) assertSelectorValid(selector);
+
+    // Keep 'withDeleted' setting, which is not passed to the operation, for findAsync.
+    const withDeleted = options ? options.withDeleted : undefined;
 
     // Returns promise of finding and returning array containing all database entries matching provided selector filter.
-    return new Promise(async (resolve, reject) => {
+    return runCachedAsync(collectionKey, 'findMany', selector, options, () => runOperationAsync('findMany', collectionKey, options, (options) => new Promise(async (resolve, reject) => {
 
         // Declare cursor variable.
         let cursor = null;
         try {
             // Obtain database cursor to entires filtered out based on the provided selector. 
-            cursor = await findAsync(db, collectionKey, selector, options);
+            cursor = await findAsync(db, collectionKey, selector, Object.assign({}, options, removeUndefined({ retry: false, withDeleted })));
             // If error has been returned ..
         } catch (error) {
             // .. use it as a rejection argument while rejecting the promise.
-            reject(error);
+            return reject(error);
         }
 
         // Obtains array on database entries from the database cursor.
@@ -301,8 +495,8 @@ function findManyAsync(db, collectionKey, selector, options) {
                 // .. resolve the promise using the insertion result as a completion argument.
                 resolve(result);
         });
-    });
-} module.findManyAsync = findManyAsync;
+    })));
+} module.exports.findManyAsync = findManyAsync;
 
 /**
  * Updates the database entry found based on the provided selector filter.
@@ -313,19 +507,30 @@ function findManyAsync(db, collectionKey, selector, options) {
  * @param {Object=} options Optional settings.
  * @returns {Promise<CommandResult>} Returns the promise of finding a database entry and updating it according provided updateQuery.
  */
-function updateOneAsync(db, collectionKey, selector, updateQuery, options) {
+const updateOneAsync = withMiddleware('updateOne', ['selector', 'updateQuery', 'options'], function updateOneAsync(db, collectionKey, selector, updateQuery, options) {
     // If provided db is not an instance of mongodb Db class throw appropriate exception.
-    if (!db instanceof Db) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
     // If provided collectionKey argument is not of expected type throw appropriate exception.    
     if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
     // If provided selector is not a non-null object throw appropriate exception.
     if (typeof selector !== 'object' || selector === null) throw new TypeError('Provided \'selector\' must be a non-null object.');
-    // If provided updateQuery is not valid throw appropriate exception 
-    if (!validateUpdateQuery(updateQuery))
-        throw new TypeError(`Provided \'updateQuery\' must be an object with a property named as one of the valid mongodb update operators (${updateOperators}). The value of that property must be a non-null object.`);
+    // If provided selector contains invalid query operators throw appropriate exception.
+    assertSelectorValid(selector);
+    // Keep the selector of the caller, which is used to explain the upsert conflicting with the soft-deleted entry.
+    const callerSelector = selector;
+    // Exclude soft-deleted entries unless they have been explicitly requested.
+    selector = excludeSoftDeleted(collectionKey, selector, options);
+    // If expected version has been provided match only the entry of that version.
+    selector = matchExpectedVersion(collectionKey, selector, options);
+    // If provided updateQuery is not valid throw appropriate exception.
+    assertUpdateQueryValid(updateQuery);
+    // Bump modification date and version if the collection requires it.
+    updateQuery = stampUpdateQuery(collectionKey, updateQuery, options);
+    // Validate update query against the schema registered for the collection.
+    assertUpdateQuerySatisfiesSchema(collectionKey, updateQuery, selector, Boolean(options && options.upsert));
 
     // Returns the promise of updating database entry.
-    return new Promise((resolve, reject) => {
+    return runAuditedAsync(db, collectionKey, 'updateOne', selector, options, false, (selector, session) => runOperationAsync('updateOne', collectionKey, withSessionOption(options, session), (options) => new Promise((resolve, reject) => {
         // If options parameter has been provided ..
         if (options)
             // Update database entry found based on the provided selector.
@@ -352,8 +557,8 @@ function updateOneAsync(db, collectionKey, selector, updateQuery, options) {
                     // .. resolve the promise using the insertion result as a completion argument.
                     resolve(result);
             });
-    });
-} module.exports.updateOneAsync = updateOneAsync;
+    }))).then((result) => assertExpectedVersionMatched(collectionKey, selector, options, result, result.matchedCount > 0)).catch((error) => rejectSoftDeletedUpsertAsync(db, collectionKey, callerSelector, options, error));
+}); module.exports.updateOneAsync = updateOneAsync;
 
 /**
  * Updates the database entries found based on the provided selector filter.
@@ -364,19 +569,28 @@ function updateOneAsync(db, collectionKey, selector, updateQuery, options) {
  * @param {Object=} options Optional settings.
  * @returns {Promise<CommandResult>} Returns the promise of finding a database entries and updating them according provided updateQuery.
  */
-function updateManyAsync(db, collectionKey, selector, updateQuery, options) {
+const updateManyAsync = withMiddleware('updateMany', ['selector', 'updateQuery', 'options'], function updateManyAsync(db, collectionKey, selector, updateQuery, options) {
     // If provided db is not an instance of mongodb Db class throw appropriate exception.
-    if (!db instanceof Db) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
     // If provided collectionKey argument is not of expected type throw appropriate exception.    
     if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
     // If provided selector is not a non-null object throw appropriate exception.
     if (typeof selector !== 'object' || selector === null) throw new TypeError('Provided \'selector\' must be a non-null object.');
-    // If provided updateQuery is not valid throw appropriate exception 
-    if (!validateUpdateQuery(updateQuery))
-        throw new TypeError(`Provided \'updateQuery\' must be an object with a property named as one of the valid mongodb update operators (${updateOperators}). The value of that property must be a non-null object.`);
+    // If provided selector contains invalid query operators throw appropriate exception.
+    assertSelectorValid(selector);
+    // Keep the selector of the caller, which is used to explain the upsert conflicting with the soft-deleted entry.
+    const callerSelector = selector;
+    // Exclude soft-deleted entries unless they have been explicitly requested.
+    selector = excludeSoftDeleted(collectionKey, selector, options);
+    // If provided updateQuery is not valid throw appropriate exception.
+    assertUpdateQueryValid(updateQuery);
+    // Bump modification date and version if the collection requires it.
+    updateQuery = stampUpdateQuery(collectionKey, updateQuery, options);
+    // Validate update query against the schema registered for the collection.
+    assertUpdateQuerySatisfiesSchema(collectionKey, updateQuery, selector, Boolean(options && options.upsert));
 
     // Returns the promise of updating database entry.
-    return new Promise((resolve, reject) => {
+    return runAuditedAsync(db, collectionKey, 'updateMany', selector, options, true, (selector, session) => runOperationAsync('updateMany', collectionKey, withSessionOption(options, session), (options) => new Promise((resolve, reject) => {
         // If options parameter has been provided ..
         if (options)
             // Update database entry found based on the provided selector.
@@ -403,8 +617,8 @@ function updateManyAsync(db, collectionKey, selector, updateQuery, options) {
                     // .. resolve the promise using the insertion result as a completion argument.
                     resolve(result);
             });
-    });
-} module.exports.updateManyAsync = updateManyAsync;
+    }))).catch((error) => rejectSoftDeletedUpsertAsync(db, collectionKey, callerSelector, options, error));
+}); module.exports.updateManyAsync = updateManyAsync;
 
 /**
  * Deletes the database entry found based on the provided selector filter.
@@ -414,9 +628,18 @@ function updateManyAsync(db, collectionKey, selector, updateQuery, options) {
  * @param {Object=} options Optional settings.
  * @return {Promise<CommandResult>} Returns a promise of removing the database entry.
  */
-function deleteOneAsync(db, collectionKey, selector, options) {
+const deleteOneAsync = withMiddleware('deleteOne', ['selector', 'options'], function deleteOneAsync(db, collectionKey, selector, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.    
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided selector contains invalid query operators throw appropriate exception.
+    if (selector !== undefined) assertSelectorValid(selector);
+    // If soft delete is enabled for the collection mark the entries as deleted instead of removing them.
+    if (isSoftDeleteApplied(collectionKey, options)) return softDeleteAsync('deleteOne', db, collectionKey, selector, options);
+
     // Return the promise of removing the database entry.
-    return new Promise((resolve, reject) => {
+    return runAuditedAsync(db, collectionKey, 'deleteOne', selector, options, false, (selector, session) => runOperationAsync('deleteOne', collectionKey, withSessionOption(options, session), (options) => new Promise((resolve, reject) => {
         // If options parameter has been provided ..
         if (options)
             // Remove database entry found based on the provided selector.
@@ -444,8 +667,8 @@ function deleteOneAsync(db, collectionKey, selector, options) {
                     resolve(result);
             });
 
-    });
-} module.exports.deleteOneAsync = deleteOneAsync;
+    })));
+}); module.exports.deleteOneAsync = deleteOneAsync;
 
 /**
  * Deletes the database entries found based on the provided selector filter.
@@ -455,9 +678,18 @@ function deleteOneAsync(db, collectionKey, selector, options) {
  * @param {Object=} options Optional settings.
  * @return {Promise<CommandResult>} Returns a promise of removing the database entries.
  */
-function deleteManyAsync(db, collectionKey, selector, options) {
+const deleteManyAsync = withMiddleware('deleteMany', ['selector', 'options'], function deleteManyAsync(db, collectionKey, selector, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.    
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided selector contains invalid query operators throw appropriate exception.
+    if (selector !== undefined) assertSelectorValid(selector);
+    // If soft delete is enabled for the collection mark the entries as deleted instead of removing them.
+    if (isSoftDeleteApplied(collectionKey, options)) return softDeleteAsync('deleteMany', db, collectionKey, selector, options);
+
     // Return the promise of removing the database entries.
-    return new Promise((resolve, reject) => {
+    return runAuditedAsync(db, collectionKey, 'deleteMany', selector, options, true, (selector, session) => runOperationAsync('deleteMany', collectionKey, withSessionOption(options, session), (options) => new Promise((resolve, reject) => {
         // If options parameter has been provided
         if (options)
             // Remove database entries found based on the provided selector.
@@ -484,34 +716,6172 @@ function deleteManyAsync(db, collectionKey, selector, options) {
                     // .. resolve the promise using the insertion result as a completion argument.
                     resolve(result);
             });
-    });
-} module.exports.deleteManyAsync = deleteManyAsync;
+    })));
+}); module.exports.deleteManyAsync = deleteManyAsync;
+
+/**
+ * Finds the database entry based on the provided selector filter and updates it atomically.
+ * @param {Db} db The database containing the entry to be updated.
+ * @param {String} collectionKey The collection key of the collection containing the database entry.
+ * @param {Object} selector The filter based on which database entry will be found.
+ * @param {Object} updateQuery The query based on which database entry will be updated. Must be an object containing property named as one of mongodb update operators with value equal to non-null object.
+ * @param {Object=} options Optional settings.
+ * @param {String=} options.returnDocument Either 'before' or 'after', decides which version of the entry is returned. Optional, defaults to 'before'.
+ * @returns {Promise<Object>} Returns the promise of the entry before or after the update, or null if no entry has been found.
+ */
+function findOneAndUpdateAsync(db, collectionKey, selector, updateQuery, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.    
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided selector is not a non-null object throw appropriate exception.
+    if (typeof selector !== 'object' || selector === null) throw new TypeError('Provided \'selector\' must be a non-null object.');
+    // If provided selector contains invalid query operators throw appropriate exception.
+    assertSelectorValid(selector);
+    // Keep the selector of the caller, which is used to explain the upsert conflicting with the soft-deleted entry.
+    const callerSelector = selector;
+    // Exclude soft-deleted entries unless they have been explicitly requested.
+    selector = excludeSoftDeleted(collectionKey, selector, options);
+    // If expected version has been provided match only the entry of that version.
+    selector = matchExpectedVersion(collectionKey, selector, options);
+    // If provided updateQuery is not valid throw appropriate exception.
+    assertUpdateQueryValid(updateQuery);
+    // Bump modification date and version if the collection requires it.
+    updateQuery = stampUpdateQuery(collectionKey, updateQuery, options);
+    // Validate update query against the schema registered for the collection.
+    assertUpdateQuerySatisfiesSchema(collectionKey, updateQuery, selector, Boolean(options && options.upsert));
 
+    // Translate returnDocument setting into the driver one.
+    const driverOptions = getFindAndModifyOptions(options);
 
+    // Returns the promise of finding and updating database entry.
+    return runAuditedAsync(db, collectionKey, 'findOneAndUpdate', selector, options, false, (selector, session) => runOperationAsync('findOneAndUpdate', collectionKey, withSessionOption(driverOptions, session), (driverOptions) => new Promise((resolve, reject) => {
+        // Find and update database entry found based on the provided selector.
+        db.collection(collectionKey).findOneAndUpdate(selector, updateQuery, driverOptions, (error, result) => {
+            // If error has been returned ..
+            if (error)
+                // .. use it as a rejection argument while rejecting the promise.
+                reject(error);
+            // Otherwise ..
+            else
+                // .. resolve the promise using the entry as a completion argument.
+                resolve(result.value);
+        });
+    }))).then((entry) => assertExpectedVersionMatched(collectionKey, selector, options, entry, entry !== null && entry !== undefined)).catch((error) => rejectSoftDeletedUpsertAsync(db, collectionKey, callerSelector, options, error));
+} module.exports.findOneAndUpdateAsync = findOneAndUpdateAsync;
 
-// Private Helpers
+/**
+ * Finds the database entry based on the provided selector filter and replaces it atomically.
+ * @param {Db} db The database containing the entry to be replaced.
+ * @param {String} collectionKey The collection key of the collection containing the database entry.
+ * @param {Object} selector The filter based on which database entry will be found.
+ * @param {Object} replacement The object replacing the entry. Must not contain update operators.
+ * @param {Object=} options Optional settings.
+ * @param {String=} options.returnDocument Either 'before' or 'after', decides which version of the entry is returned. Optional, defaults to 'before'.
+ * @returns {Promise<Object>} Returns the promise of the entry before or after the replacement, or null if no entry has been found.
+ */
+function findOneAndReplaceAsync(db, collectionKey, selector, replacement, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.    
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided selector is not a non-null object throw appropriate exception.
+    if (typeof selector !== 'object' || selector === null) throw new TypeError('Provided \'selector\' must be a non-null object.');
+    // If provided selector contains invalid query operators throw appropriate exception.
+    assertSelectorValid(selector);
+    // Keep the selector of the caller, which is used to explain the upsert conflicting with the soft-deleted entry.
+    const callerSelector = selector;
+    // Exclude soft-deleted entries unless they have been explicitly requested.
+    selector = excludeSoftDeleted(collectionKey, selector, options);
+    // If provided replacement is not valid throw appropriate exception.
+    if (!validateReplacement(replacement)) throw new TypeError('Provided \'replacement\' must be a non-null object which keys don\'t start with \'$\'.');
+    // Validate replacement against the schema registered for the collection.
+    assertDocumentsValid(collectionKey, [replacement], false);
 
+    // Keep creation date, bump modification date and version if the collection requires it.
+    const replacementPipeline = getReplacementPipeline(collectionKey, replacement);
+
+    // Translate returnDocument setting into the driver one.
+    const driverOptions = getFindAndModifyOptions(options);
+
+    // Returns the promise of finding and replacing database entry.
+    return runAuditedAsync(db, collectionKey, 'findOneAndReplace', selector, options, false, (selector, session) => runOperationAsync('findOneAndReplace', collectionKey, withSessionOption(driverOptions, session), (driverOptions) => new Promise((resolve, reject) => {
+        // Handles the result of the replacement.
+        const callback = (error, result) => {
+            // If error has been returned ..
+            if (error)
+                // .. use it as a rejection argument while rejecting the promise.
+                reject(error);
+            // Otherwise ..
+            else
+                // .. resolve the promise using the entry as a completion argument.
+                resolve(result.value);
+        };
 
-// Array containing all the valid update operators.
-const updateOperators = ['$set', '$setOrInsert', '$unset', '$currentDate', '$inc', '$min', '$max', '$mul', '$mul', '$rename'];
+        // Find and replace database entry found based on the provided selector, through the update pipeline if the collection requires stamping.
+        if (replacementPipeline) db.collection(collectionKey).findOneAndUpdate(selector, replacementPipeline, driverOptions, callback);
+        else db.collection(collectionKey).findOneAndReplace(selector, replacement, driverOptions, callback);
+    }))).catch((error) => rejectSoftDeletedUpsertAsync(db, collectionKey, callerSelector, options, error));
+} module.exports.findOneAndReplaceAsync = findOneAndReplaceAsync;
 
 /**
- * Answer's a question whether provided update query is valid.
- * @param {String} updateQuery Update quey to be validate.
- * @returns {Boolean} Returns true if provided update query is valid, otherwise returns false.
+ * Finds the database entry based on the provided selector filter and deletes it atomically.
+ * @param {Db} db The database containing the entry to be deleted.
+ * @param {String} collectionKey The collection key of the collection containing the database entry.
+ * @param {Object} selector The filter based on which database entry will be found.
+ * @param {Object=} options Optional settings.
+ * @returns {Promise<Object>} Returns the promise of the deleted entry, or null if no entry has been found.
  */
-function validateUpdateQuery(updateQuery) {
+function findOneAndDeleteAsync(db, collectionKey, selector, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.    
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided selector is not a non-null object throw appropriate exception.
+    if (typeof selector !== 'object' || selector === null) throw new TypeError('Provided \'selector\' must be a non-null object.');
+    // If provided selector contains invalid query operators throw appropriate exception.
+    assertSelectorValid(selector);
+    // If soft delete is enabled for the collection mark the entries as deleted instead of removing them.
+    if (isSoftDeleteApplied(collectionKey, options)) return softDeleteAsync('findOneAndDelete', db, collectionKey, selector, options);
 
-    // Loop through all the properties of the provided updateQuery object.
-    for (key in updateQuery) {
-        // If currently looped through property name is included within updateOperators array ..
-        if (updateOperators.includes(key)
-            // .. and the value of the property is non-null object ..
-            && typeof updateQuery[key] === 'object' && updateQuery[key] !== null)
-            // .. return true
-            return true;
+    // Returns the promise of finding and deleting database entry.
+    return runAuditedAsync(db, collectionKey, 'findOneAndDelete', selector, options, false, (selector, session) => runOperationAsync('findOneAndDelete', collectionKey, withSessionOption(options, session), (options) => new Promise((resolve, reject) => {
+        // Find and delete database entry found based on the provided selector.
+        db.collection(collectionKey).findOneAndDelete(selector, Object.assign({}, options), (error, result) => {
+            // If error has been returned ..
+            if (error)
+                // .. use it as a rejection argument while rejecting the promise.
+                reject(error);
+            // Otherwise ..
+            else
+                // .. resolve the promise using the entry as a completion argument.
+                resolve(result.value);
+        });
+    })));
+} module.exports.findOneAndDeleteAsync = findOneAndDeleteAsync;
+
+/**
+ * Replaces the database entry found based on the provided selector filter.
+ * @param {Db} db The database containing the entry to be replaced.
+ * @param {String} collectionKey The collection key of the collection containing the database entry.
+ * @param {Object} selector The filter based on which database entry will be found.
+ * @param {Object} replacement The object replacing the entry. Must not contain update operators.
+ * @param {Object=} options Optional settings.
+ * @returns {Promise<CommandResult>} Returns the promise of finding a database entry and replacing it.
+ */
+function replaceOneAsync(db, collectionKey, selector, replacement, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.    
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided selector is not a non-null object throw appropriate exception.
+    if (typeof selector !== 'object' || selector === null) throw new TypeError('Provided \'selector\' must be a non-null object.');
+    // If provided selector contains invalid query operators throw appropriate exception.
+    assertSelectorValid(selector);
+    // Keep the selector of the caller, which is used to explain the upsert conflicting with the soft-deleted entry.
+    const callerSelector = selector;
+    // Exclude soft-deleted entries unless they have been explicitly requested.
+    selector = excludeSoftDeleted(collectionKey, selector, options);
+    // If provided replacement is not valid throw appropriate exception.
+    if (!validateReplacement(replacement)) throw new TypeError('Provided \'replacement\' must be a non-null object which keys don\'t start with \'$\'.');
+    // Validate replacement against the schema registered for the collection.
+    assertDocumentsValid(collectionKey, [replacement], false);
+    // Keep creation date, bump modification date and version if the collection requires it.
+    const replacementPipeline = getReplacementPipeline(collectionKey, replacement);
+
+    // Returns the promise of replacing database entry.
+    return runAuditedAsync(db, collectionKey, 'replaceOne', selector, options, false, (selector, session) => runOperationAsync('replaceOne', collectionKey, withSessionOption(options, session), (options) => new Promise((resolve, reject) => {
+        // Handles the result of the replacement.
+        const callback = (error, result) => {
+            // If error has been returned ..
+            if (error)
+                // .. use it as a rejection argument while rejecting the promise.
+                reject(error);
+            // Otherwise ..
+            else
+                // .. resolve the promise using the replacement result as a completion argument.
+                resolve(result);
+        };
+
+        // Replace database entry found based on the provided selector, through the update pipeline if the collection requires stamping.
+        if (replacementPipeline) db.collection(collectionKey).updateOne(selector, replacementPipeline, Object.assign({}, options), callback);
+        else db.collection(collectionKey).replaceOne(selector, replacement, Object.assign({}, options), callback);
+    }))).catch((error) => rejectSoftDeletedUpsertAsync(db, collectionKey, callerSelector, options, error));
+} module.exports.replaceOneAsync = replaceOneAsync;
+
+/**
+ * Updates the database entry found based on the provided selector filter or inserts a new one if no entry has been found.
+ * Inserted entry is made of the equality conditions of the selector with the update query applied.
+ * @param {Db} db The database containing the entry to be upserted.
+ * @param {String} collectionKey The collection key of the collection containing the database entry.
+ * @param {Object} selector The filter based on which database entry will be found.
+ * @param {Object} updateQuery The query based on which database entry will be updated. Must be an object containing property named as one of mongodb update operators with value equal to non-null object.
+ * @param {Object=} options Optional settings.
+ * @param {String=} options.returnDocument Either 'before' or 'after', decides which version of the entry is returned. Optional, defaults to 'after',
+ * unlike findOneAndUpdateAsync which defaults to 'before' the way the driver does, as the entry before the upsert is null whenever it has been inserted.
+ * @returns {Promise<Object>} Returns the promise of the entry before or after the upsert.
+ */
+function upsertOneAsync(db, collectionKey, selector, updateQuery, options) {
+    // Find and update the entry inserting it if it doesn't exist, returning the upserted entry by default.
+    return findOneAndUpdateAsync(db, collectionKey, selector, updateQuery, Object.assign({ returnDocument: 'after' }, options, { upsert: true }));
+} module.exports.upsertOneAsync = upsertOneAsync;
+
+/**
+ * Executes mixed insert, update, replace and delete operations in asynchronous fashion, splitting them into chunks limited by count and size.
+ * Each operation is an object with a single property named as the operation type, which value contains the arguments of the matching function:
+ * { insertOne: { objectToInsert, _id } }, { updateOne: { selector, updateQuery, upsert } }, { updateMany: { selector, updateQuery, upsert } },
+ * { replaceOne: { selector, replacement, upsert } }, { deleteOne: { selector } } or { deleteMany: { selector } }.
+ * Operations which don't satisfy the schema registered for the collection are not sent to the database and are reported as failed.
+ * In ordered mode processing stops at the first failed operation and the following ones are reported as skipped.
+ * @param {Db} db Database containing the collection.
+ * @param {String} collectionKey The key of the collection the operations will be executed against.
+ * @param {[Object]} operations Array of operations.
+ * @param {Object=} options Optional settings.
+ * @param {Boolean=} options.ordered Whether the operations must be executed in order. Optional, defaults to true.
+ * @param {Number=} options.maxChunkCount Maximum number of operations sent to the database at once. Optional, defaults to 1000.
+ * @param {Number=} options.maxChunkBytes Maximum approximate size of operations sent to the database at once. Optional, defaults to 8MB.
+ * @param {Function=} options.onProgress Callback invoked after each chunk with { processed, total, succeeded, failed }.
+ * @returns {Promise<Object>} Returns the promise of the report containing 'results' (one { index, operation, outcome, insertedId, upsertedId, error } per operation,
+ * where outcome is 'succeeded', 'failed' or 'skipped'), counts of the affected entries and 'writeConcernErrors'.
+ */
+function bulkWriteAsync(db, collectionKey, operations, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided argument operations is not an array throw appropriate exception.
+    if (!Array.isArray(operations)) throw new TypeError('Provided argument \'operations\' is not an Array.');
+
+    // Split the settings of the helper from the settings of the driver.
+    const { ordered = true, maxChunkCount = 1000, maxChunkBytes = 8 * 1024 * 1024, onProgress, ...driverOptions } = options || {};
+    // If provided chunk limits are not positive integers throw appropriate exception.
+    if (!Number.isInteger(maxChunkCount) || maxChunkCount < 1) throw new TypeError('Provided \'maxChunkCount\' must be a positive integer.');
+    if (!Number.isInteger(maxChunkBytes) || maxChunkBytes < 1) throw new TypeError('Provided \'maxChunkBytes\' must be a positive integer.');
+    // If provided onProgress is not a function throw appropriate exception.
+    if (onProgress !== undefined && typeof onProgress !== 'function') throw new TypeError('Provided \'onProgress\' must be a function.');
+
+    // Translate all the operations into the driver ones, which throws if any of them is malformed.
+    const driverOperations = operations.map((operation, index) => toDriverBulkOperation(operation, index));
+    // Apply soft delete mode, timestamps and versioning of the collection to the operations.
+    driverOperations.forEach((driverOperation, index) => driverOperations[index] = stampBulkOperation(collectionKey, applySoftDeleteToBulkOperation(collectionKey, driverOperation, options)));
+
+    // Return the promise of executing the operations.
+    return executeBulkOperationsAsync(db, collectionKey, operations, driverOperations, { ordered, maxChunkCount, maxChunkBytes, onProgress }, driverOptions);
+} module.exports.bulkWriteAsync = bulkWriteAsync;
+
+/**
+ * Configures the behaviour of the CRUD functions for the collection. Settings which are not provided are left as they are.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Object} settings Settings to be changed.
+ * @param {Object|Boolean=} settings.softDelete Enables soft delete mode when set to true or an object with 'deletedAtField' and 'deletedByField'
+ * (default to 'deletedAt' and 'deletedBy'), disables it when set to false. In soft delete mode delete functions mark entries as deleted instead of removing them
+ * ('actor' setting of the call is stored as deletedBy) and the other functions skip deleted entries unless 'withDeleted' setting of the call is true.
+ * Upserts which would insert an entry taking the _id (or another unique key) of a soft-deleted entry are rejected with SoftDeletedEntryError.
+ * @param {Object|Boolean=} settings.timestamps Enables automatic timestamps when set to true or an object with 'createdAtField' and 'updatedAtField'
+ * (default to 'createdAt' and 'updatedAt'), disables them when set to false. Inserts stamp both dates (unless provided) and updates bump the modification date.
+ * @param {Object|Boolean=} settings.versioning Enables optimistic concurrency versioning when set to true or an object with 'versionField' (defaults to 'version'),
+ * disables it when set to false. Inserts set the version to 1 (unless provided) and updates increment it. updateOneAsync and findOneAndUpdateAsync accept
+ * 'expectedVersion' setting, which restricts the update to the entry of that version and rejects with ConcurrencyConflictError if no entry matched
+ * (it can't be combined with 'upsert'). Replacements keep the creation date and increment the version too.
+ * @param {Object|Boolean=} settings.audit Enables the audit trail when set to true or an object with 'historyCollectionKey' (defaults to the collection key
+ * followed by '_history'), disables it when set to false. Every write stores a record of each affected entry in the history collection, containing
+ * the state of the entry after the write and the field-level diff. Writes run within the transaction of the call or within a new one together with their records,
+ * so audit trail requires a deployment supporting transactions. Versions of the records are unique, as enforced by the index created in the history collection.
+ * @param {Object|Boolean=} settings.cache Enables caching of findOneAsync and findManyAsync results when set to true or an object with 'ttlMS'
+ * (defaults to the 'ttlMS' setting of configureCache), disables it when set to false. Cached results are invalidated by every write made
+ * through this module to the collection. Reads using a session and reads with 'cache' setting of the call set to false bypass the cache.
+ * @returns {Object} Copy of the settings of the collection.
+ */
+function configureCollection(collectionKey, settings) {
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided settings is not a non-null object throw appropriate exception.
+    if (typeof settings !== 'object' || settings === null) throw new TypeError('Provided \'settings\' must be a non-null object.');
+
+    // Obtain the current settings of the collection.
+    const current = Object.assign({}, collectionSettings.get(collectionKey));
+
+    // Apply soft delete settings.
+    if (settings.softDelete !== undefined) {
+        // If provided softDelete is neither a boolean nor a non-null object throw appropriate exception.
+        if (typeof settings.softDelete !== 'boolean' && !isPlainObject(settings.softDelete)) throw new TypeError('Provided \'softDelete\' must be a boolean or a non-null object.');
+        current.softDelete = settings.softDelete ? Object.assign({ deletedAtField: 'deletedAt', deletedByField: 'deletedBy' }, settings.softDelete === true ? {} : settings.softDelete) : null;
+    }
+
+    // Apply timestamps settings.
+    if (settings.timestamps !== undefined) {
+        // If provided timestamps is neither a boolean nor a non-null object throw appropriate exception.
+        if (typeof settings.timestamps !== 'boolean' && !isPlainObject(settings.timestamps)) throw new TypeError('Provided \'timestamps\' must be a boolean or a non-null object.');
+        current.timestamps = settings.timestamps ? Object.assign({ createdAtField: 'createdAt', updatedAtField: 'updatedAt' }, settings.timestamps === true ? {} : settings.timestamps) : null;
+    }
+
+    // Apply versioning settings.
+    if (settings.versioning !== undefined) {
+        // If provided versioning is neither a boolean nor a non-null object throw appropriate exception.
+        if (typeof settings.versioning !== 'boolean' && !isPlainObject(settings.versioning)) throw new TypeError('Provided \'versioning\' must be a boolean or a non-null object.');
+        current.versioning = settings.versioning ? Object.assign({ versionField: 'version' }, settings.versioning === true ? {} : settings.versioning) : null;
+    }
+
+    // Apply audit settings.
+    if (settings.audit !== undefined) {
+        // If provided audit is neither a boolean nor a non-null object throw appropriate exception.
+        if (typeof settings.audit !== 'boolean' && !isPlainObject(settings.audit)) throw new TypeError('Provided \'audit\' must be a boolean or a non-null object.');
+        current.audit = settings.audit ? Object.assign({ historyCollectionKey: `${collectionKey}_history` }, settings.audit === true ? {} : settings.audit) : null;
+    }
+
+    // Apply cache settings.
+    if (settings.cache !== undefined) {
+        // If provided cache is neither a boolean nor a non-null object throw appropriate exception.
+        if (typeof settings.cache !== 'boolean' && !isPlainObject(settings.cache)) throw new TypeError('Provided \'cache\' must be a boolean or a non-null object.');
+        // If provided ttlMS is not a positive number throw appropriate exception.
+        if (isPlainObject(settings.cache) && settings.cache.ttlMS !== undefined && !(typeof settings.cache.ttlMS === 'number' && settings.cache.ttlMS > 0))
+            throw new TypeError('Provided cache \'ttlMS\' must be a positive number.');
+        current.cache = settings.cache ? Object.assign({}, settings.cache === true ? {} : settings.cache) : null;
+    }
+
+    // Store the settings.
+    collectionSettings.set(collectionKey, current);
+
+    // Return the copy of the settings.
+    return Object.assign({}, current);
+} module.exports.configureCollection = configureCollection;
+
+/**
+ * Restores the soft-deleted database entry found based on the provided selector filter.
+ * @param {Db} db The database containing the entry to be restored.
+ * @param {String} collectionKey The collection key of the collection containing the database entry. Collection must be in soft delete mode.
+ * @param {Object} selector The filter based on which database entry will be found among the deleted ones.
+ * @param {Object=} options Optional settings.
+ * @returns {Promise<CommandResult>} Returns the promise of restoring the database entry.
+ */
+function restoreOneAsync(db, collectionKey, selector, options) {
+    // Return the promise of restoring the database entry.
+    return restoreAsync('updateOne', db, collectionKey, selector, options);
+} module.exports.restoreOneAsync = restoreOneAsync;
+
+/**
+ * Restores the soft-deleted database entries found based on the provided selector filter.
+ * @param {Db} db The database containing the entries to be restored.
+ * @param {String} collectionKey The collection key of the collection containing the database entries. Collection must be in soft delete mode.
+ * @param {Object} selector The filter based on which database entries will be found among the deleted ones.
+ * @param {Object=} options Optional settings.
+ * @returns {Promise<CommandResult>} Returns the promise of restoring the database entries.
+ */
+function restoreManyAsync(db, collectionKey, selector, options) {
+    // Return the promise of restoring the database entries.
+    return restoreAsync('updateMany', db, collectionKey, selector, options);
+} module.exports.restoreManyAsync = restoreManyAsync;
+
+/**
+ * Permanently removes the entries which have been soft-deleted before provided date.
+ * @param {Db} db The database containing the entries to be removed.
+ * @param {String} collectionKey The collection key of the collection containing the database entries. Collection must be in soft delete mode.
+ * @param {Date|Number} olderThan Date before which the entries must have been deleted, or the number of milliseconds that must have passed since their deletion.
+ * @param {Object=} options Optional settings.
+ * @returns {Promise<CommandResult>} Returns the promise of removing the database entries.
+ */
+function purgeDeletedAsync(db, collectionKey, olderThan, options) {
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided olderThan is neither a date nor a non-negative number throw appropriate exception.
+    if (!(olderThan instanceof Date) && !(typeof olderThan === 'number' && olderThan >= 0)) throw new TypeError('Provided \'olderThan\' must be a Date or a non-negative number of milliseconds.');
+
+    // Obtain soft delete settings, which throws if soft delete is not enabled.
+    const { deletedAtField } = getSoftDeleteSettings(collectionKey, true);
+    // Compute the date before which the entries must have been deleted.
+    const before = olderThan instanceof Date ? olderThan : new Date(Date.now() - olderThan);
+
+    // Return the promise of permanently removing the database entries.
+    return deleteManyAsync(db, collectionKey, { [deletedAtField]: { $lt: before } }, Object.assign({}, options, { permanent: true }));
+} module.exports.purgeDeletedAsync = purgeDeletedAsync;
+
+/**
+ * Returns the audit records of the entry, sorted from the oldest to the newest one.
+ * Each record contains 'collectionKey', 'documentId', 'version', 'operation', 'actor', 'timestamp', 'diff' (array of { path, before, after }) and 'state' after the write.
+ * @param {Db} db The database containing the history collection.
+ * @param {String} collectionKey The collection key of the collection containing the entry. Collection must have audit trail enabled.
+ * @param {*} _id The _id of the entry.
+ * @param {Object=} options Optional settings.
+ * @returns {Promise<[Object]>} Returns the promise of the audit records.
+ */
+function getHistoryAsync(db, collectionKey, _id, options) {
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+
+    // Obtain audit settings, which throws if audit trail is not enabled.
+    const { historyCollectionKey } = getAuditSettings(collectionKey, true);
+
+    // Return the promise of finding the records.
+    return findManyAsync(db, historyCollectionKey, { collectionKey, documentId: _id }, Object.assign({}, options, { sort: { version: 1 } }));
+} module.exports.getHistoryAsync = getHistoryAsync;
+
+/**
+ * Reverts the entry to the state recorded by the audit record of provided version. If the entry has been removed it is inserted back,
+ * and if the version recorded its removal the entry is removed. The revert is recorded in the history as any other write.
+ * @param {Db} db The database containing the entry.
+ * @param {String} collectionKey The collection key of the collection containing the entry. Collection must have audit trail enabled.
+ * @param {*} _id The _id of the entry.
+ * @param {Number} version The version of the audit record to revert to.
+ * @param {Object=} options Optional settings.
+ * @returns {Promise<CommandResult>} Returns the promise of reverting the entry.
+ */
+function revertToVersionAsync(db, collectionKey, _id, version, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided version is not a positive integer throw appropriate exception.
+    if (!Number.isInteger(version) || version < 1) throw new TypeError('Provided \'version\' must be a positive integer.');
+
+    // Obtain audit settings, which throws if audit trail is not enabled.
+    const { historyCollectionKey } = getAuditSettings(collectionKey, true);
+
+    // Find the audit record of the version.
+    return findOneAsync(db, historyCollectionKey, { collectionKey, documentId: _id, version }, options).then((record) => {
+        // If no such record exists throw appropriate exception.
+        if (!record) throw new Error(`No audit record of version ${version} exists for the entry of '${collectionKey}' collection.`);
+
+        // Revert the entry regardless of its soft-deleted state.
+        const revertOptions = Object.assign({}, options, { withDeleted: true });
+        // If the version recorded the removal of the entry remove it permanently ..
+        if (record.state === null) return deleteOneAsync(db, collectionKey, { _id }, Object.assign(revertOptions, { permanent: true }));
+        // .. otherwise replace the entry with the recorded state, inserting it if it has been removed.
+        return replaceOneAsync(db, collectionKey, { _id }, record.state, Object.assign(revertOptions, { upsert: true }));
+    });
+} module.exports.revertToVersionAsync = revertToVersionAsync;
+
+
+/**
+ * Repository bound to a single collection of a database, exposing all the CRUD functions without the need of providing db and collectionKey on every call.
+ * Can be extended in order to add domain specific methods, which can use this.db, this.collectionKey and this.config.
+ */
+class Repository {
+    /**
+     * Creates the repository bound to a collection.
+     * @param {Db} db Database containing the collection.
+     * @param {String} collectionKey The key of the collection the repository is bound to.
+     * @param {Object=} config Optional repository defaults.
+     * @param {Object=} config.projection Default projection applied to find operations.
+     * @param {Object=} config.sort Default sort applied to find operations.
+     * @param {ReadPreference|String=} config.readPreference Default read preference applied to find operations.
+     * @param {Object=} config.writeConcern Default write concern (e.g. { w: 'majority', j: true, wtimeout: 1000 }) applied to write operations.
+     */
+    constructor(db, collectionKey, config) {
+        // If provided db is not an instance of mongodb Db class throw appropriate exception.
+        if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+        // If provided collectionKey argument is not of expected type throw appropriate exception.
+        if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+        // If provided config is not an object throw appropriate exception.
+        if (config !== undefined && (typeof config !== 'object' || config === null)) throw new TypeError('Provided \'config\' must be a non-null object.');
+
+        this.db = db;
+        this.collectionKey = collectionKey;
+        this.config = Object.assign({}, config);
+    }
+
+    /**
+     * Inserts provided object to the collection in asynchronous fashion.
+     * @param {Object} objectToInsert Object to be inserted to database.
+     * @param {ObjectID=} _id The ObjectID under which object will be indexed within database.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<CommandResult>} Returns a promise of inserting objectToInsert into the database.
+     */
+    insertOneAsync(objectToInsert, _id, options) {
+        return insertOneAsync(this.db, this.collectionKey, objectToInsert, _id, this.getWriteOptions(options));
+    }
+
+    /**
+     * Inserts provided objects to the collection in asynchronous fashion.
+     * @param {[Object]} objectsToInsert Array of objects to be inserted to database.
+     * @param {[ObjectID]=} _ids Array of ObjectID under which objects will be indexed within database.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<CommandResult>} Returns a promise of inserting objectsToInsert into the database.
+     */
+    insertManyAsync(objectsToInsert, _ids, options) {
+        return insertManyAsync(this.db, this.collectionKey, objectsToInsert, _ids, this.getWriteOptions(options));
+    }
+
+    /**
+     * Returns the first entry of the collection matching provided selector filter.
+     * @param {Object} selector Filter by which a database entry will be filtered out.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<Object>} Database entry found based on the provided selector filter.
+     */
+    findOneAsync(selector, options) {
+        return findOneAsync(this.db, this.collectionKey, selector, this.getReadOptions(options));
+    }
+
+    /**
+     * Returns the database cursor pointing to all the entries of the collection matching provided selector filter.
+     * @param {Object} selector Filter by which a database entries will be filtered out.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<Cursor>} Database entries found based on the provided selector filter.
+     */
+    findAsync(selector, options) {
+        return findAsync(this.db, this.collectionKey, selector, this.getReadOptions(options));
     }
 
-    // Return false
-    return false;
-}
\ No newline at end of file
+    /**
+     * Returns all the entries of the collection matching provided selector filter.
+     * @param {Object} selector Filter by which a database entries will be filtered out.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<[Object]>} Array of database entries found based on the provided selector filter.
+     */
+    findManyAsync(selector, options) {
+        return findManyAsync(this.db, this.collectionKey, selector, this.getReadOptions(options));
+    }
+
+    /**
+     * Returns an async iterable of the entries of the collection matching provided selector filter.
+     * @param {Object} selector Filter by which a database entries will be filtered out.
+     * @param {Object=} options Optional settings.
+     * @returns {AsyncIterable<Object|[Object]>} Async iterable of database entries.
+     */
+    findStream(selector, options) {
+        return findStream(this.db, this.collectionKey, selector, this.getReadOptions(options));
+    }
+
+    /**
+     * Returns a page of the entries of the collection matching provided selector filter using keyset pagination.
+     * @param {Object} selector Filter by which a database entries will be filtered out.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<{items: [Object], continuationToken: String}>} Returns the promise of the page.
+     */
+    findPageAsync(selector, options) {
+        const { projection, readPreference } = this.config;
+        return findPageAsync(this.db, this.collectionKey, selector, Object.assign(removeUndefined({ projection, readPreference }), options));
+    }
+
+    /**
+     * Updates the entry of the collection found based on the provided selector filter.
+     * @param {Object} selector The filter based on which database entry will be found.
+     * @param {Object} updateQuery The query based on which database entry will be updated.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<CommandResult>} Returns the promise of finding a database entry and updating it according provided updateQuery.
+     */
+    updateOneAsync(selector, updateQuery, options) {
+        return updateOneAsync(this.db, this.collectionKey, selector, updateQuery, this.getWriteOptions(options));
+    }
+
+    /**
+     * Updates the entries of the collection found based on the provided selector filter.
+     * @param {Object} selector The filter based on which database entries will be found.
+     * @param {Object} updateQuery The query based on which database entries will be updated.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<CommandResult>} Returns the promise of finding a database entries and updating them according provided updateQuery.
+     */
+    updateManyAsync(selector, updateQuery, options) {
+        return updateManyAsync(this.db, this.collectionKey, selector, updateQuery, this.getWriteOptions(options));
+    }
+
+    /**
+     * Deletes the entry of the collection found based on the provided selector filter.
+     * @param {Object} selector The filter based on which database entry will be found.
+     * @param {Object=} options Optional settings.
+     * @return {Promise<CommandResult>} Returns a promise of removing the database entry.
+     */
+    deleteOneAsync(selector, options) {
+        return deleteOneAsync(this.db, this.collectionKey, selector, this.getWriteOptions(options));
+    }
+
+    /**
+     * Deletes the entries of the collection found based on the provided selector filter.
+     * @param {Object} selector The filter based on which database entries will be found.
+     * @param {Object=} options Optional settings.
+     * @return {Promise<CommandResult>} Returns a promise of removing the database entries.
+     */
+    deleteManyAsync(selector, options) {
+        return deleteManyAsync(this.db, this.collectionKey, selector, this.getWriteOptions(options));
+    }
+
+    /**
+     * Finds the entry of the collection based on the provided selector filter and updates it atomically.
+     * @param {Object} selector The filter based on which database entry will be found.
+     * @param {Object} updateQuery The query based on which database entry will be updated.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<Object>} Returns the promise of the entry before or after the update.
+     */
+    findOneAndUpdateAsync(selector, updateQuery, options) {
+        return findOneAndUpdateAsync(this.db, this.collectionKey, selector, updateQuery, this.getWriteOptions(options));
+    }
+
+    /**
+     * Finds the entry of the collection based on the provided selector filter and replaces it atomically.
+     * @param {Object} selector The filter based on which database entry will be found.
+     * @param {Object} replacement The object replacing the entry.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<Object>} Returns the promise of the entry before or after the replacement.
+     */
+    findOneAndReplaceAsync(selector, replacement, options) {
+        return findOneAndReplaceAsync(this.db, this.collectionKey, selector, replacement, this.getWriteOptions(options));
+    }
+
+    /**
+     * Finds the entry of the collection based on the provided selector filter and deletes it atomically.
+     * @param {Object} selector The filter based on which database entry will be found.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<Object>} Returns the promise of the deleted entry.
+     */
+    findOneAndDeleteAsync(selector, options) {
+        return findOneAndDeleteAsync(this.db, this.collectionKey, selector, this.getWriteOptions(options));
+    }
+
+    /**
+     * Replaces the entry of the collection found based on the provided selector filter.
+     * @param {Object} selector The filter based on which database entry will be found.
+     * @param {Object} replacement The object replacing the entry.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<CommandResult>} Returns the promise of finding a database entry and replacing it.
+     */
+    replaceOneAsync(selector, replacement, options) {
+        return replaceOneAsync(this.db, this.collectionKey, selector, replacement, this.getWriteOptions(options));
+    }
+
+    /**
+     * Updates the entry of the collection found based on the provided selector filter or inserts a new one.
+     * @param {Object} selector The filter based on which database entry will be found.
+     * @param {Object} updateQuery The query based on which database entry will be updated.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<Object>} Returns the promise of the entry before or after the upsert.
+     */
+    upsertOneAsync(selector, updateQuery, options) {
+        return upsertOneAsync(this.db, this.collectionKey, selector, updateQuery, this.getWriteOptions(options));
+    }
+
+    /**
+     * Executes mixed insert, update, replace and delete operations against the collection, splitting them into chunks.
+     * @param {[Object]} operations Array of operations.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<Object>} Returns the promise of the report of all the operations.
+     */
+    bulkWriteAsync(operations, options) {
+        return bulkWriteAsync(this.db, this.collectionKey, operations, this.getWriteOptions(options));
+    }
+
+    /**
+     * Restores the soft-deleted entry of the collection found based on the provided selector filter.
+     * @param {Object} selector The filter based on which database entry will be found among the deleted ones.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<CommandResult>} Returns the promise of restoring the database entry.
+     */
+    restoreOneAsync(selector, options) {
+        return restoreOneAsync(this.db, this.collectionKey, selector, this.getWriteOptions(options));
+    }
+
+    /**
+     * Restores the soft-deleted entries of the collection found based on the provided selector filter.
+     * @param {Object} selector The filter based on which database entries will be found among the deleted ones.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<CommandResult>} Returns the promise of restoring the database entries.
+     */
+    restoreManyAsync(selector, options) {
+        return restoreManyAsync(this.db, this.collectionKey, selector, this.getWriteOptions(options));
+    }
+
+    /**
+     * Permanently removes the entries of the collection which have been soft-deleted before provided date.
+     * @param {Date|Number} olderThan Date before which the entries must have been deleted, or the number of milliseconds that must have passed since their deletion.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<CommandResult>} Returns the promise of removing the database entries.
+     */
+    purgeDeletedAsync(olderThan, options) {
+        return purgeDeletedAsync(this.db, this.collectionKey, olderThan, this.getWriteOptions(options));
+    }
+
+    /**
+     * Returns the audit records of the entry, sorted from the oldest to the newest one.
+     * @param {*} _id The _id of the entry.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<[Object]>} Returns the promise of the audit records.
+     */
+    getHistoryAsync(_id, options) {
+        return getHistoryAsync(this.db, this.collectionKey, _id, options);
+    }
+
+    /**
+     * Reverts the entry to the state recorded by the audit record of provided version.
+     * @param {*} _id The _id of the entry.
+     * @param {Number} version The version of the audit record to revert to.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<CommandResult>} Returns the promise of reverting the entry.
+     */
+    revertToVersionAsync(_id, version, options) {
+        return revertToVersionAsync(this.db, this.collectionKey, _id, version, this.getWriteOptions(options));
+    }
+
+    /**
+     * Runs the aggregation pipeline against the collection and returns all the resulting documents.
+     * @param {[Object]|PipelineBuilder} pipeline The pipeline or the builder of it.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<[Object]>} Returns the promise of the resulting documents.
+     */
+    aggregateAsync(pipeline, options) {
+        const { readPreference } = this.config;
+        return aggregateAsync(this.db, this.collectionKey, pipeline, Object.assign(removeUndefined({ readPreference }), options));
+    }
+
+    /**
+     * Runs the aggregation pipeline against the collection and returns an async iterable of the resulting documents.
+     * @param {[Object]|PipelineBuilder} pipeline The pipeline or the builder of it.
+     * @param {Object=} options Optional settings.
+     * @returns {AsyncIterable<Object|[Object]>} Async iterable of the resulting documents.
+     */
+    aggregateStream(pipeline, options) {
+        const { readPreference } = this.config;
+        return aggregateStream(this.db, this.collectionKey, pipeline, Object.assign(removeUndefined({ readPreference }), options));
+    }
+
+    /**
+     * Subscribes to the changes of the collection.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<ChangeStreamSubscription>} Returns the promise of the subscription.
+     */
+    watchAsync(options) {
+        return watchAsync(this.db, this.collectionKey, options);
+    }
+
+    /**
+     * Merges repository read defaults with provided options. Options provided by the caller take precedence.
+     * @param {Object=} options Optional settings.
+     * @returns {Object} Returns the merged options.
+     */
+    getReadOptions(options) {
+        const { projection, sort, readPreference } = this.config;
+        return Object.assign(removeUndefined({ projection, sort, readPreference }), options);
+    }
+
+    /**
+     * Merges repository write concern with provided options. Options provided by the caller take precedence.
+     * @param {Object=} options Optional settings.
+     * @returns {Object} Returns the merged options.
+     */
+    getWriteOptions(options) {
+        return Object.assign({}, this.config.writeConcern, options);
+    }
+} module.exports.Repository = Repository;
+
+/**
+ * Creates the repository bound to the collection of provided database.
+ * @param {Db} db Database containing the collection.
+ * @param {String} collectionKey The key of the collection the repository will be bound to.
+ * @param {Object=} config Optional repository defaults (projection, sort, readPreference and writeConcern).
+ * @param {Function=} RepositoryClass Optional subclass of Repository to be instantiated instead.
+ * @returns {Repository} The repository instance.
+ */
+function createRepository(db, collectionKey, config, RepositoryClass) {
+    // Use Repository class unless its subclass has been provided.
+    const Class = RepositoryClass || Repository;
+    // If provided class doesn't extend Repository throw appropriate exception.
+    if (Class !== Repository && !(Class.prototype instanceof Repository)) throw new TypeError('Provided \'RepositoryClass\' must extend Repository class.');
+
+    // Return new repository.
+    return new Class(db, collectionKey, config);
+} module.exports.createRepository = createRepository;
+
+/**
+ * Base class of the errors the driver errors are mapped into. Property 'cause' holds the original error returned by the driver (if any),
+ * 'code' holds its code and 'retryable' answers a question whether the operation may succeed if it is repeated.
+ */
+class DatabaseError extends Error {
+    /**
+     * Creates the database error.
+     * @param {String} message The message.
+     * @param {Error=} cause The original error.
+     * @param {Boolean=} retryable Whether the operation may succeed if it is repeated.
+     */
+    constructor(message, cause, retryable) {
+        super(message);
+        this.name = 'DatabaseError';
+        this.cause = cause;
+        this.code = cause ? cause.code : undefined;
+        this.retryable = Boolean(retryable);
+    }
+} module.exports.DatabaseError = DatabaseError;
+
+/**
+ * Error thrown when the write violates a unique index. Properties 'index', 'key' and 'value' describe the offending index, field and value,
+ * 'keyValue' contains all the offending fields and values if the server reported them.
+ */
+class DuplicateKeyError extends DatabaseError {
+    /**
+     * Creates the duplicate key error.
+     * @param {Error} cause The original error.
+     */
+    constructor(cause) {
+        super(cause.errmsg || cause.message, cause, false);
+        this.name = 'DuplicateKeyError';
+
+        // Obtain the description of the duplicate key.
+        const { index, keyValue } = parseDuplicateKey(cause);
+        this.index = index;
+        this.keyValue = keyValue;
+        this.key = keyValue ? Object.keys(keyValue)[0] : undefined;
+        this.value = keyValue ? keyValue[this.key] : undefined;
+    }
+} module.exports.DuplicateKeyError = DuplicateKeyError;
+
+/**
+ * Error thrown when the upsert into the collection in soft delete mode matches only the soft-deleted entry, so it would insert a new entry
+ * taking the _id of the deleted one. Restore the entry first, or provide 'withDeleted' setting to update the deleted entry as it is.
+ * Properties 'collectionKey' and '_id' identify the soft-deleted entry.
+ */
+class SoftDeletedEntryError extends DuplicateKeyError {
+    /**
+     * Creates the soft-deleted entry error.
+     * @param {String} collectionKey The key of the collection.
+     * @param {*} _id The _id of the soft-deleted entry.
+     * @param {Error} cause The original error.
+     */
+    constructor(collectionKey, _id, cause) {
+        super(cause.cause || cause);
+        this.name = 'SoftDeletedEntryError';
+        this.message = `The upsert into '${collectionKey}' collection matches the soft-deleted entry '${_id}'. Restore it first or provide 'withDeleted' setting to update it as it is.`;
+        this.collectionKey = collectionKey;
+        this._id = _id;
+    }
+} module.exports.SoftDeletedEntryError = SoftDeletedEntryError;
+
+/**
+ * Error thrown when the write conflicts with a concurrent operation or transaction.
+ */
+class WriteConflictError extends DatabaseError {
+    /**
+     * Creates the write conflict error.
+     * @param {Error} cause The original error.
+     */
+    constructor(cause) {
+        super(cause.errmsg || cause.message, cause, true);
+        this.name = 'WriteConflictError';
+    }
+} module.exports.WriteConflictError = WriteConflictError;
+
+/**
+ * Error thrown when the database can't be reached or the connection has been lost.
+ */
+class NetworkError extends DatabaseError {
+    /**
+     * Creates the network error.
+     * @param {Error} cause The original error.
+     */
+    constructor(cause) {
+        super(cause.errmsg || cause.message, cause, true);
+        this.name = 'NetworkError';
+    }
+} module.exports.NetworkError = NetworkError;
+
+/**
+ * Error thrown when the operation or the server selection exceeded its time limit.
+ */
+class TimeoutError extends DatabaseError {
+    /**
+     * Creates the timeout error.
+     * @param {Error} cause The original error.
+     */
+    constructor(cause) {
+        super(cause.errmsg || cause.message, cause, true);
+        this.name = 'TimeoutError';
+    }
+} module.exports.TimeoutError = TimeoutError;
+
+
+/**
+ * Maps the error returned by the driver into one of the DatabaseError classes. Errors which don't match any of them are returned as they are.
+ * @param {Error} error The error returned by the driver.
+ * @param {String=} collectionKey The key of the collection the failed operation has been executed against.
+ * @returns {Error} Returns the mapped error.
+ */
+function mapDriverError(error, collectionKey) {
+    // Leave already mapped errors and non-error values as they are.
+    if (!error || error instanceof DatabaseError) return error;
+
+    // Map duplicate key errors.
+    if (duplicateKeyCodes.includes(error.code)) return new DuplicateKeyError(error);
+    // Map write conflicts.
+    if (error.code === 112) return new WriteConflictError(error);
+    // Map server side document validation failures.
+    if (error.code === 121) return new ValidationError(collectionKey || '<unknown>', [{ path: '<document>', message: 'has been rejected by the collection validator' }], error);
+    // Map time limits.
+    if (error.name === 'MongoTimeoutError' || error.name === 'MongoServerSelectionError' || timeoutCodes.includes(error.code)) return new TimeoutError(error);
+    // Map network failures.
+    if (error.name === 'MongoNetworkError' || error.name === 'MongoNetworkTimeoutError' || networkCodes.includes(error.code)) return new NetworkError(error);
+
+    // Return other errors as they are.
+    return error;
+} module.exports.mapDriverError = mapDriverError;
+
+/**
+ * Configures the retry policy applied to every CRUD function. Policy can be overridden per call by providing 'retry' setting
+ * with an object containing the settings to override, or with false to disable retries.
+ * Only errors which are retryable (network errors, timeouts and write conflicts) are retried and only outside of transactions.
+ * Writes are not retried unless 'retryWrites' is enabled, as repeating them is not safe if the first attempt has actually been applied.
+ * @param {Object} policy Settings to be changed.
+ * @param {Number=} policy.maxRetries Maximum number of retries. Defaults to 2.
+ * @param {Number=} policy.initialDelayMS Delay before the first retry. Defaults to 100.
+ * @param {Number=} policy.maxDelayMS Maximum delay between retries. Defaults to 5000.
+ * @param {Number=} policy.factor Factor the delay is multiplied by after each retry. Defaults to 2.
+ * @param {Boolean=} policy.jitter Whether the delay is randomized between 0 and its computed value. Defaults to true.
+ * @param {Boolean=} policy.retryWrites Whether write operations are retried. Defaults to false.
+ * @returns {Object} Copy of the policy in use.
+ */
+function configureRetryPolicy(policy) {
+    // If provided policy is not a non-null object throw appropriate exception.
+    if (typeof policy !== 'object' || policy === null) throw new TypeError('Provided \'policy\' must be a non-null object.');
+
+    // Validate and apply the settings.
+    Object.assign(retryPolicy, resolveRetryPolicy(policy));
+
+    // Return the copy of the policy.
+    return Object.assign({}, retryPolicy);
+} module.exports.configureRetryPolicy = configureRetryPolicy;
+
+/**
+ * Error thrown when the update restricted to the expected version of the entry didn't match any entry,
+ * which means that the entry has been modified (or removed) since that version has been read.
+ */
+class ConcurrencyConflictError extends DatabaseError {
+    /**
+     * Creates the concurrency conflict error.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector The selector of the update, including the expected version.
+     * @param {*} expectedVersion The expected version.
+     */
+    constructor(collectionKey, selector, expectedVersion) {
+        super(`No entry of '${collectionKey}' collection matched the selector with expected version ${expectedVersion}. The entry has been modified or removed in the meantime.`);
+        this.name = 'ConcurrencyConflictError';
+        this.collectionKey = collectionKey;
+        this.selector = selector;
+        this.expectedVersion = expectedVersion;
+    }
+} module.exports.ConcurrencyConflictError = ConcurrencyConflictError;
+
+/**
+ * Error thrown when a document or an update query doesn't satisfy the schema registered for the collection, or when the server rejects the document
+ * due to its collection validator. Property 'errors' contains every offending path together with the description of the problem.
+ */
+class ValidationError extends DatabaseError {
+    /**
+     * Creates the validation error.
+     * @param {String} collectionKey The key of the collection which schema has been violated.
+     * @param {[{path: String, message: String}]} errors Array of all the offending paths and descriptions of the problems.
+     * @param {Error=} cause The original error if the validation has been performed by the server.
+     */
+    constructor(collectionKey, errors, cause) {
+        super(`Validation against the schema of '${collectionKey}' collection failed: ${errors.map((error) => `'${error.path}' ${error.message}`).join('; ')}.`, cause, false);
+        this.name = 'ValidationError';
+        this.collectionKey = collectionKey;
+        this.errors = errors;
+    }
+} module.exports.ValidationError = ValidationError;
+
+/**
+ * Registers the JSON Schema for the collection. Objects inserted into that collection and $set, $setOnInsert, $unset and $inc update documents
+ * applied to it will be validated against the schema before they are sent to the database. Upserts validate the whole document they would insert,
+ * increments of fields with minimum or maximum must be bounded by the selector and aggregation pipeline updates are rejected, as their effect can't be validated.
+ * Supported keywords: type, bsonType, required, properties, additionalProperties, enum, items, minimum, maximum, minLength, maxLength, pattern, minItems and maxItems.
+ * @param {String} collectionKey The key of the collection the schema applies to.
+ * @param {Object} schema The JSON Schema.
+ */
+function registerSchema(collectionKey, schema) {
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided schema is not a non-null object throw appropriate exception.
+    if (typeof schema !== 'object' || schema === null) throw new TypeError('Provided \'schema\' must be a non-null object.');
+
+    // Register the schema.
+    schemas.set(collectionKey, schema);
+} module.exports.registerSchema = registerSchema;
+
+/**
+ * Unregisters the JSON Schema of the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @returns {Boolean} Returns true if the schema has been registered, otherwise returns false.
+ */
+function unregisterSchema(collectionKey) {
+    // Remove the schema.
+    return schemas.delete(collectionKey);
+} module.exports.unregisterSchema = unregisterSchema;
+
+/**
+ * Validates provided object against the schema registered for the collection.
+ * @param {String} collectionKey The key of the collection which schema will be used.
+ * @param {Object} object Object to be validated.
+ * @returns {[{path: String, message: String}]} Returns an array of all the offending paths, which is empty if object is valid or no schema has been registered.
+ */
+function validateDocument(collectionKey, object) {
+    // Obtain the registered schema.
+    const schema = schemas.get(collectionKey);
+
+    // If no schema has been registered there is nothing to validate.
+    if (!schema) return [];
+
+    // Return all the errors found.
+    return validateAgainstSchema(schema, object, '');
+} module.exports.validateDocument = validateDocument;
+
+/**
+ * Pushes the schema registered for the collection to the server as $jsonSchema collection validator in asynchronous fashion.
+ * If collection doesn't exist, it gets created.
+ * @param {Db} db Database containing the collection.
+ * @param {String} collectionKey The key of the collection which registered schema will be pushed.
+ * @param {Object=} options Optional settings.
+ * @param {String=} options.validationLevel Server validation level ('off', 'strict' or 'moderate').
+ * @param {String=} options.validationAction Server validation action ('error' or 'warn').
+ * @returns {Promise<Object>} Returns the promise of applying the validator.
+ */
+function applySchemaValidatorAsync(db, collectionKey, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+
+    // Obtain the registered schema.
+    const schema = schemas.get(collectionKey);
+    // If no schema has been registered throw appropriate exception.
+    if (!schema) throw new Error(`No schema has been registered for '${collectionKey}' collection.`);
+
+    // Create validator settings.
+    const validatorSettings = Object.assign({ validator: { $jsonSchema: schema } }, options);
+
+    // Returns the promise of applying the validator.
+    return new Promise((resolve, reject) => {
+        // Modify existing collection.
+        db.command(Object.assign({ collMod: collectionKey }, validatorSettings), (error, result) => {
+            // If collection doesn't exist ..
+            if (error && (error.code === 26 || error.codeName === 'NamespaceNotFound'))
+                // .. create it with the validator.
+                db.createCollection(collectionKey, validatorSettings, (error) => {
+                    // If error has been returned ..
+                    if (error)
+                        // .. use it as a rejection argument while rejecting the promise.
+                        reject(error);
+                    // Otherwise ..
+                    else
+                        // .. resolve the promise.
+                        resolve({ ok: 1 });
+                });
+            // Otherwise if any other error has been returned ..
+            else if (error)
+                // .. use it as a rejection argument while rejecting the promise.
+                reject(error);
+            // Otherwise ..
+            else
+                // .. resolve the promise using the command result as a completion argument.
+                resolve(result);
+        });
+    });
+} module.exports.applySchemaValidatorAsync = applySchemaValidatorAsync;
+
+/**
+ * Validates provided update query. Query must be either an object made exclusively of update operators or an aggregation pipeline array.
+ * Checks that every operator is known, values and modifiers ($each, $position, $slice, $sort) are of valid types and no two operators affect conflicting paths.
+ * @param {Object|[Object]} updateQuery Update query to be validated.
+ * @returns {[{path: String, message: String}]} Returns an array of all the problems found, which is empty if update query is valid.
+ */
+function validateUpdateQuery(updateQuery) {
+    // Validate aggregation pipeline updates.
+    if (Array.isArray(updateQuery)) return validateUpdatePipeline(updateQuery);
+    // If update query is not a non-null object return appropriate error.
+    if (!isPlainObject(updateQuery)) return [{ path: '<root>', message: 'must be a non-null object or an aggregation pipeline array' }];
+
+    const errors = [];
+    const keys = Object.keys(updateQuery);
+    // If update query is empty return appropriate error.
+    if (!keys.length) return [{ path: '<root>', message: 'must contain at least one update operator' }];
+
+    // Collect all the affected paths in order to detect conflicts.
+    const affectedPaths = [];
+
+    // Loop through all the properties of the provided updateQuery object.
+    for (const operator of keys) {
+        // If property is a plain field, record the error as operators can't be mixed with fields.
+        if (!operator.startsWith('$')) { errors.push({ path: operator, message: 'is a plain field, which can not be mixed with update operators (use replaceOneAsync to replace the whole entry)' }); continue; }
+        // If operator is unknown record the error.
+        if (!updateOperatorValidators[operator]) { errors.push({ path: operator, message: 'is not a valid update operator' }); continue; }
+        // If the value of operator is not a non-null object record the error.
+        if (!isPlainObject(updateQuery[operator])) { errors.push({ path: operator, message: 'must be a non-null object' }); continue; }
+
+        // Loop through all the paths of the operator.
+        for (const path of Object.keys(updateQuery[operator])) {
+            const value = updateQuery[operator][path];
+            // Validate the path.
+            const pathError = validateUpdatePath(path);
+            if (pathError) { errors.push({ path: `${operator}.${path}`, message: pathError }); continue; }
+
+            // Validate the value.
+            const valueError = updateOperatorValidators[operator](value, path);
+            if (valueError) errors.push({ path: `${operator}.${path}`, message: valueError });
+
+            // Record affected paths, $rename affects the target path as well.
+            affectedPaths.push({ operator, path });
+            if (operator === '$rename' && typeof value === 'string') affectedPaths.push({ operator, path: value });
+        }
+    }
+
+    // Detect conflicting paths.
+    for (let i = 0; i < affectedPaths.length; i++)
+        for (let j = i + 1; j < affectedPaths.length; j++)
+            if (pathsConflict(affectedPaths[i].path, affectedPaths[j].path))
+                errors.push({ path: `${affectedPaths[j].operator}.${affectedPaths[j].path}`, message: `conflicts with '${affectedPaths[i].path}' affected by ${affectedPaths[i].operator}` });
+
+    // Return all the errors.
+    return errors;
+} module.exports.validateUpdateQuery = validateUpdateQuery;
+
+/**
+ * Validates provided query selector. Checks that every $ key is a known query operator used in a valid place, that logical operators contain arrays of selectors
+ * and that operators are not mixed with plain fields within a single condition. Content of $expr, $where and $jsonSchema is not validated.
+ * @param {Object} selector Selector to be validated.
+ * @returns {[{path: String, message: String}]} Returns an array of all the problems found, which is empty if selector is valid.
+ */
+function validateSelector(selector) {
+    // If selector is not a non-null object return appropriate error.
+    if (!isPlainObject(selector)) return [{ path: '<root>', message: 'must be a non-null object' }];
+
+    // Validate the selector.
+    return validateSelectorObject(selector, '');
+} module.exports.validateSelector = validateSelector;
+
+/**
+ * Runs provided callback within a multi-document transaction in asynchronous fashion.
+ * The callback receives a transaction scope exposing the CRUD functions (without the db argument) which pass the session of the transaction to every call.
+ * Transaction is committed once the callback completes and aborted if it throws. Whole transaction is retried on 'TransientTransactionError'
+ * and the commit is retried on 'UnknownTransactionCommitResult' error labels.
+ * @param {Db} db Database the transaction will be run against.
+ * @param {Function} callback Async function receiving the transaction scope.
+ * @param {Object=} options Optional settings.
+ * @param {Number=} options.maxRetries Maximum number of retries of the transaction and of the commit. Optional, defaults to 3.
+ * @param {Object=} options.sessionOptions Settings of the session.
+ * @param {Object=} options.readConcern Read concern of the transaction.
+ * @param {Object=} options.writeConcern Write concern of the transaction.
+ * @param {ReadPreference|String=} options.readPreference Read preference of the transaction.
+ * @returns {Promise<*>} Returns the promise of running the transaction resolved with the value returned by the callback.
+ */
+function withTransactionAsync(db, callback, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided callback is not a function throw appropriate exception.
+    if (typeof callback !== 'function') throw new TypeError('Provided \'callback\' must be a function.');
+
+    // Split the settings of the helper from the settings of the transaction.
+    const { maxRetries = 3, sessionOptions, ...transactionOptions } = options || {};
+    // If provided maxRetries is not a non-negative integer throw appropriate exception.
+    if (!Number.isInteger(maxRetries) || maxRetries < 0) throw new TypeError('Provided \'maxRetries\' must be a non-negative integer.');
+
+    // Return the promise of running the transaction.
+    return runTransactionAsync(db, callback, maxRetries, sessionOptions, transactionOptions);
+} module.exports.withTransactionAsync = withTransactionAsync;
+
+/**
+ * Returns an async iterable of the database entries matching provided selector filter.
+ * Entries are fetched from the database in batches only when the consumer asks for them, so memory usage doesn't depend on the size of the result.
+ * Breaking out of the iteration closes the underlying cursor.
+ * @param {Db} db Database containing the collection to find entries within.
+ * @param {String} collectionKey The key of the collection containing the entries to find.
+ * @param {Object} selector Filter by which a database entries will be filtered out.
+ * @param {Object=} options Optional settings.
+ * @param {Number=} options.batchSize Number of entries fetched from the database at once. Optional, defaults to 1000.
+ * @param {Boolean=} options.yieldBatches If true, arrays of up to batchSize entries are yielded instead of single entries.
+ * @returns {AsyncIterable<Object|[Object]>} Async iterable of database entries.
+ */
+function findStream(db, collectionKey, selector, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+
+    // Split the settings of the stream from the settings of the query.
+    const { yieldBatches = false, ...findOptions } = options || {};
+    // Apply default batch size.
+    if (findOptions.batchSize === undefined) findOptions.batchSize = 1000;
+    // If provided batchSize is not a positive integer throw appropriate exception.
+    if (!Number.isInteger(findOptions.batchSize) || findOptions.batchSize < 1) throw new TypeError('Provided \'batchSize\' must be a positive integer.');
+
+    // Return the async iterable.
+    return iterateCursorAsync(() => findAsync(db, collectionKey, selector, findOptions), findOptions.batchSize, yieldBatches);
+} module.exports.findStream = findStream;
+
+/**
+ * Returns a page of database entries matching provided selector filter using keyset (seek) pagination.
+ * Entries are sorted by provided sort key and by _id, and each page starts right after the last entry of the previous one,
+ * so fetching a page doesn't get slower the further it is. The continuation token is signed, so it can't be tampered with or reused with a different query.
+ * Entries with null, missing or differently typed sort key values are paged in the order the database sorts them, while sort keys holding arrays are not supported.
+ * The sort key and _id are always included in the projection.
+ * @param {Db} db Database containing the collection to find entries within.
+ * @param {String} collectionKey The key of the collection containing the entries to find.
+ * @param {Object} selector Filter by which a database entries will be filtered out.
+ * @param {Object=} options Optional settings.
+ * @param {String=} options.sortKey The name of the field the entries are sorted by. Optional, defaults to '_id'.
+ * @param {Number=} options.sortDirection Either 1 (ascending) or -1 (descending). Optional, defaults to 1.
+ * @param {Number=} options.limit Maximum number of entries on the page. Optional, defaults to 100.
+ * @param {String=} options.continuationToken Token returned with the previous page. Optional, if not provided the first page is returned.
+ * @returns {Promise<{items: [Object], continuationToken: String}>} Returns the promise of the page, continuationToken is null if there are no more entries.
+ */
+function findPageAsync(db, collectionKey, selector, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided selector is not a non-null object throw appropriate exception.
+    if (typeof selector !== 'object' || selector === null) throw new TypeError('Provided \'selector\' must be a non-null object.');
+    // If provided selector contains invalid query operators throw appropriate exception.
+    assertSelectorValid(selector);
+
+    // Split the settings of the pagination from the settings of the query.
+    const { sortKey = '_id', sortDirection = 1, limit = 100, continuationToken, ...findOptions } = options || {};
+    // If provided sortKey is not a string throw appropriate exception.
+    if (typeof sortKey !== 'string') throw new TypeError('Provided \'sortKey\' must be a string.');
+    // If provided sortDirection is neither 1 nor -1 throw appropriate exception.
+    if (sortDirection !== 1 && sortDirection !== -1) throw new TypeError('Provided \'sortDirection\' must be either 1 or -1.');
+    // If provided limit is not a positive integer throw appropriate exception.
+    if (!Number.isInteger(limit) || limit < 1) throw new TypeError('Provided \'limit\' must be a positive integer.');
+
+    // Create the fingerprint of the query, so the token can't be used with a different one.
+    const fingerprint = JSON.stringify([collectionKey, sortKey, sortDirection, encodeTokenValue(selector)]);
+
+    // Build the selector of the page.
+    let pageSelector = selector;
+    // If continuation token has been provided ..
+    if (continuationToken !== undefined && continuationToken !== null) {
+        // .. decode it ..
+        const position = decodeContinuationToken(continuationToken, fingerprint);
+        // .. and select only the entries following the last entry of the previous page.
+        pageSelector = { $and: [selector, createSeekSelector(sortKey, sortDirection, position)] };
+    }
+    // Always project the sort key and _id, as the continuation token is created from them.
+    if (isPlainObject(findOptions.projection)) findOptions.projection = includePageKeys(findOptions.projection, sortKey);
+
+    // Fetch one entry more than the limit to find out whether there are more entries.
+    const sort = sortKey === '_id' ? { _id: sortDirection } : { [sortKey]: sortDirection, _id: sortDirection };
+    return findManyAsync(db, collectionKey, pageSelector, Object.assign(findOptions, { sort, limit: limit + 1 })).then((entries) => {
+        // Cut the entries to the limit.
+        const items = entries.slice(0, limit);
+        // Create the token pointing at the last entry if there are more entries.
+        const last = items[items.length - 1];
+        const token = entries.length > limit ? createContinuationToken({ key: valueOrNull(getPathValue(last, sortKey)), id: last._id }, fingerprint) : null;
+
+        // Return the page.
+        return { items, continuationToken: token };
+    });
+} module.exports.findPageAsync = findPageAsync;
+
+/**
+ * Sets the secret used to sign continuation tokens. Unless set, a random secret is generated on start,
+ * so tokens don't survive the restart of the process and are not valid across multiple processes.
+ * @param {String|Buffer} secret The secret.
+ */
+function setContinuationTokenSecret(secret) {
+    // If provided secret is neither a non-empty string nor a Buffer throw appropriate exception.
+    if (!(typeof secret === 'string' && secret.length) && !Buffer.isBuffer(secret)) throw new TypeError('Provided \'secret\' must be a non-empty string or a Buffer.');
+
+    // Set the secret.
+    continuationTokenSecret = secret;
+} module.exports.setContinuationTokenSecret = setContinuationTokenSecret;
+
+
+/**
+ * Registers the middleware hook run around insertOneAsync, insertManyAsync, findAsync, findOneAsync, updateOneAsync, updateManyAsync,
+ * deleteOneAsync and deleteManyAsync calls. Every phase function receives the context of the call containing 'operation', 'db', 'collectionKey'
+ * and the arguments of the call under their parameter names ('objectToInsert', '_id', 'objectsToInsert', '_ids', 'selector', 'updateQuery' and 'options'),
+ * which can be modified or replaced to change the call. Phase functions may be async.
+ * Global hooks run before the hooks of the collection, both in the order of registration. 'before' phases run in that order, 'after' and 'error'
+ * phases of the hooks which 'before' phase has been run run in the reverse order. As findManyAsync, findStream and findPageAsync read through findAsync,
+ * 'find' hooks apply to them as well.
+ * @param {Object} hook The hook.
+ * @param {String=} hook.collectionKey The key of the collection the hook applies to. If not provided the hook applies to all the collections.
+ * @param {[String]=} hook.operations Names of the operations the hook applies to ('insertOne', 'insertMany', 'find', 'findOne', 'updateOne',
+ * 'updateMany', 'deleteOne' or 'deleteMany'). If not provided the hook applies to all of them.
+ * @param {Function=} hook.before Function receiving the context, run before the operation. If it returns a value other than undefined,
+ * the operation and the remaining 'before' phases are skipped and the value is used as the result.
+ * @param {Function=} hook.after Function receiving the context and the result. If it returns a value other than undefined, it replaces the result.
+ * @param {Function=} hook.error Function receiving the context and the error thrown by the operation or any of the phases. If it returns a value
+ * other than undefined, the error is recovered using the value as the result, otherwise the error is passed to the next 'error' phase.
+ * @returns {Function} Returns a function unregistering the hook.
+ */
+function use(hook) {
+    // If provided hook is not a non-null object throw appropriate exception.
+    if (!isPlainObject(hook)) throw new TypeError('Provided \'hook\' must be a non-null object.');
+    // If provided collectionKey is neither undefined nor a string throw appropriate exception.
+    if (hook.collectionKey !== undefined && typeof hook.collectionKey !== 'string') throw new TypeError('Provided hook \'collectionKey\' must be a string.');
+    // If provided operations are not an array of supported operation names throw appropriate exception.
+    if (hook.operations !== undefined && (!Array.isArray(hook.operations) || !hook.operations.every((operation) => middlewareOperations.includes(operation))))
+        throw new TypeError(`Provided hook 'operations' must be an array containing any of: ${middlewareOperations.join(', ')}.`);
+    // If any of provided phases is not a function throw appropriate exception.
+    ['before', 'after', 'error'].forEach((phase) => {
+        if (hook[phase] !== undefined && typeof hook[phase] !== 'function') throw new TypeError(`Provided hook '${phase}' must be a function.`);
+    });
+
+    // Register a copy of the hook, so later changes to provided object don't affect it.
+    const registered = Object.assign({}, hook);
+    middleware.push(registered);
+
+    // Return the function unregistering the hook.
+    return () => {
+        const index = middleware.indexOf(registered);
+        if (index !== -1) middleware.splice(index, 1);
+    };
+} module.exports.use = use;
+
+
+/**
+ * Configures the store and defaults of the cache of findOneAsync and findManyAsync results. Caching itself is enabled per collection by configureCollection.
+ * Custom store must implement 'get(key)' returning the cached value or undefined, 'set(key, value, ttlMS, collectionKey)' and 'invalidate(collectionKey)'
+ * removing all the values of the collection. Any of them may return a promise. Values are copies of the results which must be returned as they have been set,
+ * so external stores must serialize them preserving BSON types (e.g. using EJSON). Errors thrown by the store are counted and otherwise ignored.
+ * @param {Object} settings Settings to be changed.
+ * @param {Object=} settings.store The store. Defaults to an in-process LRU store.
+ * @param {Number=} settings.maxEntries Maximum number of entries of the default store. Defaults to 1000. Setting it replaces the default store with an empty one.
+ * @param {Number=} settings.ttlMS Time to live of cached results used unless the collection specifies its own. Defaults to 60000.
+ * @returns {Object} Copy of the settings in use.
+ */
+function configureCache(settings) {
+    // If provided settings is not a non-null object throw appropriate exception.
+    if (typeof settings !== 'object' || settings === null) throw new TypeError('Provided \'settings\' must be a non-null object.');
+    // If provided store doesn't implement the store interface throw appropriate exception.
+    if (settings.store !== undefined && !(settings.store && ['get', 'set', 'invalidate'].every((method) => typeof settings.store[method] === 'function')))
+        throw new TypeError('Provided \'store\' must implement \'get\', \'set\' and \'invalidate\' functions.');
+    // If any of provided numeric settings is not a positive number throw appropriate exception.
+    ['maxEntries', 'ttlMS'].forEach((name) => {
+        if (settings[name] !== undefined && !(typeof settings[name] === 'number' && settings[name] > 0)) throw new TypeError(`Provided '${name}' must be a positive number.`);
+    });
+
+    // Apply the settings.
+    if (settings.ttlMS !== undefined) cacheSettings.ttlMS = settings.ttlMS;
+    if (settings.store !== undefined) cacheSettings.store = settings.store;
+    else if (settings.maxEntries !== undefined) cacheSettings.store = new LruCacheStore(settings.maxEntries);
+
+    // Return the copy of the settings.
+    return Object.assign({}, cacheSettings);
+} module.exports.configureCache = configureCache;
+
+/**
+ * Returns the statistics of the cache.
+ * @param {String=} collectionKey The key of the collection. If not provided the statistics of all the collections are returned.
+ * @returns {Object} Object containing 'hits', 'misses', 'invalidations' and 'errors' counts and 'hitRatio' (null if nothing has been read yet).
+ * Statistics of all the collections additionally contain 'collections' object with the statistics of each of them.
+ */
+function getCacheStatistics(collectionKey) {
+    // Create the statistics out of the counts.
+    const summarize = (counts) => Object.assign({}, counts, { hitRatio: counts.hits + counts.misses ? counts.hits / (counts.hits + counts.misses) : null });
+
+    // Return the statistics of the collection ..
+    if (collectionKey !== undefined) return summarize(cacheStatistics.get(collectionKey) || createCacheCounts());
+
+    // .. or of all of them.
+    const total = createCacheCounts();
+    const collections = {};
+    cacheStatistics.forEach((counts, key) => {
+        Object.keys(total).forEach((name) => total[name] += counts[name]);
+        collections[key] = summarize(counts);
+    });
+    return Object.assign(summarize(total), { collections });
+} module.exports.getCacheStatistics = getCacheStatistics;
+
+/**
+ * Removes all the cached results of the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @returns {Promise} Returns the promise of removing the results.
+ */
+function clearCacheAsync(collectionKey) {
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+
+    // Return the promise of invalidating the results.
+    return invalidateCacheAsync(collectionKey, true);
+} module.exports.clearCacheAsync = clearCacheAsync;
+
+
+/**
+ * Declares the indexes of the collection, replacing the ones declared before. Declared indexes are created by ensureIndexesAsync.
+ * Indexes are identified by their key, so the name of an existing index matching the key of the declared one is expected to be the same.
+ * @param {String} collectionKey The key of the collection.
+ * @param {[Object]} indexes Declarations of the indexes.
+ * @param {Object} indexes.key The key of the index, mapping each field to 1, -1, 'hashed', '2d' or '2dsphere'. Fields of compound indexes are used in the order of the keys.
+ * @param {String=} indexes.name The name of the index. Defaults to the one the server would generate ('field_1_other_-1').
+ * @param {Boolean=} indexes.unique Whether the index is unique.
+ * @param {Boolean=} indexes.sparse Whether the index skips documents missing the indexed fields.
+ * @param {Number=} indexes.expireAfterSeconds Number of seconds after which the documents expire (TTL index). Allowed only for single field indexes.
+ * @param {Object=} indexes.partialFilterExpression Selector of the documents which are indexed (partial index).
+ * @returns {[Object]} Returns the copy of the declarations including their names.
+ */
+function defineIndexes(collectionKey, indexes) {
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided indexes is not an array throw appropriate exception.
+    if (!Array.isArray(indexes)) throw new TypeError('Provided \'indexes\' must be an array.');
+
+    // Validate the declarations and fill in their names.
+    const definitions = indexes.map((index, position) => normalizeIndexDefinition(index, position));
+    // If the same name has been declared more than once throw appropriate exception.
+    definitions.forEach((definition, position) => {
+        if (definitions.findIndex((other) => other.name === definition.name || valuesEqual(other.key, definition.key)) !== position)
+            throw new TypeError(`Provided index '${definition.name}' of '${collectionKey}' collection has been declared more than once.`);
+    });
+
+    // Store the declarations.
+    indexDefinitions.set(collectionKey, definitions);
+
+    // Return the copy of the declarations.
+    return definitions.map((definition) => Object.assign({}, definition));
+} module.exports.defineIndexes = defineIndexes;
+
+/**
+ * Makes the indexes of the collections match their declarations (see defineIndexes) in asynchronous fashion.
+ * Indexes listed by the server are compared with the declared ones by key (and by name), then the missing ones are created. Indexes whose unique, sparse,
+ * expireAfterSeconds or partialFilterExpression settings differ from the declaration are reported as changed and recreated only if requested,
+ * and indexes which haven't been declared (except _id one) are reported as undeclared and dropped only if requested.
+ * @param {Db} db The database containing the collections.
+ * @param {Object=} options Optional settings.
+ * @param {[String]=} options.collectionKeys Keys of the collections to be processed. Defaults to all the collections with declared indexes.
+ * @param {Boolean=} options.dropUndeclared Whether the indexes which haven't been declared are dropped. Defaults to false.
+ * @param {Boolean=} options.recreateChanged Whether the indexes with changed settings are dropped and created again. Defaults to false.
+ * @param {Boolean=} options.dryRun Whether only the plan is computed without changing anything. Defaults to false.
+ * @returns {Promise<Object>} Returns the promise of the object containing 'created', 'recreated', 'dropped', 'changed', 'undeclared' and 'unchanged' arrays
+ * of { collectionKey, name, key } entries. Changed and undeclared indexes which have been recreated or dropped are not listed as changed or undeclared.
+ */
+function ensureIndexesAsync(db, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    const { collectionKeys, dropUndeclared = false, recreateChanged = false, dryRun = false } = options || {};
+    // If provided collectionKeys is not an array of declared collections throw appropriate exception.
+    if (collectionKeys !== undefined && (!Array.isArray(collectionKeys) || collectionKeys.some((key) => !indexDefinitions.has(key))))
+        throw new TypeError('Provided \'collectionKeys\' must be an array of the keys of the collections with declared indexes.');
+
+    // Return the promise of making the indexes match their declarations.
+    return applyIndexDefinitionsAsync(db, collectionKeys || Array.from(indexDefinitions.keys()), { dropUndeclared, recreateChanged, dryRun });
+} module.exports.ensureIndexesAsync = ensureIndexesAsync;
+
+/**
+ * Error thrown when the migration lock couldn't be acquired in time or has been lost while migrations were running.
+ */
+class MigrationLockError extends DatabaseError {
+    /**
+     * Creates the migration lock error.
+     * @param {String} message The message.
+     * @param {String} migrationsCollectionKey The key of the collection holding the lock.
+     */
+    constructor(message, migrationsCollectionKey) {
+        super(message);
+        this.name = 'MigrationLockError';
+        this.migrationsCollectionKey = migrationsCollectionKey;
+    }
+} module.exports.MigrationLockError = MigrationLockError;
+
+/**
+ * Loads the migrations from the directory. Every .js file of the directory is a migration which id is the name of the file without the extension
+ * and which exports 'up' and optionally 'down' functions, each called with the database and expected to return a promise.
+ * Migrations are ordered by their ids, comparing the numbers contained in them numerically, so both '2_add_users' < '10_add_orders' and timestamp prefixes work.
+ * @param {String} directory Path of the directory.
+ * @returns {[{id: String, up: Function, down: Function}]} Returns the ordered migrations.
+ */
+function loadMigrations(directory) {
+    // If provided directory argument is not of expected type throw appropriate exception.
+    if (typeof (directory) !== 'string') throw new TypeError('Provided \'directory\' must be a string.');
+
+    // Load the scripts in their order.
+    return fs.readdirSync(directory)
+        .filter((file) => path.extname(file) === '.js')
+        .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+        .map((file) => {
+            const script = require(path.resolve(directory, file));
+            return { id: path.basename(file, '.js'), up: script.up, down: script.down };
+        });
+} module.exports.loadMigrations = loadMigrations;
+
+/**
+ * Applies pending migrations in their order in asynchronous fashion. Each applied migration is recorded in the migrations collection as { _id: id, appliedAt, durationMS },
+ * so it is never applied again. While migrations are running the lock stored in the same collection prevents other instances from running them concurrently;
+ * the lock expires after lockTTLMS, so the lock of a crashed instance is eventually taken over, and it is renewed every third of lockTTLMS while migrations are running.
+ * If the lock is lost anyway, the run stops with MigrationLockError once the running migration finishes, without recording it.
+ * If a migration fails the error is rethrown and the migrations applied before it stay recorded.
+ * @param {Db} db The database.
+ * @param {[{id: String, up: Function, down: Function}]|String} migrations Ordered migrations or the path of the directory to load them from (see loadMigrations).
+ * @param {Object=} options Optional settings.
+ * @param {String=} options.target The id of the last migration to be applied. Defaults to the last one.
+ * @param {Boolean=} options.dryRun Whether only the list of pending migrations is returned without taking the lock or running anything. Defaults to false.
+ * @param {String=} options.migrationsCollectionKey The key of the collection recording applied migrations. Defaults to '_migrations'.
+ * @param {Number=} options.lockTimeoutMS Maximum time spent waiting for the lock. Defaults to 30000.
+ * @param {Number=} options.lockTTLMS Time after which the lock expires unless it is renewed. Defaults to 600000.
+ * @returns {Promise<{applied: [String], dryRun: Boolean}>} Returns the promise of the ids of applied (or, in dry run, pending) migrations.
+ */
+function migrateAsync(db, migrations, options) {
+    // Resolve the migrations and settings.
+    const resolved = resolveMigrations(migrations, 'up');
+    const settings = resolveMigrationSettings(resolved, options);
+
+    return runMigrationsAsync(db, settings, async (applied) => {
+        // Select the pending migrations up to the target.
+        const last = settings.target === undefined ? resolved.length - 1 : resolved.findIndex((migration) => migration.id === settings.target);
+        return resolved.slice(0, last + 1).filter((migration) => !applied.has(migration.id));
+    }, async (migration, assertLockHeld) => {
+        // Apply the migration and record it, unless the lock has been lost meanwhile.
+        const start = Date.now();
+        await migration.up(db);
+        assertLockHeld();
+        await insertOneAsync(db, settings.migrationsCollectionKey, { _id: migration.id, appliedAt: new Date(), durationMS: Date.now() - start });
+    });
+} module.exports.migrateAsync = migrateAsync;
+
+/**
+ * Rolls back applied migrations in reverse order in asynchronous fashion, calling their 'down' functions and removing their records.
+ * Takes the same lock as migrateAsync. Every migration being rolled back must be known and must provide 'down' function, which is checked before anything is run.
+ * @param {Db} db The database.
+ * @param {[{id: String, up: Function, down: Function}]|String} migrations Ordered migrations or the path of the directory to load them from (see loadMigrations).
+ * @param {Object=} options Optional settings, the same as the ones of migrateAsync except the following.
+ * @param {Number=} options.steps Number of the latest applied migrations to be rolled back. Defaults to 1. Ignored if target has been provided.
+ * @param {String=} options.target The id of the migration to roll back to, which stays applied. Use null to roll back all of them.
+ * @returns {Promise<{rolledBack: [String], dryRun: Boolean}>} Returns the promise of the ids of rolled back (or, in dry run, to be rolled back) migrations.
+ */
+function rollbackMigrationsAsync(db, migrations, options) {
+    // Resolve the migrations and settings.
+    const resolved = resolveMigrations(migrations, 'down');
+    const settings = resolveMigrationSettings(resolved, options);
+    const { steps = 1 } = options || {};
+    // If provided steps is not a positive integer throw appropriate exception.
+    if (!Number.isInteger(steps) || steps < 1) throw new TypeError('Provided \'steps\' must be a positive integer.');
+
+    return runMigrationsAsync(db, settings, async (applied) => {
+        // If the applied migration is not known it can't be rolled back, so throw appropriate exception.
+        const unknown = Array.from(applied).filter((id) => !resolved.some((migration) => migration.id === id));
+        if (unknown.length) throw new Error(`Applied migrations ${unknown.map((id) => `'${id}'`).join(', ')} are not known, so they can't be rolled back.`);
+
+        // Select the applied migrations after the target or the requested number of the latest ones.
+        const selected = resolved.filter((migration) => applied.has(migration.id)).reverse();
+        const targetPosition = settings.target === null ? -1 : resolved.findIndex((migration) => migration.id === settings.target);
+        const rolledBack = settings.target === undefined ? selected.slice(0, steps) : selected.filter((migration) => resolved.indexOf(migration) > targetPosition);
+        // If the migration doesn't provide down function throw appropriate exception.
+        const irreversible = rolledBack.find((migration) => typeof migration.down !== 'function');
+        if (irreversible) throw new TypeError(`Migration '${irreversible.id}' doesn't provide 'down' function, so it can't be rolled back.`);
+        return rolledBack;
+    }, async (migration, assertLockHeld) => {
+        // Roll back the migration and remove its record, unless the lock has been lost meanwhile.
+        await migration.down(db);
+        assertLockHeld();
+        await deleteOneAsync(db, settings.migrationsCollectionKey, { _id: migration.id });
+    }).then(({ applied, dryRun }) => ({ rolledBack: applied, dryRun }));
+} module.exports.rollbackMigrationsAsync = rollbackMigrationsAsync;
+
+
+/**
+ * Exports the entries of the collection into the writable stream as newline delimited MongoDB Extended JSON (one document per line) in asynchronous fashion.
+ * Entries are read through findStream, so the soft-deleted ones are exported only if 'withDeleted' setting is provided, and the backpressure of the stream is respected.
+ * Relaxed format keeps the numbers and dates readable, canonical one preserves the exact BSON types of all the values (e.g. int32 vs double).
+ * The export is not restricted by any tenant scope (see TenantScope), the selector has to contain the tenant condition to export the entries of a single tenant.
+ * @param {Db} db Database containing the collection.
+ * @param {String} collectionKey The key of the collection to be exported.
+ * @param {Writable} writableStream The stream the documents are written to.
+ * @param {Object=} options Optional settings. Settings other than the following ones are passed to findStream (e.g. 'sort', 'projection' or 'batchSize').
+ * @param {Object=} options.selector Filter of the exported entries. Defaults to all the entries.
+ * @param {String=} options.format Either 'relaxed' or 'canonical'. Defaults to 'relaxed'.
+ * @param {Boolean=} options.end Whether the stream is ended once all the documents are written. Defaults to true.
+ * @param {Function=} options.onProgress Callback invoked after each batch with { exported }.
+ * @returns {Promise<{exported: Number}>} Returns the promise of the number of exported documents.
+ */
+function exportCollectionAsync(db, collectionKey, writableStream, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided writableStream is not a writable stream throw appropriate exception.
+    if (!writableStream || typeof writableStream.write !== 'function' || typeof writableStream.on !== 'function') throw new TypeError('Provided \'writableStream\' must be a writable stream.');
+
+    // Split the settings of the export from the settings of the query.
+    const { selector = {}, format = 'relaxed', end = true, onProgress, ...findOptions } = options || {};
+    // If provided format is not known throw appropriate exception.
+    if (format !== 'relaxed' && format !== 'canonical') throw new TypeError('Provided \'format\' must be either \'relaxed\' or \'canonical\'.');
+    // If provided onProgress is not a function throw appropriate exception.
+    if (onProgress !== undefined && typeof onProgress !== 'function') throw new TypeError('Provided \'onProgress\' must be a function.');
+    // If provided selector contains invalid query operators throw appropriate exception.
+    assertSelectorValid(selector);
+
+    // Return the promise of writing the entries into the stream.
+    return writeExportAsync(db, collectionKey, writableStream, selector, findOptions, { format, end, onProgress });
+} module.exports.exportCollectionAsync = exportCollectionAsync;
+
+/**
+ * Imports newline delimited MongoDB Extended JSON (canonical or relaxed, as written by exportCollectionAsync) from the readable stream into the collection
+ * in asynchronous fashion. Empty lines are ignored. Documents are written in batches through bulkWriteAsync, ordered in 'fail' mode and unordered in 'skip' and 'replace' modes.
+ * After each batch the progress is reported with the checkpoint, which can be provided to a later call with the same input to resume the import after that batch.
+ * In 'fail' mode the documents of the batch are inserted in their order, so if one of them fails the progress is reported once more with the checkpoint preceding it.
+ * The import is not restricted by any tenant scope (see TenantScope), the documents are written with the tenant field they contain.
+ * @param {Db} db Database containing the collection.
+ * @param {String} collectionKey The key of the collection the documents are imported into.
+ * @param {Readable} readableStream The stream the documents are read from.
+ * @param {Object=} options Optional settings.
+ * @param {String=} options.conflicts What happens to the documents which _id (or other unique key) already exists: 'fail' rejects the import,
+ * 'skip' leaves the existing entries as they are and 'replace' replaces them by _id. Defaults to 'fail'.
+ * @param {Number=} options.batchSize Number of documents written at once. Defaults to 1000.
+ * @param {Object=} options.checkpoint Checkpoint reported by the previous import, which is resumed after it.
+ * @param {Function=} options.onProgress Callback invoked after each batch with { processed, inserted, replaced, skipped, checkpoint }, where 'processed' is the number of lines read so far.
+ * @returns {Promise<Object>} Returns the promise of the final progress.
+ */
+function importCollectionAsync(db, collectionKey, readableStream, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided readableStream is not an async iterable stream throw appropriate exception.
+    if (!readableStream || typeof readableStream[Symbol.asyncIterator] !== 'function') throw new TypeError('Provided \'readableStream\' must be a readable stream.');
+
+    const { conflicts = 'fail', batchSize = 1000, checkpoint, onProgress } = options || {};
+    // If provided settings are not valid throw appropriate exception.
+    if (!['fail', 'skip', 'replace'].includes(conflicts)) throw new TypeError('Provided \'conflicts\' must be one of \'fail\', \'skip\' and \'replace\'.');
+    if (!Number.isInteger(batchSize) || batchSize < 1) throw new TypeError('Provided \'batchSize\' must be a positive integer.');
+    if (checkpoint !== undefined && !(isPlainObject(checkpoint) && Number.isInteger(checkpoint.line) && checkpoint.line >= 0))
+        throw new TypeError('Provided \'checkpoint\' must be the checkpoint reported by the previous import.');
+    if (onProgress !== undefined && typeof onProgress !== 'function') throw new TypeError('Provided \'onProgress\' must be a function.');
+
+    // Return the promise of reading the documents from the stream and writing them into the collection.
+    return readImportAsync(db, collectionKey, readableStream, { conflicts, batchSize, checkpoint, onProgress });
+} module.exports.importCollectionAsync = importCollectionAsync;
+
+
+/**
+ * Validates provided aggregation pipeline. Checks that every stage is an object with a single known stage operator, that the value of the stage has the expected shape,
+ * that $match selectors and nested pipelines ($lookup, $facet and $unionWith) are valid, and that the stages which must be first or last are placed that way.
+ * Expressions are not validated.
+ * @param {[Object]} pipeline Pipeline to be validated.
+ * @returns {[{path: String, message: String}]} Returns an array of all the problems found, which is empty if pipeline is valid.
+ */
+function validatePipeline(pipeline) {
+    // If pipeline is not an array return appropriate error.
+    if (!Array.isArray(pipeline)) return [{ path: '<root>', message: 'must be an array of stages' }];
+
+    // Validate the stages.
+    return validatePipelineStages(pipeline, '', null);
+} module.exports.validatePipeline = validatePipeline;
+
+/**
+ * Runs the aggregation pipeline against the collection and returns all the resulting documents in asynchronous fashion.
+ * The pipeline is validated (see validatePipeline) before it is sent to the database. If the collection is in soft delete mode,
+ * soft-deleted entries are excluded by the $match stage added at the start of the pipeline unless 'withDeleted' setting is provided.
+ * @param {Db} db Database containing the collection.
+ * @param {String} collectionKey The key of the collection to be aggregated.
+ * @param {[Object]|PipelineBuilder} pipeline The pipeline or the builder of it.
+ * @param {Object=} options Optional settings.
+ * @returns {Promise<[Object]>} Returns the promise of the resulting documents.
+ */
+function aggregateAsync(db, collectionKey, pipeline, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+
+    // Validate the pipeline and exclude soft-deleted entries.
+    const stages = prepareAggregatePipeline(collectionKey, pipeline, options);
+
+    // Returns the promise of running the pipeline and reading all the results. Pipelines ending with $out or $merge stage are run as writes
+    // of the collection the results are written to, so they are not retried as reads and cached reads of that collection are invalidated.
+    return runOperationAsync(getPipelineOperation(stages), getPipelineOutputCollection(stages) || collectionKey, options,
+        (options) => openAggregateCursorAsync(db, collectionKey, stages, options).then((cursor) => cursor.toArray()));
+} module.exports.aggregateAsync = aggregateAsync;
+
+/**
+ * Runs the aggregation pipeline against the collection and returns an async iterable of the resulting documents,
+ * which reads them from the cursor batch by batch, so even huge results can be processed without being loaded into memory at once.
+ * The pipeline is validated and soft-deleted entries are excluded the same way aggregateAsync does it.
+ * @param {Db} db Database containing the collection.
+ * @param {String} collectionKey The key of the collection to be aggregated.
+ * @param {[Object]|PipelineBuilder} pipeline The pipeline or the builder of it.
+ * @param {Object=} options Optional settings.
+ * @param {Number=} options.batchSize Number of documents fetched from the database in one round trip. Optional, defaults to 1000.
+ * @param {Boolean=} options.yieldBatches Whether whole batches (arrays) are yielded instead of single documents. Optional, defaults to false.
+ * @returns {AsyncIterable<Object|[Object]>} Async iterable of the resulting documents (or batches of them).
+ */
+function aggregateStream(db, collectionKey, pipeline, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+
+    // Split the settings of the stream from the settings of the aggregation.
+    const { yieldBatches = false, ...aggregateOptions } = options || {};
+    // Apply default batch size.
+    if (aggregateOptions.batchSize === undefined) aggregateOptions.batchSize = 1000;
+    // If provided batchSize is not a positive integer throw appropriate exception.
+    if (!Number.isInteger(aggregateOptions.batchSize) || aggregateOptions.batchSize < 1) throw new TypeError('Provided \'batchSize\' must be a positive integer.');
+
+    // Validate the pipeline and exclude soft-deleted entries.
+    const stages = prepareAggregatePipeline(collectionKey, pipeline, options);
+
+    // Return the async iterable. Pipelines ending with $out or $merge stage are run as writes the same way aggregateAsync runs them.
+    return iterateCursorAsync(() => runOperationAsync(getPipelineOperation(stages), getPipelineOutputCollection(stages) || collectionKey, aggregateOptions,
+        (options) => openAggregateCursorAsync(db, collectionKey, stages, options)), aggregateOptions.batchSize, yieldBatches);
+} module.exports.aggregateStream = aggregateStream;
+
+/**
+ * Chainable builder of aggregation pipelines. Each stage is validated as soon as it is added, so malformed stages are reported where they are created
+ * instead of by the server. Values of the stages are provided as they appear in the pipeline (e.g. .unwind('$items') or .sample({ size: 10 })).
+ * Resulting pipeline can be obtained by build(), printed by toString() and run by aggregateAsync() or aggregateStream().
+ */
+class PipelineBuilder {
+    /**
+     * Creates the builder.
+     * @param {[Object]=} stages Initial stages.
+     */
+    constructor(stages) {
+        this.stages = [];
+        (stages || []).forEach((stage) => this.stage(stage));
+    }
+
+    /**
+     * Adds the stage, which can be any stage known to validatePipeline.
+     * @param {Object} stage The stage, an object with a single stage operator.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    stage(stage) {
+        // Validate the pipeline including the stage, so the placement of the stage is validated too.
+        assertPipelineValid(this.stages.concat([stage]), 'stage');
+        this.stages.push(stage);
+        return this;
+    }
+
+    /**
+     * Adds $match stage.
+     * @param {Object} selector The selector.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    match(selector) {
+        return this.stage({ $match: selector });
+    }
+
+    /**
+     * Adds $project stage.
+     * @param {Object} projection The projection.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    project(projection) {
+        return this.stage({ $project: projection });
+    }
+
+    /**
+     * Adds $addFields stage.
+     * @param {Object} fields The fields and their expressions.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    addFields(fields) {
+        return this.stage({ $addFields: fields });
+    }
+
+    /**
+     * Adds $set stage.
+     * @param {Object} fields The fields and their expressions.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    set(fields) {
+        return this.stage({ $set: fields });
+    }
+
+    /**
+     * Adds $unset stage.
+     * @param {String|[String]} fields The field or fields to be removed.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    unset(fields) {
+        return this.stage({ $unset: fields });
+    }
+
+    /**
+     * Adds $group stage.
+     * @param {Object} specification The _id expression and the accumulated fields.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    group(specification) {
+        return this.stage({ $group: specification });
+    }
+
+    /**
+     * Adds $sort stage.
+     * @param {Object} sort The fields and their directions.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    sort(sort) {
+        return this.stage({ $sort: sort });
+    }
+
+    /**
+     * Adds $skip stage.
+     * @param {Number} count Number of documents to skip.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    skip(count) {
+        return this.stage({ $skip: count });
+    }
+
+    /**
+     * Adds $limit stage.
+     * @param {Number} count Maximum number of documents.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    limit(count) {
+        return this.stage({ $limit: count });
+    }
+
+    /**
+     * Adds $unwind stage.
+     * @param {String|Object} specification The path of the array field prefixed with '$' or the object containing 'path', 'includeArrayIndex' and 'preserveNullAndEmptyArrays'.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    unwind(specification) {
+        return this.stage({ $unwind: specification });
+    }
+
+    /**
+     * Adds $lookup stage.
+     * @param {Object} specification The object containing 'from', 'as' and either 'localField' and 'foreignField' or 'pipeline' (with optional 'let').
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    lookup(specification) {
+        return this.stage({ $lookup: specification instanceof PipelineBuilder ? specification.build() : specification });
+    }
+
+    /**
+     * Adds $facet stage.
+     * @param {Object} facets The names of the facets and their pipelines (or builders).
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    facet(facets) {
+        return this.stage({ $facet: isPlainObject(facets) ? Object.keys(facets).reduce((built, name) => {
+            built[name] = facets[name] instanceof PipelineBuilder ? facets[name].build() : facets[name];
+            return built;
+        }, {}) : facets });
+    }
+
+    /**
+     * Adds $count stage.
+     * @param {String} field The name of the field containing the count.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    count(field) {
+        return this.stage({ $count: field });
+    }
+
+    /**
+     * Adds $sortByCount stage.
+     * @param {String|Object} expression The expression to group by.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    sortByCount(expression) {
+        return this.stage({ $sortByCount: expression });
+    }
+
+    /**
+     * Adds $replaceRoot stage.
+     * @param {Object} specification The object containing 'newRoot' expression.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    replaceRoot(specification) {
+        return this.stage({ $replaceRoot: specification });
+    }
+
+    /**
+     * Adds $sample stage.
+     * @param {Object} specification The object containing 'size'.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    sample(specification) {
+        return this.stage({ $sample: specification });
+    }
+
+    /**
+     * Adds $bucket stage.
+     * @param {Object} specification The object containing 'groupBy', 'boundaries' and optional 'default' and 'output'.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    bucket(specification) {
+        return this.stage({ $bucket: specification });
+    }
+
+    /**
+     * Adds $out stage, which must be the last one.
+     * @param {String|Object} specification The name of the output collection or the object containing 'db' and 'coll'.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    out(specification) {
+        return this.stage({ $out: specification });
+    }
+
+    /**
+     * Adds $merge stage, which must be the last one.
+     * @param {String|Object} specification The name of the output collection or the object containing 'into' and optional merge settings.
+     * @returns {PipelineBuilder} Returns the builder.
+     */
+    merge(specification) {
+        return this.stage({ $merge: specification });
+    }
+
+    /**
+     * Returns the pipeline.
+     * @returns {[Object]} Returns the copy of the array of the stages.
+     */
+    build() {
+        return this.stages.slice();
+    }
+
+    /**
+     * Returns the pipeline, so the builder can be serialized by JSON.stringify.
+     * @returns {[Object]} Returns the copy of the array of the stages.
+     */
+    toJSON() {
+        return this.build();
+    }
+
+    /**
+     * Returns the readable representation of the pipeline, in which BSON values are written as relaxed Extended JSON.
+     * @returns {String} Returns the indented JSON of the pipeline.
+     */
+    toString() {
+        return JSON.stringify(toExtendedJSON(this.stages, true), null, 2);
+    }
+
+    /**
+     * Runs the pipeline using aggregateAsync.
+     * @param {Db} db Database containing the collection.
+     * @param {String} collectionKey The key of the collection to be aggregated.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise<[Object]>} Returns the promise of the resulting documents.
+     */
+    aggregateAsync(db, collectionKey, options) {
+        return aggregateAsync(db, collectionKey, this.build(), options);
+    }
+
+    /**
+     * Runs the pipeline using aggregateStream.
+     * @param {Db} db Database containing the collection.
+     * @param {String} collectionKey The key of the collection to be aggregated.
+     * @param {Object=} options Optional settings.
+     * @returns {AsyncIterable<Object|[Object]>} Async iterable of the resulting documents (or batches of them).
+     */
+    aggregateStream(db, collectionKey, options) {
+        return aggregateStream(db, collectionKey, this.build(), options);
+    }
+} module.exports.PipelineBuilder = PipelineBuilder;
+
+/**
+ * Creates the builder of the aggregation pipeline.
+ * @param {[Object]=} stages Initial stages.
+ * @returns {PipelineBuilder} Returns the builder.
+ */
+function createPipeline(stages) {
+    // If provided stages is neither undefined nor an array throw appropriate exception.
+    if (stages !== undefined && !Array.isArray(stages)) throw new TypeError('Provided \'stages\' must be an array.');
+
+    // Return the builder.
+    return new PipelineBuilder(stages);
+} module.exports.createPipeline = createPipeline;
+
+
+/**
+ * Error thrown when the change stream can't be resumed, because the oplog no longer contains the resume token (the consumer has been stopped for too long).
+ * The checkpoint has to be removed (or watching has to start without it) in order to continue, which means that the changes since the token are lost.
+ */
+class ChangeStreamHistoryLostError extends DatabaseError {
+    /**
+     * Creates the change stream history lost error.
+     * @param {String} collectionKey The key of the watched collection.
+     * @param {String} checkpointId The id of the checkpoint holding the resume token.
+     * @param {Error} cause The original error.
+     */
+    constructor(collectionKey, checkpointId, cause) {
+        super(`Change stream of '${collectionKey}' collection can't be resumed from checkpoint '${checkpointId}', because the oplog no longer contains its resume token.`, cause, false);
+        this.name = 'ChangeStreamHistoryLostError';
+        this.collectionKey = collectionKey;
+        this.checkpointId = checkpointId;
+    }
+} module.exports.ChangeStreamHistoryLostError = ChangeStreamHistoryLostError;
+
+/**
+ * Subscribes to the changes of the collection in asynchronous fashion. Requires the database to be a replica set or a sharded cluster.
+ * The subscription is an async iterable of change events. Once the consumer asks for the next event, the resume token of the previous one is stored in the checkpoint
+ * collection as { _id: checkpointId, resumeToken, invalidated, updatedAt }, so a restarted consumer continues right after the last handled event.
+ * Events are therefore delivered at least once: the event being handled when the consumer stops is delivered again. While waiting for events, the resume token
+ * of the stream (which advances even if no event passes the filter) is stored every checkpointIntervalMS, so a restarted consumer of rarely matching events
+ * doesn't resume from a token which is no longer in the oplog.
+ * The stream is reopened automatically after resumable errors (network errors, elections, ...) using the delays of the retry policy.
+ * Iteration ends once the subscription is closed or the collection is dropped or renamed, after the 'invalidate' event has been delivered.
+ * The subscription is not restricted by any tenant scope (see TenantScope), the selector has to condition the tenant field of the events
+ * (e.g. { 'fullDocument.tenantId': tenantId }) to watch the changes of a single tenant.
+ * @param {Db} db Database containing the collection.
+ * @param {String} collectionKey The key of the collection to be watched.
+ * @param {Object=} options Optional settings. Settings other than the following ones are passed to the driver (e.g. 'batchSize' or 'maxAwaitTimeMS').
+ * @param {Object=} options.selector Filter of the change events (e.g. { 'fullDocument.status': 'paid' }).
+ * @param {[String]=} options.operationTypes Types of the delivered events (e.g. ['insert', 'update']). Defaults to all of them.
+ * @param {String=} options.fullDocument Either 'default', 'updateLookup', 'whenAvailable' or 'required'. Defaults to 'default'.
+ * @param {String=} options.checkpointCollectionKey The key of the collection storing the resume tokens, null disables storing them. Defaults to '_changeStreamCheckpoints'.
+ * @param {String=} options.checkpointId The id of the checkpoint, which must be unique for each consumer of the same collection. Defaults to collectionKey.
+ * @param {Number=} options.maxReconnectAttempts Maximum number of consecutive attempts to reopen the stream. Defaults to 10.
+ * @param {Number=} options.checkpointIntervalMS Interval of storing the resume token of the stream while waiting for events. Defaults to 60000.
+ * @returns {Promise<ChangeStreamSubscription>} Returns the promise of the subscription.
+ */
+function watchAsync(db, collectionKey, options) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+
+    // Split the settings of the subscription from the settings of the driver.
+    const { selector, operationTypes, fullDocument = 'default', checkpointCollectionKey = '_changeStreamCheckpoints', checkpointId = collectionKey,
+        maxReconnectAttempts = 10, checkpointIntervalMS = 60000, ...watchOptions } = options || {};
+    // If provided settings are not valid throw appropriate exception.
+    if (selector !== undefined) assertSelectorValid(selector);
+    if (operationTypes !== undefined && !(Array.isArray(operationTypes) && operationTypes.length && operationTypes.every((type) => changeOperationTypes.includes(type))))
+        throw new TypeError(`Provided 'operationTypes' must be a non-empty array of ${changeOperationTypes.join(', ')}.`);
+    if (!['default', 'updateLookup', 'whenAvailable', 'required'].includes(fullDocument))
+        throw new TypeError('Provided \'fullDocument\' must be one of \'default\', \'updateLookup\', \'whenAvailable\' and \'required\'.');
+    if (checkpointCollectionKey !== null && typeof checkpointCollectionKey !== 'string') throw new TypeError('Provided \'checkpointCollectionKey\' must be a string or null.');
+    if (typeof checkpointId !== 'string') throw new TypeError('Provided \'checkpointId\' must be a string.');
+    if (!Number.isInteger(maxReconnectAttempts) || maxReconnectAttempts < 0) throw new TypeError('Provided \'maxReconnectAttempts\' must be a non-negative integer.');
+    if (typeof checkpointIntervalMS !== 'number' || !(checkpointIntervalMS > 0)) throw new TypeError('Provided \'checkpointIntervalMS\' must be a positive number.');
+
+    // Create the pipeline filtering the events.
+    const pipeline = [];
+    if (selector !== undefined) pipeline.push({ $match: selector });
+    if (operationTypes !== undefined) pipeline.push({ $match: { operationType: { $in: operationTypes } } });
+
+    // Load the checkpoint and return the promise of the subscription.
+    const loading = checkpointCollectionKey === null ? Promise.resolve(null) : findOneAsync(db, checkpointCollectionKey, { _id: checkpointId });
+    return loading.then((checkpoint) => new ChangeStreamSubscription(db, collectionKey, pipeline, Object.assign(watchOptions, { fullDocument }),
+        { checkpointCollectionKey, checkpointId, maxReconnectAttempts, checkpointIntervalMS }, checkpoint));
+} module.exports.watchAsync = watchAsync;
+
+/**
+ * Subscription to the changes of the collection created by watchAsync. It is an async iterable of change events, which can be iterated once.
+ */
+class ChangeStreamSubscription {
+    /**
+     * Creates the subscription.
+     * @param {Db} db Database containing the collection.
+     * @param {String} collectionKey The key of the watched collection.
+     * @param {[Object]} pipeline The pipeline filtering the events.
+     * @param {Object} watchOptions Settings of the driver.
+     * @param {Object} settings Settings of the subscription ('checkpointCollectionKey', 'checkpointId', 'maxReconnectAttempts' and 'checkpointIntervalMS').
+     * @param {Object=} checkpoint The stored checkpoint or null.
+     */
+    constructor(db, collectionKey, pipeline, watchOptions, settings, checkpoint) {
+        this.db = db;
+        this.collectionKey = collectionKey;
+        this.pipeline = pipeline;
+        this.watchOptions = watchOptions;
+        this.settings = settings;
+        // Position to resume from, the invalidating events can be resumed from only using 'startAfter'.
+        this.resumeToken = checkpoint ? checkpoint.resumeToken : null;
+        this.invalidated = Boolean(checkpoint && checkpoint.invalidated);
+        this.stream = null;
+        this.closed = false;
+        this.iterated = false;
+        // Promise resolved once the subscription is closed, which interrupts waiting for the next event.
+        this.closedPromise = new Promise((resolve) => this.resolveClosed = () => resolve(null));
+    }
+
+    /**
+     * Returns the async iterator of the change events.
+     * @returns {AsyncIterator<Object>} Returns the iterator.
+     */
+    [Symbol.asyncIterator]() {
+        // If the subscription has been iterated already throw appropriate exception.
+        if (this.iterated) throw new Error('Change stream subscription can be iterated only once.');
+        this.iterated = true;
+        return this.iterateAsync();
+    }
+
+    /**
+     * Iterates the change events, reopening the stream after resumable errors and storing the checkpoint after each handled event.
+     * @returns {AsyncIterator<Object>} Returns the iterator.
+     */
+    async* iterateAsync() {
+        let attempt = 0;
+        try {
+            while (!this.closed) {
+                // Open the stream, resuming after the last event.
+                if (!this.stream) this.stream = this.db.collection(this.collectionKey).watch(this.pipeline, Object.assign({}, this.watchOptions,
+                    this.resumeToken ? { [this.invalidated ? 'startAfter' : 'resumeAfter']: this.resumeToken } : {}));
+
+                // Wait for the next event.
+                let event;
+                try {
+                    const next = this.stream.next();
+                    // Ignore the failure of the next event if the subscription has been closed in the meantime.
+                    next.catch(() => undefined);
+                    event = await this.waitForEventAsync(next);
+                } catch (error) {
+                    // Closing the subscription interrupts waiting.
+                    if (this.closed) return;
+                    await this.closeStreamAsync();
+
+                    // If the token is no longer in the oplog throw appropriate exception.
+                    if (changeStreamHistoryLostCodes.includes(error.code)) throw new ChangeStreamHistoryLostError(this.collectionKey, this.settings.checkpointId, error);
+                    // If the error is not resumable or there are no attempts left rethrow it.
+                    if (!isResumableChangeStreamError(error) || attempt >= this.settings.maxReconnectAttempts) throw mapDriverError(error, this.collectionKey);
+
+                    // Otherwise wait before reopening the stream.
+                    await new Promise((resolve) => setTimeout(resolve, getRetryDelay(retryPolicy, attempt++)));
+                    continue;
+                }
+
+                // The stream or the subscription has been closed.
+                if (!event || this.closed) return;
+                attempt = 0;
+
+                // Deliver the event and, once the consumer asks for the next one, store its token.
+                this.resumeToken = event._id;
+                this.invalidated = event.operationType === 'invalidate';
+                yield event;
+                await this.saveCheckpointAsync();
+
+                // Invalidated stream ends.
+                if (this.invalidated) return;
+            }
+        } finally {
+            // Close the stream, even if the consumer broke out of the iteration.
+            await this.closeStreamAsync();
+        }
+    }
+
+    /**
+     * Waits for the next event of the stream or the closing of the subscription, storing the resume token of the stream every checkpointIntervalMS meanwhile.
+     * @param {Promise<Object>} next The promise of the next event.
+     * @returns {Promise<Object>} Returns the promise of the event or null if the subscription has been closed.
+     */
+    async waitForEventAsync(next) {
+        for (;;) {
+            // Wait for the event, the closing or the interval, whichever comes first.
+            let timer;
+            const interval = new Promise((resolve) => timer = setTimeout(() => resolve(checkpointIntervalElapsed), this.settings.checkpointIntervalMS));
+            const result = await Promise.race([next, this.closedPromise, interval]).finally(() => clearTimeout(timer));
+            if (result !== checkpointIntervalElapsed) return result;
+
+            // Store the resume token of the stream if it has advanced. It never passes the events the stream hasn't returned yet,
+            // as the driver reports the post batch token only once all the events of the batch have been returned.
+            const resumeToken = this.stream ? this.stream.resumeToken : null;
+            if (this.closed || !resumeToken || valuesEqual(resumeToken, this.resumeToken)) continue;
+            this.resumeToken = resumeToken;
+            this.invalidated = false;
+            await this.saveCheckpointAsync();
+        }
+    }
+
+    /**
+     * Stores the token of the last delivered event.
+     * @returns {Promise} Returns the promise of storing the token.
+     */
+    async saveCheckpointAsync() {
+        const { checkpointCollectionKey, checkpointId } = this.settings;
+        if (checkpointCollectionKey === null) return;
+        await updateOneAsync(this.db, checkpointCollectionKey, { _id: checkpointId },
+            { $set: { resumeToken: this.resumeToken, invalidated: this.invalidated, updatedAt: new Date() } }, { upsert: true });
+    }
+
+    /**
+     * Closes the stream of the driver, ignoring errors as the stream is not used any more.
+     * @returns {Promise} Returns the promise of closing the stream.
+     */
+    async closeStreamAsync() {
+        const stream = this.stream;
+        this.stream = null;
+        if (stream) await Promise.resolve(stream.close()).catch(() => undefined);
+    }
+
+    /**
+     * Closes the subscription, which ends the iteration even if it is waiting for the next event.
+     * @returns {Promise} Returns the promise of closing the subscription.
+     */
+    close() {
+        this.closed = true;
+        this.resolveClosed();
+        return this.closeStreamAsync();
+    }
+} module.exports.ChangeStreamSubscription = ChangeStreamSubscription;
+
+
+/**
+ * Error thrown when the operation executed through the tenant scope refers to another tenant, e.g. its selector matches another tenant,
+ * inserted document belongs to another tenant or its update changes the tenant field.
+ */
+class TenantViolationError extends DatabaseError {
+    /**
+     * Creates the tenant violation error.
+     * @param {String} message The message.
+     * @param {String} collectionKey The key of the collection.
+     * @param {*} tenantId The id of the tenant of the scope.
+     */
+    constructor(message, collectionKey, tenantId) {
+        super(message);
+        this.name = 'TenantViolationError';
+        this.collectionKey = collectionKey;
+        this.tenantId = tenantId;
+    }
+} module.exports.TenantViolationError = TenantViolationError;
+
+/**
+ * Scope of the database restricted to a single tenant of the collections shared by all the tenants. It exposes the CRUD functions (without the db argument)
+ * which add the tenant condition to every selector and stamp the tenant onto every inserted or replacing document. Selectors conditioning the tenant field
+ * by anything else than the tenant of the scope, documents of other tenants and updates changing the tenant field are rejected with TenantViolationError.
+ * Aggregation pipelines are restricted to the tenant including the collections they look up, while $out, $merge, $collStats and $indexStats stages are rejected.
+ * Global collections listed in the configuration are accessed without any restriction.
+ * The scope doesn't expose watchAsync, exportCollectionAsync and importCollectionAsync. Called with the database they bypass the tenant restriction,
+ * so their selectors have to condition the tenant field and the imported documents have to contain it explicitly.
+ */
+class TenantScope {
+    /**
+     * Creates the tenant scope.
+     * @param {Db} db Database containing the collections.
+     * @param {*} tenantId The id of the tenant.
+     * @param {Object} settings Settings of the scope ('tenantField' and 'globalCollections').
+     * @param {ClientSession=} session The session of the transaction the scope is used within.
+     */
+    constructor(db, tenantId, settings, session) {
+        this.db = db;
+        this.tenantId = tenantId;
+        this.settings = settings;
+        this.session = session;
+    }
+
+    /**
+     * Calls insertOneAsync stamping the tenant onto the object.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} objectToInsert Object to be inserted to database.
+     * @param {ObjectID=} _id The ObjectID under which object will be indexed within database.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by insertOneAsync.
+     */
+    insertOneAsync(collectionKey, objectToInsert, _id, options) {
+        return insertOneAsync(this.db, collectionKey, this.stampDocument(collectionKey, objectToInsert), _id, this.withSession(options));
+    }
+
+    /**
+     * Calls insertManyAsync stamping the tenant onto the objects.
+     * @param {String} collectionKey The key of the collection.
+     * @param {[Object]} objectsToInsert Array of objects to be inserted to database.
+     * @param {[ObjectID]=} _ids Array of ObjectID under which objects will be indexed within database.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by insertManyAsync.
+     */
+    insertManyAsync(collectionKey, objectsToInsert, _ids, options) {
+        if (Array.isArray(objectsToInsert)) objectsToInsert.forEach((object) => this.stampDocument(collectionKey, object));
+        return insertManyAsync(this.db, collectionKey, objectsToInsert, _ids, this.withSession(options));
+    }
+
+    /**
+     * Calls findOneAsync restricting the selector to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by findOneAsync.
+     */
+    findOneAsync(collectionKey, selector, options) {
+        return findOneAsync(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.withSession(options));
+    }
+
+    /**
+     * Calls findAsync restricting the selector to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by findAsync.
+     */
+    findAsync(collectionKey, selector, options) {
+        return findAsync(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.withSession(options));
+    }
+
+    /**
+     * Calls findManyAsync restricting the selector to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by findManyAsync.
+     */
+    findManyAsync(collectionKey, selector, options) {
+        return findManyAsync(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.withSession(options));
+    }
+
+    /**
+     * Calls findStream restricting the selector to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {AsyncIterable} Returns the async iterable returned by findStream.
+     */
+    findStream(collectionKey, selector, options) {
+        return findStream(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.withSession(options));
+    }
+
+    /**
+     * Calls findPageAsync restricting the selector to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by findPageAsync.
+     */
+    findPageAsync(collectionKey, selector, options) {
+        return findPageAsync(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.withSession(options));
+    }
+
+    /**
+     * Calls updateOneAsync restricting the selector to the tenant and rejecting the changes of the tenant field.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object} updateQuery The query based on which database entries will be updated.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by updateOneAsync.
+     */
+    updateOneAsync(collectionKey, selector, updateQuery, options) {
+        return updateOneAsync(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.checkUpdateQuery(collectionKey, updateQuery), this.withSession(options));
+    }
+
+    /**
+     * Calls updateManyAsync restricting the selector to the tenant and rejecting the changes of the tenant field.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object} updateQuery The query based on which database entries will be updated.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by updateManyAsync.
+     */
+    updateManyAsync(collectionKey, selector, updateQuery, options) {
+        return updateManyAsync(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.checkUpdateQuery(collectionKey, updateQuery), this.withSession(options));
+    }
+
+    /**
+     * Calls deleteOneAsync restricting the selector to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by deleteOneAsync.
+     */
+    deleteOneAsync(collectionKey, selector, options) {
+        return deleteOneAsync(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.withSession(options));
+    }
+
+    /**
+     * Calls deleteManyAsync restricting the selector to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by deleteManyAsync.
+     */
+    deleteManyAsync(collectionKey, selector, options) {
+        return deleteManyAsync(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.withSession(options));
+    }
+
+    /**
+     * Calls findOneAndUpdateAsync restricting the selector to the tenant and rejecting the changes of the tenant field.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object} updateQuery The query based on which database entries will be updated.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by findOneAndUpdateAsync.
+     */
+    findOneAndUpdateAsync(collectionKey, selector, updateQuery, options) {
+        return findOneAndUpdateAsync(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.checkUpdateQuery(collectionKey, updateQuery), this.withSession(options));
+    }
+
+    /**
+     * Calls findOneAndReplaceAsync restricting the selector to the tenant and stamping the tenant onto the replacement.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object} replacement The object replacing the entry.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by findOneAndReplaceAsync.
+     */
+    findOneAndReplaceAsync(collectionKey, selector, replacement, options) {
+        return findOneAndReplaceAsync(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.stampDocument(collectionKey, replacement), this.withSession(options));
+    }
+
+    /**
+     * Calls findOneAndDeleteAsync restricting the selector to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by findOneAndDeleteAsync.
+     */
+    findOneAndDeleteAsync(collectionKey, selector, options) {
+        return findOneAndDeleteAsync(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.withSession(options));
+    }
+
+    /**
+     * Calls replaceOneAsync restricting the selector to the tenant and stamping the tenant onto the replacement.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object} replacement The object replacing the entry.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by replaceOneAsync.
+     */
+    replaceOneAsync(collectionKey, selector, replacement, options) {
+        return replaceOneAsync(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.stampDocument(collectionKey, replacement), this.withSession(options));
+    }
+
+    /**
+     * Calls upsertOneAsync restricting the selector to the tenant (which stamps the tenant onto the inserted entry) and rejecting the changes of the tenant field.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object} updateQuery The query based on which database entries will be updated.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by upsertOneAsync.
+     */
+    upsertOneAsync(collectionKey, selector, updateQuery, options) {
+        return upsertOneAsync(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.checkUpdateQuery(collectionKey, updateQuery), this.withSession(options));
+    }
+
+    /**
+     * Calls bulkWriteAsync restricting all the operations to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @param {[Object]} operations Array of operations.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by bulkWriteAsync.
+     */
+    bulkWriteAsync(collectionKey, operations, options) {
+        return bulkWriteAsync(this.db, collectionKey, Array.isArray(operations) ? operations.map((operation) => this.scopeBulkOperation(collectionKey, operation)) : operations,
+            this.withSession(options));
+    }
+
+    /**
+     * Calls restoreOneAsync restricting the selector to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by restoreOneAsync.
+     */
+    restoreOneAsync(collectionKey, selector, options) {
+        return restoreOneAsync(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.withSession(options));
+    }
+
+    /**
+     * Calls restoreManyAsync restricting the selector to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by restoreManyAsync.
+     */
+    restoreManyAsync(collectionKey, selector, options) {
+        return restoreManyAsync(this.db, collectionKey, this.scopeSelector(collectionKey, selector), this.withSession(options));
+    }
+
+    /**
+     * Calls aggregateAsync restricting the pipeline to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @param {[Object]|PipelineBuilder} pipeline The pipeline or the builder of it.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {Promise} Returns the promise returned by aggregateAsync.
+     */
+    aggregateAsync(collectionKey, pipeline, options) {
+        return aggregateAsync(this.db, collectionKey, this.scopePipeline(collectionKey, pipeline), this.withSession(options));
+    }
+
+    /**
+     * Calls aggregateStream restricting the pipeline to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @param {[Object]|PipelineBuilder} pipeline The pipeline or the builder of it.
+     * @param {Object=} options Optional settings passed to the called function along with the session of the scope.
+     * @returns {AsyncIterable} Returns the async iterable returned by aggregateStream.
+     */
+    aggregateStream(collectionKey, pipeline, options) {
+        return aggregateStream(this.db, collectionKey, this.scopePipeline(collectionKey, pipeline), this.withSession(options));
+    }
+
+    /**
+     * Calls withTransactionAsync providing the callback the tenant scope bound to the transaction.
+     * @param {Function} callback Async function receiving the tenant scope.
+     * @param {Object=} options Optional settings.
+     * @returns {Promise} Returns the promise returned by withTransactionAsync.
+     */
+    withTransactionAsync(callback, options) {
+        // If provided callback is not a function throw appropriate exception.
+        if (typeof callback !== 'function') throw new TypeError('Provided \'callback\' must be a function.');
+        return withTransactionAsync(this.db, (transaction) => callback(new TenantScope(this.db, this.tenantId, this.settings, transaction.session)), options);
+    }
+
+    /**
+     * Answers a question whether the collection is restricted to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @returns {Boolean} Returns true unless the collection is global.
+     */
+    isScoped(collectionKey) {
+        return !this.settings.globalCollections.includes(collectionKey);
+    }
+
+    /**
+     * Restricts the selector to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object=} selector The selector.
+     * @returns {Object} Returns the selector matching only the entries of the tenant.
+     */
+    scopeSelector(collectionKey, selector) {
+        if (!this.isScoped(collectionKey)) return selector;
+        // If provided selector is neither undefined nor a non-null object throw appropriate exception.
+        if (selector !== undefined && !isPlainObject(selector)) throw new TypeError('Provided \'selector\' must be a non-null object.');
+
+        // If the selector conditions the tenant field by anything else than the tenant throw appropriate exception.
+        const path = findTenantSelectorViolation(selector || {}, this.settings.tenantField, this.tenantId);
+        if (path !== null) throw new TenantViolationError(`Provided selector of '${collectionKey}' collection refers to another tenant at '${path}'.`, collectionKey, this.tenantId);
+
+        // Return the selector with the tenant condition.
+        return Object.assign({}, selector, { [this.settings.tenantField]: this.tenantId });
+    }
+
+    /**
+     * Stamps the tenant onto the document which is inserted or replaces an entry.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} document The document.
+     * @returns {Object} Returns the document.
+     */
+    stampDocument(collectionKey, document) {
+        // Leave invalid documents as they are, they are rejected by the called function.
+        if (!this.isScoped(collectionKey) || !isPlainObject(document)) return document;
+        const { tenantField } = this.settings;
+
+        // If the document belongs to another tenant throw appropriate exception.
+        if (document[tenantField] !== undefined && !valuesEqual(document[tenantField], this.tenantId))
+            throw new TenantViolationError(`Provided document of '${collectionKey}' collection belongs to another tenant.`, collectionKey, this.tenantId);
+
+        document[tenantField] = this.tenantId;
+        return document;
+    }
+
+    /**
+     * Rejects the update query changing the tenant field.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object|[Object]} updateQuery The update query.
+     * @returns {Object|[Object]} Returns the update query.
+     */
+    checkUpdateQuery(collectionKey, updateQuery) {
+        if (!this.isScoped(collectionKey)) return updateQuery;
+        const path = findTenantUpdateViolation(updateQuery, this.settings.tenantField, this.tenantId);
+        if (path !== null) throw new TenantViolationError(`Provided update of '${collectionKey}' collection changes the tenant field at '${path}'.`, collectionKey, this.tenantId);
+        return updateQuery;
+    }
+
+    /**
+     * Restricts the bulk operation to the tenant.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} operation The bulk operation.
+     * @returns {Object} Returns the restricted operation.
+     */
+    scopeBulkOperation(collectionKey, operation) {
+        // Leave invalid operations as they are, they are rejected by bulkWriteAsync.
+        const type = isPlainObject(operation) && Object.keys(operation).length === 1 ? Object.keys(operation)[0] : undefined;
+        if (!bulkOperationArguments[type] || !isPlainObject(operation[type])) return operation;
+
+        const { objectToInsert, selector, updateQuery, replacement } = operation[type];
+        return { [type]: Object.assign({}, operation[type], removeUndefined({
+            objectToInsert: objectToInsert && this.stampDocument(collectionKey, objectToInsert),
+            selector: type === 'insertOne' ? undefined : this.scopeSelector(collectionKey, selector),
+            updateQuery: updateQuery && this.checkUpdateQuery(collectionKey, updateQuery),
+            replacement: replacement && this.stampDocument(collectionKey, replacement)
+        })) };
+    }
+
+    /**
+     * Restricts the pipeline to the tenant.
+     * @param {String} collectionKey The key of the aggregated collection.
+     * @param {[Object]|PipelineBuilder} pipeline The pipeline or the builder of it.
+     * @returns {[Object]} Returns the restricted pipeline.
+     */
+    scopePipeline(collectionKey, pipeline) {
+        // Validate the pipeline, so the shapes of its stages can be relied on.
+        const stages = pipeline instanceof PipelineBuilder ? pipeline.build() : pipeline;
+        assertPipelineValid(stages);
+
+        // Restrict the stages and the aggregated collection.
+        return scopePipelineStages(this, collectionKey, stages);
+    }
+
+    /**
+     * Adds the session of the transaction (if any) to provided options.
+     * @param {Object=} options Optional settings.
+     * @returns {Object=} Returns the copy of options containing the session or the options as they are.
+     */
+    withSession(options) {
+        return this.session ? Object.assign({}, options, { session: this.session }) : options;
+    }
+} module.exports.TenantScope = TenantScope;
+
+/**
+ * Returns the scope of the database restricted to the tenant (see TenantScope).
+ * @param {Db} db Database containing the collections.
+ * @param {*} tenantId The id of the tenant, e.g. a string or an ObjectID.
+ * @param {Object=} config Optional settings.
+ * @param {String=} config.tenantField The name of the field holding the id of the tenant. Defaults to 'tenantId'.
+ * @param {[String]=} config.globalCollections Keys of the collections shared by all the tenants, which are not restricted. Defaults to none.
+ * @returns {TenantScope} Returns the scope.
+ */
+function scopeToTenant(db, tenantId, config) {
+    // If provided db is not an instance of mongodb Db class throw appropriate exception.
+    if (!(db instanceof Db)) throw new TypeError('Provided argument \'db\' is not an instance of mongodb.Db class. Please provide instance of a valid type instead');
+    // If provided tenantId is missing throw appropriate exception.
+    if (tenantId === undefined || tenantId === null) throw new TypeError('Provided \'tenantId\' must be neither undefined nor null.');
+
+    const { tenantField = 'tenantId', globalCollections = [] } = config || {};
+    // If provided settings are not valid throw appropriate exception.
+    if (typeof tenantField !== 'string' || !tenantField || tenantField.includes('.') || tenantField.startsWith('$'))
+        throw new TypeError('Provided \'tenantField\' must be a non-empty top level field name.');
+    if (!Array.isArray(globalCollections) || globalCollections.some((key) => typeof key !== 'string')) throw new TypeError('Provided \'globalCollections\' must be an array of strings.');
+
+    // Return the scope.
+    return new TenantScope(db, tenantId, { tenantField, globalCollections: globalCollections.slice() });
+} module.exports.scopeToTenant = scopeToTenant;
+
+
+// Private Helpers
+
+
+// Validators of the values of all the valid update operators, each returning the description of the problem or undefined if value is valid.
+const updateOperatorValidators = {
+    $set: () => undefined,
+    $setOnInsert: () => undefined,
+    $unset: () => undefined,
+    $min: () => undefined,
+    $max: () => undefined,
+    $pull: () => undefined,
+    $inc: (value) => isNumeric(value) ? undefined : 'must be a number',
+    $mul: (value) => isNumeric(value) ? undefined : 'must be a number',
+    $rename: (value, path) => typeof value !== 'string' || !value.length ? 'must be a non-empty string'
+        : value === path ? 'must differ from the renamed path' : validateUpdatePath(value),
+    $currentDate: (value) => value === true || (isPlainObject(value) && Object.keys(value).length === 1 && ['date', 'timestamp'].includes(value.$type))
+        ? undefined : 'must be true or { $type: \'date\' } or { $type: \'timestamp\' }',
+    $pop: (value) => value === 1 || value === -1 ? undefined : 'must be either 1 or -1',
+    $pullAll: (value) => Array.isArray(value) ? undefined : 'must be an array',
+    $bit: (value) => isPlainObject(value) && Object.keys(value).length === 1 && ['and', 'or', 'xor'].includes(Object.keys(value)[0])
+        && (Number.isInteger(value[Object.keys(value)[0]]) || isOfType(value[Object.keys(value)[0]], 'int'))
+        ? undefined : 'must be an object with a single \'and\', \'or\' or \'xor\' property with an integer value',
+    $push: (value) => validateArrayModifiers(value, ['$each', '$position', '$slice', '$sort']),
+    $addToSet: (value) => validateArrayModifiers(value, ['$each'])
+};
+
+// Stages allowed in aggregation pipeline updates.
+const updatePipelineStages = ['$addFields', '$set', '$project', '$unset', '$replaceRoot', '$replaceWith'];
+
+/**
+ * Validates the value of $push or $addToSet operator.
+ * @param {*} value The value.
+ * @param {[String]} allowedModifiers Modifiers allowed by the operator.
+ * @returns {String} Returns the description of the problem or undefined if value is valid.
+ */
+function validateArrayModifiers(value, allowedModifiers) {
+    // Values which are not objects or are objects without modifiers are simply added to the array.
+    if (!isPlainObject(value) || !Object.keys(value).some((key) => key.startsWith('$'))) return undefined;
+
+    const keys = Object.keys(value);
+    // Modifiers can't be mixed with fields.
+    if (keys.some((key) => !key.startsWith('$'))) return 'must not mix modifiers with fields';
+    // Only known modifiers are allowed.
+    const unknown = keys.find((key) => !allowedModifiers.includes(key));
+    if (unknown) return `contains modifier ${unknown} which is not one of ${allowedModifiers}`;
+    // Modifiers require $each.
+    if (!Array.isArray(value.$each)) return 'modifiers require $each with an array value';
+    // Validate the other modifiers.
+    if (value.$position !== undefined && !Number.isInteger(value.$position)) return '$position must be an integer';
+    if (value.$slice !== undefined && !Number.isInteger(value.$slice)) return '$slice must be an integer';
+    if (value.$sort !== undefined && value.$sort !== 1 && value.$sort !== -1
+        && !(isPlainObject(value.$sort) && Object.keys(value.$sort).length && Object.values(value.$sort).every((direction) => direction === 1 || direction === -1)))
+        return '$sort must be 1, -1 or an object which values are 1 or -1';
+
+    return undefined;
+}
+
+/**
+ * Validates the path affected by an update operator.
+ * @param {String} path Dotted path.
+ * @returns {String} Returns the description of the problem or undefined if path is valid.
+ */
+function validateUpdatePath(path) {
+    // Paths must not be empty.
+    if (!path.length) return 'path must not be empty';
+    // Loop through all the segments of the path.
+    for (const segment of path.split('.')) {
+        // Segments must not be empty.
+        if (!segment.length) return 'path must not contain empty segments';
+        // Segments may start with $ only if they are positional operators ($, $[] or $[identifier]).
+        if (segment.startsWith('$') && !/^\$(\[[A-Za-z0-9]*\])?$/.test(segment)) return `path segment '${segment}' is not a valid positional operator`;
+    }
+    return undefined;
+}
+
+/**
+ * Answers a question whether two paths conflict, which is when they are equal or one of them is a prefix of the other one.
+ * @param {String} a First path.
+ * @param {String} b Second path.
+ * @returns {Boolean} Returns true if paths conflict, otherwise returns false.
+ */
+function pathsConflict(a, b) {
+    return a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+}
+
+/**
+ * Validates aggregation pipeline update.
+ * @param {[Object]} pipeline The pipeline.
+ * @returns {[{path: String, message: String}]} Returns an array of all the problems found.
+ */
+function validateUpdatePipeline(pipeline) {
+    // Pipeline must not be empty.
+    if (!pipeline.length) return [{ path: '<root>', message: 'pipeline must contain at least one stage' }];
+
+    const errors = [];
+    // Loop through all the stages.
+    pipeline.forEach((stage, index) => {
+        const keys = isPlainObject(stage) ? Object.keys(stage) : [];
+        const name = keys[0];
+        // Stage must be an object with a single allowed stage operator.
+        if (keys.length !== 1 || !updatePipelineStages.includes(name))
+            return errors.push({ path: String(index), message: `must be an object with a single property named as one of ${updatePipelineStages}` });
+
+        // Validate the shape of the stage.
+        const value = stage[name];
+        if (name === '$unset' && !(typeof value === 'string' || (Array.isArray(value) && value.length && value.every((field) => typeof field === 'string'))))
+            errors.push({ path: `${index}.${name}`, message: 'must be a field name or an array of field names' });
+        else if (name === '$replaceRoot' && !(isPlainObject(value) && value.newRoot !== undefined))
+            errors.push({ path: `${index}.${name}`, message: 'must be an object with \'newRoot\' property' });
+        else if (['$addFields', '$set', '$project'].includes(name) && !(isPlainObject(value) && Object.keys(value).length))
+            errors.push({ path: `${index}.${name}`, message: 'must be a non-empty object' });
+        else if (name === '$replaceWith' && value === undefined)
+            errors.push({ path: `${index}.${name}`, message: 'must be an expression' });
+    });
+
+    return errors;
+}
+
+/**
+ * Throws appropriate exception if provided update query is not valid.
+ * @param {Object|[Object]} updateQuery Update query to be validated.
+ * @param {String=} argumentDescription Description of the argument used in the message. Optional, defaults to 'updateQuery'.
+ */
+function assertUpdateQueryValid(updateQuery, argumentDescription) {
+    // Validate the update query.
+    const errors = validateUpdateQuery(updateQuery);
+    // If any error has been found throw appropriate exception.
+    if (errors.length)
+        throw new TypeError(`Provided ${argumentDescription || '\'updateQuery\''} is not valid: ${errors.map((error) => `'${error.path}' ${error.message}`).join('; ')}.`);
+}
+
+/**
+ * Throws appropriate exception if provided selector is not valid.
+ * @param {Object} selector Selector to be validated.
+ * @param {String=} argumentDescription Description of the argument used in the message. Optional, defaults to 'selector'.
+ */
+function assertSelectorValid(selector, argumentDescription) {
+    // Validate the selector.
+    const errors = validateSelector(selector);
+    // If any error has been found throw appropriate exception.
+    if (errors.length)
+        throw new TypeError(`Provided ${argumentDescription || '\'selector\''} is not valid: ${errors.map((error) => `'${error.path}' ${error.message}`).join('; ')}.`);
+}
+
+// Top level query operators, which values are not validated any further.
+const opaqueQueryOperators = ['$expr', '$where', '$jsonSchema', '$comment', '$sampleRate'];
+// Operators which can be applied to a field.
+const fieldQueryOperators = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$not', '$exists', '$type', '$mod', '$regex', '$options', '$all',
+    '$elemMatch', '$size', '$bitsAllClear', '$bitsAllSet', '$bitsAnyClear', '$bitsAnySet', '$geoIntersects', '$geoWithin', '$near', '$nearSphere',
+    '$geometry', '$maxDistance', '$minDistance', '$box', '$center', '$centerSphere', '$polygon', '$uniqueDocs', '$comment'];
+
+/**
+ * Validates the selector object.
+ * @param {Object} selector Selector to be validated.
+ * @param {String} path Path of the selector used in error messages.
+ * @returns {[{path: String, message: String}]} Returns an array of all the problems found.
+ */
+function validateSelectorObject(selector, path) {
+    const errors = [];
+
+    // Loop through all the properties of the selector.
+    for (const key of Object.keys(selector)) {
+        const value = selector[key];
+        const keyPath = joinPath(path, key);
+
+        // Validate logical operators, which must contain non-empty arrays of selectors.
+        if (logicalQueryOperators.includes(key)) {
+            if (!Array.isArray(value) || !value.length) { errors.push({ path: keyPath, message: 'must be a non-empty array of selectors' }); continue; }
+            value.forEach((nested, index) => isPlainObject(nested)
+                ? validateSelectorObject(nested, joinPath(keyPath, String(index))).forEach((error) => errors.push(error))
+                : errors.push({ path: joinPath(keyPath, String(index)), message: 'must be a selector object' }));
+        }
+        // Validate $text operator.
+        else if (key === '$text') {
+            if (!isPlainObject(value) || typeof value.$search !== 'string') errors.push({ path: keyPath, message: 'must be an object with $search string' });
+            else Object.keys(value).filter((name) => !['$search', '$language', '$caseSensitive', '$diacriticSensitive'].includes(name))
+                .forEach((name) => errors.push({ path: joinPath(keyPath, name), message: 'is not a valid $text option' }));
+        }
+        // Skip the operators which content is not validated.
+        else if (opaqueQueryOperators.includes(key)) continue;
+        // Report any other top level $ key.
+        else if (key.startsWith('$')) errors.push({ path: keyPath, message: 'is not a valid top level query operator' });
+        // Validate field conditions made of operators.
+        else if (isPlainObject(value) && Object.keys(value).some((name) => name.startsWith('$')))
+            validateFieldConditions(value, keyPath).forEach((error) => errors.push(error));
+    }
+
+    return errors;
+}
+
+/**
+ * Validates the conditions applied to a field, e.g. { $gt: 1, $lt: 5 }.
+ * @param {Object} conditions Conditions to be validated.
+ * @param {String} path Path of the field used in error messages.
+ * @returns {[{path: String, message: String}]} Returns an array of all the problems found.
+ */
+function validateFieldConditions(conditions, path) {
+    const errors = [];
+    const keys = Object.keys(conditions);
+
+    // Operators can't be mixed with fields.
+    if (keys.some((key) => !key.startsWith('$'))) return [{ path, message: 'must not mix query operators with fields' }];
+
+    // Loop through all the operators.
+    for (const operator of keys) {
+        const value = conditions[operator];
+        const operatorPath = joinPath(path, operator);
+
+        // Report unknown operators.
+        if (!fieldQueryOperators.includes(operator)) { errors.push({ path: operatorPath, message: 'is not a valid query operator' }); continue; }
+
+        // Validate the values of the operators which require specific types.
+        if (['$in', '$nin', '$all'].includes(operator) && !Array.isArray(value)) errors.push({ path: operatorPath, message: 'must be an array' });
+        else if (operator === '$size' && !(Number.isInteger(value) && value >= 0)) errors.push({ path: operatorPath, message: 'must be a non-negative integer' });
+        else if (operator === '$mod' && !(Array.isArray(value) && value.length === 2 && value.every(isNumeric))) errors.push({ path: operatorPath, message: 'must be an array of divisor and remainder' });
+        else if (operator === '$options' && (conditions.$regex === undefined || typeof value !== 'string')) errors.push({ path: operatorPath, message: 'must be a string accompanying $regex' });
+        else if (operator === '$regex' && typeof value !== 'string' && !isOfType(value, 'regex')) errors.push({ path: operatorPath, message: 'must be a string or a regular expression' });
+        else if (operator === '$not') {
+            // $not requires operator expression or regular expression.
+            if (isPlainObject(value) && Object.keys(value).length) validateFieldConditions(value, operatorPath).forEach((error) => errors.push(error));
+            else if (!isOfType(value, 'regex')) errors.push({ path: operatorPath, message: 'must be an operator expression or a regular expression' });
+        }
+        else if (operator === '$elemMatch') {
+            // $elemMatch contains either operator expressions applied to the elements or a selector applied to embedded documents.
+            if (!isPlainObject(value)) errors.push({ path: operatorPath, message: 'must be an object' });
+            else if (Object.keys(value).length && Object.keys(value).every((name) => name.startsWith('$') && !logicalQueryOperators.includes(name) && !opaqueQueryOperators.includes(name)))
+                validateFieldConditions(value, operatorPath).forEach((error) => errors.push(error));
+            else validateSelectorObject(value, operatorPath).forEach((error) => errors.push(error));
+        }
+    }
+
+    return errors;
+}
+
+// Map containing all the registered connections indexed by the key created out of connection url and options.
+const connections = new Map();
+
+// Settings of the connection registry.
+const connectionSettings = { maxClients: 100, poolSize: 5, drainTimeoutMS: 10000 };
+
+/**
+ * Creates the key under which the connection is registered.
+ * @param {String} connectionURL The database connection url.
+ * @param {Object} options Connection settings.
+ * @returns {String} Returns the key made of the url and options serialized with sorted property names.
+ */
+function getConnectionKey(connectionURL, options) {
+    // Serialize options sorting the keys of every nested object, so the order in which properties have been declared doesn't matter.
+    const serializedOptions = JSON.stringify(options, (key, value) =>
+        value && typeof value === 'object' && !Array.isArray(value)
+            ? Object.keys(value).sort().reduce((sorted, name) => { sorted[name] = value[name]; return sorted; }, {})
+            : value);
+
+    // Return the key.
+    return `${connectionURL}|${serializedOptions}`;
+}
+
+/**
+ * Creates connection record, starts connecting the client and subscribes to its monitoring events.
+ * @param {String} key The key under which the connection will be registered.
+ * @param {String} connectionURL The database connection url.
+ * @param {Object} options Connection settings.
+ * @returns {Object} Returns the connection record.
+ */
+function createConnection(key, connectionURL, options) {
+    // Create the connection record.
+    const connection = { key, connectionURL, state: 'connecting', client: null, inFlight: new Set(), drainWaiters: [], lastHeartbeat: null, lastError: null, closePromise: null };
+
+    // Apply default pool size unless options specify one and enable command monitoring used to track in-flight operations.
+    const clientOptions = Object.assign({}, options, { monitorCommands: true });
+    if (clientOptions.poolSize === undefined && clientOptions.maxPoolSize === undefined) clientOptions.poolSize = connectionSettings.poolSize;
+
+    // Create the promise of connecting the client.
+    connection.connectPromise = new Promise((resolve, reject) => {
+        // Connect to MongoDB database
+        MongoClient.connect(connectionURL, clientOptions, (error, client) => {
+            // If error has been returned ..
+            if (error) {
+                // .. unregister the connection so the next call can try again ..
+                if (connections.get(key) === connection) connections.delete(key);
+                connection.state = 'closed';
+                connection.lastError = error;
+                // .. and use it as a rejection argument while rejecting the promise.
+                reject(error);
+            }
+            // Otherwise if no error has been returned ..
+            else {
+                connection.client = client;
+                // .. unless the connection has been closed meanwhile, in which case it is left to closeConnectionAsync ..
+                if (connection.closePromise) return resolve(client);
+                // .. subscribe to client events ..
+                connection.state = 'connected';
+                subscribeToConnectionEvents(connection);
+                emitConnectionEvent('connected', connection);
+                // .. and resolve the promise providing the client as a completion argument.
+                resolve(client);
+            }
+        });
+    });
+
+    // Return the connection record.
+    return connection;
+}
+
+/**
+ * Subscribes to monitoring events of the connected client to track in-flight operations and connection health.
+ * @param {Object} connection The connection record.
+ */
+function subscribeToConnectionEvents(connection) {
+    const { client } = connection;
+
+    // Track in-flight commands ..
+    client.on('commandStarted', (event) => connection.inFlight.add(event.requestId));
+    // .. and release them once they are completed.
+    const completeCommand = (event) => {
+        connection.inFlight.delete(event.requestId);
+        // If there is nothing in flight anymore notify everybody waiting for the drain.
+        if (connection.inFlight.size === 0) connection.drainWaiters.splice(0).forEach((resolve) => resolve());
+    };
+    client.on('commandSucceeded', completeCommand);
+    client.on('commandFailed', completeCommand);
+
+    // Record heartbeats results.
+    client.on('serverHeartbeatSucceeded', () => connection.lastHeartbeat = new Date());
+    client.on('serverHeartbeatFailed', (event) => connection.lastError = event.failure);
+
+    // Track availability of the servers (unified topology).
+    client.on('topologyDescriptionChanged', (event) => changeConnectionState(connection, event.newDescription.hasDataBearingServers ? 'connected' : 'disconnected'));
+    // Track availability of the servers (legacy topology).
+    client.on('close', () => changeConnectionState(connection, 'disconnected'));
+    client.on('reconnect', () => changeConnectionState(connection, 'connected'));
+}
+
+/**
+ * Changes the state of the open connection and emits appropriate event.
+ * @param {Object} connection The connection record.
+ * @param {String} state Either 'connected' or 'disconnected'.
+ */
+function changeConnectionState(connection, state) {
+    // Ignore connections which are closing or haven't changed the state.
+    if (connection.state === state || (connection.state !== 'connected' && connection.state !== 'disconnected')) return;
+
+    // Change the state ..
+    connection.state = state;
+    // .. and emit 'reconnect' or 'disconnected' event.
+    emitConnectionEvent(state === 'connected' ? 'reconnect' : 'disconnected', connection);
+}
+
+/**
+ * Emits connection event.
+ * @param {String} eventName The name of the event.
+ * @param {Object} connection The connection record.
+ * @param {Error=} error Error to be emitted with 'error' event.
+ */
+function emitConnectionEvent(eventName, connection, error) {
+    // Do not emit 'error' event unless somebody listens to it, as EventEmitter would throw otherwise.
+    if (eventName === 'error' && connectionEvents.listenerCount('error') === 0) return;
+
+    // Emit the event.
+    connectionEvents.emit(eventName, { connectionURL: connection.connectionURL, state: connection.state, error });
+}
+
+/**
+ * Closes the connection after waiting for in-flight operations to complete.
+ * @param {Object} connection The connection record.
+ * @param {Number=} drainTimeoutMS Maximum amount of milliseconds to wait for in-flight operations.
+ * @returns {Promise} Returns the promise of closing the connection.
+ */
+function closeConnectionAsync(connection, drainTimeoutMS) {
+    // If connection is already being closed return the existing promise.
+    if (connection.closePromise) return connection.closePromise;
+
+    // Unregister the connection, so no more operations will be started using it.
+    if (connections.get(connection.key) === connection) connections.delete(connection.key);
+    connection.state = 'closing';
+
+    // Create the promise of closing the connection.
+    connection.closePromise = connection.connectPromise
+        // Wait for in-flight operations ..
+        .then((client) => waitForDrainAsync(connection, drainTimeoutMS === undefined ? connectionSettings.drainTimeoutMS : drainTimeoutMS)
+            // .. and close the client.
+            .then(() => new Promise((resolve, reject) => client.close((error) => error ? reject(error) : resolve()))))
+        // If client never connected there is nothing to close.
+        .catch((error) => { if (connection.client) { emitConnectionEvent('error', connection, error); throw error; } })
+        // Mark the connection as closed.
+        .then(() => {
+            connection.state = 'closed';
+            emitConnectionEvent('closed', connection);
+        });
+
+    // Return the promise.
+    return connection.closePromise;
+}
+
+/**
+ * Waits until no operations of the connection are in flight or drain timeout passes.
+ * @param {Object} connection The connection record.
+ * @param {Number} drainTimeoutMS Maximum amount of milliseconds to wait.
+ * @returns {Promise} Returns the promise resolved once operations have been drained.
+ */
+function waitForDrainAsync(connection, drainTimeoutMS) {
+    // If nothing is in flight resolve straight away.
+    if (connection.inFlight.size === 0) return Promise.resolve();
+
+    return new Promise((resolve) => {
+        // Resolve after the timeout ..
+        const timer = setTimeout(resolve, drainTimeoutMS);
+        // .. or once operations have been drained.
+        connection.drainWaiters.push(() => { clearTimeout(timer); resolve(); });
+    });
+}
+
+// Map containing JSON Schemas indexed by the collection keys.
+const schemas = new Map();
+
+// Update operators which documents are validated against the schema.
+const schemaValidatedOperators = ['$set', '$setOnInsert', '$unset', '$inc'];
+
+/**
+ * Throws ValidationError if provided objects don't satisfy the schema registered for the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @param {[Object]} objects Objects to be validated.
+ * @param {Boolean} prefixIndex Whether to prefix the paths with the index of the object.
+ */
+function assertDocumentsValid(collectionKey, objects, prefixIndex) {
+    // If no schema has been registered there is nothing to validate.
+    if (!schemas.has(collectionKey)) return;
+
+    // Collect errors of all the objects.
+    const errors = [];
+    objects.forEach((object, index) => validateDocument(collectionKey, object)
+        .forEach((error) => errors.push(prefixIndex ? { path: joinPath(String(index), error.path), message: error.message } : error)));
+
+    // If any error has been found throw it.
+    if (errors.length) throw new ValidationError(collectionKey, errors);
+}
+
+/**
+ * Throws ValidationError if provided update query doesn't satisfy the schema registered for the collection.
+ * Increments of the fields with minimum or maximum are accepted only if the selector bounds the incremented field so the result can't get out of range,
+ * e.g. { $inc: { stock: -2 } } of the field with minimum 0 requires the selector such as { stock: { $gte: 2 } }. Upserts additionally validate the document
+ * they would insert, made of the equalities of the selector and the fields set by the update query, against the whole schema including required properties.
+ * Aggregation pipeline updates can't be validated, so they are rejected on collections with a schema.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Object|[Object]} updateQuery Update query to be validated.
+ * @param {Object=} selector The selector of the update.
+ * @param {Boolean=} upsert Whether the update inserts the entry if none matches the selector.
+ */
+function assertUpdateQuerySatisfiesSchema(collectionKey, updateQuery, selector, upsert) {
+    // Obtain the registered schema.
+    const schema = schemas.get(collectionKey);
+    // If no schema has been registered there is nothing to validate.
+    if (!schema) return;
+    // If update is an aggregation pipeline, which effect can't be validated, throw appropriate exception.
+    if (Array.isArray(updateQuery)) throw new ValidationError(collectionKey, [{ path: '<root>', message: 'can not be updated by an aggregation pipeline as the collection has a schema' }]);
+
+    const errors = [];
+    // Loop through validated operators present in update query ..
+    schemaValidatedOperators.filter((operator) => typeof updateQuery[operator] === 'object' && updateQuery[operator] !== null).forEach((operator) => {
+        // .. and through all the paths they affect.
+        for (const path of Object.keys(updateQuery[operator])) {
+            // Resolve the schema of the path.
+            const resolved = resolveSchemaPath(schema, path);
+            // If path is not allowed by schema record the error and continue.
+            if (resolved.error) { errors.push({ path, message: resolved.error }); continue; }
+
+            // If field is unset ..
+            if (operator === '$unset') {
+                // .. record the error if it is required by its parent.
+                if (resolved.parent && Array.isArray(resolved.parent.required) && resolved.parent.required.includes(resolved.name))
+                    errors.push({ path, message: 'is required and can not be unset' });
+            }
+            // If field is incremented ..
+            else if (operator === '$inc') {
+                const increment = updateQuery[operator][path];
+                // .. record the error if increment is not a number ..
+                if (!isNumeric(increment)) errors.push({ path, message: 'must be incremented by a number' });
+                // .. or if the field is not allowed to be numeric ..
+                else if (resolved.schema && !['number', 'integer', 'int', 'long', 'double', 'decimal'].some((type) => allowsType(resolved.schema, type)))
+                    errors.push({ path, message: 'is not numeric and can not be incremented' });
+                // .. or if the result may get out of its range.
+                else if (resolved.schema) getIncrementRangeErrors(resolved.schema, path, Number(increment), selector).forEach((error) => errors.push(error));
+            }
+            // Otherwise if field is set validate the value against the schema of the path.
+            else if (resolved.schema)
+                validateAgainstSchema(resolved.schema, updateQuery[operator][path], path).forEach((error) => errors.push(error));
+        }
+    });
+
+    // If update may insert the entry validate the inserted document as a whole, skipping the errors which have already been found.
+    if (upsert)
+        validateAgainstSchema(schema, createUpsertedDocument(selector, updateQuery), '')
+            .filter((error) => !errors.some((found) => found.path === error.path && found.message === error.message)).forEach((error) => errors.push(error));
+
+    // If any error has been found throw it.
+    if (errors.length) throw new ValidationError(collectionKey, errors);
+}
+
+/**
+ * Returns the errors of the increment of the field which may get out of the range of its schema.
+ * Positive increments may exceed the maximum and negative ones may get below the minimum, unless the selector bounds the current value of the field.
+ * @param {Object} schema The schema of the field.
+ * @param {String} path Dotted path of the field.
+ * @param {Number} increment The increment.
+ * @param {Object=} selector The selector of the update.
+ * @returns {[{path: String, message: String}]} Returns an array of the errors.
+ */
+function getIncrementRangeErrors(schema, path, increment, selector) {
+    const errors = [];
+    // If the field has maximum and is incremented, the selector must guarantee the current value is low enough.
+    if (schema.maximum !== undefined && increment > 0) {
+        const bound = getSelectorBound(selector, path, false);
+        if (bound === undefined || bound + increment > schema.maximum)
+            errors.push({ path, message: `must be less than or equal to ${schema.maximum}, select only the entries with '${path}' less than or equal to ${schema.maximum - increment}` });
+    }
+    // If the field has minimum and is decremented, the selector must guarantee the current value is high enough.
+    if (schema.minimum !== undefined && increment < 0) {
+        const bound = getSelectorBound(selector, path, true);
+        if (bound === undefined || bound + increment < schema.minimum)
+            errors.push({ path, message: `must be greater than or equal to ${schema.minimum}, select only the entries with '${path}' greater than or equal to ${schema.minimum - increment}` });
+    }
+    return errors;
+}
+
+/**
+ * Returns the bound the selector puts on the numeric value of the field, looking at the conditions of the field at the top level of the selector
+ * and within its top level $and array.
+ * @param {Object=} selector The selector.
+ * @param {String} path Dotted path of the field.
+ * @param {Boolean} lower Whether to return the lower bound ($gte, $gt or equality) or the upper one ($lte, $lt or equality).
+ * @returns {Number} Returns the tightest bound or undefined if the selector doesn't bound the field.
+ */
+function getSelectorBound(selector, path, lower) {
+    if (!isPlainObject(selector)) return undefined;
+
+    // Collect the conditions of the field.
+    const conditions = [selector[path]].concat(Array.isArray(selector.$and) ? selector.$and.map((condition) => isPlainObject(condition) ? condition[path] : undefined) : []);
+    const bounds = [];
+    conditions.filter((condition) => condition !== undefined).forEach((condition) => {
+        // Equality bounds the value from both sides.
+        if (isNumeric(condition)) return bounds.push(Number(condition));
+        if (!isPlainObject(condition)) return;
+        [lower ? '$gte' : '$lte', lower ? '$gt' : '$lt', '$eq'].filter((operator) => isNumeric(condition[operator])).forEach((operator) => bounds.push(Number(condition[operator])));
+    });
+
+    // Return the tightest bound.
+    return bounds.length ? (lower ? Math.max(...bounds) : Math.min(...bounds)) : undefined;
+}
+
+/**
+ * Creates the document the upsert would insert: the equalities of the selector (at its top level and within its top level $and array)
+ * with the fields set, set on insert, incremented or unset by the update query applied.
+ * @param {Object=} selector The selector of the upsert.
+ * @param {Object} updateQuery The update query of the upsert.
+ * @returns {Object} Returns the document.
+ */
+function createUpsertedDocument(selector, updateQuery) {
+    const document = {};
+
+    // Copy the equalities of the selector.
+    const copyEqualities = (condition) => {
+        if (!isPlainObject(condition)) return;
+        for (const key of Object.keys(condition)) {
+            const value = condition[key];
+            // Descend into $and, skipping other operators.
+            if (key === '$and' && Array.isArray(value)) value.forEach(copyEqualities);
+            else if (key.startsWith('$')) continue;
+            // Copy $eq conditions and plain values, skipping other operator conditions.
+            else if (isPlainObject(value) && Object.keys(value).some((name) => name.startsWith('$'))) { if (value.$eq !== undefined) assignPathValue(document, key, value.$eq); }
+            else assignPathValue(document, key, value);
+        }
+    };
+    copyEqualities(selector);
+
+    // Apply the update operators in the order the database applies them.
+    for (const operator of ['$set', '$setOnInsert', '$inc']) {
+        if (isPlainObject(updateQuery[operator])) Object.keys(updateQuery[operator]).forEach((path) => assignPathValue(document, path, updateQuery[operator][path]));
+    }
+    if (isPlainObject(updateQuery.$unset)) Object.keys(updateQuery.$unset).forEach((path) => {
+        const segments = path.split('.');
+        const parent = segments.slice(0, -1).reduce((current, segment) => isPlainObject(current) ? current[segment] : undefined, document);
+        if (isPlainObject(parent)) delete parent[segments[segments.length - 1]];
+    });
+
+    // Return the document.
+    return document;
+}
+
+/**
+ * Sets the value at the dotted path of the object, replacing values which are not objects along the way.
+ * @param {Object} object The object.
+ * @param {String} path Dotted path.
+ * @param {*} value The value.
+ */
+function assignPathValue(object, path, value) {
+    const segments = path.split('.');
+    const parent = segments.slice(0, -1).reduce((current, segment) => {
+        if (!isPlainObject(current[segment]) && !Array.isArray(current[segment])) current[segment] = {};
+        return current[segment];
+    }, object);
+    parent[segments[segments.length - 1]] = value;
+}
+
+/**
+ * Resolves the sub-schema describing provided dotted path.
+ * @param {Object} schema The root schema.
+ * @param {String} path Dotted path.
+ * @returns {Object} Returns an object with 'schema' (undefined if path is unconstrained), 'parent' schema and 'name' of the last segment, or with 'error' if path is not allowed.
+ */
+function resolveSchemaPath(schema, path) {
+    let current = schema, parent = null, name = null;
+
+    // Loop through all the segments of the path.
+    for (const segment of path.split('.')) {
+        // If path is unconstrained so are all its descendants.
+        if (!current) return { schema: undefined, parent: null, name: segment };
+
+        parent = current;
+        name = segment;
+
+        // Descend into the property ..
+        if (current.properties && current.properties[segment]) current = current.properties[segment];
+        // .. or into the array items ..
+        else if (current.items && (/^\d+$/.test(segment) || segment.startsWith('$'))) current = Array.isArray(current.items) ? undefined : current.items;
+        // .. or into additional properties schema ..
+        else if (typeof current.additionalProperties === 'object') current = current.additionalProperties;
+        // .. unless additional properties are not allowed ..
+        else if (current.additionalProperties === false) return { error: 'is not allowed by the schema' };
+        // .. otherwise path is unconstrained.
+        else current = undefined;
+    }
+
+    // Return the resolved schema.
+    return { schema: current, parent, name };
+}
+
+/**
+ * Validates provided value against the schema.
+ * @param {Object} schema The schema.
+ * @param {*} value Value to be validated.
+ * @param {String} path Path of the value used in error messages.
+ * @returns {[{path: String, message: String}]} Returns an array of all the offending paths.
+ */
+function validateAgainstSchema(schema, value, path) {
+    const errors = [];
+    const fail = (message, subPath) => errors.push({ path: subPath === undefined ? path || '<root>' : subPath, message });
+
+    // Validate the type.
+    const types = [].concat(schema.bsonType || [], schema.type || []);
+    if (types.length && !types.some((type) => isOfType(value, type))) {
+        fail(`must be of type ${types.join(' or ')}`);
+        // There is no point to validate anything else if the type is wrong.
+        return errors;
+    }
+
+    // Validate the enum.
+    if (Array.isArray(schema.enum) && !schema.enum.some((allowed) => valuesEqual(allowed, value)))
+        fail(`must be one of ${JSON.stringify(schema.enum)}`);
+
+    // Validate numeric constraints.
+    if (isNumeric(value)) {
+        if (schema.minimum !== undefined && Number(value) < schema.minimum) fail(`must be greater than or equal to ${schema.minimum}`);
+        if (schema.maximum !== undefined && Number(value) > schema.maximum) fail(`must be less than or equal to ${schema.maximum}`);
+    }
+
+    // Validate string constraints.
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters long`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters long`);
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) fail(`must match pattern ${schema.pattern}`);
+    }
+
+    // Validate arrays.
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must contain at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must contain at most ${schema.maxItems} items`);
+        // Validate every item against items schema.
+        if (schema.items && typeof schema.items === 'object')
+            value.forEach((item, index) => {
+                const itemSchema = Array.isArray(schema.items) ? schema.items[index] : schema.items;
+                if (itemSchema) validateAgainstSchema(itemSchema, item, joinPath(path, String(index))).forEach((error) => errors.push(error));
+            });
+    }
+
+    // Validate objects.
+    if (isPlainObject(value)) {
+        // Validate required properties.
+        if (Array.isArray(schema.required))
+            schema.required.filter((name) => value[name] === undefined).forEach((name) => fail('is required', joinPath(path, name)));
+
+        // Validate all the properties.
+        for (const name of Object.keys(value)) {
+            // Skip undefined values as they are not stored.
+            if (value[name] === undefined) continue;
+
+            // Validate the declared properties ..
+            if (schema.properties && schema.properties[name])
+                validateAgainstSchema(schema.properties[name], value[name], joinPath(path, name)).forEach((error) => errors.push(error));
+            // .. and the additional ones.
+            else if (schema.additionalProperties === false)
+                fail('is not allowed by the schema', joinPath(path, name));
+            else if (typeof schema.additionalProperties === 'object')
+                validateAgainstSchema(schema.additionalProperties, value[name], joinPath(path, name)).forEach((error) => errors.push(error));
+        }
+    }
+
+    // Return all the errors.
+    return errors;
+}
+
+/**
+ * Answers a question whether provided schema allows provided type.
+ * @param {Object} schema The schema.
+ * @param {String} type Type name.
+ * @returns {Boolean} Returns true if schema doesn't declare types or declares provided one.
+ */
+function allowsType(schema, type) {
+    const types = [].concat(schema.bsonType || [], schema.type || []);
+    return types.length === 0 || types.includes(type);
+}
+
+/**
+ * Runs provided callback within a multi-document transaction, retrying the transaction and the commit as described by withTransactionAsync.
+ * @param {Db} db Database the transaction will be run against.
+ * @param {Function} callback Async function receiving the transaction scope.
+ * @param {Number} maxRetries Maximum number of retries of the transaction and of the commit.
+ * @param {Object=} sessionOptions Settings of the session.
+ * @param {Object} transactionOptions Settings of the transaction.
+ * @returns {Promise<*>} Returns the promise of running the transaction resolved with the value returned by the callback.
+ */
+async function runTransactionAsync(db, callback, maxRetries, sessionOptions, transactionOptions) {
+    // Start the session.
+    const session = db.topology.startSession(sessionOptions);
+
+    try {
+        // Run the transaction until it is committed or retries are exhausted.
+        for (let attempt = 0; ; attempt++) {
+            session.startTransaction(transactionOptions);
+
+            let result;
+            try {
+                // Run the callback providing it the transaction scope.
+                result = await callback(new TransactionScope(db, session));
+            } catch (error) {
+                // Abort the transaction if it is still running, ignoring the errors as the original one is more relevant.
+                if (session.inTransaction()) await session.abortTransaction().catch(() => { });
+                // If the error is transient and there are retries left try again ..
+                if (hasErrorLabel(error, 'TransientTransactionError') && attempt < maxRetries) continue;
+                // .. otherwise rethrow it.
+                throw error;
+            }
+
+            // Commit the transaction and return the result of the callback.
+            let committed;
+            try {
+                committed = await commitTransactionAsync(session, maxRetries, attempt < maxRetries);
+            } finally {
+                // Invalidate cached reads of the written collections again, as reads made before the commit may have cached their previous state.
+                await invalidateTransactionWritesAsync(session);
+            }
+            if (committed) return result;
+        }
+    } finally {
+        // End the session regardless of the outcome.
+        transactionWrites.delete(session);
+        session.endSession();
+    }
+}
+
+/**
+ * Commits the transaction retrying the commit on 'UnknownTransactionCommitResult' error label.
+ * @param {ClientSession} session The session of the transaction.
+ * @param {Number} maxRetries Maximum number of commit retries.
+ * @param {Boolean} canRetryTransaction Whether the whole transaction can be retried on 'TransientTransactionError'.
+ * @returns {Promise<Boolean>} Returns the promise resolved with true if transaction has been committed or false if the whole transaction should be retried.
+ */
+async function commitTransactionAsync(session, maxRetries, canRetryTransaction) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            // Commit the transaction.
+            await session.commitTransaction();
+            return true;
+        } catch (error) {
+            // If result of the commit is unknown and there are retries left try committing again.
+            if (hasErrorLabel(error, 'UnknownTransactionCommitResult') && attempt < maxRetries) continue;
+            // If the error is transient and the transaction can be retried, ask for it.
+            if (hasErrorLabel(error, 'TransientTransactionError') && canRetryTransaction) return false;
+            // Otherwise rethrow the error.
+            throw error;
+        }
+    }
+}
+
+/**
+ * Answers a question whether provided error has provided label.
+ * @param {Error} error The error.
+ * @param {String} label The label.
+ * @returns {Boolean} Returns true if error has the label, otherwise returns false.
+ */
+function hasErrorLabel(error, label) {
+    // Check the original error of the mapped ones.
+    if (error instanceof DatabaseError) return hasErrorLabel(error.cause, label);
+    // Use driver method if available ..
+    if (error && typeof error.hasErrorLabel === 'function') return error.hasErrorLabel(label);
+    // .. otherwise check the labels directly.
+    return Boolean(error && Array.isArray(error.errorLabels) && error.errorLabels.includes(label));
+}
+
+/**
+ * Transaction scope exposing the CRUD functions bound to the database and the session of the transaction.
+ */
+class TransactionScope {
+    /**
+     * Creates the transaction scope.
+     * @param {Db} db Database the transaction is run against.
+     * @param {ClientSession} session The session of the transaction.
+     */
+    constructor(db, session) {
+        this.db = db;
+        this.session = session;
+    }
+
+    /**
+     * Calls insertOneAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} objectToInsert Object to be inserted to database.
+     * @param {ObjectID=} _id The ObjectID under which object will be indexed within database.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by insertOneAsync.
+     */
+    insertOneAsync(collectionKey, objectToInsert, _id, options) {
+        return insertOneAsync(this.db, collectionKey, objectToInsert, _id, this.withSession(options));
+    }
+
+    /**
+     * Calls insertManyAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {[Object]} objectsToInsert Array of objects to be inserted to database.
+     * @param {[ObjectID]=} _ids Array of ObjectID under which objects will be indexed within database.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by insertManyAsync.
+     */
+    insertManyAsync(collectionKey, objectsToInsert, _ids, options) {
+        return insertManyAsync(this.db, collectionKey, objectsToInsert, _ids, this.withSession(options));
+    }
+
+    /**
+     * Calls findOneAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by findOneAsync.
+     */
+    findOneAsync(collectionKey, selector, options) {
+        return findOneAsync(this.db, collectionKey, selector, this.withSession(options));
+    }
+
+    /**
+     * Calls findAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by findAsync.
+     */
+    findAsync(collectionKey, selector, options) {
+        return findAsync(this.db, collectionKey, selector, this.withSession(options));
+    }
+
+    /**
+     * Calls findManyAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by findManyAsync.
+     */
+    findManyAsync(collectionKey, selector, options) {
+        return findManyAsync(this.db, collectionKey, selector, this.withSession(options));
+    }
+
+    /**
+     * Calls findStream providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {AsyncIterable} Returns the async iterable returned by findStream.
+     */
+    findStream(collectionKey, selector, options) {
+        return findStream(this.db, collectionKey, selector, this.withSession(options));
+    }
+
+    /**
+     * Calls findPageAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by findPageAsync.
+     */
+    findPageAsync(collectionKey, selector, options) {
+        return findPageAsync(this.db, collectionKey, selector, this.withSession(options));
+    }
+
+    /**
+     * Calls updateOneAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object} updateQuery The query based on which database entries will be updated.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by updateOneAsync.
+     */
+    updateOneAsync(collectionKey, selector, updateQuery, options) {
+        return updateOneAsync(this.db, collectionKey, selector, updateQuery, this.withSession(options));
+    }
+
+    /**
+     * Calls updateManyAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object} updateQuery The query based on which database entries will be updated.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by updateManyAsync.
+     */
+    updateManyAsync(collectionKey, selector, updateQuery, options) {
+        return updateManyAsync(this.db, collectionKey, selector, updateQuery, this.withSession(options));
+    }
+
+    /**
+     * Calls deleteOneAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by deleteOneAsync.
+     */
+    deleteOneAsync(collectionKey, selector, options) {
+        return deleteOneAsync(this.db, collectionKey, selector, this.withSession(options));
+    }
+
+    /**
+     * Calls deleteManyAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by deleteManyAsync.
+     */
+    deleteManyAsync(collectionKey, selector, options) {
+        return deleteManyAsync(this.db, collectionKey, selector, this.withSession(options));
+    }
+
+    /**
+     * Calls findOneAndUpdateAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object} updateQuery The query based on which database entries will be updated.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by findOneAndUpdateAsync.
+     */
+    findOneAndUpdateAsync(collectionKey, selector, updateQuery, options) {
+        return findOneAndUpdateAsync(this.db, collectionKey, selector, updateQuery, this.withSession(options));
+    }
+
+    /**
+     * Calls findOneAndReplaceAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object} replacement The object replacing the entry.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by findOneAndReplaceAsync.
+     */
+    findOneAndReplaceAsync(collectionKey, selector, replacement, options) {
+        return findOneAndReplaceAsync(this.db, collectionKey, selector, replacement, this.withSession(options));
+    }
+
+    /**
+     * Calls findOneAndDeleteAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by findOneAndDeleteAsync.
+     */
+    findOneAndDeleteAsync(collectionKey, selector, options) {
+        return findOneAndDeleteAsync(this.db, collectionKey, selector, this.withSession(options));
+    }
+
+    /**
+     * Calls replaceOneAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object} replacement The object replacing the entry.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by replaceOneAsync.
+     */
+    replaceOneAsync(collectionKey, selector, replacement, options) {
+        return replaceOneAsync(this.db, collectionKey, selector, replacement, this.withSession(options));
+    }
+
+    /**
+     * Calls upsertOneAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object} updateQuery The query based on which database entries will be updated.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by upsertOneAsync.
+     */
+    upsertOneAsync(collectionKey, selector, updateQuery, options) {
+        return upsertOneAsync(this.db, collectionKey, selector, updateQuery, this.withSession(options));
+    }
+
+    /**
+     * Calls bulkWriteAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {[Object]} operations Array of operations.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by bulkWriteAsync.
+     */
+    bulkWriteAsync(collectionKey, operations, options) {
+        return bulkWriteAsync(this.db, collectionKey, operations, this.withSession(options));
+    }
+
+    /**
+     * Calls restoreOneAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by restoreOneAsync.
+     */
+    restoreOneAsync(collectionKey, selector, options) {
+        return restoreOneAsync(this.db, collectionKey, selector, this.withSession(options));
+    }
+
+    /**
+     * Calls restoreManyAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Object} selector Filter by which database entries will be filtered out.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by restoreManyAsync.
+     */
+    restoreManyAsync(collectionKey, selector, options) {
+        return restoreManyAsync(this.db, collectionKey, selector, this.withSession(options));
+    }
+
+    /**
+     * Calls purgeDeletedAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {Date|Number} olderThan Date before which the entries must have been deleted, or the number of milliseconds that must have passed since their deletion.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by purgeDeletedAsync.
+     */
+    purgeDeletedAsync(collectionKey, olderThan, options) {
+        return purgeDeletedAsync(this.db, collectionKey, olderThan, this.withSession(options));
+    }
+
+    /**
+     * Calls getHistoryAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {*} _id The _id of the entry.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by getHistoryAsync.
+     */
+    getHistoryAsync(collectionKey, _id, options) {
+        return getHistoryAsync(this.db, collectionKey, _id, this.withSession(options));
+    }
+
+    /**
+     * Calls revertToVersionAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {*} _id The _id of the entry.
+     * @param {Number} version The version of the audit record to revert to.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by revertToVersionAsync.
+     */
+    revertToVersionAsync(collectionKey, _id, version, options) {
+        return revertToVersionAsync(this.db, collectionKey, _id, version, this.withSession(options));
+    }
+
+    /**
+     * Calls aggregateAsync providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {[Object]|PipelineBuilder} pipeline The pipeline or the builder of it.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {Promise} Returns the promise returned by aggregateAsync.
+     */
+    aggregateAsync(collectionKey, pipeline, options) {
+        return aggregateAsync(this.db, collectionKey, pipeline, this.withSession(options));
+    }
+
+    /**
+     * Calls aggregateStream providing it the database and the session of the transaction.
+     * @param {String} collectionKey The key of the collection.
+     * @param {[Object]|PipelineBuilder} pipeline The pipeline or the builder of it.
+     * @param {Object=} options Optional settings, the session of the transaction is added to them.
+     * @returns {AsyncIterable} Returns the async iterable returned by aggregateStream.
+     */
+    aggregateStream(collectionKey, pipeline, options) {
+        return aggregateStream(this.db, collectionKey, pipeline, this.withSession(options));
+    }
+
+    /**
+     * Adds the session of the transaction to provided options.
+     * @param {Object=} options Optional settings.
+     * @returns {Object} Returns the copy of options containing the session.
+     */
+    withSession(options) {
+        return Object.assign({}, options, { session: this.session });
+    }
+}
+
+// Secret used to sign continuation tokens.
+let continuationTokenSecret = crypto.randomBytes(32);
+
+/**
+ * Iterates over the cursor fetching the entries in batches and closes it once the iteration is finished.
+ * @param {Function} getCursorAsync Function returning the promise of the cursor.
+ * @param {Number} batchSize Number of entries fetched at once.
+ * @param {Boolean} yieldBatches Whether to yield arrays of entries instead of single entries.
+ * @returns {AsyncIterable<Object|[Object]>} Async iterable of entries.
+ */
+async function* iterateCursorAsync(getCursorAsync, batchSize, yieldBatches) {
+    // Obtain the cursor.
+    const cursor = await getCursorAsync();
+
+    try {
+        let batch = [];
+        // Loop through the entries until the cursor is exhausted.
+        for (let entry = await nextEntryAsync(cursor); entry !== null; entry = await nextEntryAsync(cursor)) {
+            // If single entries are requested, yield the entry and wait for the consumer to ask for the next one.
+            if (!yieldBatches) { yield entry; continue; }
+
+            // Otherwise collect the batch and yield it once it is full.
+            batch.push(entry);
+            if (batch.length === batchSize) { yield batch; batch = []; }
+        }
+
+        // Yield the last incomplete batch.
+        if (batch.length) yield batch;
+    } finally {
+        // Close the cursor, even if the consumer broke out of the iteration.
+        await cursor.close();
+    }
+}
+
+/**
+ * Obtains the next entry from the cursor mapping driver errors.
+ * @param {Cursor} cursor The cursor.
+ * @returns {Promise<Object>} Returns the promise of the next entry or null if cursor is exhausted.
+ */
+function nextEntryAsync(cursor) {
+    return cursor.next().catch((error) => { throw mapDriverError(error); });
+}
+
+/**
+ * Creates signed continuation token.
+ * @param {{key: *, id: *}} position Sort key value and _id of the last entry of the page.
+ * @param {String} fingerprint Fingerprint of the query.
+ * @returns {String} Returns the token.
+ */
+function createContinuationToken(position, fingerprint) {
+    // Serialize the position.
+    const payload = Buffer.from(JSON.stringify(encodeTokenValue(position))).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+    // Return the payload with its signature.
+    return `${payload}.${signContinuationToken(payload, fingerprint)}`;
+}
+
+/**
+ * Decodes signed continuation token.
+ * @param {String} token The token.
+ * @param {String} fingerprint Fingerprint of the query.
+ * @returns {{key: *, id: *}} Returns sort key value and _id of the last entry of the previous page.
+ */
+function decodeContinuationToken(token, fingerprint) {
+    // Split the payload and the signature.
+    const [payload, signature] = typeof token === 'string' ? token.split('.') : [];
+    // If token is malformed, signed with another secret, tampered with or created for different query throw appropriate exception.
+    if (!payload || !signature || signature.length !== 43
+        || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(signContinuationToken(payload, fingerprint))))
+        throw new Error('Provided \'continuationToken\' is invalid or has been created for a different query.');
+
+    // Deserialize the position.
+    return decodeTokenValue(JSON.parse(Buffer.from(payload.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString()));
+}
+
+/**
+ * Signs the payload of the continuation token.
+ * @param {String} payload Serialized position.
+ * @param {String} fingerprint Fingerprint of the query.
+ * @returns {String} Returns the signature.
+ */
+function signContinuationToken(payload, fingerprint) {
+    return crypto.createHmac('sha256', continuationTokenSecret).update(`${payload}|${fingerprint}`).digest('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Converts value created by encodeTokenValue back.
+ * @param {*} value Value to be converted.
+ * @returns {*} Returns the original value.
+ */
+function decodeTokenValue(value) {
+    if (Array.isArray(value)) return value.map(decodeTokenValue);
+    if (value === null || typeof value !== 'object') return value;
+    if (typeof value.$oid === 'string') return new ObjectID(value.$oid);
+    if (typeof value.$date === 'number') return new Date(value.$date);
+    if (typeof value.$regex === 'string') return new RegExp(value.$regex, value.$flags);
+    return Object.keys(value).reduce((decoded, key) => { decoded[key] = decodeTokenValue(value[key]); return decoded; }, {});
+}
+
+/**
+ * Types of the values sorted together, in the order the database sorts them. The first one stands for null and missing values, which can't be selected by $type.
+ */
+const sortTypeBrackets = [null, ['double', 'int', 'long', 'decimal'], ['string', 'symbol'], ['object'], ['array'], ['binData'], ['objectId'], ['bool'], ['date'], ['timestamp'], ['regex']];
+
+/**
+ * Creates the selector of the entries following provided position in the order of the page. As range operators match only values of the same type,
+ * entries with the same sort key, entries with greater sort key of the same type and entries with sort key of following types are selected separately.
+ * @param {String} sortKey The name of the field the entries are sorted by.
+ * @param {Number} sortDirection Either 1 (ascending) or -1 (descending).
+ * @param {{key: *, id: *}} position Sort key value (not used when sorted by _id) and _id of the last entry of the previous page.
+ * @returns {Object} Returns the selector.
+ */
+function createSeekSelector(sortKey, sortDirection, position) {
+    const operator = sortDirection === 1 ? '$gt' : '$lt';
+    const key = sortKey === '_id' ? position.id : position.key;
+
+    // Select the entries with the same sort key and following _id (unless sorted by _id only) and the entries with following sort key of the same type.
+    const bracket = getTypeOrder(key) - 1;
+    const conditions = sortKey === '_id' ? [] : [{ [sortKey]: key, _id: { [operator]: position.id } }];
+    if (bracket !== 0) conditions.push({ [sortKey]: { [operator]: key } });
+
+    // Select the entries with sort key of the following types.
+    const following = sortTypeBrackets.filter((types, index) => sortDirection === 1 ? index > bracket : index < bracket);
+    if (following.includes(null)) conditions.push({ [sortKey]: null });
+    const types = [].concat(...following.filter((types) => types !== null));
+    if (types.length) conditions.push({ [sortKey]: { $type: types } });
+
+    // Return the selector.
+    return conditions.length === 1 ? conditions[0] : { $or: conditions };
+}
+
+/**
+ * Adds the sort key and _id to provided projection, removing the conditions of their parents and children, which would conflict or alter them.
+ * @param {Object} projection The projection.
+ * @param {String} sortKey The name of the field the entries are sorted by.
+ * @returns {Object} Returns the projection including the sort key and _id.
+ */
+function includePageKeys(projection, sortKey) {
+    const keys = [sortKey, '_id'];
+    const overlaps = (path) => keys.some((key) => path === key || key.startsWith(`${path}.`) || path.startsWith(`${key}.`));
+    // Find out whether the projection is an inclusion one.
+    const inclusive = Object.keys(projection).some((path) => path !== '_id' && (projection[path] === 1 || projection[path] === true));
+
+    // Remove the overlapping paths and include the keys if the projection is an inclusion one.
+    const result = Object.keys(projection).filter((path) => !overlaps(path)).reduce((copy, path) => { copy[path] = projection[path]; return copy; }, {});
+    if (inclusive) keys.forEach((key) => { result[key] = 1; });
+    return result;
+}
+
+/**
+ * Returns provided value or null if it is undefined.
+ * @param {*} value The value.
+ * @returns {*} Returns the value or null.
+ */
+function valueOrNull(value) {
+    return value === undefined ? null : value;
+}
+
+/**
+ * Answer's a question whether provided replacement is valid.
+ * @param {Object} replacement Replacement to be validated.
+ * @returns {Boolean} Returns true if provided replacement is a non-null object without update operators, otherwise returns false.
+ */
+function validateReplacement(replacement) {
+    return typeof replacement === 'object' && replacement !== null && !Array.isArray(replacement)
+        && Object.keys(replacement).every((key) => !key.startsWith('$'));
+}
+
+/**
+ * Translates returnDocument setting of find-and-modify functions into the setting of the driver.
+ * @param {Object=} options Optional settings.
+ * @returns {Object} Returns the copy of the settings understood by the driver.
+ */
+function getFindAndModifyOptions(options) {
+    // Split returnDocument setting from the others.
+    const { returnDocument = 'before', ...driverOptions } = options || {};
+    // If provided returnDocument is neither 'before' nor 'after' throw appropriate exception.
+    if (returnDocument !== 'before' && returnDocument !== 'after') throw new TypeError('Provided \'returnDocument\' must be either \'before\' or \'after\'.');
+
+    // Return the driver settings.
+    return Object.assign(driverOptions, { returnOriginal: returnDocument === 'before' });
+}
+
+/**
+ * Executes validated bulk operations chunk by chunk, as described by bulkWriteAsync.
+ * @param {Db} db Database containing the collection.
+ * @param {String} collectionKey The key of the collection the operations will be executed against.
+ * @param {[Object]} operations Array of operations provided by the caller.
+ * @param {[Object]} driverOperations Array of matching driver operations.
+ * @param {{ordered: Boolean, maxChunkCount: Number, maxChunkBytes: Number, onProgress: Function}} settings Settings of the execution.
+ * @param {Object} driverOptions Settings passed to the driver.
+ * @returns {Promise<Object>} Returns the promise of the report of all the operations.
+ */
+async function executeBulkOperationsAsync(db, collectionKey, operations, driverOperations, settings, driverOptions) {
+    const { ordered, maxChunkCount, maxChunkBytes, onProgress } = settings;
+
+    // Create the report with a result for each of the operations.
+    const report = {
+        results: operations.map((operation, index) => ({ index, operation: Object.keys(operation)[0], outcome: 'skipped' })),
+        insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, writeConcernErrors: []
+    };
+
+    // Create the progress counters.
+    const progress = { processed: 0, total: operations.length, succeeded: 0, failed: 0 };
+    const countOutcome = (index) => {
+        const { outcome } = report.results[index];
+        if (outcome === 'skipped') return;
+        progress.processed++;
+        progress[outcome]++;
+    };
+
+    // Validate the operations against the schema registered for the collection.
+    const executable = [];
+    let orderedFailure = null;
+    for (let index = 0; index < operations.length; index++) {
+        try {
+            assertBulkOperationValid(collectionKey, operations[index], driverOperations[index]);
+            executable.push(index);
+        } catch (error) {
+            // In ordered mode nothing after the invalid operation can be executed and it fails only if all the preceding ones succeed ..
+            if (ordered) { orderedFailure = { index, error }; break; }
+            // .. otherwise schema violation fails just the operation.
+            Object.assign(report.results[index], { outcome: 'failed', error });
+            countOutcome(index);
+        }
+    }
+
+    // Execute the operations chunk by chunk.
+    let stopped = false;
+    for (const chunk of splitIntoChunks(executable, (index) => driverOperations[index], maxChunkCount, maxChunkBytes)) {
+        // Execute the chunk, invalidating cached reads of the collection both before and after it.
+        const chunkOperations = chunk.map((index) => driverOperations[index]);
+        await invalidateCacheAsync(collectionKey);
+        const { error, result } = await runAuditedBulkAsync(db, collectionKey, chunkOperations, driverOptions, () => new Promise((resolve) => {
+            db.collection(collectionKey).bulkWrite(chunkOperations, Object.assign(omitLibraryOptions(driverOptions), { ordered }),
+                (error, result) => resolve({ error, result }));
+        }));
+        await invalidateCacheAsync(collectionKey);
+
+        // Obtain bulk result, which is attached to the error if some of the operations failed.
+        const bulkResult = error ? error.result : result;
+
+        // If no bulk result is available the whole chunk failed (e.g. due to the network error) and the outcome of operations is unknown ..
+        if (!bulkResult || typeof bulkResult.getWriteErrors !== 'function') {
+            // .. so mark all of them as failed ..
+            chunk.forEach((index) => Object.assign(report.results[index], { outcome: 'failed', error: mapDriverError(error, collectionKey) }));
+            // .. and stop processing.
+            stopped = true;
+        } else {
+            // Otherwise apply the bulk result to the report.
+            stopped = applyBulkResult(report, collectionKey, chunk, driverOperations, bulkResult, ordered);
+        }
+
+        // Count the outcomes of the chunk and report the progress.
+        chunk.forEach(countOutcome);
+        if (onProgress) onProgress(Object.assign({}, progress));
+
+        // Stop if the chunk requires it.
+        if (stopped) break;
+    }
+
+    // If all the operations preceding the invalid one have been executed, mark it as failed.
+    if (orderedFailure && !stopped) {
+        Object.assign(report.results[orderedFailure.index], { outcome: 'failed', error: orderedFailure.error });
+        countOutcome(orderedFailure.index);
+        if (onProgress) onProgress(Object.assign({}, progress));
+    }
+
+    // Return the report.
+    return report;
+}
+
+// Properties of bulk operations holding the arguments which are translated to the driver ones.
+const bulkOperationArguments = {
+    insertOne: { objectToInsert: 'document' },
+    updateOne: { selector: 'filter', updateQuery: 'update' },
+    updateMany: { selector: 'filter', updateQuery: 'update' },
+    replaceOne: { selector: 'filter', replacement: 'replacement' },
+    deleteOne: { selector: 'filter' },
+    deleteMany: { selector: 'filter' }
+};
+
+/**
+ * Translates provided bulk operation into the driver one, validating its shape.
+ * @param {Object} operation Bulk operation.
+ * @param {Number} index Index of the operation used in error messages.
+ * @returns {Object} Returns the driver bulk operation.
+ */
+function toDriverBulkOperation(operation, index) {
+    // Obtain the type of the operation.
+    const type = operation !== null && typeof operation === 'object' && Object.keys(operation).length === 1 ? Object.keys(operation)[0] : undefined;
+    // If the type is not supported throw appropriate exception.
+    if (!bulkOperationArguments[type]) throw new TypeError(`Provided operation at index ${index} must be an object with a single property named as one of ${Object.keys(bulkOperationArguments)}.`);
+
+    // Obtain the arguments of the operation.
+    const args = operation[type];
+    // If arguments are not a non-null object throw appropriate exception.
+    if (typeof args !== 'object' || args === null) throw new TypeError(`Provided '${type}' operation at index ${index} must contain a non-null object.`);
+
+    // Validate the arguments the same way the matching functions do.
+    if (type === 'insertOne') {
+        if (typeof args.objectToInsert !== 'object' || args.objectToInsert === null) throw new TypeError(`Provided 'objectToInsert' of operation at index ${index} must be a non-null object.`);
+    } else {
+        if (typeof args.selector !== 'object' || args.selector === null) throw new TypeError(`Provided 'selector' of operation at index ${index} must be a non-null object.`);
+        if (args.updateQuery !== undefined || type.startsWith('update'))
+            assertUpdateQueryValid(args.updateQuery, `'updateQuery' of operation at index ${index}`);
+        assertSelectorValid(args.selector, `'selector' of operation at index ${index}`);
+        if (type === 'replaceOne' && !validateReplacement(args.replacement)) throw new TypeError(`Provided 'replacement' of operation at index ${index} must be a non-null object which keys don't start with '$'.`);
+    }
+
+    // Translate the arguments, passing the others (e.g. upsert, collation, arrayFilters) as they are.
+    const driverArgs = {};
+    for (const key of Object.keys(args)) {
+        if (key === '_id' && type === 'insertOne') continue;
+        driverArgs[bulkOperationArguments[type][key] || key] = args[key];
+    }
+    // Insert the copy of the object, so neither provided _id nor the stamps and the _id generated by the driver are written into the object of the caller.
+    if (type === 'insertOne') driverArgs.document = Object.assign({}, args.objectToInsert, args._id ? { _id: args._id } : {});
+
+    // Return the driver operation.
+    return { [type]: driverArgs };
+}
+
+/**
+ * Throws ValidationError if provided bulk operation doesn't satisfy the schema registered for the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Object} operation Bulk operation.
+ * @param {Object} driverOperation Matching driver operation, which inserted document is validated.
+ */
+function assertBulkOperationValid(collectionKey, operation, driverOperation) {
+    const { insertOne, updateOne, updateMany, replaceOne } = operation;
+    if (insertOne) assertDocumentsValid(collectionKey, [driverOperation.insertOne.document], false);
+    if (replaceOne) assertDocumentsValid(collectionKey, [replaceOne.replacement], false);
+    if (updateOne || updateMany) assertUpdateQuerySatisfiesSchema(collectionKey, (updateOne || updateMany).updateQuery, (updateOne || updateMany).selector, Boolean((updateOne || updateMany).upsert));
+}
+
+/**
+ * Splits provided items into chunks limited by the count and approximate serialized size.
+ * @param {[*]} items Items to be split.
+ * @param {Function} getPayload Function returning the payload of an item which size is measured.
+ * @param {Number} maxCount Maximum number of items in a chunk.
+ * @param {Number} maxBytes Maximum approximate size of a chunk. A single item exceeding it forms its own chunk.
+ * @returns {[[*]]} Returns an array of chunks.
+ */
+function splitIntoChunks(items, getPayload, maxCount, maxBytes) {
+    const chunks = [];
+    let chunk = [], chunkBytes = 0;
+
+    // Loop through all the items.
+    for (const item of items) {
+        // Estimate the size of the item.
+        const bytes = Buffer.byteLength(JSON.stringify(getPayload(item)) || '');
+        // If adding the item would exceed any of the limits start a new chunk.
+        if (chunk.length && (chunk.length >= maxCount || chunkBytes + bytes > maxBytes)) { chunks.push(chunk); chunk = []; chunkBytes = 0; }
+
+        chunk.push(item);
+        chunkBytes += bytes;
+    }
+
+    // Add the last chunk.
+    if (chunk.length) chunks.push(chunk);
+    return chunks;
+}
+
+/**
+ * Applies the result of a bulk write of a chunk to the report.
+ * @param {Object} report The report.
+ * @param {String} collectionKey The key of the collection.
+ * @param {[Number]} chunk Indexes of the operations the chunk is made of.
+ * @param {[Object]} driverOperations All the driver operations.
+ * @param {BulkWriteResult} bulkResult The result returned by the driver.
+ * @param {Boolean} ordered Whether operations are executed in order.
+ * @returns {Boolean} Returns true if processing must stop.
+ */
+function applyBulkResult(report, collectionKey, chunk, driverOperations, bulkResult, ordered) {
+    // Sum the counts.
+    report.insertedCount += bulkResult.nInserted || 0;
+    report.matchedCount += bulkResult.nMatched || 0;
+    report.modifiedCount += bulkResult.nModified || 0;
+    report.deletedCount += bulkResult.nRemoved || 0;
+    report.upsertedCount += bulkResult.getUpsertedIds().length;
+
+    // Collect write concern errors.
+    const writeConcernError = bulkResult.getWriteConcernError();
+    if (writeConcernError) report.writeConcernErrors.push(writeConcernError);
+
+    // Index write errors by the index of the operation within the chunk.
+    const writeErrors = new Map(bulkResult.getWriteErrors().map((writeError) => [writeError.index, writeError]));
+    // In ordered mode nothing after the first error has been executed.
+    const firstErrorIndex = writeErrors.size ? Math.min(...writeErrors.keys()) : Infinity;
+
+    // Loop through all the operations of the chunk.
+    chunk.forEach((index, chunkIndex) => {
+        const result = report.results[index];
+
+        // Mark the failed operations ..
+        if (writeErrors.has(chunkIndex)) Object.assign(result, { outcome: 'failed', error: mapDriverError(writeErrors.get(chunkIndex), collectionKey) });
+        // .. the ones which haven't been executed ..
+        else if (ordered && chunkIndex > firstErrorIndex) result.outcome = 'skipped';
+        // .. and the succeeded ones.
+        else {
+            result.outcome = 'succeeded';
+            if (driverOperations[index].insertOne) result.insertedId = driverOperations[index].insertOne.document._id;
+        }
+    });
+
+    // Add upserted ids.
+    bulkResult.getUpsertedIds().forEach((upserted) => report.results[chunk[upserted.index]].upsertedId = upserted._id);
+
+    // Stop if any operation failed in ordered mode.
+    return ordered && writeErrors.size > 0;
+}
+
+// Codes of the duplicate key errors.
+const duplicateKeyCodes = [11000, 11001, 12582];
+// Codes of the errors caused by exceeded time limits.
+const timeoutCodes = [50, 89, 262];
+// Codes of the errors caused by network failures or replica set state changes.
+const networkCodes = [6, 7, 91, 189, 9001, 10107, 11600, 11602, 13435, 13436];
+
+// Operations which can be repeated safely.
+const readOperations = ['find', 'findOne', 'findMany', 'aggregate'];
+
+// Retry policy applied to every CRUD function.
+const retryPolicy = { maxRetries: 2, initialDelayMS: 100, maxDelayMS: 5000, factor: 2, jitter: true, retryWrites: false };
+
+/**
+ * Validates provided retry policy settings and merges them with the global policy.
+ * @param {Object} policy Settings to be validated.
+ * @returns {Object} Returns the merged policy.
+ */
+function resolveRetryPolicy(policy) {
+    // Loop through all the settings ..
+    for (const key of Object.keys(retryPolicy)) {
+        // .. skip the ones which are not provided ..
+        if (policy[key] === undefined) continue;
+        // .. and throw appropriate exception if provided value is of a wrong type.
+        if (typeof policy[key] !== typeof retryPolicy[key] || (typeof policy[key] === 'number' && !(policy[key] >= 0)))
+            throw new TypeError(`Provided retry policy setting '${key}' must be ${typeof retryPolicy[key] === 'number' ? 'a non-negative number' : 'a boolean'}.`);
+    }
+
+    // Return the merged policy.
+    return Object.assign({}, retryPolicy, removeUndefined(policy));
+}
+
+/**
+ * Runs the operation, mapping driver errors and retrying it according to the retry policy.
+ * @param {String} operation The name of the operation.
+ * @param {String} collectionKey The key of the collection the operation is executed against.
+ * @param {Object=} options Settings of the operation, possibly containing 'retry' setting.
+ * @param {Function} execute Function receiving the settings of the operation without the settings handled by this module and returning the promise of executing it.
+ * @returns {Promise<*>} Returns the promise of executing the operation.
+ */
+async function runOperationAsync(operation, collectionKey, options, execute) {
+    // Split library settings from the settings of the operation.
+    const retry = options ? options.retry : undefined;
+    const operationOptions = omitLibraryOptions(options);
+    // Resolve the policy used for this call.
+    const policy = retry === false ? null : resolveRetryPolicy(typeof retry === 'object' && retry !== null ? retry : {});
+    // Decide whether the operation can be retried at all: writes only if allowed and nothing within a transaction.
+    const inTransaction = Boolean(operationOptions.session && typeof operationOptions.session.inTransaction === 'function' && operationOptions.session.inTransaction());
+    const maxRetries = policy && !inTransaction && (policy.retryWrites || readOperations.includes(operation)) ? policy.maxRetries : 0;
+
+    // Writes invalidate cached reads of the collection before they are executed, so reads running concurrently with them are not cached.
+    const isWrite = !readOperations.includes(operation);
+    if (isWrite) await invalidateCacheAsync(collectionKey);
+    // Writes within a transaction are visible only once it commits, so remember them to invalidate the cache after the commit as well.
+    if (isWrite && inTransaction) recordTransactionWrite(operationOptions.session, collectionKey);
+
+    try {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                // Execute the operation.
+                return await execute(options ? operationOptions : undefined);
+            } catch (error) {
+                // Map the error.
+                const mapped = mapDriverError(error, collectionKey);
+                // If the error is not retryable or there are no retries left rethrow it.
+                if (!(mapped instanceof DatabaseError && mapped.retryable) || attempt >= maxRetries) throw mapped;
+
+                // Wait before the next attempt.
+                await new Promise((resolve) => setTimeout(resolve, getRetryDelay(policy, attempt)));
+            }
+        }
+    } finally {
+        // Invalidate them again once the write is done, even if it failed, as it may have been partially applied.
+        if (isWrite) await invalidateCacheAsync(collectionKey);
+    }
+}
+
+/**
+ * Computes the delay before the retry using exponential backoff with optional jitter.
+ * @param {Object} policy Retry policy.
+ * @param {Number} attempt Zero based index of the failed attempt.
+ * @returns {Number} Returns the delay in milliseconds.
+ */
+function getRetryDelay(policy, attempt) {
+    // Compute exponential delay limited by the maximum one.
+    const delay = Math.min(policy.maxDelayMS, policy.initialDelayMS * Math.pow(policy.factor, attempt));
+    // Randomize it if jitter is enabled.
+    return policy.jitter ? Math.random() * delay : delay;
+}
+
+/**
+ * Obtains the description of the duplicate key from the duplicate key error.
+ * @param {Error} error The duplicate key error.
+ * @returns {{index: String, keyValue: Object}} Returns the name of the index and the offending fields and values (null if they can't be determined).
+ */
+function parseDuplicateKey(error) {
+    const message = error.errmsg || error.message || '';
+
+    // Obtain the name of the index.
+    const indexMatch = /index: (\S+)/.exec(message);
+    const index = indexMatch ? indexMatch[1] : undefined;
+
+    // Use the fields and values reported by the server if available.
+    if (error.keyValue && typeof error.keyValue === 'object') return { index, keyValue: error.keyValue };
+
+    // Otherwise parse them from the message, e.g. 'dup key: { email: "a@b.c" }' or 'dup key: { : "a@b.c" }' reported by older servers.
+    const keyMatch = /dup key: \{ ?(\S*?): (.*?) ?\}$/.exec(message);
+    if (!keyMatch) return { index, keyValue: null };
+
+    // Older servers don't report the field name, so derive it from the name of the index (e.g. 'email_1').
+    const key = keyMatch[1] || (index ? index.replace(/_-?1$|_(text|hashed|2d|2dsphere)$/, '') : '');
+    // Parse the value if it is a valid JSON, otherwise leave it as reported.
+    let value = keyMatch[2];
+    try { value = JSON.parse(value); } catch (error) { }
+
+    return { index, keyValue: { [key]: value } };
+}
+
+// Map containing the settings of the collections configured through configureCollection indexed by the collection keys.
+const collectionSettings = new Map();
+
+// Settings of the calls which are handled by this module and are not passed to the driver.
+const libraryOptionKeys = ['retry', 'withDeleted', 'actor', 'permanent', 'expectedVersion', 'cache'];
+
+/**
+ * Returns the copy of provided options without the settings which are handled by this module.
+ * @param {Object=} options Optional settings.
+ * @returns {Object} Returns the settings to be passed to the driver.
+ */
+function omitLibraryOptions(options) {
+    return Object.keys(options || {}).reduce((driverOptions, key) => {
+        if (!libraryOptionKeys.includes(key)) driverOptions[key] = options[key];
+        return driverOptions;
+    }, {});
+}
+
+/**
+ * Returns soft delete settings of the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Boolean=} required Whether to throw if soft delete mode is not enabled for the collection.
+ * @returns {Object} Returns the settings or null if soft delete mode is not enabled.
+ */
+function getSoftDeleteSettings(collectionKey, required) {
+    // Obtain the settings.
+    const settings = (collectionSettings.get(collectionKey) || {}).softDelete || null;
+    // If settings are required but soft delete is not enabled throw appropriate exception.
+    if (!settings && required) throw new Error(`Soft delete mode is not enabled for '${collectionKey}' collection.`);
+    return settings;
+}
+
+/**
+ * Adds the condition excluding soft-deleted entries to the selector, unless soft delete is not enabled for the collection
+ * or the deleted entries have been explicitly requested by 'withDeleted' setting. Own condition of the deletedAt field is kept and combined by $and.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Object=} selector The selector.
+ * @param {Object=} options Settings of the call.
+ * @returns {Object} Returns the selector to be used.
+ */
+function excludeSoftDeleted(collectionKey, selector, options) {
+    // Obtain soft delete settings.
+    const settings = getSoftDeleteSettings(collectionKey);
+    // If soft delete is not enabled or deleted entries have been requested use the selector as it is.
+    if (!settings || (options && options.withDeleted)) return selector;
+
+    // Return the selector matching only entries which are not deleted. $in is used instead of the equality, so upserts don't copy the field into inserted entries.
+    return addFieldCondition(selector, settings.deletedAtField, { $in: [null] });
+}
+
+/**
+ * Rethrows the error of the upsert, replacing the duplicate key error caused by the soft-deleted entry matching the selector by SoftDeletedEntryError.
+ * As the soft-deleted entries are excluded, the upsert tries to insert a new entry, which fails if it would take the _id of the soft-deleted one.
+ * @param {Db} db The database containing the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Object} selector The selector of the caller, without the soft delete condition.
+ * @param {Object=} options Settings of the call.
+ * @param {Error} error The error of the upsert.
+ * @returns {Promise} Returns the promise rejected either with SoftDeletedEntryError or with the error as it is.
+ */
+function rejectSoftDeletedUpsertAsync(db, collectionKey, selector, options, error) {
+    // Obtain soft delete settings.
+    const settings = getSoftDeleteSettings(collectionKey);
+    // If the error isn't a duplicate key error of the upsert excluding soft-deleted entries rethrow it.
+    if (!(error instanceof DuplicateKeyError) || !settings || !(options && options.upsert) || options.withDeleted) return Promise.reject(error);
+
+    // Look for the soft-deleted entry matching the selector, outside of the failed transaction.
+    const deletedSelector = addFieldCondition(selector, settings.deletedAtField, { $ne: null });
+    return findOneAsync(db, collectionKey, deletedSelector, { withDeleted: true, projection: { _id: 1 } }).then((entry) => {
+        throw entry ? new SoftDeletedEntryError(collectionKey, entry._id, error) : error;
+    }, () => { throw error; });
+}
+
+/**
+ * Adds the condition of the field to the selector, combining them by $and if the selector already conditions the field, so its own condition is kept.
+ * @param {Object=} selector The selector.
+ * @param {String} field The name of the field.
+ * @param {*} condition The condition of the field.
+ * @returns {Object} Returns the selector containing the condition.
+ */
+function addFieldCondition(selector, field, condition) {
+    return selector && selector[field] !== undefined ? { $and: [selector, { [field]: condition }] } : Object.assign({}, selector, { [field]: condition });
+}
+
+/**
+ * Answers a question whether delete operation should mark entries as deleted instead of removing them.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Object=} options Settings of the call.
+ * @returns {Boolean} Returns true if soft delete is enabled and permanent removal hasn't been requested.
+ */
+function isSoftDeleteApplied(collectionKey, options) {
+    return Boolean(getSoftDeleteSettings(collectionKey)) && !(options && options.permanent);
+}
+
+/**
+ * Returns the update query marking entries as deleted.
+ * @param {Object} settings Soft delete settings.
+ * @param {Object=} options Settings of the call, which 'actor' is stored as deletedBy.
+ * @returns {Object} Returns the update query.
+ */
+function getSoftDeleteUpdate(settings, options) {
+    return { $set: { [settings.deletedAtField]: new Date(), [settings.deletedByField]: options && options.actor !== undefined ? options.actor : null } };
+}
+
+/**
+ * Marks the entries found based on the provided selector as deleted.
+ * @param {String} operation Either 'deleteOne', 'deleteMany' or 'findOneAndDelete'.
+ * @param {Db} db The database containing the entries.
+ * @param {String} collectionKey The key of the collection containing the entries.
+ * @param {Object} selector The filter based on which database entries will be found.
+ * @param {Object=} options Settings of the call.
+ * @returns {Promise<*>} Returns the promise of marking the entries as deleted, resolved with the result resembling the one of the matching delete operation.
+ */
+function softDeleteAsync(operation, db, collectionKey, selector, options) {
+    // Obtain soft delete settings.
+    const settings = getSoftDeleteSettings(collectionKey, true);
+    // Match only entries which are not deleted yet.
+    const activeSelector = addFieldCondition(selector, settings.deletedAtField, null);
+    const update = stampUpdateQuery(collectionKey, getSoftDeleteUpdate(settings, options));
+
+    // Return the promise of marking the entries as deleted.
+    return runAuditedAsync(db, collectionKey, operation === 'deleteMany' ? 'softDeleteMany' : 'softDeleteOne', activeSelector, options, operation === 'deleteMany', (activeSelector, session) => runOperationAsync(operation, collectionKey, withSessionOption(options, session), (options) => new Promise((resolve, reject) => {
+        // Handles the result of the update.
+        const callback = (error, result) => {
+            // If error has been returned ..
+            if (error)
+                // .. use it as a rejection argument while rejecting the promise.
+                reject(error);
+            // Otherwise if entry has been found and deleted ..
+            else if (operation === 'findOneAndDelete')
+                // .. resolve the promise using the entry as a completion argument.
+                resolve(result.value);
+            // Otherwise ..
+            else
+                // .. resolve the promise using the update result, counting marked entries as deleted ones.
+                resolve(Object.assign(result, { deletedCount: result.modifiedCount }));
+        };
+
+        // Mark the entries as deleted.
+        if (operation === 'findOneAndDelete') db.collection(collectionKey).findOneAndUpdate(activeSelector, update, Object.assign({}, options, { returnOriginal: true }), callback);
+        else db.collection(collectionKey)[operation === 'deleteOne' ? 'updateOne' : 'updateMany'](activeSelector, update, Object.assign({}, options), callback);
+    })));
+}
+
+/**
+ * Applies soft delete mode of the collection to the driver bulk operation: deletes are turned into updates marking the entries as deleted
+ * and the other operations skip deleted entries unless 'withDeleted' setting is true.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Object} driverOperation The driver bulk operation.
+ * @param {Object=} options Settings of the call.
+ * @returns {Object} Returns the driver bulk operation to be executed.
+ */
+function applySoftDeleteToBulkOperation(collectionKey, driverOperation, options) {
+    // Obtain soft delete settings.
+    const settings = getSoftDeleteSettings(collectionKey);
+    // If soft delete is not enabled or operation is an insert leave the operation as it is.
+    if (!settings || driverOperation.insertOne) return driverOperation;
+
+    const [type] = Object.keys(driverOperation);
+    const args = driverOperation[type];
+
+    // Turn deletes into updates marking the entries as deleted, unless permanent removal has been requested.
+    if ((type === 'deleteOne' || type === 'deleteMany') && isSoftDeleteApplied(collectionKey, options))
+        return { [type === 'deleteOne' ? 'updateOne' : 'updateMany']: Object.assign({}, args, { filter: addFieldCondition(args.filter, settings.deletedAtField, null), update: getSoftDeleteUpdate(settings, options) }) };
+
+    // Skip deleted entries.
+    return { [type]: Object.assign({}, args, { filter: excludeSoftDeleted(collectionKey, args.filter, options) }) };
+}
+
+/**
+ * Restores the soft-deleted entries found based on the provided selector.
+ * @param {String} operation Either 'updateOne' or 'updateMany'.
+ * @param {Db} db The database containing the entries.
+ * @param {String} collectionKey The key of the collection containing the entries.
+ * @param {Object} selector The filter based on which database entries will be found.
+ * @param {Object=} options Settings of the call.
+ * @returns {Promise<CommandResult>} Returns the promise of restoring the entries.
+ */
+function restoreAsync(operation, db, collectionKey, selector, options) {
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+    // If provided selector is not a non-null object throw appropriate exception.
+    if (typeof selector !== 'object' || selector === null) throw new TypeError('Provided \'selector\' must be a non-null object.');
+    // If provided selector contains invalid query operators throw appropriate exception.
+    assertSelectorValid(selector);
+
+    // Obtain soft delete settings, which throws if soft delete is not enabled.
+    const { deletedAtField, deletedByField } = getSoftDeleteSettings(collectionKey, true);
+    // Match only deleted entries.
+    const deletedSelector = addFieldCondition(selector, deletedAtField, { $ne: null });
+    // Remove the deletion marks, bumping modification date and version if the collection requires it.
+    const restoreUpdate = stampUpdateQuery(collectionKey, { $unset: { [deletedAtField]: '', [deletedByField]: '' } });
+
+    // Return the promise of restoring the entries.
+    return runAuditedAsync(db, collectionKey, operation === 'updateMany' ? 'restoreMany' : 'restoreOne', deletedSelector, options, operation === 'updateMany', (deletedSelector, session) => runOperationAsync(operation, collectionKey, withSessionOption(options, session), (options) => new Promise((resolve, reject) => {
+        // Remove the deletion marks.
+        db.collection(collectionKey)[operation](deletedSelector, restoreUpdate, Object.assign({}, options), (error, result) => {
+            // If error has been returned ..
+            if (error)
+                // .. use it as a rejection argument while rejecting the promise.
+                reject(error);
+            // Otherwise ..
+            else
+                // .. resolve the promise using the update result as a completion argument.
+                resolve(result);
+        });
+    })));
+}
+
+/**
+ * Stamps creation date, modification date and version on the objects to be inserted, if the collection requires it.
+ * Values which have been provided are left as they are.
+ * @param {String} collectionKey The key of the collection.
+ * @param {[Object]} objects Objects to be inserted.
+ */
+function stampInsertedDocuments(collectionKey, objects) {
+    const { timestamps, versioning } = collectionSettings.get(collectionKey) || {};
+    // If neither timestamps nor versioning are enabled there is nothing to stamp.
+    if (!timestamps && !versioning) return;
+
+    // Use the same date for all the objects.
+    const now = new Date();
+    objects.forEach((object) => {
+        // Skip invalid objects, they are rejected by the driver.
+        if (typeof object !== 'object' || object === null) return;
+        if (timestamps && object[timestamps.createdAtField] === undefined) object[timestamps.createdAtField] = now;
+        if (timestamps && object[timestamps.updatedAtField] === undefined) object[timestamps.updatedAtField] = now;
+        if (versioning && object[versioning.versionField] === undefined) object[versioning.versionField] = 1;
+    });
+}
+
+/**
+ * Returns the copy of the update query bumping modification date and version, if the collection requires it.
+ * Paths which are already affected by the update query are left as they are.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Object|[Object]} updateQuery Valid update query.
+ * @param {Object=} options Settings of the call, which 'upsert' decides whether creation date is stamped on insert.
+ * @returns {Object|[Object]} Returns the update query to be executed.
+ */
+function stampUpdateQuery(collectionKey, updateQuery, options) {
+    const { timestamps, versioning } = collectionSettings.get(collectionKey) || {};
+    // If neither timestamps nor versioning are enabled there is nothing to stamp.
+    if (!timestamps && !versioning) return updateQuery;
+
+    const now = new Date();
+    // Aggregation pipeline updates get an additional stage.
+    if (Array.isArray(updateQuery)) {
+        const stage = {};
+        if (timestamps) stage[timestamps.updatedAtField] = now;
+        if (timestamps && options && options.upsert) stage[timestamps.createdAtField] = { $ifNull: [`$${timestamps.createdAtField}`, now] };
+        if (versioning) stage[versioning.versionField] = { $add: [{ $ifNull: [`$${versioning.versionField}`, 0] }, 1] };
+        return updateQuery.concat([{ $set: stage }]);
+    }
+
+    // Collect the paths which are already affected.
+    const affected = Object.keys(updateQuery).reduce((paths, operator) => paths.concat(Object.keys(updateQuery[operator]),
+        operator === '$rename' ? Object.values(updateQuery[operator]) : []), []);
+    const isFree = (path) => !affected.some((affectedPath) => pathsConflict(affectedPath, path));
+
+    // Copy the update query and its operators, so the query provided by the caller is not modified.
+    const stamped = Object.keys(updateQuery).reduce((copy, operator) => { copy[operator] = Object.assign({}, updateQuery[operator]); return copy; }, {});
+    const add = (operator, path, value) => { if (isFree(path)) stamped[operator] = Object.assign(stamped[operator] || {}, { [path]: value }); };
+
+    // Bump the modification date, stamp the creation date on upsert and increment the version.
+    if (timestamps) add('$set', timestamps.updatedAtField, now);
+    if (timestamps && options && options.upsert) add('$setOnInsert', timestamps.createdAtField, now);
+    if (versioning) add('$inc', versioning.versionField, 1);
+
+    return stamped;
+}
+
+/**
+ * Returns the update pipeline replacing the entry by the replacement while keeping its creation date, bumping its modification date and incrementing its version,
+ * if the collection requires it. Such values of the replacement are overridden, so e.g. the state of a previous version doesn't reset the version.
+ * As the pipeline refers to the replaced entry, it requires MongoDB 4.2 or newer.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Object} replacement Valid replacement.
+ * @returns {[Object]} Returns the update pipeline or null if neither timestamps nor versioning are enabled.
+ */
+function getReplacementPipeline(collectionKey, replacement) {
+    const { timestamps, versioning } = collectionSettings.get(collectionKey) || {};
+    // If neither timestamps nor versioning are enabled the replacement is used as it is.
+    if (!timestamps && !versioning) return null;
+
+    const now = new Date();
+    const stamps = {};
+    if (timestamps) stamps[timestamps.createdAtField] = { $ifNull: [`$${timestamps.createdAtField}`, now] };
+    if (timestamps) stamps[timestamps.updatedAtField] = now;
+    if (versioning) stamps[versioning.versionField] = { $add: [{ $ifNull: [`$${versioning.versionField}`, 0] }, 1] };
+
+    // Replace the entry keeping its _id, the replacement is taken literally, so its values are not evaluated as expressions.
+    return [{ $replaceWith: { $mergeObjects: [{ _id: '$_id' }, { $literal: replacement }, stamps] } }];
+}
+
+/**
+ * Adds the expected version to the selector, if it has been provided. Expected version can't be combined with upsert.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Object} selector The selector.
+ * @param {Object=} options Settings of the call, possibly containing 'expectedVersion'.
+ * @returns {Object} Returns the selector to be used.
+ */
+function matchExpectedVersion(collectionKey, selector, options) {
+    // If expected version hasn't been provided use the selector as it is.
+    if (!options || options.expectedVersion === undefined) return selector;
+    // If upsert has been requested throw appropriate exception, as missing expected version would insert a new entry.
+    if (options.upsert) throw new TypeError('Provided \'expectedVersion\' can not be used together with \'upsert\'.');
+
+    // Obtain versioning settings.
+    const { versioning } = collectionSettings.get(collectionKey) || {};
+    // If versioning is not enabled throw appropriate exception.
+    if (!versioning) throw new Error(`Versioning is not enabled for '${collectionKey}' collection, so 'expectedVersion' can not be used.`);
+
+    // Return the selector matching only the expected version.
+    return Object.assign({}, selector, { [versioning.versionField]: options.expectedVersion });
+}
+
+/**
+ * Throws ConcurrencyConflictError if the update restricted to the expected version didn't match any entry.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Object} selector The selector of the update.
+ * @param {Object=} options Settings of the call, possibly containing 'expectedVersion'.
+ * @param {*} result The result of the update.
+ * @param {Boolean} matched Whether any entry has been matched.
+ * @returns {*} Returns the result of the update.
+ */
+function assertExpectedVersionMatched(collectionKey, selector, options, result, matched) {
+    // If expected version has been provided but no entry matched throw appropriate exception.
+    if (options && options.expectedVersion !== undefined && !matched) throw new ConcurrencyConflictError(collectionKey, selector, options.expectedVersion);
+    return result;
+}
+
+/**
+ * Stamps creation date, modification date and version on the driver bulk operation, if the collection requires it.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Object} driverOperation The driver bulk operation.
+ * @returns {Object} Returns the driver bulk operation to be executed.
+ */
+function stampBulkOperation(collectionKey, driverOperation) {
+    const [type] = Object.keys(driverOperation);
+    const args = driverOperation[type];
+
+    // Stamp inserted objects.
+    if (type === 'insertOne') stampInsertedDocuments(collectionKey, [args.document]);
+    // Stamp updates.
+    else if (type === 'updateOne' || type === 'updateMany') return { [type]: Object.assign({}, args, { update: stampUpdateQuery(collectionKey, args.update, args) }) };
+    // Turn replacements into update pipelines, if the collection requires stamping.
+    else if (type === 'replaceOne') {
+        const { replacement, ...rest } = args;
+        const replacementPipeline = getReplacementPipeline(collectionKey, replacement);
+        if (replacementPipeline) return { updateOne: Object.assign(rest, { update: replacementPipeline }) };
+    }
+
+    return driverOperation;
+}
+
+/**
+ * Returns audit settings of the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Boolean=} required Whether to throw if audit trail is not enabled for the collection.
+ * @returns {Object} Returns the settings or null if audit trail is not enabled.
+ */
+function getAuditSettings(collectionKey, required) {
+    // Obtain the settings.
+    const settings = (collectionSettings.get(collectionKey) || {}).audit || null;
+    // If settings are required but audit trail is not enabled throw appropriate exception.
+    if (!settings && required) throw new Error(`Audit trail is not enabled for '${collectionKey}' collection.`);
+    return settings;
+}
+
+/**
+ * Runs the write recording its changes in the history collection, if the collection has audit trail enabled.
+ * The write runs within the transaction of the call or within a new one, so the entries read before and after it can't be changed by concurrent writes
+ * in the meantime (audit trail therefore requires a deployment supporting transactions).
+ * @param {Db} db The database containing the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @param {String} operation The name of the operation recorded in the history.
+ * @param {Object} selector The selector of the write.
+ * @param {Object=} options Settings of the call, which 'session', 'sort', 'upsert' and 'actor' are taken into account.
+ * @param {Boolean} many Whether the write affects all the matching entries or just the first one.
+ * @param {Function} execute Function receiving the selector and the session to be used and returning the promise of the write.
+ * @returns {Promise<*>} Returns the promise of the write.
+ */
+async function runAuditedAsync(db, collectionKey, operation, selector, options, many, execute) {
+    // If audit trail is not enabled simply run the write.
+    if (!getAuditSettings(collectionKey)) return execute(selector);
+
+    // Run the write within the transaction, recording its changes.
+    return runInAuditTransactionAsync(db, collectionKey, options, (options) => auditWriteAsync(db, collectionKey, operation, selector, options, many, execute));
+}
+
+/**
+ * Runs the insert recording inserted objects in the history collection, if the collection has audit trail enabled.
+ * The insert runs within the transaction of the call or within a new one the same way runAuditedAsync runs the other writes,
+ * so the objects are never inserted without being recorded.
+ * @param {Db} db The database containing the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @param {String} operation The name of the operation recorded in the history.
+ * @param {[Object]} objects Objects to insert.
+ * @param {Object=} options Settings of the call, which 'session' and 'actor' are taken into account.
+ * @param {Function} execute Function receiving the session to be used and returning the promise of the insert.
+ * @returns {Promise<*>} Returns the promise of the insert.
+ */
+async function runAuditedInsertAsync(db, collectionKey, operation, objects, options, execute) {
+    // If audit trail is not enabled simply run the insert.
+    if (!getAuditSettings(collectionKey)) return execute();
+
+    // Run the insert within the transaction and record inserted objects.
+    return runInAuditTransactionAsync(db, collectionKey, options, async (options) => {
+        const result = await execute(options.session);
+        await writeAuditRecordsAsync(db, collectionKey, objects.map((object) => ({ operation, documentId: object._id, before: null, after: object })), options);
+        return result;
+    });
+}
+
+/**
+ * Runs the audited write within the transaction of the call or within a new one, making sure the history can't contain duplicate versions first.
+ * @param {Db} db The database containing the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Object=} options Settings of the call, which 'session' is taken into account.
+ * @param {Function} audit Function receiving the settings containing the 'session' of the transaction and returning the promise of the write.
+ * @returns {Promise<*>} Returns the promise of the write.
+ */
+async function runInAuditTransactionAsync(db, collectionKey, options, audit) {
+    // Make sure the history can't contain duplicate versions.
+    await ensureHistoryIndexAsync(db, collectionKey);
+
+    // Run the write within the transaction of the call ..
+    const session = options ? options.session : undefined;
+    if (session && typeof session.inTransaction === 'function' && session.inTransaction()) return audit(options);
+    // .. or within a new one.
+    return withTransactionAsync(db, (transaction) => audit(Object.assign({}, options, { session: transaction.session })));
+}
+
+/**
+ * Runs the write within the transaction, reading the affected entries before and after it and recording their changes.
+ * Writes affecting a single entry are restricted to the first matching one. Writes affecting many entries are executed in batches of the matching entries
+ * ordered by _id, so the entries are never loaded into memory at once, and their results are merged.
+ * @param {Db} db The database containing the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @param {String} operation The name of the operation recorded in the history.
+ * @param {Object} selector The selector of the write.
+ * @param {Object} options Settings of the call containing the 'session' of the transaction.
+ * @param {Boolean} many Whether the write affects all the matching entries or just the first one.
+ * @param {Function} execute Function receiving the selector and the session to be used and returning the promise of the write.
+ * @returns {Promise<*>} Returns the promise of the write.
+ */
+async function auditWriteAsync(db, collectionKey, operation, selector, options, many, execute) {
+    const { session, sort, upsert } = options;
+    let result = null, position = null;
+
+    for (;;) {
+        // Read the next batch of the entries which are going to be affected.
+        const batchSelector = position ? { $and: [selector || {}, createSeekSelector('_id', 1, position)] } : selector || {};
+        const before = await readDocumentsAsync(db, collectionKey, batchSelector, many ? { limit: auditBatchSize, sort: { _id: 1 }, session } : { limit: 1, sort, session });
+        const ids = before.map((entry) => entry._id);
+        // If all the entries have been processed return the merged result.
+        if (position && !ids.length) return result;
+
+        // Run the write restricted to the entries which have been read, or as it is if there are none, so it can upsert.
+        const batchResult = await execute(ids.length ? { $and: [selector || {}, { _id: { $in: ids } }] } : selector, session);
+        result = mergeWriteResults(result, batchResult);
+
+        // Read the entries after the write, including the upserted one.
+        const after = ids.length ? await readDocumentsAsync(db, collectionKey, { _id: { $in: ids } }, { session })
+            : upsert ? await readDocumentsAsync(db, collectionKey, selector || {}, { limit: 1, sort, session }) : [];
+        // Record the changes.
+        await writeAuditRecordsAsync(db, collectionKey, pairChanges(operation, before, after), options);
+
+        // Continue with the next batch unless all the entries have been processed.
+        if (!many || ids.length < auditBatchSize) return result;
+        position = { id: ids[ids.length - 1] };
+    }
+}
+
+/**
+ * Merges the result of the write of the batch into the result of the previous batches, summing up their counts.
+ * @param {Object} merged The result of the previous batches or null.
+ * @param {Object} result The result of the batch.
+ * @returns {Object} Returns the merged result.
+ */
+function mergeWriteResults(merged, result) {
+    if (!merged || !result) return result;
+
+    // Sum up the counts ..
+    Object.keys(result).filter((key) => key.endsWith('Count') && typeof result[key] === 'number').forEach((key) => { merged[key] = (merged[key] || 0) + result[key]; });
+    // .. including the ones of the raw result.
+    if (merged.result && result.result) ['n', 'nModified'].filter((key) => typeof result.result[key] === 'number').forEach((key) => { merged.result[key] = (merged.result[key] || 0) + result.result[key]; });
+    return merged;
+}
+
+/**
+ * Adds the session to provided options, if it has been provided.
+ * @param {Object=} options Optional settings.
+ * @param {ClientSession=} session The session.
+ * @returns {Object=} Returns the copy of options containing the session or the options as they are.
+ */
+function withSessionOption(options, session) {
+    return session ? Object.assign({}, options, { session }) : options;
+}
+
+/**
+ * Runs the bulk write recording its changes in the history collection, if the collection has audit trail enabled.
+ * Entries matching the filters of the operations are read before the write and read again after it.
+ * @param {Db} db The database containing the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @param {[Object]} driverOperations The driver bulk operations.
+ * @param {Object=} options Settings of the call.
+ * @param {Function} execute Function returning the promise of { error, result } of the bulk write.
+ * @returns {Promise<{error: Error, result: BulkWriteResult}>} Returns the promise of the outcome of the bulk write.
+ */
+async function runAuditedBulkAsync(db, collectionKey, driverOperations, options, execute) {
+    // If audit trail is not enabled simply run the write.
+    if (!getAuditSettings(collectionKey)) return execute();
+
+    const session = options ? options.session : undefined;
+    // Read the entries which are going to be affected by each of the operations.
+    const before = [];
+    for (const driverOperation of driverOperations) {
+        const [type] = Object.keys(driverOperation);
+        if (type === 'insertOne') continue;
+        (await readDocumentsAsync(db, collectionKey, driverOperation[type].filter, { limit: type.endsWith('Many') ? 0 : 1, session }))
+            .forEach((entry) => before.push({ operation: type, entry }));
+    }
+
+    // Run the write.
+    const outcome = await execute();
+    const bulkResult = outcome.error ? outcome.error.result : outcome.result;
+    // Obtain indexes of failed operations, which changes must not be recorded.
+    const failed = new Set(bulkResult && typeof bulkResult.getWriteErrors === 'function' ? bulkResult.getWriteErrors().map((writeError) => writeError.index) : []);
+
+    // Collect the inserted and upserted entries.
+    const created = [];
+    driverOperations.forEach((driverOperation, index) => {
+        if (driverOperation.insertOne && !failed.has(index)) created.push({ operation: 'insertOne', _id: driverOperation.insertOne.document._id });
+    });
+    if (bulkResult && typeof bulkResult.getUpsertedIds === 'function')
+        bulkResult.getUpsertedIds().forEach((upserted) => created.push({ operation: Object.keys(driverOperations[upserted.index])[0], _id: upserted._id }));
+
+    // Read all the entries after the write.
+    const ids = before.map((change) => change.entry._id).concat(created.map((change) => change._id));
+    const after = ids.length ? await readDocumentsAsync(db, collectionKey, { _id: { $in: ids } }, { session }) : [];
+    const afterById = new Map(after.map((entry) => [idKey(entry._id), entry]));
+
+    // Record the changes.
+    const changes = before.map((change) => ({ operation: change.operation, documentId: change.entry._id, before: change.entry, after: afterById.get(idKey(change.entry._id)) || null }))
+        .concat(created.map((change) => ({ operation: change.operation, documentId: change._id, before: null, after: afterById.get(idKey(change._id)) || null })));
+    await writeAuditRecordsAsync(db, collectionKey, changes, options);
+
+    return outcome;
+}
+
+/**
+ * Pairs the states of the entries before and after the write.
+ * @param {String} operation The name of the operation.
+ * @param {[Object]} before Entries before the write.
+ * @param {[Object]} after Entries after the write.
+ * @returns {[Object]} Returns an array of { operation, documentId, before, after }.
+ */
+function pairChanges(operation, before, after) {
+    const afterById = new Map(after.map((entry) => [idKey(entry._id), entry]));
+    const beforeIds = new Set(before.map((entry) => idKey(entry._id)));
+
+    // Pair the entries which existed before the write ..
+    return before.map((entry) => ({ operation, documentId: entry._id, before: entry, after: afterById.get(idKey(entry._id)) || null }))
+        // .. and add the ones which have been created by it.
+        .concat(after.filter((entry) => !beforeIds.has(idKey(entry._id))).map((entry) => ({ operation, documentId: entry._id, before: null, after: entry })));
+}
+
+/**
+ * Writes the audit records of provided changes into the history collection, skipping the changes which didn't modify anything.
+ * Versions are unique within the history, so the records which versions have been taken by concurrent writes in the meantime are written again
+ * with the next versions. Within a transaction the whole transaction has to be retried instead, so the error is labeled as a transient one.
+ * @param {Db} db The database containing the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @param {[Object]} changes Array of { operation, documentId, before, after }.
+ * @param {Object=} options Settings of the call, which 'session' and 'actor' are taken into account.
+ * @returns {Promise} Returns the promise of writing the records.
+ */
+async function writeAuditRecordsAsync(db, collectionKey, changes, options) {
+    const { historyCollectionKey } = getAuditSettings(collectionKey, true);
+    const { session, actor } = options || {};
+    const inTransaction = Boolean(session && typeof session.inTransaction === 'function' && session.inTransaction());
+
+    // Compute the diffs, skipping the changes which didn't modify anything.
+    let pending = changes.map((change) => ({ change, diff: diffDocuments(change.before, change.after) }))
+        .filter(({ change, diff }) => diff.length || change.before === null || change.after === null);
+    if (!pending.length) return;
+    // Make sure the history can't contain duplicate versions.
+    await ensureHistoryIndexAsync(db, collectionKey);
+
+    const timestamp = new Date();
+    for (let attempt = 0; ; attempt++) {
+        // Obtain the latest versions of the affected entries.
+        const latest = await new Promise((resolve, reject) => db.collection(historyCollectionKey).aggregate([
+            { $match: { collectionKey, documentId: { $in: pending.map(({ change }) => change.documentId) } } },
+            { $group: { _id: '$documentId', version: { $max: '$version' } } }
+        ], { session }).toArray((error, result) => error ? reject(error) : resolve(result)));
+        const versions = new Map(latest.map((entry) => [idKey(entry._id), entry.version]));
+
+        // Create the records, identified in advance, so the written ones can be found if the write fails.
+        const records = pending.map(({ change, diff }) => {
+            const version = (versions.get(idKey(change.documentId)) || 0) + 1;
+            versions.set(idKey(change.documentId), version);
+            return { _id: new ObjectID(), collectionKey, documentId: change.documentId, version, operation: change.operation, actor: actor === undefined ? null : actor, timestamp, diff, state: change.after };
+        });
+
+        try {
+            // Write the records.
+            await new Promise((resolve, reject) => db.collection(historyCollectionKey).insertMany(records, { session }, (error) => error ? reject(error) : resolve()));
+            break;
+        } catch (error) {
+            // Rethrow other errors, labeling the duplicate versions within a transaction as transient ones.
+            if (!duplicateKeyCodes.includes(error.code) || attempt >= maxAuditVersionRetries) throw error;
+            if (inTransaction) throw Object.assign(error, { errorLabels: (error.errorLabels || []).concat('TransientTransactionError') });
+
+            // Write the records which haven't been written again.
+            const written = new Set((await readDocumentsAsync(db, historyCollectionKey, { _id: { $in: records.map((record) => record._id) } }, {})).map((record) => idKey(record._id)));
+            pending = pending.filter((item, index) => !written.has(idKey(records[index]._id)));
+        }
+    }
+
+    // Invalidate cached reads of the history.
+    await invalidateCacheAsync(historyCollectionKey);
+}
+
+// Number of the entries read, written and recorded at once by audited writes affecting many entries.
+const auditBatchSize = 1000;
+
+// Maximum number of attempts to write the audit records which versions have been taken by concurrent writes.
+const maxAuditVersionRetries = 5;
+
+// Map of the databases to the maps of their history collection keys to the promises of creating the unique index of the versions.
+const historyIndexes = new WeakMap();
+
+/**
+ * Creates the unique index of the versions of the entries in the history collection of the collection, once per database and history collection.
+ * @param {Db} db The database containing the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @returns {Promise} Returns the promise of creating the index.
+ */
+function ensureHistoryIndexAsync(db, collectionKey) {
+    const { historyCollectionKey } = getAuditSettings(collectionKey, true);
+    if (!historyIndexes.has(db)) historyIndexes.set(db, new Map());
+    const indexes = historyIndexes.get(db);
+
+    // Create the index unless it has been created already, forgetting the failed attempts, so they are repeated.
+    if (!indexes.has(historyCollectionKey)) indexes.set(historyCollectionKey, new Promise((resolve, reject) => db.collection(historyCollectionKey)
+        .createIndex({ collectionKey: 1, documentId: 1, version: 1 }, { unique: true }, (error) => error ? reject(error) : resolve()))
+        .catch((error) => { indexes.delete(historyCollectionKey); throw mapDriverError(error, historyCollectionKey); }));
+    return indexes.get(historyCollectionKey);
+}
+
+/**
+ * Computes the field-level diff of two states of an entry. Nested objects are compared field by field, other values (including arrays) as a whole.
+ * @param {Object} before The state before the change or null.
+ * @param {Object} after The state after the change or null.
+ * @param {String=} path Path of the compared objects.
+ * @returns {[{path: String, before: *, after: *}]} Returns an array of changed fields.
+ */
+function diffDocuments(before, after, path) {
+    const diff = [];
+    const keys = new Set(Object.keys(before || {}).concat(Object.keys(after || {})));
+
+    // Loop through all the fields of both states.
+    for (const key of keys) {
+        const valueBefore = before ? before[key] : undefined;
+        const valueAfter = after ? after[key] : undefined;
+        const keyPath = joinPath(path || '', key);
+
+        // Compare nested objects field by field ..
+        if (isPlainObject(valueBefore) && isPlainObject(valueAfter)) diffDocuments(valueBefore, valueAfter, keyPath).forEach((change) => diff.push(change));
+        // .. and other values as a whole.
+        else if (!valuesEqual(valueBefore, valueAfter))
+            diff.push({ path: keyPath, before: valueBefore === undefined ? null : valueBefore, after: valueAfter === undefined ? null : valueAfter });
+    }
+
+    return diff;
+}
+
+/**
+ * Reads the entries matching provided selector directly through the driver.
+ * @param {Db} db The database containing the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Object} selector The selector.
+ * @param {Object} settings Settings containing 'limit' (0 for no limit), 'sort' and 'session'.
+ * @returns {Promise<[Object]>} Returns the promise of the entries.
+ */
+function readDocumentsAsync(db, collectionKey, selector, settings) {
+    return new Promise((resolve, reject) => db.collection(collectionKey).find(selector, removeUndefined({ limit: settings.limit, sort: settings.sort, session: settings.session }))
+        .toArray((error, result) => error ? reject(error) : resolve(result)));
+}
+
+// Names of the operations middleware hooks can be registered for.
+const middlewareOperations = ['insertOne', 'insertMany', 'find', 'findOne', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany'];
+
+// Array containing all the registered middleware hooks in the order of registration.
+const middleware = [];
+
+/**
+ * Wraps the implementation of the operation, so its calls are run through the registered middleware hooks.
+ * If no hook applies to the call, the implementation is called directly. Otherwise the arguments are validated before the hooks are run,
+ * so invalid calls throw synchronously regardless of the registered hooks.
+ * @param {String} operation The name of the operation.
+ * @param {[String]} parameterNames Names of the parameters of the implementation following 'db' and 'collectionKey'.
+ * @param {Function} implementation The implementation of the operation.
+ * @returns {Function} Returns the wrapped implementation.
+ */
+function withMiddleware(operation, parameterNames, implementation) {
+    return (db, collectionKey, ...parameters) => {
+        // Obtain global hooks followed by the hooks of the collection, which apply to the operation.
+        const hooks = middleware.filter((hook) => hook.collectionKey === undefined).concat(middleware.filter((hook) => hook.collectionKey === collectionKey))
+            .filter((hook) => !hook.operations || hook.operations.includes(operation));
+        // If no hook applies simply call the implementation.
+        if (!hooks.length) return implementation(db, collectionKey, ...parameters);
+        // Validate the arguments the way the implementation does, which validates them again, as the hooks can replace them.
+        assertMiddlewareArgumentsValid(operation, collectionKey, parameters);
+
+        // Create the context of the call.
+        const context = parameterNames.reduce((context, name, index) => { context[name] = parameters[index]; return context; }, { operation, db, collectionKey });
+        // Run the call through the hooks.
+        return runMiddlewareAsync(hooks, context, () => implementation(context.db, context.collectionKey, ...parameterNames.map((name) => context[name])));
+    };
+}
+
+/**
+ * Validates the arguments of the call of the operation middleware hooks can be registered for, throwing the same exceptions as its implementation.
+ * @param {String} operation The name of the operation.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Array} parameters The arguments of the call following 'db' and 'collectionKey'.
+ */
+function assertMiddlewareArgumentsValid(operation, collectionKey, parameters) {
+    const [first, second] = parameters;
+    // If provided collectionKey argument is not of expected type throw appropriate exception.
+    if (typeof (collectionKey) !== 'string') throw new TypeError('Provided \'collectionKey\' must be a string.');
+
+    switch (operation) {
+        case 'insertMany':
+            // If provided argument objectsToInsert is not an array throw appropriate exception.
+            if (!Array.isArray(first)) throw new TypeError('Provided argument \'objectsToInsert\' is not an Array.');
+            // If provided _ids argument is not an array throw appropriate exception.
+            if (second && !Array.isArray(second)) throw new TypeError('Provided argument \'_ids\' is not an ObjectID[]. Please provide an array containing exclusively instances of ObjectID class and undefined.');
+            break;
+        case 'find': case 'findOne': case 'deleteOne': case 'deleteMany':
+            // If provided selector contains invalid query operators throw appropriate exception.
+            if (first !== undefined) assertSelectorValid(first);
+            break;
+        case 'updateOne': case 'updateMany':
+            // If provided selector is not a non-null object throw appropriate exception.
+            if (typeof first !== 'object' || first === null) throw new TypeError('Provided \'selector\' must be a non-null object.');
+            // If provided selector contains invalid query operators or updateQuery is not valid throw appropriate exception.
+            assertSelectorValid(first);
+            assertUpdateQueryValid(second);
+            break;
+    }
+}
+
+/**
+ * Runs the call through provided middleware hooks.
+ * @param {[Object]} hooks Hooks applying to the call.
+ * @param {Object} context The context of the call.
+ * @param {Function} execute Function calling the implementation using the arguments contained in the context.
+ * @returns {Promise<*>} Returns the promise of the result of the call.
+ */
+async function runMiddlewareAsync(hooks, context, execute) {
+    // Count the hooks which 'before' phase has been run, as only those are unwound.
+    let entered = 0;
+    try {
+        let result;
+        // Run 'before' phases in the order of the hooks until any of them short-circuits the call.
+        for (; entered < hooks.length && result === undefined; entered++)
+            if (hooks[entered].before) result = await hooks[entered].before(context);
+
+        // If the call hasn't been short-circuited run the operation.
+        if (result === undefined) result = await execute();
+
+        // Run 'after' phases in the reverse order, each of them being able to replace the result.
+        for (let index = entered - 1; index >= 0; index--) {
+            if (!hooks[index].after) continue;
+            const replacement = await hooks[index].after(context, result);
+            if (replacement !== undefined) result = replacement;
+        }
+
+        return result;
+    } catch (error) {
+        let currentError = error;
+        // Run 'error' phases in the reverse order until any of them recovers from the error.
+        for (let index = entered - 1; index >= 0; index--) {
+            if (!hooks[index].error) continue;
+            try {
+                const recovered = await hooks[index].error(context, currentError);
+                if (recovered !== undefined) return recovered;
+            } catch (hookError) {
+                // Pass the error thrown by the phase to the next one.
+                currentError = hookError;
+            }
+        }
+
+        throw currentError;
+    }
+}
+
+// Protocol of the connection urls referring to in-memory databases.
+const memoryProtocol = 'memory://';
+
+/**
+ * In-process cache store evicting the least recently used entries once the maximum number of entries is exceeded.
+ */
+class LruCacheStore {
+    /**
+     * Creates the store.
+     * @param {Number} maxEntries Maximum number of entries.
+     */
+    constructor(maxEntries) {
+        this.maxEntries = maxEntries;
+        // Map keeps the order of insertion, so the least recently used entries come first.
+        this.entries = new Map();
+        // Keys of the entries of each collection.
+        this.collections = new Map();
+    }
+
+    /**
+     * Returns the value unless it is missing or expired.
+     * @param {String} key The key.
+     * @returns {*} Returns the value or undefined.
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        // Remove expired entry.
+        if (entry.expiresAt <= Date.now()) { this.remove(key); return undefined; }
+
+        // Move the entry to the end, as it is the most recently used one now.
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Sets the value, evicting the least recently used entries if necessary.
+     * @param {String} key The key.
+     * @param {*} value The value.
+     * @param {Number} ttlMS Time to live of the value.
+     * @param {String} collectionKey The key of the collection the value belongs to.
+     */
+    set(key, value, ttlMS, collectionKey) {
+        this.remove(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMS, collectionKey });
+        if (!this.collections.has(collectionKey)) this.collections.set(collectionKey, new Set());
+        this.collections.get(collectionKey).add(key);
+
+        // Evict the least recently used entries.
+        for (const oldest of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries) break;
+            this.remove(oldest);
+        }
+    }
+
+    /**
+     * Removes all the values of the collection.
+     * @param {String} collectionKey The key of the collection.
+     */
+    invalidate(collectionKey) {
+        (this.collections.get(collectionKey) || []).forEach((key) => this.entries.delete(key));
+        this.collections.delete(collectionKey);
+    }
+
+    /**
+     * Removes the entry.
+     * @param {String} key The key.
+     */
+    remove(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        this.entries.delete(key);
+        const keys = this.collections.get(entry.collectionKey);
+        keys.delete(key);
+        if (!keys.size) this.collections.delete(entry.collectionKey);
+    }
+}
+
+// Settings of the cache.
+const cacheSettings = { store: new LruCacheStore(1000), ttlMS: 60000 };
+
+// Map containing the statistics of the cache indexed by the collection key.
+const cacheStatistics = new Map();
+
+// Map containing the generation of each collection, incremented by every invalidation, indexed by the collection key.
+const cacheGenerations = new Map();
+
+// Map containing the sets of the keys of the collections written within the transaction indexed by its session.
+const transactionWrites = new WeakMap();
+
+/**
+ * Creates zeroed counts of the cache statistics.
+ * @returns {Object} Returns the counts.
+ */
+function createCacheCounts() {
+    return { hits: 0, misses: 0, invalidations: 0, errors: 0 };
+}
+
+/**
+ * Increments the count of the cache statistics of the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @param {String} name The name of the count.
+ */
+function countCacheEvent(collectionKey, name) {
+    if (!cacheStatistics.has(collectionKey)) cacheStatistics.set(collectionKey, createCacheCounts());
+    cacheStatistics.get(collectionKey)[name]++;
+}
+
+/**
+ * Runs the read through the cache, if the collection has caching enabled. Results are stored only if no write to the collection
+ * has started or finished while the read has been running, so the cache never contains results older than the latest write.
+ * @param {String} collectionKey The key of the collection.
+ * @param {String} operation The name of the read operation.
+ * @param {Object} selector The selector of the read.
+ * @param {Object=} options Settings of the read.
+ * @param {Function} execute Function returning the promise of the result of the read.
+ * @returns {Promise<*>} Returns the promise of the result.
+ */
+async function runCachedAsync(collectionKey, operation, selector, options, execute) {
+    const settings = (collectionSettings.get(collectionKey) || {}).cache;
+    // Bypass the cache if caching is not enabled, it is disabled for the call or the read uses a session, as it may see uncommitted writes.
+    if (!settings || (options && (options.cache === false || options.session))) return execute();
+
+    const { store } = cacheSettings;
+    const key = getCacheKey(collectionKey, operation, selector, options);
+
+    // Try to obtain the cached result.
+    let cached;
+    try {
+        cached = await store.get(key);
+    } catch (error) {
+        countCacheEvent(collectionKey, 'errors');
+    }
+    if (cached !== undefined) {
+        countCacheEvent(collectionKey, 'hits');
+        return cloneValue(cached);
+    }
+    countCacheEvent(collectionKey, 'misses');
+
+    // Read the result, remembering the generation of the collection.
+    const generation = cacheGenerations.get(collectionKey) || 0;
+    const result = await execute();
+
+    // Store the copy of the result unless the collection has been written to meanwhile.
+    if ((cacheGenerations.get(collectionKey) || 0) === generation) {
+        try {
+            await store.set(key, cloneValue(result), settings.ttlMS || cacheSettings.ttlMS, collectionKey);
+        } catch (error) {
+            countCacheEvent(collectionKey, 'errors');
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Invalidates cached reads of the collection.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Boolean=} force Whether to invalidate the store even if caching is not enabled for the collection.
+ * @returns {Promise} Returns the promise of invalidating the reads.
+ */
+async function invalidateCacheAsync(collectionKey, force) {
+    // Increment the generation, so reads running concurrently are not cached.
+    cacheGenerations.set(collectionKey, (cacheGenerations.get(collectionKey) || 0) + 1);
+    // If caching is not enabled for the collection there is nothing to invalidate.
+    if (!force && !(collectionSettings.get(collectionKey) || {}).cache) return;
+
+    try {
+        await cacheSettings.store.invalidate(collectionKey);
+        countCacheEvent(collectionKey, 'invalidations');
+    } catch (error) {
+        countCacheEvent(collectionKey, 'errors');
+    }
+}
+
+/**
+ * Remembers the collection written within the transaction of the session.
+ * @param {ClientSession} session The session of the transaction.
+ * @param {String} collectionKey The key of the collection.
+ */
+function recordTransactionWrite(session, collectionKey) {
+    if (!transactionWrites.has(session)) transactionWrites.set(session, new Set());
+    transactionWrites.get(session).add(collectionKey);
+}
+
+/**
+ * Invalidates cached reads of all the collections written within the transaction of the session and forgets them.
+ * @param {ClientSession} session The session of the transaction.
+ * @returns {Promise} Returns the promise of invalidating the reads.
+ */
+async function invalidateTransactionWritesAsync(session) {
+    const collectionKeys = transactionWrites.get(session) || [];
+    transactionWrites.delete(session);
+    for (const collectionKey of collectionKeys) await invalidateCacheAsync(collectionKey);
+}
+
+/**
+ * Creates the key of the cached read out of the collection key, the operation, the normalized selector and the settings affecting the result.
+ * @param {String} collectionKey The key of the collection.
+ * @param {String} operation The name of the read operation.
+ * @param {Object} selector The selector of the read.
+ * @param {Object=} options Settings of the read.
+ * @returns {String} Returns the key.
+ */
+function getCacheKey(collectionKey, operation, selector, options) {
+    // Sort the settings, leaving out the ones which don't affect the result.
+    const settings = Object.keys(options || {}).filter((name) => !['retry', 'cache', 'session'].includes(name) && options[name] !== undefined).sort()
+        .reduce((sorted, name) => { sorted[name] = options[name]; return sorted; }, {});
+
+    return JSON.stringify(encodeTokenValue([collectionKey, operation, normalizeSelector(selector || {}), settings]));
+}
+
+/**
+ * Sorts the field names and operators of the selector, so selectors differing only in their order share the cached results.
+ * Values compared for equality are left as they are, as the order of their fields matters.
+ * @param {Object} selector The selector.
+ * @returns {Object} Returns the normalized copy of the selector.
+ */
+function normalizeSelector(selector) {
+    return Object.keys(selector).sort().reduce((normalized, key) => {
+        const condition = selector[key];
+        // Normalize nested selectors of logical operators ..
+        if (logicalQueryOperators.includes(key) && Array.isArray(condition)) normalized[key] = condition.map((nested) => isPlainObject(nested) ? normalizeSelector(nested) : nested);
+        // .. and sort the operators of field conditions.
+        else if (isOperatorObject(condition)) normalized[key] = Object.keys(condition).sort().reduce((operators, operator) => { operators[operator] = condition[operator]; return operators; }, {});
+        else normalized[key] = condition;
+        return normalized;
+    }, {});
+}
+
+// Declared indexes of the collections, registered under their collection keys.
+const indexDefinitions = new Map();
+
+// Valid values of the fields of index keys.
+const indexKeyDirections = [1, -1, 'hashed', '2d', '2dsphere'];
+
+// Valid settings of the declared indexes.
+const indexDefinitionKeys = ['key', 'name', 'unique', 'sparse', 'expireAfterSeconds', 'partialFilterExpression'];
+
+/**
+ * Validates the declaration of the index and fills in its name.
+ * @param {Object} index The declaration.
+ * @param {Number} position Position of the declaration used in the error messages.
+ * @returns {Object} Returns the normalized declaration.
+ */
+function normalizeIndexDefinition(index, position) {
+    // If index is not an object with non-empty key throw appropriate exception.
+    if (!isPlainObject(index) || !isPlainObject(index.key) || !Object.keys(index.key).length)
+        throw new TypeError(`Provided index at position ${position} must be an object with non-empty 'key' object.`);
+    const fields = Object.keys(index.key);
+    // If any setting is not known throw appropriate exception.
+    const unknown = Object.keys(index).find((key) => !indexDefinitionKeys.includes(key));
+    if (unknown) throw new TypeError(`Provided index at position ${position} contains unknown setting '${unknown}'.`);
+    // If any field has invalid direction throw appropriate exception.
+    const invalid = fields.find((field) => !indexKeyDirections.includes(index.key[field]));
+    if (invalid) throw new TypeError(`Provided index at position ${position} must map the field '${invalid}' to one of ${indexKeyDirections.join(', ')}.`);
+    // If settings are not of expected types throw appropriate exception.
+    if (index.name !== undefined && (typeof index.name !== 'string' || !index.name)) throw new TypeError(`Provided index at position ${position} must have non-empty string 'name'.`);
+    if (index.unique !== undefined && typeof index.unique !== 'boolean') throw new TypeError(`Provided index at position ${position} must have boolean 'unique'.`);
+    if (index.sparse !== undefined && typeof index.sparse !== 'boolean') throw new TypeError(`Provided index at position ${position} must have boolean 'sparse'.`);
+    if (index.expireAfterSeconds !== undefined && (!Number.isInteger(index.expireAfterSeconds) || index.expireAfterSeconds < 0 || fields.length !== 1))
+        throw new TypeError(`Provided index at position ${position} must be a single field index with non-negative integer 'expireAfterSeconds'.`);
+    if (index.partialFilterExpression !== undefined) assertSelectorValid(index.partialFilterExpression, `'partialFilterExpression' of the index at position ${position}`);
+
+    // Return the declaration, leaving out disabled settings as the server does.
+    return removeUndefined({
+        key: Object.assign({}, index.key),
+        name: index.name || fields.map((field) => `${field}_${index.key[field]}`).join('_'),
+        unique: index.unique || undefined,
+        sparse: index.sparse || undefined,
+        expireAfterSeconds: index.expireAfterSeconds,
+        partialFilterExpression: index.partialFilterExpression
+    });
+}
+
+/**
+ * Compares the settings of the existing index with its declaration.
+ * @param {Object} index The index listed by the server.
+ * @param {Object} definition The declaration.
+ * @returns {Boolean} Returns true if the settings match, otherwise returns false.
+ */
+function indexMatchesDefinition(index, definition) {
+    return Boolean(index.unique) === Boolean(definition.unique) && Boolean(index.sparse) === Boolean(definition.sparse)
+        && index.expireAfterSeconds === definition.expireAfterSeconds && valuesEqual(index.partialFilterExpression, definition.partialFilterExpression);
+}
+
+/**
+ * Makes the indexes of provided collections match their declarations, see ensureIndexesAsync.
+ * @param {Db} db The database containing the collections.
+ * @param {[String]} collectionKeys Keys of the collections with declared indexes.
+ * @param {{dropUndeclared: Boolean, recreateChanged: Boolean, dryRun: Boolean}} settings Settings of the call.
+ * @returns {Promise<Object>} Returns the promise of the report.
+ */
+async function applyIndexDefinitionsAsync(db, collectionKeys, settings) {
+    const { dropUndeclared, recreateChanged, dryRun } = settings;
+
+    const report = { created: [], recreated: [], dropped: [], changed: [], undeclared: [], unchanged: [] };
+    for (const collectionKey of collectionKeys) {
+        const entry = (index) => ({ collectionKey, name: index.name, key: Object.assign({}, index.key) });
+
+        // Pair the declared indexes with the existing ones.
+        const existing = await listIndexesAsync(db, collectionKey);
+        const matched = new Set();
+        const toDrop = [];
+        const toCreate = [];
+        indexDefinitions.get(collectionKey).forEach((definition) => {
+            const index = existing.find((index) => valuesEqual(index.key, definition.key)) || existing.find((index) => index.name === definition.name);
+            // Create missing indexes.
+            if (!index) {
+                toCreate.push(definition);
+                report.created.push(entry(definition));
+            }
+            // Leave the indexes matching the declaration as they are.
+            else if (index.name === definition.name && indexMatchesDefinition(index, definition))
+                report.unchanged.push(entry(definition));
+            // Recreate the changed ones if requested.
+            else if (recreateChanged) {
+                toDrop.push(index);
+                toCreate.push(definition);
+                report.recreated.push(entry(definition));
+            }
+            else
+                report.changed.push(entry(definition));
+            if (index) matched.add(index);
+        });
+
+        // Drop the undeclared indexes if requested.
+        existing.filter((index) => index.name !== '_id_' && !matched.has(index)).forEach((index) => {
+            if (dropUndeclared) {
+                toDrop.push(index);
+                report.dropped.push(entry(index));
+            }
+            else
+                report.undeclared.push(entry(index));
+        });
+
+        // Apply the changes unless only the plan has been requested. Indexes are dropped first, so the recreated ones can reuse their names.
+        if (dryRun) continue;
+        for (const index of toDrop)
+            await runIndexCommandAsync(collectionKey, (callback) => db.collection(collectionKey).dropIndex(index.name, callback));
+        if (toCreate.length)
+            await runIndexCommandAsync(collectionKey, (callback) => db.collection(collectionKey).createIndexes(toCreate.map((definition) => Object.assign({}, definition)), callback));
+    }
+
+    // Return the report.
+    return report;
+}
+
+/**
+ * Lists the indexes of the collection in asynchronous fashion.
+ * @param {Db} db The database.
+ * @param {String} collectionKey The key of the collection.
+ * @returns {Promise<[Object]>} Returns the promise of the indexes, which is empty if the collection doesn't exist.
+ */
+function listIndexesAsync(db, collectionKey) {
+    return new Promise((resolve, reject) => db.collection(collectionKey).listIndexes().toArray((error, indexes) => {
+        // If collection doesn't exist it has no indexes.
+        if (error && (error.code === 26 || error.codeName === 'NamespaceNotFound')) resolve([]);
+        else if (error) reject(mapDriverError(error, collectionKey));
+        else resolve(indexes);
+    }));
+}
+
+/**
+ * Runs the index command in asynchronous fashion.
+ * @param {String} collectionKey The key of the collection.
+ * @param {Function} execute Function running the command, which is called with the callback.
+ * @returns {Promise<Object>} Returns the promise of the result of the command.
+ */
+function runIndexCommandAsync(collectionKey, execute) {
+    return new Promise((resolve, reject) => execute((error, result) => error ? reject(mapDriverError(error, collectionKey)) : resolve(result)));
+}
+
+// The _id of the migration lock within the migrations collection.
+const migrationLockId = '_lock';
+
+// Interval between the attempts to acquire the migration lock.
+const migrationLockPollMS = 250;
+
+/**
+ * Validates the migrations, loading them from the directory if its path has been provided.
+ * @param {[Object]|String} migrations Ordered migrations or the path of the directory.
+ * @returns {[{id: String, up: Function, down: Function}]} Returns the migrations.
+ */
+function resolveMigrations(migrations) {
+    // Load the migrations from the directory.
+    if (typeof migrations === 'string') migrations = loadMigrations(migrations);
+    // If provided migrations is not an array throw appropriate exception.
+    if (!Array.isArray(migrations)) throw new TypeError('Provided \'migrations\' must be an array or the path of the directory.');
+
+    migrations.forEach((migration, position) => {
+        // If migration doesn't have valid id throw appropriate exception.
+        if (!isPlainObject(migration) || typeof migration.id !== 'string' || !migration.id || migration.id === migrationLockId)
+            throw new TypeError(`Provided migration at position ${position} must have non-empty string 'id' other than '${migrationLockId}'.`);
+        // If migration doesn't provide valid functions throw appropriate exception.
+        if (typeof migration.up !== 'function' || (migration.down !== undefined && typeof migration.down !== 'function'))
+            throw new TypeError(`Provided migration '${migration.id}' must provide 'up' function and optionally 'down' function.`);
+        // If the id has been used before throw appropriate exception.
+        if (migrations.findIndex((other) => other.id === migration.id) !== position) throw new TypeError(`Provided migration '${migration.id}' is listed more than once.`);
+    });
+    return migrations;
+}
+
+/**
+ * Validates the settings of the migration run and fills in the defaults.
+ * @param {[Object]} migrations The migrations.
+ * @param {Object=} options Provided settings.
+ * @returns {Object} Returns the settings.
+ */
+function resolveMigrationSettings(migrations, options) {
+    const settings = Object.assign({ dryRun: false, migrationsCollectionKey: '_migrations', lockTimeoutMS: 30000, lockTTLMS: 600000 }, removeUndefined(options || {}));
+    // If settings are not of expected types throw appropriate exception.
+    if (typeof settings.migrationsCollectionKey !== 'string') throw new TypeError('Provided \'migrationsCollectionKey\' must be a string.');
+    if (typeof settings.lockTimeoutMS !== 'number' || settings.lockTimeoutMS < 0) throw new TypeError('Provided \'lockTimeoutMS\' must be a non-negative number.');
+    if (typeof settings.lockTTLMS !== 'number' || settings.lockTTLMS <= 0) throw new TypeError('Provided \'lockTTLMS\' must be a positive number.');
+    // If provided target is not known throw appropriate exception.
+    if (settings.target !== undefined && settings.target !== null && !migrations.some((migration) => migration.id === settings.target))
+        throw new TypeError(`Provided 'target' migration '${settings.target}' is not known.`);
+    return settings;
+}
+
+/**
+ * Runs the selected migrations while holding the migration lock.
+ * @param {Db} db The database.
+ * @param {Object} settings Settings of the run.
+ * @param {Function} selectAsync Function selecting the migrations to be run, which is called with the Set of the ids of applied migrations.
+ * @param {Function} runAsync Function running and recording single migration, which is called with the migration and the function throwing
+ * MigrationLockError if the lock has been lost, which must be called before the migration is recorded.
+ * @returns {Promise<{applied: [String], dryRun: Boolean}>} Returns the promise of the ids of the migrations which have been run (or selected in dry run).
+ */
+async function runMigrationsAsync(db, settings, selectAsync, runAsync) {
+    // In dry run only select the migrations.
+    if (settings.dryRun) return { applied: (await selectAsync(await getAppliedMigrationsAsync(db, settings))).map((migration) => migration.id), dryRun: true };
+
+    const owner = await acquireMigrationLockAsync(db, settings);
+    const applied = [];
+
+    // Renew the lock periodically, so it doesn't expire while a long migration is running. Renewals run one after another
+    // and only the loss of the lock is remembered, other failures are retried by the next renewal.
+    let lockError = null;
+    let renewal = Promise.resolve();
+    const heartbeat = setInterval(() => {
+        renewal = renewal.then(() => renewMigrationLockAsync(db, settings, owner)).catch((error) => {
+            if (error instanceof MigrationLockError) lockError = error;
+        });
+    }, settings.lockTTLMS / 3);
+    // Throws the error of the renewal if the lock has been lost.
+    const assertLockHeld = () => {
+        if (lockError) throw lockError;
+    };
+
+    try {
+        // Select the migrations once the lock is held, so the ones run by other instances in the meantime are taken into account.
+        for (const migration of await selectAsync(await getAppliedMigrationsAsync(db, settings))) {
+            assertLockHeld();
+            await renewMigrationLockAsync(db, settings, owner);
+            await runAsync(migration, assertLockHeld);
+            applied.push(migration.id);
+        }
+    } finally {
+        // Stop renewing the lock and wait for the running renewal, so it doesn't race with the release.
+        clearInterval(heartbeat);
+        await renewal;
+        // Release the lock. If that fails the lock expires anyway.
+        await deleteOneAsync(db, settings.migrationsCollectionKey, { _id: migrationLockId, owner }).catch(() => undefined);
+    }
+    return { applied, dryRun: false };
+}
+
+/**
+ * Returns the ids of applied migrations in asynchronous fashion.
+ * @param {Db} db The database.
+ * @param {Object} settings Settings of the run.
+ * @returns {Promise<Set<String>>} Returns the promise of the ids.
+ */
+async function getAppliedMigrationsAsync(db, settings) {
+    const records = await findManyAsync(db, settings.migrationsCollectionKey, { appliedAt: { $exists: true } }, { projection: { _id: 1 } });
+    return new Set(records.map((record) => record._id));
+}
+
+/**
+ * Acquires the migration lock in asynchronous fashion, taking over the expired one and waiting for the one held by another instance.
+ * @param {Db} db The database.
+ * @param {Object} settings Settings of the run.
+ * @returns {Promise<String>} Returns the promise of the owner token of the lock.
+ */
+async function acquireMigrationLockAsync(db, settings) {
+    const { migrationsCollectionKey, lockTimeoutMS, lockTTLMS } = settings;
+    const owner = crypto.randomBytes(16).toString('hex');
+    const deadline = Date.now() + lockTimeoutMS;
+
+    for (;;) {
+        const acquiredAt = new Date();
+        const lock = { owner, acquiredAt, expiresAt: new Date(acquiredAt.getTime() + lockTTLMS) };
+        try {
+            // Try to create the lock.
+            await insertOneAsync(db, migrationsCollectionKey, Object.assign({ _id: migrationLockId }, lock));
+            return owner;
+        } catch (error) {
+            // If the lock exists carry on, otherwise rethrow the error.
+            if (!(error instanceof DuplicateKeyError)) throw error;
+        }
+
+        // Take over the lock if it has expired.
+        const result = await updateOneAsync(db, migrationsCollectionKey, { _id: migrationLockId, expiresAt: { $lte: acquiredAt } }, { $set: lock });
+        if (result.matchedCount) return owner;
+
+        // If the time is up throw appropriate exception, otherwise wait before the next attempt.
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) throw new MigrationLockError(`Migration lock in '${migrationsCollectionKey}' collection couldn't be acquired within ${lockTimeoutMS} ms.`, migrationsCollectionKey);
+        await new Promise((resolve) => setTimeout(resolve, Math.min(migrationLockPollMS, remaining)));
+    }
+}
+
+/**
+ * Extends the expiration of the migration lock in asynchronous fashion.
+ * @param {Db} db The database.
+ * @param {Object} settings Settings of the run.
+ * @param {String} owner The owner token of the lock.
+ * @returns {Promise} Returns the promise of renewing the lock, which is rejected with MigrationLockError if the lock is no longer held.
+ */
+async function renewMigrationLockAsync(db, settings, owner) {
+    const { migrationsCollectionKey, lockTTLMS } = settings;
+    const result = await updateOneAsync(db, migrationsCollectionKey, { _id: migrationLockId, owner }, { $set: { expiresAt: new Date(Date.now() + lockTTLMS) } });
+    // If the lock has been taken over throw appropriate exception.
+    if (!result.matchedCount) throw new MigrationLockError(`Migration lock in '${migrationsCollectionKey}' collection has expired and has been taken over by another instance.`, migrationsCollectionKey);
+}
+
+/**
+ * Writes the entries of the collection into the stream, see exportCollectionAsync.
+ * @param {Db} db Database containing the collection.
+ * @param {String} collectionKey The key of the collection to be exported.
+ * @param {Writable} writableStream The stream the documents are written to.
+ * @param {Object} selector Filter of the exported entries.
+ * @param {Object} findOptions Settings passed to findStream.
+ * @param {{format: String, end: Boolean, onProgress: Function}} settings Settings of the export.
+ * @returns {Promise<{exported: Number}>} Returns the promise of the number of exported documents.
+ */
+async function writeExportAsync(db, collectionKey, writableStream, selector, findOptions, settings) {
+    const { format, end, onProgress } = settings;
+
+    const progress = { exported: 0 };
+    for await (const batch of findStream(db, collectionKey, selector, Object.assign(findOptions, { yieldBatches: true }))) {
+        // Write the batch, waiting for the stream to drain if its buffer is full.
+        const lines = batch.map((document) => `${JSON.stringify(toExtendedJSON(document, format === 'relaxed'))}\n`).join('');
+        if (!writableStream.write(lines)) await once(writableStream, 'drain');
+
+        // Report the progress.
+        progress.exported += batch.length;
+        if (onProgress) onProgress(Object.assign({}, progress));
+    }
+
+    // End the stream and wait until everything has been flushed.
+    if (end) {
+        writableStream.end();
+        if (!writableStream.writableFinished) await once(writableStream, 'finish');
+    }
+
+    // Return the number of exported documents.
+    return progress;
+}
+
+/**
+ * Reads the documents from the stream and writes them into the collection in batches, see importCollectionAsync.
+ * @param {Db} db Database containing the collection.
+ * @param {String} collectionKey The key of the collection the documents are imported into.
+ * @param {Readable} readableStream The stream the documents are read from.
+ * @param {{conflicts: String, batchSize: Number, checkpoint: Object, onProgress: Function}} settings Settings of the import.
+ * @returns {Promise<Object>} Returns the promise of the final progress.
+ */
+async function readImportAsync(db, collectionKey, readableStream, settings) {
+    const { conflicts, batchSize, checkpoint, onProgress } = settings;
+
+    const resumeAfter = checkpoint ? checkpoint.line : 0;
+    const progress = { processed: 0, inserted: 0, replaced: 0, skipped: 0 };
+    let batch = [], batchLines = [];
+
+    // Write the batch and report the progress.
+    const flushAsync = async () => {
+        if (!batch.length) return;
+        const { error, ...counts } = await importBatchAsync(db, collectionKey, batch, conflicts);
+        Object.entries(counts).forEach(([name, count]) => progress[name] += count);
+        // If the batch has been inserted only partially, report the checkpoint preceding the line of the failed document, so the import
+        // can be resumed from it once the conflict is resolved, and rethrow the error.
+        if (error) {
+            if (onProgress) onProgress(Object.assign({}, progress, { processed: batchLines[counts.inserted] - 1, checkpoint: { line: batchLines[counts.inserted] - 1 } }));
+            throw error;
+        }
+        batch = [];
+        batchLines = [];
+        if (onProgress) onProgress(Object.assign({}, progress, { checkpoint: { line: progress.processed } }));
+    };
+
+    for await (const line of readLinesAsync(readableStream)) {
+        // Skip the lines imported before the checkpoint and the empty ones.
+        progress.processed++;
+        if (progress.processed <= resumeAfter || !line.trim()) continue;
+
+        // Parse the document.
+        let document;
+        try {
+            document = fromExtendedJSON(JSON.parse(line));
+        } catch (error) {
+            throw new SyntaxError(`Line ${progress.processed} is not valid Extended JSON: ${error.message}`);
+        }
+        // If the line doesn't contain a document throw appropriate exception.
+        if (!isPlainObject(document)) throw new TypeError(`Line ${progress.processed} doesn't contain a document.`);
+
+        // Write the batch once it is full.
+        batch.push(document);
+        batchLines.push(progress.processed);
+        if (batch.length === batchSize) await flushAsync();
+    }
+
+    // Write the last incomplete batch.
+    await flushAsync();
+
+    // Return the final progress.
+    return Object.assign(progress, { checkpoint: { line: progress.processed } });
+}
+
+/**
+ * Writes the batch of imported documents.
+ * @param {Db} db The database.
+ * @param {String} collectionKey The key of the collection.
+ * @param {[Object]} documents The documents.
+ * @param {String} conflicts Either 'fail', 'skip' or 'replace'.
+ * @returns {Promise<{inserted: Number, replaced: Number, skipped: Number, error: Error}>} Returns the promise of the counts and of the error
+ * of the first failed document in 'fail' mode, in which the documents preceding it have been inserted (error is null if all of them have been).
+ */
+async function importBatchAsync(db, collectionKey, documents, conflicts) {
+    // Insert the documents in their order stopping at the first conflict, so the inserted ones form the prefix of the batch.
+    if (conflicts === 'fail') {
+        const report = await bulkWriteAsync(db, collectionKey, documents.map((document) => ({ insertOne: { objectToInsert: document } })), { ordered: true });
+        const failure = report.results.find((result) => result.outcome === 'failed');
+        return { inserted: failure ? failure.index : documents.length, replaced: 0, skipped: 0, error: failure ? failure.error : null };
+    }
+
+    // Otherwise insert or replace (upsert) each document independently.
+    const operations = documents.map((document) => conflicts === 'replace' && document._id !== undefined
+        ? { replaceOne: { selector: { _id: document._id }, replacement: document, upsert: true } }
+        : { insertOne: { objectToInsert: document } });
+    const report = await bulkWriteAsync(db, collectionKey, operations, { ordered: false });
+
+    // Skip the conflicting inserts, but rethrow any other failure.
+    const failures = report.results.filter((result) => result.outcome === 'failed');
+    const failure = failures.find((result) => conflicts !== 'skip' || result.operation !== 'insertOne' || !(result.error instanceof DuplicateKeyError));
+    if (failure) throw failure.error;
+    return { inserted: report.insertedCount + report.upsertedCount, replaced: report.matchedCount, skipped: failures.length, error: null };
+}
+
+/**
+ * Reads the stream line by line.
+ * @param {Readable} readableStream The stream.
+ * @returns {AsyncIterable<String>} Returns the async iterable of the lines.
+ */
+async function* readLinesAsync(readableStream) {
+    // Decode the chunks as UTF-8, so multi-byte characters split between chunks stay intact.
+    const decoder = new StringDecoder('utf8');
+    let rest = '';
+    for await (const chunk of readableStream) {
+        const lines = (rest + (typeof chunk === 'string' ? chunk : decoder.write(chunk))).split('\n');
+        rest = lines.pop();
+        yield* lines.map((line) => line.replace(/\r$/, ''));
+    }
+    // Yield the last line, which isn't terminated.
+    rest += decoder.end();
+    if (rest) yield rest.replace(/\r$/, '');
+}
+
+/**
+ * Converts the value into MongoDB Extended JSON v2 representation, which can be serialized by JSON.stringify.
+ * @param {*} value The value.
+ * @param {Boolean} relaxed Whether relaxed format is used, otherwise canonical one is used.
+ * @returns {*} Returns the representation.
+ */
+function toExtendedJSON(value, relaxed) {
+    if (value === null || typeof value === 'boolean' || typeof value === 'string') return value;
+    // Numbers are serialized by the driver as int32 if they are integers fitting into it, otherwise as doubles.
+    if (typeof value === 'number')
+        return Number.isInteger(value) && value >= -2147483648 && value <= 2147483647 && !Object.is(value, -0) ? (relaxed ? value : { $numberInt: String(value) }) : toExtendedDouble(value, relaxed);
+    if (value instanceof Date) {
+        const time = value.getTime();
+        return relaxed && time >= 0 && time <= 253402300799999 ? { $date: value.toISOString() } : { $date: { $numberLong: String(time) } };
+    }
+    if (value instanceof RegExp) return { $regularExpression: { pattern: value.source, options: value.flags.replace(/[gy]/g, '').split('').sort().join('') } };
+    if (Buffer.isBuffer(value)) return { $binary: { base64: value.toString('base64'), subType: '00' } };
+    if (Array.isArray(value)) return value.map((item) => item === undefined ? null : toExtendedJSON(item, relaxed));
+    if (typeof value !== 'object') throw new TypeError(`Value of type '${typeof value}' can't be represented as Extended JSON.`);
+
+    // Convert BSON values.
+    switch (value._bsontype) {
+        case undefined: break;
+        case 'ObjectID': case 'ObjectId': return { $oid: value.toHexString() };
+        case 'Decimal128': return { $numberDecimal: value.toString() };
+        case 'Double': return toExtendedDouble(value.valueOf(), relaxed);
+        case 'Int32': return relaxed ? value.valueOf() : { $numberInt: String(value.valueOf()) };
+        case 'Long': return relaxed && Number.isSafeInteger(value.toNumber()) ? value.toNumber() : { $numberLong: value.toString() };
+        case 'Timestamp': return { $timestamp: { t: value.getHighBits() >>> 0, i: value.getLowBits() >>> 0 } };
+        case 'Binary': return { $binary: { base64: value.value(true).toString('base64'), subType: value.sub_type.toString(16).padStart(2, '0') } };
+        case 'BSONRegExp': return { $regularExpression: { pattern: value.pattern, options: value.options.split('').sort().join('') } };
+        case 'Symbol': return { $symbol: value.valueOf() };
+        case 'Code': return value.scope ? { $code: value.code, $scope: toExtendedJSON(value.scope, relaxed) } : { $code: value.code };
+        case 'DBRef': return removeUndefined({ $ref: value.namespace, $id: toExtendedJSON(value.oid, relaxed), $db: value.db });
+        case 'MinKey': return { $minKey: 1 };
+        case 'MaxKey': return { $maxKey: 1 };
+        default: throw new TypeError(`BSON type '${value._bsontype}' can't be represented as Extended JSON.`);
+    }
+
+    // Convert the fields of the document, leaving out undefined ones as the driver does.
+    return Object.keys(value).reduce((converted, key) => {
+        if (value[key] !== undefined && typeof value[key] !== 'function') converted[key] = toExtendedJSON(value[key], relaxed);
+        return converted;
+    }, {});
+}
+
+/**
+ * Converts the double into MongoDB Extended JSON v2 representation.
+ * @param {Number} value The value.
+ * @param {Boolean} relaxed Whether relaxed format is used, otherwise canonical one is used.
+ * @returns {Number|Object} Returns the representation.
+ */
+function toExtendedDouble(value, relaxed) {
+    // Relaxed format uses plain numbers except the ones JSON can't represent.
+    if (relaxed && Number.isFinite(value) && !Object.is(value, -0)) return value;
+    if (Object.is(value, -0)) return { $numberDouble: '-0.0' };
+    if (!Number.isFinite(value)) return { $numberDouble: Number.isNaN(value) ? 'NaN' : value > 0 ? 'Infinity' : '-Infinity' };
+    const text = String(value);
+    return { $numberDouble: Number.isInteger(value) && !text.includes('e') ? `${text}.0` : text };
+}
+
+// Converters of the MongoDB Extended JSON type wrappers, registered under the keys of the wrappers.
+const extendedJSONConverters = {
+    $oid: (value) => new ObjectID(value.$oid),
+    $date: (value) => new Date(isPlainObject(value.$date) ? Number(value.$date.$numberLong) : value.$date),
+    $numberInt: (value) => parseInt(value.$numberInt, 10),
+    // Integral doubles are kept as Double instances, otherwise the driver would store them as int32.
+    $numberDouble: (value) => {
+        const number = Number(value.$numberDouble);
+        return Number.isInteger(number) && number >= -2147483648 && number <= 2147483647 ? new mongodb.Double(number) : number;
+    },
+    $numberLong: (value) => mongodb.Long.fromString(value.$numberLong),
+    $numberDecimal: (value) => mongodb.Decimal128.fromString(value.$numberDecimal),
+    $timestamp: (value) => new mongodb.Timestamp(value.$timestamp.i, value.$timestamp.t),
+    $binary: (value) => isPlainObject(value.$binary)
+        ? new mongodb.Binary(Buffer.from(value.$binary.base64, 'base64'), parseInt(value.$binary.subType, 16))
+        : new mongodb.Binary(Buffer.from(value.$binary, 'base64'), parseInt(value.$type, 16)),
+    // Regular expressions are converted into RegExp instances unless they use options JavaScript doesn't support.
+    $regularExpression: (value) => /^[ims]*$/.test(value.$regularExpression.options)
+        ? new RegExp(value.$regularExpression.pattern, value.$regularExpression.options)
+        : new mongodb.BSONRegExp(value.$regularExpression.pattern, value.$regularExpression.options),
+    $symbol: (value) => new mongodb.Symbol(value.$symbol),
+    $code: (value) => new mongodb.Code(value.$code, value.$scope === undefined ? undefined : fromExtendedJSON(value.$scope)),
+    $ref: (value) => new mongodb.DBRef(value.$ref, fromExtendedJSON(value.$id), value.$db),
+    $minKey: () => new mongodb.MinKey(),
+    $maxKey: () => new mongodb.MaxKey()
+};
+
+// Keys which can accompany the key of the MongoDB Extended JSON type wrapper.
+const extendedJSONCompanionKeys = { $binary: ['$type'], $code: ['$scope'], $ref: ['$id', '$db'] };
+
+/**
+ * Converts the value parsed from MongoDB Extended JSON (canonical, relaxed or legacy one) back into the BSON values.
+ * @param {*} value The parsed value.
+ * @returns {*} Returns the converted value.
+ */
+function fromExtendedJSON(value) {
+    if (Array.isArray(value)) return value.map(fromExtendedJSON);
+    if (value === null || typeof value !== 'object') return value;
+
+    // Convert the type wrappers.
+    const keys = Object.keys(value);
+    const wrapper = keys.find((key) => extendedJSONConverters.hasOwnProperty(key));
+    if (wrapper && keys.every((key) => key === wrapper || (extendedJSONCompanionKeys[wrapper] || []).includes(key))) return extendedJSONConverters[wrapper](value);
+
+    // Convert the fields of the document.
+    return keys.reduce((converted, key) => { converted[key] = fromExtendedJSON(value[key]); return converted; }, {});
+}
+
+// Validators of the values of all the known pipeline stages, each returning the description of the problem or undefined if value is valid.
+const pipelineStageValidators = {
+    $match: (value) => isPlainObject(value) ? undefined : 'must be a non-null object',
+    $project: (value) => isPlainObject(value) && Object.keys(value).length ? undefined : 'must be a non-empty object',
+    $addFields: (value) => isPlainObject(value) && Object.keys(value).length ? undefined : 'must be a non-empty object',
+    $set: (value) => isPlainObject(value) && Object.keys(value).length ? undefined : 'must be a non-empty object',
+    $unset: (value) => typeof value === 'string' || (Array.isArray(value) && value.length && value.every((field) => typeof field === 'string'))
+        ? undefined : 'must be a field name or an array of field names',
+    $group: (value) => {
+        if (!isPlainObject(value) || !value.hasOwnProperty('_id')) return 'must be an object with \'_id\' property';
+        const invalid = Object.keys(value).find((field) => field !== '_id'
+            && !(isPlainObject(value[field]) && Object.keys(value[field]).length === 1 && groupAccumulators.includes(Object.keys(value[field])[0])));
+        return invalid === undefined ? undefined : `field '${invalid}' must be an object with a single accumulator operator`;
+    },
+    $sort: (value) => isPlainObject(value) && Object.keys(value).length
+        && Object.keys(value).every((field) => value[field] === 1 || value[field] === -1 || (isPlainObject(value[field]) && value[field].$meta !== undefined))
+        ? undefined : 'must be a non-empty object mapping fields to 1, -1 or { $meta }',
+    $skip: (value) => Number.isInteger(value) && value >= 0 ? undefined : 'must be a non-negative integer',
+    $limit: (value) => Number.isInteger(value) && value > 0 ? undefined : 'must be a positive integer',
+    $sample: (value) => isPlainObject(value) && Number.isInteger(value.size) && value.size > 0 ? undefined : 'must be an object with positive integer \'size\'',
+    $count: (value) => typeof value === 'string' && value.length && !value.startsWith('$') && !value.includes('.')
+        ? undefined : 'must be a non-empty field name not starting with \'$\' and not containing \'.\'',
+    $unwind: (value) => isFieldPathExpression(value) || (isPlainObject(value) && isFieldPathExpression(value.path)
+        && (value.includeArrayIndex === undefined || typeof value.includeArrayIndex === 'string')
+        && (value.preserveNullAndEmptyArrays === undefined || typeof value.preserveNullAndEmptyArrays === 'boolean'))
+        ? undefined : 'must be a field path prefixed with \'$\' or an object with such \'path\'',
+    $lookup: (value) => {
+        if (!isPlainObject(value) || typeof value.from !== 'string' || typeof value.as !== 'string') return 'must be an object with string \'from\' and \'as\'';
+        const equality = value.localField !== undefined || value.foreignField !== undefined;
+        if (equality && (typeof value.localField !== 'string' || typeof value.foreignField !== 'string')) return 'must contain both string \'localField\' and \'foreignField\'';
+        if (value.pipeline !== undefined && !Array.isArray(value.pipeline)) return 'must contain \'pipeline\' array';
+        return equality || value.pipeline !== undefined ? undefined : 'must contain either \'localField\' and \'foreignField\' or \'pipeline\'';
+    },
+    $graphLookup: (value) => isPlainObject(value) && ['from', 'connectFromField', 'connectToField', 'as'].every((key) => typeof value[key] === 'string') && value.startWith !== undefined
+        ? undefined : 'must be an object with string \'from\', \'connectFromField\', \'connectToField\' and \'as\' and \'startWith\' expression',
+    $facet: (value) => isPlainObject(value) && Object.keys(value).length && Object.keys(value).every((name) => Array.isArray(value[name]))
+        ? undefined : 'must be a non-empty object mapping the names of the facets to pipelines',
+    $replaceRoot: (value) => isPlainObject(value) && value.newRoot !== undefined ? undefined : 'must be an object with \'newRoot\' property',
+    $replaceWith: (value) => value !== undefined ? undefined : 'must be an expression',
+    $sortByCount: (value) => isFieldPathExpression(value) || isPlainObject(value) ? undefined : 'must be a field path prefixed with \'$\' or an expression object',
+    $bucket: (value) => isPlainObject(value) && value.groupBy !== undefined && Array.isArray(value.boundaries) && value.boundaries.length >= 2
+        ? undefined : 'must be an object with \'groupBy\' expression and \'boundaries\' array of at least two values',
+    $bucketAuto: (value) => isPlainObject(value) && value.groupBy !== undefined && Number.isInteger(value.buckets) && value.buckets > 0
+        ? undefined : 'must be an object with \'groupBy\' expression and positive integer \'buckets\'',
+    $unionWith: (value) => typeof value === 'string' || (isPlainObject(value) && typeof value.coll === 'string' && (value.pipeline === undefined || Array.isArray(value.pipeline)))
+        ? undefined : 'must be a collection name or an object with string \'coll\' and optional \'pipeline\' array',
+    $geoNear: (value) => isPlainObject(value) && value.near !== undefined && typeof value.distanceField === 'string'
+        ? undefined : 'must be an object with \'near\' and string \'distanceField\'',
+    $out: (value) => typeof value === 'string' || (isPlainObject(value) && typeof value.coll === 'string') ? undefined : 'must be a collection name or an object with string \'coll\'',
+    $merge: (value) => typeof value === 'string' || (isPlainObject(value) && (typeof value.into === 'string' || (isPlainObject(value.into) && typeof value.into.coll === 'string')))
+        ? undefined : 'must be a collection name or an object with \'into\' collection',
+    $redact: (value) => value !== undefined ? undefined : 'must be an expression',
+    $collStats: (value) => isPlainObject(value) ? undefined : 'must be an object',
+    $indexStats: (value) => isPlainObject(value) ? undefined : 'must be an object',
+    $setWindowFields: (value) => isPlainObject(value) && isPlainObject(value.output) ? undefined : 'must be an object with \'output\' object',
+    $densify: (value) => isPlainObject(value) && typeof value.field === 'string' ? undefined : 'must be an object with string \'field\'',
+    $fill: (value) => isPlainObject(value) && isPlainObject(value.output) ? undefined : 'must be an object with \'output\' object',
+    $search: (value) => isPlainObject(value) ? undefined : 'must be an object',
+    $searchMeta: (value) => isPlainObject(value) ? undefined : 'must be an object'
+};
+
+// Accumulator operators allowed in $group stage.
+const groupAccumulators = ['$sum', '$avg', '$min', '$max', '$first', '$last', '$push', '$addToSet', '$mergeObjects', '$stdDevPop', '$stdDevSamp', '$count',
+    '$top', '$bottom', '$topN', '$bottomN', '$firstN', '$lastN', '$maxN', '$minN', '$accumulator'];
+
+// Stages which must be the first stage of the pipeline.
+const firstPipelineStages = ['$geoNear', '$collStats', '$indexStats', '$search', '$searchMeta'];
+
+// Stages which must be the last stage of the pipeline.
+const lastPipelineStages = ['$out', '$merge'];
+
+/**
+ * Answers a question whether value is a field path expression.
+ * @param {*} value The value.
+ * @returns {Boolean} Returns true if value is a string starting with single '$' followed by the path.
+ */
+function isFieldPathExpression(value) {
+    return typeof value === 'string' && value.length > 1 && value.startsWith('$') && !value.startsWith('$$');
+}
+
+/**
+ * Validates the stages of the pipeline.
+ * @param {[Object]} pipeline The pipeline.
+ * @param {String} path Path of the pipeline, empty for the top level one.
+ * @param {String} parentStage Name of the stage containing the nested pipeline or null for the top level one.
+ * @returns {[{path: String, message: String}]} Returns an array of all the problems found.
+ */
+function validatePipelineStages(pipeline, path, parentStage) {
+    const errors = [];
+    // Loop through all the stages.
+    pipeline.forEach((stage, index) => {
+        const stagePath = joinPath(path, String(index));
+        const keys = isPlainObject(stage) ? Object.keys(stage) : [];
+        const name = keys[0];
+        // Stage must be an object with a single known stage operator.
+        if (keys.length !== 1 || !name.startsWith('$')) return errors.push({ path: stagePath, message: 'must be an object with a single stage operator' });
+        if (!pipelineStageValidators.hasOwnProperty(name)) return errors.push({ path: stagePath, message: `contains unknown stage '${name}'` });
+
+        // Validate the shape of the stage.
+        const value = stage[name];
+        const valuePath = `${stagePath}.${name}`;
+        const message = pipelineStageValidators[name](value);
+        if (message) return errors.push({ path: valuePath, message });
+
+        // Validate the placement of the stage.
+        if (firstPipelineStages.includes(name) && (index > 0 || parentStage === '$facet')) errors.push({ path: valuePath, message: 'must be the first stage of the pipeline' });
+        if (lastPipelineStages.includes(name) && (index < pipeline.length - 1 || parentStage)) errors.push({ path: valuePath, message: 'must be the last stage of the top level pipeline' });
+        if (name === '$facet' && parentStage === '$facet') errors.push({ path: valuePath, message: 'can\'t be used within $facet' });
+
+        // Validate the selectors and the nested pipelines.
+        const nest = (errorsFound) => errorsFound.forEach((error) => errors.push(error));
+        if (name === '$match') nest(validateSelectorObject(value, '').map((error) => ({ path: joinPath(valuePath, error.path), message: error.message })));
+        if (name === '$lookup' && value.pipeline) nest(validatePipelineStages(value.pipeline, `${valuePath}.pipeline`, name));
+        if (name === '$unionWith' && value.pipeline) nest(validatePipelineStages(value.pipeline, `${valuePath}.pipeline`, name));
+        if (name === '$facet') Object.keys(value).forEach((facet) => nest(validatePipelineStages(value[facet], `${valuePath}.${facet}`, name)));
+    });
+
+    return errors;
+}
+
+/**
+ * Throws appropriate exception if provided pipeline is not valid.
+ * @param {[Object]} pipeline Pipeline to be validated.
+ * @param {String=} argumentDescription Description of the argument used in the message. Optional, defaults to 'pipeline'.
+ */
+function assertPipelineValid(pipeline, argumentDescription) {
+    // Validate the pipeline.
+    const errors = validatePipeline(pipeline);
+    // If any error has been found throw appropriate exception.
+    if (errors.length)
+        throw new TypeError(`Provided ${argumentDescription || '\'pipeline\''} is not valid: ${errors.map((error) => `'${error.path}' ${error.message}`).join('; ')}.`);
+}
+
+/**
+ * Validates the pipeline and adds the $match stage excluding soft-deleted entries if the collection requires it.
+ * @param {String} collectionKey The key of the collection.
+ * @param {[Object]|PipelineBuilder} pipeline The pipeline or the builder of it.
+ * @param {Object=} options Settings of the call, which 'withDeleted' is taken into account.
+ * @returns {[Object]} Returns the pipeline to be executed.
+ */
+function prepareAggregatePipeline(collectionKey, pipeline, options) {
+    // Obtain the stages of the builder.
+    const stages = pipeline instanceof PipelineBuilder ? pipeline.build() : pipeline;
+    // If provided pipeline is not valid throw appropriate exception.
+    assertPipelineValid(stages);
+
+    // If soft-deleted entries are not excluded use the pipeline as it is.
+    const selector = excludeSoftDeleted(collectionKey, {}, options);
+    if (!Object.keys(selector).length) return stages;
+
+    // Otherwise add the $match stage at the start, right after the stage which must be the first one (if any).
+    const position = stages.length && firstPipelineStages.includes(Object.keys(stages[0])[0]) ? 1 : 0;
+    return stages.slice(0, position).concat([{ $match: selector }], stages.slice(position));
+}
+
+/**
+ * Runs the pipeline and returns the cursor of the results in asynchronous fashion.
+ * @param {Db} db The database.
+ * @param {String} collectionKey The key of the collection.
+ * @param {[Object]} pipeline Valid pipeline.
+ * @param {Object=} options Settings of the driver.
+ * @returns {Promise<Cursor>} Returns the promise of the cursor.
+ */
+function openAggregateCursorAsync(db, collectionKey, pipeline, options) {
+    return new Promise((resolve, reject) => db.collection(collectionKey).aggregate(pipeline, options || {}, (error, cursor) => error ? reject(error) : resolve(cursor)));
+}
+
+/**
+ * Returns the name of the operation running the pipeline, which is 'aggregateOutput' write if the pipeline ends with $out or $merge stage, otherwise 'aggregate' read.
+ * @param {[Object]} pipeline Valid pipeline.
+ * @returns {String} Returns the name of the operation.
+ */
+function getPipelineOperation(pipeline) {
+    const last = pipeline[pipeline.length - 1] || {};
+    return lastPipelineStages.some((name) => last[name] !== undefined) ? 'aggregateOutput' : 'aggregate';
+}
+
+/**
+ * Returns the name of the collection the results of the pipeline are written to by its $out or $merge stage.
+ * @param {[Object]} pipeline Valid pipeline.
+ * @returns {String} Returns the name of the collection or null if the results are not written to any collection of the same database.
+ */
+function getPipelineOutputCollection(pipeline) {
+    const last = pipeline[pipeline.length - 1] || {};
+    const output = last.$out !== undefined ? last.$out : last.$merge !== undefined ? (typeof last.$merge === 'string' ? last.$merge : last.$merge.into) : null;
+    if (output === null || typeof output === 'string') return output;
+    return output.db === undefined ? output.coll : null;
+}
+
+// Operation types of the change events.
+const changeOperationTypes = ['insert', 'update', 'replace', 'delete', 'drop', 'rename', 'dropDatabase', 'invalidate'];
+
+// Value resolved by the timer of the change stream subscription once the checkpoint interval elapses.
+const checkpointIntervalElapsed = Symbol('checkpointIntervalElapsed');
+
+// Codes of the errors reporting that the change stream can't be resumed from its token (ChangeStreamHistoryLost, CappedPositionLost and ChangeStreamFatalError).
+const changeStreamHistoryLostCodes = [286, 136, 280];
+
+// Codes of the errors after which the change stream can be reopened, in addition to the network errors and timeouts.
+const resumableChangeStreamCodes = [43, 63, 133, 150, 234, 13388];
+
+/**
+ * Answers a question whether the change stream can be reopened after the error.
+ * @param {Error} error The error.
+ * @returns {Boolean} Returns true if the error is resumable.
+ */
+function isResumableChangeStreamError(error) {
+    const mapped = mapDriverError(error);
+    return hasErrorLabel(error, 'ResumableChangeStreamError') || resumableChangeStreamCodes.includes(error.code) || (mapped instanceof DatabaseError && mapped.retryable);
+}
+
+/**
+ * Finds the condition of the selector which refers to another tenant than the provided one.
+ * Conditions of the tenant field other than equality to the tenant, $eq and $in containing only the tenant and conditions of its subfields are considered violations.
+ * @param {Object} selector The selector.
+ * @param {String} tenantField The name of the tenant field.
+ * @param {*} tenantId The id of the tenant.
+ * @returns {String} Returns the path of the violating condition or null if there is none.
+ */
+function findTenantSelectorViolation(selector, tenantField, tenantId, path) {
+    for (const key of Object.keys(selector)) {
+        const keyPath = joinPath(path || '', key);
+        const value = selector[key];
+        // Check the nested selectors of the logical operators.
+        if (logicalQueryOperators.includes(key) && Array.isArray(value)) {
+            for (let index = 0; index < value.length; index++) {
+                const violation = isPlainObject(value[index]) ? findTenantSelectorViolation(value[index], tenantField, tenantId, joinPath(keyPath, String(index))) : null;
+                if (violation !== null) return violation;
+            }
+        }
+        // Check the conditions of the tenant field and its subfields.
+        else if (key.startsWith(`${tenantField}.`)) return keyPath;
+        else if (key === tenantField) {
+            const isTenant = (candidate) => valuesEqual(candidate, tenantId);
+            const allowed = isTenant(value) || (isPlainObject(value) && Object.keys(value).length && Object.keys(value).every((operator) =>
+                (operator === '$eq' && isTenant(value.$eq)) || (operator === '$in' && Array.isArray(value.$in) && value.$in.length && value.$in.every(isTenant))));
+            if (!allowed) return keyPath;
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds the part of the update query which changes the tenant field. Setting the field to the provided tenant is not considered a change,
+ * while $project, $replaceRoot and $replaceWith stages of update pipelines are always considered violations, as their effect can't be verified.
+ * @param {Object|[Object]} updateQuery The update query.
+ * @param {String} tenantField The name of the tenant field.
+ * @param {*} tenantId The id of the tenant.
+ * @returns {String} Returns the path of the violation or null if there is none.
+ */
+function findTenantUpdateViolation(updateQuery, tenantField, tenantId) {
+    const affectsTenant = (path) => typeof path === 'string' && (path === tenantField || path.startsWith(`${tenantField}.`));
+
+    // Check the stages of update pipelines.
+    if (Array.isArray(updateQuery)) {
+        for (let index = 0; index < updateQuery.length; index++) {
+            const stage = isPlainObject(updateQuery[index]) ? updateQuery[index] : {};
+            for (const name of Object.keys(stage)) {
+                const value = stage[name];
+                if (['$project', '$replaceRoot', '$replaceWith'].includes(name)) return `${index}.${name}`;
+                if (name === '$unset' && [].concat(value).some(affectsTenant)) return `${index}.${name}`;
+                const changed = ['$set', '$addFields'].includes(name) && isPlainObject(value)
+                    ? Object.keys(value).find((path) => affectsTenant(path) && !(path === tenantField && valuesEqual(value[path], tenantId))) : undefined;
+                if (changed !== undefined) return `${index}.${name}.${changed}`;
+            }
+        }
+        return null;
+    }
+
+    // Check the paths affected by the update operators.
+    for (const operator of Object.keys(isPlainObject(updateQuery) ? updateQuery : {})) {
+        const value = isPlainObject(updateQuery[operator]) ? updateQuery[operator] : {};
+        for (const path of Object.keys(value)) {
+            const setsTenant = ['$set', '$setOnInsert'].includes(operator) && path === tenantField && valuesEqual(value[path], tenantId);
+            if ((affectsTenant(path) && !setsTenant) || (operator === '$rename' && affectsTenant(value[path]))) return `${operator}.${path}`;
+        }
+    }
+    return null;
+}
+
+// Name of the variable holding the value of the local field of the equality $lookup rewritten by the tenant scope.
+const lookupLocalVariable = 'tenantScopeLocalField';
+
+/**
+ * Creates the $match stage matching the looked up documents the same way the equality $lookup does, including arrays on either side
+ * and null matching missing fields. The value of the local field is provided by the variable named by lookupLocalVariable.
+ * @param {String} foreignField The path of the field of the looked up documents.
+ * @returns {Object} Returns the stage.
+ */
+function createLookupEqualityStage(foreignField) {
+    const local = `$$${lookupLocalVariable}`, foreign = { $ifNull: [`$${foreignField}`, null] };
+    return { $match: { $expr: { $or: [
+        { $eq: [foreign, local] },
+        { $and: [{ $isArray: [local] }, { $in: [foreign, local] }] },
+        { $and: [{ $isArray: [foreign] }, { $in: [local, foreign] }] }
+    ] } } };
+}
+
+/**
+ * Restricts the stages of the pipeline to the tenant of the scope, adding the tenant condition to the aggregated collection and to the looked up ones.
+ * @param {TenantScope} scope The tenant scope.
+ * @param {String} collectionKey The key of the aggregated collection or null for $facet pipelines, which process already restricted documents.
+ * @param {[Object]} stages Valid stages.
+ * @returns {[Object]} Returns the restricted stages.
+ */
+function scopePipelineStages(scope, collectionKey, stages) {
+    const match = { $match: { [scope.settings.tenantField]: scope.tenantId } };
+    const scoped = collectionKey !== null && scope.isScoped(collectionKey);
+
+    const result = stages.map((stage) => {
+        const [name] = Object.keys(stage);
+        const value = stage[name];
+        // Reject the stages which write to other collections or describe the whole collection.
+        if (['$out', '$merge', '$collStats', '$indexStats'].includes(name))
+            throw new TenantViolationError(`Provided pipeline contains '${name}' stage, which is not allowed within the tenant scope.`, collectionKey, scope.tenantId);
+        // Reject the selectors referring to another tenant.
+        if (name === '$match' && scoped) scope.scopeSelector(collectionKey, value);
+
+        // Restrict the looked up collections. Equality lookups are rewritten into 'let' and 'pipeline' form, as adding 'pipeline' to 'localField'
+        // and 'foreignField' requires MongoDB 5.0.
+        if (name === '$lookup' && (value.pipeline || scope.isScoped(value.from))) {
+            const { localField, foreignField, ...lookup } = value;
+            if (localField === undefined) return { $lookup: Object.assign(lookup, { pipeline: scopePipelineStages(scope, value.from, value.pipeline || []) }) };
+            return { $lookup: Object.assign(lookup, {
+                let: Object.assign({}, value.let, { [lookupLocalVariable]: { $ifNull: [`$${localField}`, null] } }),
+                pipeline: scopePipelineStages(scope, value.from, [createLookupEqualityStage(foreignField)].concat(value.pipeline || []))
+            }) };
+        }
+        if (name === '$graphLookup' && scope.isScoped(value.from)) return { $graphLookup: Object.assign({}, value, {
+            restrictSearchWithMatch: value.restrictSearchWithMatch ? { $and: [value.restrictSearchWithMatch, match.$match] } : match.$match
+        }) };
+        if (name === '$unionWith') {
+            const { coll, pipeline = [] } = typeof value === 'string' ? { coll: value } : value;
+            return { $unionWith: { coll, pipeline: scopePipelineStages(scope, coll, pipeline) } };
+        }
+        if (name === '$facet') return { $facet: Object.keys(value).reduce((facets, facet) => {
+            facets[facet] = scopePipelineStages(scope, null, value[facet]);
+            return facets;
+        }, {}) };
+        return stage;
+    });
+
+    // Restrict the aggregated collection, right after the stage which must be the first one (if any).
+    if (!scoped) return result;
+    const position = result.length && firstPipelineStages.includes(Object.keys(result[0])[0]) ? 1 : 0;
+    return result.slice(0, position).concat([match], result.slice(position));
+}
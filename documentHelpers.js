@@ -0,0 +1,176 @@
+// Helpers inspecting, comparing and copying the documents and their values, shared by awaitableMongoCRUD.js and the in-memory database of memoryDb.js.
+
+// Get ObjectID class used to encode the _ids.
+const { ObjectID } = require('mongodb');
+
+// Logical query operators containing arrays of selectors.
+const logicalQueryOperators = ['$and', '$or', '$nor']; module.exports.logicalQueryOperators = logicalQueryOperators;
+
+/**
+ * Answers a question whether provided value is a plain object (not an array, date, regular expression, buffer or BSON value).
+ * @param {*} value Value to be checked.
+ * @returns {Boolean} Returns true if value is a plain object, otherwise returns false.
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof Date)
+        && !(value instanceof RegExp) && !Buffer.isBuffer(value) && value._bsontype === undefined;
+} module.exports.isPlainObject = isPlainObject;
+
+/**
+ * Answers a question whether provided value is a number or a numeric BSON value.
+ * @param {*} value Value to be checked.
+ * @returns {Boolean} Returns true if value is numeric, otherwise returns false.
+ */
+function isNumeric(value) {
+    return typeof value === 'number' || (value !== null && typeof value === 'object' && ['Int32', 'Long', 'Double', 'Decimal128'].includes(value._bsontype));
+} module.exports.isNumeric = isNumeric;
+
+/**
+ * Answers a question whether provided value is of provided JSON Schema type or BSON type.
+ * @param {*} value Value to be checked.
+ * @param {String} type JSON Schema type or BSON type alias.
+ * @returns {Boolean} Returns true if value is of the type, otherwise returns false.
+ */
+function isOfType(value, type) {
+    // Obtain BSON type name of the value if it is a BSON value.
+    const bsonType = value !== null && typeof value === 'object' ? value._bsontype : undefined;
+
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return isNumeric(value);
+        case 'integer': case 'int': case 'long': return Number.isInteger(value) || bsonType === 'Int32' || bsonType === 'Long';
+        case 'double': return typeof value === 'number' || bsonType === 'Double';
+        case 'decimal': return bsonType === 'Decimal128';
+        case 'boolean': case 'bool': return typeof value === 'boolean';
+        case 'null': return value === null;
+        case 'array': return Array.isArray(value);
+        case 'object': return isPlainObject(value);
+        case 'objectId': return bsonType === 'ObjectID' || bsonType === 'ObjectId';
+        case 'date': return value instanceof Date;
+        case 'regex': return value instanceof RegExp || bsonType === 'BSONRegExp';
+        case 'binData': return Buffer.isBuffer(value) || bsonType === 'Binary';
+        case 'timestamp': return bsonType === 'Timestamp';
+        default: return false;
+    }
+} module.exports.isOfType = isOfType;
+
+/**
+ * Answers a question whether two values are deeply equal.
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @returns {Boolean} Returns true if values are equal, otherwise returns false.
+ */
+function valuesEqual(a, b) {
+    // Compare primitives.
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    // Compare dates.
+    if (a instanceof Date || b instanceof Date) return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    // Compare BSON values.
+    if (a._bsontype || b._bsontype) return a._bsontype === b._bsontype && (typeof a.equals === 'function' ? a.equals(b) : String(a) === String(b));
+    // Compare arrays.
+    if (Array.isArray(a) || Array.isArray(b))
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => valuesEqual(item, b[index]));
+    // Compare objects, including the order of their keys as the database does.
+    const keysA = Object.keys(a), keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every((key, index) => key === keysB[index] && valuesEqual(a[key], b[key]));
+} module.exports.valuesEqual = valuesEqual;
+
+/**
+ * Returns the value under provided dotted path.
+ * @param {Object} object Object to read the value from.
+ * @param {String} path Dotted path.
+ * @returns {*} Returns the value or undefined if path doesn't exist.
+ */
+function getPathValue(object, path) {
+    return path.split('.').reduce((current, segment) => current !== null && current !== undefined ? current[segment] : undefined, object);
+} module.exports.getPathValue = getPathValue;
+
+/**
+ * Joins two segments of a dotted path.
+ * @param {String} path Parent path, may be empty.
+ * @param {String} name Name of the child.
+ * @returns {String} Returns the joined path.
+ */
+function joinPath(path, name) {
+    return path ? `${path}.${name}` : name;
+} module.exports.joinPath = joinPath;
+
+/**
+ * Creates a copy of provided object without properties which values are undefined.
+ * @param {Object} object Object to be copied.
+ * @returns {Object} Returns the copy.
+ */
+function removeUndefined(object) {
+    // Copy only the properties which values are defined.
+    return Object.keys(object).reduce((copy, key) => {
+        if (object[key] !== undefined) copy[key] = object[key];
+        return copy;
+    }, {});
+} module.exports.removeUndefined = removeUndefined;
+
+/**
+ * Creates the deep copy of the value, converting objects into plain objects. BSON values are immutable, so they are shared.
+ * @param {*} value The value.
+ * @returns {*} Returns the copy.
+ */
+function cloneValue(value) {
+    if (Array.isArray(value)) return value.map(cloneValue);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    if (isPlainObject(value)) return Object.keys(value).reduce((copy, key) => { if (value[key] !== undefined) copy[key] = cloneValue(value[key]); return copy; }, {});
+    return value;
+} module.exports.cloneValue = cloneValue;
+
+/**
+ * Answers a question whether the value is an object containing operators, e.g. { $gt: 1 }.
+ * @param {*} value The value.
+ * @returns {Boolean} Returns true if the value is a non-empty plain object which all keys start with '$'.
+ */
+function isOperatorObject(value) {
+    return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every((key) => key.startsWith('$'));
+} module.exports.isOperatorObject = isOperatorObject;
+
+/**
+ * Returns the order of the type class of the value, in which values of different types are sorted.
+ * @param {*} value The value.
+ * @returns {Number} Returns the order.
+ */
+function getTypeOrder(value) {
+    if (value === undefined || value === null) return 1;
+    if (isNumeric(value)) return 2;
+    if (typeof value === 'string') return 3;
+    if (isPlainObject(value)) return 4;
+    if (Array.isArray(value)) return 5;
+    if (Buffer.isBuffer(value) || value._bsontype === 'Binary') return 6;
+    if (value._bsontype === 'ObjectID' || value._bsontype === 'ObjectId') return 7;
+    if (typeof value === 'boolean') return 8;
+    if (value instanceof Date) return 9;
+    if (value._bsontype === 'Timestamp') return 10;
+    if (value instanceof RegExp || value._bsontype === 'BSONRegExp') return 11;
+    return 12;
+} module.exports.getTypeOrder = getTypeOrder;
+
+/**
+ * Converts provided value into JSON compatible value preserving ObjectIDs, dates and regular expressions.
+ * @param {*} value Value to be converted.
+ * @returns {*} Returns JSON compatible value.
+ */
+function encodeTokenValue(value) {
+    if (value instanceof ObjectID) return { $oid: value.toHexString() };
+    if (value instanceof Date) return { $date: value.getTime() };
+    if (value instanceof RegExp) return { $regex: value.source, $flags: value.flags };
+    if (Array.isArray(value)) return value.map(encodeTokenValue);
+    if (value !== null && typeof value === 'object')
+        return Object.keys(value).reduce((encoded, key) => { encoded[key] = encodeTokenValue(value[key]); return encoded; }, {});
+    return value;
+} module.exports.encodeTokenValue = encodeTokenValue;
+
+/**
+ * Returns the key under which the _id is indexed within maps.
+ * @param {*} _id The _id.
+ * @returns {String} Returns the key.
+ */
+function idKey(_id) {
+    return JSON.stringify(encodeTokenValue(_id));
+} module.exports.idKey = idKey;
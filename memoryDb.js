@@ -0,0 +1,1857 @@
+// In-memory stand-in of the subset of the MongoDB driver used by awaitableMongoCRUD.js. It is required only once an in-memory database is requested
+// (see createMemoryDatabase and 'memory://' urls of getDatabaseAsync), so applications connecting to real servers never load it.
+
+// Require MongoDB module.
+const mongodb = require('mongodb');
+
+// Get ObjectID and Db classes
+const { ObjectID, Db } = mongodb;
+
+// Require the helpers inspecting, comparing and copying the documents and their values.
+const { logicalQueryOperators, isPlainObject, isNumeric, isOfType, valuesEqual, getPathValue, joinPath, removeUndefined, cloneValue, isOperatorObject, getTypeOrder, encodeTokenValue, idKey } = require('./documentHelpers');
+
+// Map containing all the in-memory databases obtained through getDatabaseAsync indexed by the url and the name of the database.
+const memoryDatabases = new Map();
+
+/**
+ * In-memory stand-in of the subset of mongodb.Db used by this library. Its prototype inherits from mongodb.Db prototype, so it passes the instanceof Db checks.
+ */
+class MemoryDb {
+    /**
+     * Creates the database.
+     * @param {String} databaseName The name of the database.
+     */
+    constructor(databaseName) {
+        this.memory = { databaseName, stores: new Map() };
+        this.memory.topology = { startSession: (options) => new MemorySession(this, options) };
+    }
+
+    /**
+     * The name of the database.
+     * @type {String}
+     */
+    get databaseName() {
+        return this.memory.databaseName;
+    }
+
+    /**
+     * The topology providing sessions.
+     * @type {Object}
+     */
+    get topology() {
+        return this.memory.topology;
+    }
+
+    /**
+     * Returns the collection.
+     * @param {String} name The name of the collection.
+     * @param {Object=} options Ignored settings.
+     * @param {Function=} callback Optional callback receiving the collection.
+     * @returns {MemoryCollection} Returns the collection.
+     */
+    collection(name, options, callback) {
+        const collection = new MemoryCollection(this, name);
+        callback = typeof options === 'function' ? options : callback;
+        if (typeof callback === 'function') process.nextTick(() => callback(null, collection));
+        return collection;
+    }
+
+    /**
+     * Creates the collection. Validators and other settings are ignored.
+     * @param {String} name The name of the collection.
+     * @param {...*} rest Optional settings followed by optional callback.
+     * @returns {Promise<MemoryCollection>|undefined} Returns the promise of the collection if no callback has been provided.
+     */
+    createCollection(name, ...rest) {
+        const [, callback] = takeCallback(rest, 1);
+        return respond(callback, () => {
+            if (this.memory.stores.has(name)) throw createMemoryError(48, `Collection ${this.databaseName}.${name} already exists.`);
+            getMemoryStore(this, name, true);
+            return new MemoryCollection(this, name);
+        });
+    }
+
+    /**
+     * Drops the collection.
+     * @param {String} name The name of the collection.
+     * @param {...*} rest Optional settings followed by optional callback.
+     * @returns {Promise<Boolean>|undefined} Returns the promise of the outcome if no callback has been provided.
+     */
+    dropCollection(name, ...rest) {
+        const [, callback] = takeCallback(rest, 1);
+        return respond(callback, () => {
+            if (!this.memory.stores.delete(name)) throw createMemoryError(26, 'ns not found');
+            return true;
+        });
+    }
+
+    /**
+     * Drops all the collections of the database.
+     * @param {...*} rest Optional settings followed by optional callback.
+     * @returns {Promise<Boolean>|undefined} Returns the promise of the outcome if no callback has been provided.
+     */
+    dropDatabase(...rest) {
+        const [, callback] = takeCallback(rest, 1);
+        return respond(callback, () => {
+            this.memory.stores.clear();
+            return true;
+        });
+    }
+
+    /**
+     * Lists the collections of the database.
+     * @param {Object=} filter Selector applied to the descriptions of the collections.
+     * @returns {MemoryCursor} Returns the cursor of the descriptions of the collections.
+     */
+    listCollections(filter) {
+        return new MemoryCursor(() => Array.from(this.memory.stores.keys()).map((name) => ({ name, type: 'collection' }))
+            .filter((description) => matchesSelector(description, filter || {})));
+    }
+
+    /**
+     * Runs the command. Only 'create', 'drop' and 'collMod' commands are supported, 'collMod' validators are ignored.
+     * @param {Object} command The command.
+     * @param {...*} rest Optional settings followed by optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the command result if no callback has been provided.
+     */
+    command(command, ...rest) {
+        const [, callback] = takeCallback(rest, 1);
+        return respond(callback, () => {
+            const [name] = Object.keys(command || {});
+            if (name === 'create') {
+                if (this.memory.stores.has(command.create)) throw createMemoryError(48, `Collection ${this.databaseName}.${command.create} already exists.`);
+                getMemoryStore(this, command.create, true);
+            } else if (name === 'drop') {
+                if (!this.memory.stores.delete(command.drop)) throw createMemoryError(26, 'ns not found');
+            } else if (name === 'collMod') {
+                if (!this.memory.stores.has(command.collMod)) throw createMemoryError(26, 'ns does not exist');
+            } else throw createMemoryError(59, `Command '${name}' is not supported by the in-memory database.`);
+            return { ok: 1 };
+        });
+    }
+} module.exports.MemoryDb = MemoryDb;
+// Make in-memory database pass the instanceof Db checks.
+Object.setPrototypeOf(MemoryDb.prototype, Db.prototype);
+
+/**
+ * In-memory stand-in of the session. The transaction works on its own copy of the collections taken when it started, so it doesn't see writes
+ * committed by others in the meantime and its own writes are not visible to others until it commits. Committing fails with the write conflict
+ * error labelled 'TransientTransactionError' if any document written by the transaction has been changed by someone else since it started.
+ */
+class MemorySession {
+    /**
+     * Creates the session.
+     * @param {MemoryDb} db The database of the session.
+     * @param {Object=} options Ignored settings.
+     */
+    constructor(db, options) {
+        this.db = db;
+        this.options = options || {};
+        this.transactionStores = null;
+        this.hasEnded = false;
+    }
+
+    /**
+     * Starts the transaction, taking the working copy of the collections.
+     */
+    startTransaction() {
+        if (this.transactionStores) throw createMemoryError(256, 'Transaction already in progress');
+        this.transactionStores = new Map(Array.from(this.db.memory.stores, ([name, store]) => [name, createMemoryWorkingStore(store)]));
+    }
+
+    /**
+     * Answers a question whether the transaction is in progress.
+     * @returns {Boolean} Returns true if the transaction is in progress.
+     */
+    inTransaction() {
+        return Boolean(this.transactionStores);
+    }
+
+    /**
+     * Commits the transaction, applying its writes to the database.
+     * @param {Function=} callback Optional callback.
+     * @returns {Promise|undefined} Returns the promise of committing if no callback has been provided.
+     */
+    commitTransaction(callback) {
+        return respond(callback, () => {
+            if (!this.transactionStores) throw createMemoryError(251, 'No transaction started');
+            // The transaction ends even if its writes conflict, as it does on the server.
+            const stores = this.transactionStores;
+            this.transactionStores = null;
+            commitMemoryWorkingStores(this.db, stores);
+        });
+    }
+
+    /**
+     * Aborts the transaction, discarding its writes.
+     * @param {Function=} callback Optional callback.
+     * @returns {Promise|undefined} Returns the promise of aborting if no callback has been provided.
+     */
+    abortTransaction(callback) {
+        return respond(callback, () => {
+            if (!this.transactionStores) throw createMemoryError(251, 'No transaction started');
+            this.transactionStores = null;
+        });
+    }
+
+    /**
+     * Ends the session, aborting the transaction in progress.
+     * @param {Function=} callback Optional callback.
+     */
+    endSession(callback) {
+        this.transactionStores = null;
+        this.hasEnded = true;
+        if (typeof callback === 'function') process.nextTick(() => callback(null));
+    }
+}
+
+/**
+ * In-memory stand-in of the subset of mongodb.Collection used by this library. All the methods accept a callback as their last argument
+ * and return a promise if no callback has been provided.
+ */
+class MemoryCollection {
+    /**
+     * Creates the collection.
+     * @param {MemoryDb} db The database of the collection.
+     * @param {String} collectionName The name of the collection.
+     */
+    constructor(db, collectionName) {
+        this.db = db;
+        this.collectionName = collectionName;
+    }
+
+    /**
+     * Inserts the document, adding its _id if missing.
+     * @param {Object} document The document.
+     * @param {...*} rest Optional settings followed by optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the result if no callback has been provided.
+     */
+    insertOne(document, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        return respond(callback, () => {
+            insertMemoryDocuments(this, [document], (options || {}).session);
+            return { insertedCount: 1, insertedId: document._id, ops: [document], result: { ok: 1, n: 1 } };
+        });
+    }
+
+    /**
+     * Inserts the documents, adding their _ids if missing. Documents preceding the first duplicate one are inserted.
+     * @param {[Object]} documents The documents.
+     * @param {...*} rest Optional settings followed by optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the result if no callback has been provided.
+     */
+    insertMany(documents, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        return respond(callback, () => {
+            insertMemoryDocuments(this, documents, (options || {}).session);
+            const insertedIds = documents.reduce((ids, document, index) => { ids[index] = document._id; return ids; }, {});
+            return { insertedCount: documents.length, insertedIds, ops: documents, result: { ok: 1, n: documents.length } };
+        });
+    }
+
+    /**
+     * Finds the documents matching the selector.
+     * @param {Object=} selector The selector.
+     * @param {...*} rest Optional settings ('projection', 'sort', 'skip', 'limit' and 'session') followed by optional callback receiving the cursor.
+     * @returns {MemoryCursor} Returns the cursor.
+     */
+    find(selector, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        const { projection, fields, sort, skip, limit, session } = options || {};
+        const cursor = new MemoryCursor(() => getMemoryStore(this.db, this.collectionName, false, session).documents.filter((document) => matchesSelector(document, selector || {})))
+            .sort(sort).skip(skip).limit(limit).project(projection || fields);
+        if (typeof callback === 'function') process.nextTick(() => callback(null, cursor));
+        return cursor;
+    }
+
+    /**
+     * Finds the first document matching the selector.
+     * @param {Object=} selector The selector.
+     * @param {...*} rest Optional settings ('projection', 'sort' and 'skip') followed by optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the document or null if no callback has been provided.
+     */
+    findOne(selector, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        return respond(callback, () => {
+            const [document] = this.find(selector, Object.assign({}, options, { limit: 1 })).readAll();
+            return document || null;
+        });
+    }
+
+    /**
+     * Counts the documents matching the selector.
+     * @param {Object=} selector The selector.
+     * @param {...*} rest Optional settings ('skip' and 'limit') followed by optional callback.
+     * @returns {Promise<Number>|undefined} Returns the promise of the count if no callback has been provided.
+     */
+    countDocuments(selector, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        const { skip, limit, session } = options || {};
+        return respond(callback, () => this.find(selector, removeUndefined({ skip, limit, session })).readAll().length);
+    }
+
+    /**
+     * Updates the first document matching the selector.
+     * @param {Object} selector The selector.
+     * @param {Object|[Object]} update The update document or pipeline.
+     * @param {...*} rest Optional settings ('upsert', 'sort' and 'arrayFilters' are not supported) followed by optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the result if no callback has been provided.
+     */
+    updateOne(selector, update, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        return respond(callback, () => toUpdateResult(updateMemoryDocuments(this, selector, update, options, false, false)));
+    }
+
+    /**
+     * Updates all the documents matching the selector.
+     * @param {Object} selector The selector.
+     * @param {Object|[Object]} update The update document or pipeline.
+     * @param {...*} rest Optional settings ('upsert') followed by optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the result if no callback has been provided.
+     */
+    updateMany(selector, update, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        return respond(callback, () => toUpdateResult(updateMemoryDocuments(this, selector, update, options, true, false)));
+    }
+
+    /**
+     * Replaces the first document matching the selector.
+     * @param {Object} selector The selector.
+     * @param {Object} replacement The replacement.
+     * @param {...*} rest Optional settings ('upsert') followed by optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the result if no callback has been provided.
+     */
+    replaceOne(selector, replacement, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        return respond(callback, () => Object.assign(toUpdateResult(updateMemoryDocuments(this, selector, replacement, options, false, true)), { ops: [replacement] }));
+    }
+
+    /**
+     * Deletes the first document matching the selector.
+     * @param {Object} selector The selector.
+     * @param {...*} rest Optional settings followed by optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the result if no callback has been provided.
+     */
+    deleteOne(selector, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        return respond(callback, () => {
+            const deletedCount = deleteMemoryDocuments(this, selector, options, false).length;
+            return { deletedCount, result: { ok: 1, n: deletedCount } };
+        });
+    }
+
+    /**
+     * Deletes all the documents matching the selector.
+     * @param {Object} selector The selector.
+     * @param {...*} rest Optional settings followed by optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the result if no callback has been provided.
+     */
+    deleteMany(selector, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        return respond(callback, () => {
+            const deletedCount = deleteMemoryDocuments(this, selector, options, true).length;
+            return { deletedCount, result: { ok: 1, n: deletedCount } };
+        });
+    }
+
+    /**
+     * Updates the first document matching the selector and returns it.
+     * @param {Object} selector The selector.
+     * @param {Object|[Object]} update The update document or pipeline.
+     * @param {...*} rest Optional settings ('upsert', 'sort', 'projection' and 'returnOriginal') followed by optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the result if no callback has been provided.
+     */
+    findOneAndUpdate(selector, update, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        return respond(callback, () => toFindAndModifyResult(updateMemoryDocuments(this, selector, update, options, false, false), options));
+    }
+
+    /**
+     * Replaces the first document matching the selector and returns it.
+     * @param {Object} selector The selector.
+     * @param {Object} replacement The replacement.
+     * @param {...*} rest Optional settings ('upsert', 'sort', 'projection' and 'returnOriginal') followed by optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the result if no callback has been provided.
+     */
+    findOneAndReplace(selector, replacement, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        return respond(callback, () => toFindAndModifyResult(updateMemoryDocuments(this, selector, replacement, options, false, true), options));
+    }
+
+    /**
+     * Deletes the first document matching the selector and returns it.
+     * @param {Object} selector The selector.
+     * @param {...*} rest Optional settings ('sort' and 'projection') followed by optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the result if no callback has been provided.
+     */
+    findOneAndDelete(selector, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        return respond(callback, () => {
+            const [deleted] = deleteMemoryDocuments(this, selector, options, false);
+            const projection = (options || {}).projection;
+            return { value: deleted ? (projection ? applyProjection(deleted, projection) : cloneValue(deleted)) : null, ok: 1, lastErrorObject: { n: deleted ? 1 : 0 } };
+        });
+    }
+
+    /**
+     * Runs the bulk write. Errors of single operations are reported the same way the driver does, through the 'result' of the error.
+     * @param {[Object]} operations The driver bulk operations.
+     * @param {...*} rest Optional settings ('ordered' and 'session') followed by optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the result if no callback has been provided.
+     */
+    bulkWrite(operations, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        return respond(callback, () => runMemoryBulkWrite(this, operations, options));
+    }
+
+    /**
+     * Runs the aggregation pipeline.
+     * @param {[Object]} pipeline The pipeline.
+     * @param {...*} rest Optional settings ('session') followed by optional callback receiving the cursor.
+     * @returns {MemoryCursor} Returns the cursor of the results.
+     */
+    aggregate(pipeline, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        const session = (options || {}).session;
+        const cursor = new MemoryCursor(() => runMemoryPipeline(this.db, getMemoryStore(this.db, this.collectionName, false, session).documents, pipeline || [], session));
+        if (typeof callback === 'function') process.nextTick(() => callback(null, cursor));
+        return cursor;
+    }
+
+    /**
+     * Lists the indexes of the collection.
+     * @returns {MemoryCursor} Returns the cursor of the index descriptions.
+     */
+    listIndexes() {
+        return new MemoryCursor(() => {
+            // If the collection doesn't exist report it the same way the server does.
+            if (!this.db.memory.stores.has(this.collectionName)) throw createMemoryError(26, `ns does not exist: ${this.db.databaseName}.${this.collectionName}`);
+            return getMemoryStore(this.db, this.collectionName).indexes;
+        });
+    }
+
+    /**
+     * Creates the index. Unique, sparse and partial indexes are enforced, TTL indexes are stored but entries never expire.
+     * @param {Object} key The key of the index.
+     * @param {...*} rest Optional settings of the index followed by optional callback.
+     * @returns {Promise<String>|undefined} Returns the promise of the name of the index if no callback has been provided.
+     */
+    createIndex(key, ...rest) {
+        const [options, callback] = takeCallback(rest, 1);
+        return respond(callback, () => createMemoryIndexes(this, [Object.assign({ key }, options)])[0]);
+    }
+
+    /**
+     * Creates the indexes.
+     * @param {[Object]} specifications Specifications of the indexes containing 'key', 'name' and the settings of the index.
+     * @param {...*} rest Optional settings followed by optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the result if no callback has been provided.
+     */
+    createIndexes(specifications, ...rest) {
+        const [, callback] = takeCallback(rest, 1);
+        return respond(callback, () => {
+            const indexesBefore = getMemoryStore(this.db, this.collectionName).indexes.length;
+            createMemoryIndexes(this, specifications);
+            return { ok: 1, numIndexesBefore: indexesBefore, numIndexesAfter: getMemoryStore(this.db, this.collectionName).indexes.length };
+        });
+    }
+
+    /**
+     * Drops the index.
+     * @param {String} name The name of the index.
+     * @param {...*} rest Optional settings followed by optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the result if no callback has been provided.
+     */
+    dropIndex(name, ...rest) {
+        const [, callback] = takeCallback(rest, 1);
+        return respond(callback, () => {
+            const store = getMemoryStore(this.db, this.collectionName);
+            if (name === '_id_') throw createMemoryError(72, 'cannot drop _id index');
+            if (!store.indexes.some((index) => index.name === name)) throw createMemoryError(27, `index not found with name [${name}]`);
+            store.indexes = store.indexes.filter((index) => index.name !== name);
+            return { ok: 1, nIndexesWas: store.indexes.length + 1 };
+        });
+    }
+}
+
+/**
+ * In-memory stand-in of mongodb.Cursor. Documents are read once the first of them is requested.
+ */
+class MemoryCursor {
+    /**
+     * Creates the cursor.
+     * @param {Function} read Function returning all the documents of the cursor before sort, skip, limit and projection are applied.
+     */
+    constructor(read) {
+        this.read = read;
+        this.settings = {};
+        this.buffer = null;
+        this.closed = false;
+    }
+
+    /**
+     * Sets the sort.
+     * @param {Object|[Array]|String} sort The sort specification.
+     * @param {Number=} direction Direction if sort is provided as a single field name.
+     * @returns {MemoryCursor} Returns the cursor.
+     */
+    sort(sort, direction) {
+        if (sort !== undefined && sort !== null) this.settings.sort = normalizeSort(typeof sort === 'string' && direction !== undefined ? [[sort, direction]] : sort);
+        return this;
+    }
+
+    /**
+     * Sets the number of documents to skip.
+     * @param {Number} skip The number of documents to skip.
+     * @returns {MemoryCursor} Returns the cursor.
+     */
+    skip(skip) {
+        if (skip) this.settings.skip = skip;
+        return this;
+    }
+
+    /**
+     * Sets the maximum number of documents.
+     * @param {Number} limit The maximum number of documents, 0 for no limit.
+     * @returns {MemoryCursor} Returns the cursor.
+     */
+    limit(limit) {
+        if (limit) this.settings.limit = Math.abs(limit);
+        return this;
+    }
+
+    /**
+     * Sets the projection.
+     * @param {Object} projection The projection.
+     * @returns {MemoryCursor} Returns the cursor.
+     */
+    project(projection) {
+        if (projection && Object.keys(projection).length) this.settings.projection = projection;
+        return this;
+    }
+
+    /**
+     * Ignored, as all the documents are kept in memory.
+     * @returns {MemoryCursor} Returns the cursor.
+     */
+    batchSize() {
+        return this;
+    }
+
+    /**
+     * Reads all the remaining documents of the cursor synchronously.
+     * @returns {[Object]} Returns the documents.
+     */
+    readAll() {
+        return this.fill().splice(0);
+    }
+
+    /**
+     * Reads the documents, applying sort, skip, limit and projection, unless they have been read already.
+     * @returns {[Object]} Returns the buffer of remaining documents.
+     */
+    fill() {
+        if (this.buffer) return this.buffer;
+        const { sort, skip, limit, projection } = this.settings;
+        let documents = this.read().slice();
+        if (sort) documents = sortDocuments(documents, sort);
+        documents = documents.slice(skip || 0, limit ? (skip || 0) + limit : undefined);
+        this.buffer = documents.map((document) => projection ? applyProjection(document, projection) : cloneValue(document));
+        return this.buffer;
+    }
+
+    /**
+     * Returns all the remaining documents.
+     * @param {Function=} callback Optional callback.
+     * @returns {Promise<[Object]>|undefined} Returns the promise of the documents if no callback has been provided.
+     */
+    toArray(callback) {
+        return respond(callback, () => this.readAll());
+    }
+
+    /**
+     * Returns the next document.
+     * @param {Function=} callback Optional callback.
+     * @returns {Promise<Object>|undefined} Returns the promise of the document or null if the cursor is exhausted if no callback has been provided.
+     */
+    next(callback) {
+        return respond(callback, () => this.closed ? null : this.fill().length ? this.buffer.shift() : null);
+    }
+
+    /**
+     * Answers a question whether the cursor contains another document.
+     * @param {Function=} callback Optional callback.
+     * @returns {Promise<Boolean>|undefined} Returns the promise of the answer if no callback has been provided.
+     */
+    hasNext(callback) {
+        return respond(callback, () => !this.closed && this.fill().length > 0);
+    }
+
+    /**
+     * Calls the iterator for all the remaining documents.
+     * @param {Function} iterator Function receiving the documents.
+     * @param {Function=} callback Optional callback called once all the documents have been iterated.
+     * @returns {Promise|undefined} Returns the promise of the iteration if no callback has been provided.
+     */
+    forEach(iterator, callback) {
+        return respond(callback, () => { this.readAll().forEach((document) => iterator(document)); });
+    }
+
+    /**
+     * Closes the cursor.
+     * @param {Function=} callback Optional callback.
+     * @returns {Promise|undefined} Returns the promise of closing if no callback has been provided.
+     */
+    close(callback) {
+        return respond(callback, () => { this.closed = true; this.buffer = []; });
+    }
+
+    /**
+     * Answers a question whether the cursor has been closed.
+     * @returns {Boolean} Returns true if the cursor has been closed.
+     */
+    isClosed() {
+        return this.closed;
+    }
+
+    /**
+     * Iterates the remaining documents.
+     * @returns {AsyncIterator<Object>} Returns the iterator.
+     */
+    async *[Symbol.asyncIterator]() {
+        for (let document = await this.next(); document !== null; document = await this.next()) yield document;
+    }
+}
+
+/**
+ * Splits trailing arguments of the in-memory methods into the optional ones and the callback.
+ * @param {Array} args Trailing arguments.
+ * @param {Number} count Number of optional arguments preceding the callback.
+ * @returns {Array} Returns the optional arguments followed by the callback.
+ */
+function takeCallback(args, count) {
+    const callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : undefined;
+    const optional = (callback ? args.slice(0, -1) : args).slice(0, count);
+    while (optional.length < count) optional.push(undefined);
+    return optional.concat([callback]);
+}
+
+/**
+ * Runs the in-memory operation and reports its outcome to the callback or through the returned promise, the same way the driver does.
+ * @param {Function=} callback Optional callback.
+ * @param {Function} execute Function running the operation synchronously.
+ * @returns {Promise|undefined} Returns the promise of the result if no callback has been provided.
+ */
+function respond(callback, execute) {
+    const promise = new Promise((resolve) => resolve(execute()));
+    if (typeof callback !== 'function') return promise;
+    // Call the callback outside of the promise chain, so errors thrown by it are not swallowed.
+    promise.then((result) => process.nextTick(() => callback(null, result)), (error) => process.nextTick(() => callback(error)));
+}
+
+/**
+ * Creates the error the same way the server reports it.
+ * @param {Number} code The error code.
+ * @param {String} message The error message.
+ * @param {Object=} properties Additional properties of the error.
+ * @returns {MongoError} Returns the error.
+ */
+function createMemoryError(code, message, properties) {
+    return new mongodb.MongoError(Object.assign({ message, code, ok: 0 }, properties));
+}
+
+/**
+ * Returns the in-memory database registered under provided url and name, creating it if necessary.
+ * @param {String} connectionURL The url starting with 'memory://'.
+ * @param {String=} databaseName The name of the database. Optional, if not provided the path of the url or 'test' is used, the way MongoClient falls back to the database of the url.
+ * @returns {MemoryDb} Returns the database.
+ */
+function getMemoryDatabase(connectionURL, databaseName) {
+    // Use provided name, the path of the url or the default name.
+    const name = databaseName || connectionURL.slice(connectionURL.indexOf('://') + 3).split('?')[0].split('/')[1] || 'test';
+    const key = `${connectionURL}/${name}`;
+    if (!memoryDatabases.has(key)) memoryDatabases.set(key, new MemoryDb(name));
+    return memoryDatabases.get(key);
+} module.exports.getMemoryDatabase = getMemoryDatabase;
+
+/**
+ * Returns the store of the in-memory collection, which contains array of its 'documents' in the order of insertion, the map of their 'ids' and its 'indexes'.
+ * @param {MemoryDb} db The database.
+ * @param {String} name The name of the collection.
+ * @param {Boolean=} create Whether to create the store if it doesn't exist, otherwise an empty store is returned.
+ * @param {MemorySession=} session The session, which working copy of the collection is returned if its transaction is in progress.
+ * @returns {Object} Returns the store.
+ */
+function getMemoryStore(db, name, create, session) {
+    const stores = session && session.transactionStores ? session.transactionStores : db.memory.stores;
+    let store = stores.get(name);
+    if (!store) {
+        store = { documents: [], ids: new Map(), indexes: [{ v: 2, key: { _id: 1 }, name: '_id_' }] };
+        if (stores !== db.memory.stores) store = createMemoryWorkingStore(store);
+        if (create) stores.set(name, store);
+    }
+    return store;
+}
+
+/**
+ * Creates the working copy of the store of the in-memory collection used by the transaction. Stored documents are never modified in place,
+ * so they are shared with the original store. The copy keeps the 'base' map of the documents as they were when it was taken and the set
+ * of the keys of the 'written' documents.
+ * @param {Object} store The store.
+ * @returns {Object} Returns the copy.
+ */
+function createMemoryWorkingStore(store) {
+    return { documents: store.documents.slice(), ids: new Map(store.ids), indexes: store.indexes, base: new Map(store.ids), written: new Set() };
+}
+
+/**
+ * Applies the writes of the transaction to the in-memory database. Nothing is applied if any of the written documents has been changed since
+ * the transaction took its working copy or the written documents would violate a unique index, in that case the write conflict error is thrown.
+ * @param {MemoryDb} db The database.
+ * @param {Map} stores Working copies of the collections indexed by their names.
+ */
+function commitMemoryWorkingStores(db, stores) {
+    // Compute the new content of all the written collections before changing any of them.
+    const commits = Array.from(stores).filter(([, working]) => working.written.size).map(([name, working]) => {
+        const store = getMemoryStore(db, name);
+        // If any of the written documents has been changed by someone else throw appropriate exception.
+        working.written.forEach((key) => {
+            if (store.ids.get(key) !== working.base.get(key)) throw createMemoryWriteConflictError();
+        });
+
+        // Replace the written documents keeping their order, drop the deleted ones and append the inserted ones.
+        const documents = store.documents.map((document) => { const key = idKey(document._id); return working.written.has(key) ? working.ids.get(key) : document; })
+            .filter(Boolean).concat(working.documents.filter((document) => { const key = idKey(document._id); return working.written.has(key) && !store.ids.has(key); }));
+
+        // Check the written documents against the unique indexes, as someone else may have stored the same keys.
+        store.indexes.filter((index) => index.unique && index.name !== '_id_').forEach((index) => {
+            const keyValues = documents.map((document) => getMemoryIndexKeyValue(index, document));
+            documents.forEach((document, position) => {
+                if (!working.written.has(idKey(document._id)) || keyValues[position] === null) return;
+                if (keyValues.some((other, otherPosition) => otherPosition !== position && other !== null && valuesEqual(other, keyValues[position])))
+                    throw createMemoryWriteConflictError();
+            });
+        });
+        return { name, store, documents };
+    });
+
+    // Store the new content.
+    commits.forEach(({ name, store, documents }) => {
+        store.documents = documents;
+        store.ids = new Map(documents.map((document) => [idKey(document._id), document]));
+        if (!db.memory.stores.has(name)) db.memory.stores.set(name, store);
+    });
+}
+
+/**
+ * Creates the write conflict error the server reports when a transaction collides with another write.
+ * @returns {MongoError} Returns the error.
+ */
+function createMemoryWriteConflictError() {
+    return createMemoryError(112, 'WriteConflict error: this operation conflicted with another operation. Please retry your operation or multi-document transaction.',
+        { errorLabels: ['TransientTransactionError'] });
+}
+
+/**
+ * Inserts the documents into the in-memory collection, adding their _ids if missing.
+ * Documents are inserted one by one, so the ones preceding the first duplicate one are inserted.
+ * @param {MemoryCollection} collection The collection.
+ * @param {[Object]} documents The documents.
+ * @param {MemorySession=} session The session.
+ */
+function insertMemoryDocuments(collection, documents, session) {
+    const store = getMemoryStore(collection.db, collection.collectionName, true, session);
+    documents.forEach((document, index) => {
+        // Add the _id to the provided document, as the driver does.
+        if (document._id === undefined) document._id = new ObjectID();
+        storeMemoryDocument(collection, store, cloneValue(document), index);
+    });
+}
+
+/**
+ * Adds the document to the store, enforcing the uniqueness of _id and unique indexes.
+ * @param {MemoryCollection} collection The collection.
+ * @param {Object} store The store of the collection.
+ * @param {Object} document The document.
+ * @param {Number=} index Index of the document reported by the duplicate key error.
+ */
+function storeMemoryDocument(collection, store, document, index) {
+    const key = idKey(document._id);
+    if (store.ids.has(key)) {
+        throw createMemoryError(11000, `E11000 duplicate key error collection: ${collection.db.databaseName}.${collection.collectionName} index: _id_ dup key: { _id: ${JSON.stringify(encodeTokenValue(document._id))} }`,
+            { keyValue: { _id: document._id }, keyPattern: { _id: 1 }, index });
+    }
+    assertUniqueIndexesSatisfied(collection, store, document, null, index);
+    store.documents.push(document);
+    store.ids.set(key, document);
+    if (store.written) store.written.add(key);
+}
+
+/**
+ * Creates the indexes of the in-memory collection, checking existing documents against the unique ones.
+ * @param {MemoryCollection} collection The collection.
+ * @param {[Object]} specifications Specifications of the indexes containing 'key', 'name' and the settings of the index.
+ * @returns {[String]} Returns the names of the indexes.
+ */
+function createMemoryIndexes(collection, specifications) {
+    const store = getMemoryStore(collection.db, collection.collectionName, true);
+    return specifications.map((specification) => {
+        const index = Object.assign({ v: 2 }, cloneValue(specification));
+        if (!index.name) index.name = Object.keys(index.key).map((field) => `${field}_${index.key[field]}`).join('_');
+
+        // Compare the index with the existing one of the same name or key.
+        const existing = store.indexes.find((candidate) => candidate.name === index.name || valuesEqual(candidate.key, index.key));
+        if (existing) {
+            if (!valuesEqual(existing.key, index.key)) throw createMemoryError(86, `An existing index has the same name as the requested index but a different key: ${index.name}`);
+            if (existing.name !== index.name || !valuesEqual(cloneValue(existing), index))
+                throw createMemoryError(85, `An existing index has the same key as the requested index but different options: ${existing.name}`);
+            return existing.name;
+        }
+
+        // Check the existing documents against the unique index.
+        if (index.unique) {
+            const seen = [];
+            store.documents.forEach((document) => {
+                const keyValue = getMemoryIndexKeyValue(index, document);
+                if (keyValue === null) return;
+                if (seen.some((other) => valuesEqual(other, keyValue))) throw createDuplicateKeyMemoryError(collection, index, keyValue);
+                seen.push(keyValue);
+            });
+        }
+
+        store.indexes.push(index);
+        return index.name;
+    });
+}
+
+/**
+ * Checks the document against the unique indexes of the in-memory collection, except the _id one.
+ * @param {MemoryCollection} collection The collection.
+ * @param {Object} store The store of the collection.
+ * @param {Object} document The document being stored.
+ * @param {Object} replaced The document being replaced by it or null.
+ * @param {Number=} index Index of the document reported by the duplicate key error.
+ */
+function assertUniqueIndexesSatisfied(collection, store, document, replaced, index) {
+    store.indexes.filter((definition) => definition.unique && definition.name !== '_id_').forEach((definition) => {
+        const keyValue = getMemoryIndexKeyValue(definition, document);
+        if (keyValue !== null && store.documents.some((other) => other !== replaced && valuesEqual(getMemoryIndexKeyValue(definition, other), keyValue)))
+            throw createDuplicateKeyMemoryError(collection, definition, keyValue, index);
+    });
+}
+
+/**
+ * Returns the values of the fields of the index for the document.
+ * @param {Object} index The index.
+ * @param {Object} document The document.
+ * @returns {Object} Returns the object of the values or null if the document is not indexed (sparse and partial indexes).
+ */
+function getMemoryIndexKeyValue(index, document) {
+    if (index.partialFilterExpression && !matchesSelector(document, index.partialFilterExpression)) return null;
+    const fields = Object.keys(index.key);
+    const values = fields.map((field) => getPathValue(document, field));
+    if (index.sparse && values.every((value) => value === undefined)) return null;
+    return fields.reduce((keyValue, field, position) => { keyValue[field] = values[position] === undefined ? null : values[position]; return keyValue; }, {});
+}
+
+/**
+ * Creates the duplicate key error of the index.
+ * @param {MemoryCollection} collection The collection.
+ * @param {Object} index The index.
+ * @param {Object} keyValue Values of the fields of the index.
+ * @param {Number=} position Index of the document reported by the error.
+ * @returns {MongoError} Returns the error.
+ */
+function createDuplicateKeyMemoryError(collection, index, keyValue, position) {
+    const values = Object.keys(keyValue).map((field) => `${field}: ${JSON.stringify(encodeTokenValue(keyValue[field]))}`).join(', ');
+    return createMemoryError(11000, `E11000 duplicate key error collection: ${collection.db.databaseName}.${collection.collectionName} index: ${index.name} dup key: { ${values} }`,
+        { keyValue, keyPattern: index.key, index: position });
+}
+
+/**
+ * Updates or replaces the documents of the in-memory collection matching the selector, inserting one if none matched and upsert is requested.
+ * @param {MemoryCollection} collection The collection.
+ * @param {Object} selector The selector.
+ * @param {Object|[Object]} update The update document, pipeline or the replacement.
+ * @param {Object=} options Settings of the call, which 'upsert', 'sort' and 'session' are taken into account.
+ * @param {Boolean} many Whether to update all the matching documents.
+ * @param {Boolean} replace Whether the update is the replacement.
+ * @returns {Object} Returns { matched, modified, upsertedId, before, after }, where before and after are the states of the first affected document.
+ */
+function updateMemoryDocuments(collection, selector, update, options, many, replace) {
+    const { upsert, sort, session } = options || {};
+    const store = getMemoryStore(collection.db, collection.collectionName, true, session);
+
+    // Find the matching documents.
+    let matching = store.documents.filter((document) => matchesSelector(document, selector || {}));
+    if (sort) matching = sortDocuments(matching, normalizeSort(sort));
+    if (!many) matching = matching.slice(0, 1);
+
+    // If nothing matched and upsert is requested insert new document.
+    if (!matching.length) {
+        if (!upsert) return { matched: 0, modified: 0, upsertedId: null, before: null, after: null };
+
+        // Create the document out of the equality conditions of the selector and apply the update as an insert.
+        const seed = createUpsertSeed(selector || {});
+        const document = replace ? Object.assign(seed._id !== undefined ? { _id: seed._id } : {}, cloneValue(update)) : applyUpdate(seed, update, true);
+        if (document._id === undefined) document._id = new ObjectID();
+        storeMemoryDocument(collection, store, document);
+        return { matched: 0, modified: 0, upsertedId: document._id, before: null, after: document };
+    }
+
+    // Compute all the updated documents before storing any of them, so a failing update leaves the collection unchanged.
+    const updates = matching.map((document) => {
+        const updated = replace ? Object.assign({ _id: document._id }, cloneValue(update)) : applyUpdate(document, update, false);
+        if (!valuesEqual(updated._id, document._id))
+            throw createMemoryError(66, 'Performing an update on the path \'_id\' would modify the immutable field \'_id\'');
+        return { document, updated };
+    });
+
+    // Store the updated documents in place of the original ones.
+    let modified = 0;
+    updates.forEach(({ document, updated }) => {
+        if (valuesEqual(document, updated)) return;
+        assertUniqueIndexesSatisfied(collection, store, updated, document);
+        store.documents[store.documents.indexOf(document)] = updated;
+        store.ids.set(idKey(updated._id), updated);
+        if (store.written) store.written.add(idKey(updated._id));
+        modified++;
+    });
+
+    return { matched: matching.length, modified, upsertedId: null, before: updates[0].document, after: updates[0].updated };
+}
+
+/**
+ * Deletes the documents of the in-memory collection matching the selector.
+ * @param {MemoryCollection} collection The collection.
+ * @param {Object} selector The selector.
+ * @param {Object=} options Settings of the call, which 'sort' determining the first matching document and 'session' are taken into account.
+ * @param {Boolean} many Whether to delete all the matching documents.
+ * @returns {[Object]} Returns the deleted documents.
+ */
+function deleteMemoryDocuments(collection, selector, options, many) {
+    const { sort, session } = options || {};
+    const store = getMemoryStore(collection.db, collection.collectionName, false, session);
+
+    // Find the matching documents.
+    let matching = store.documents.filter((document) => matchesSelector(document, selector || {}));
+    if (sort) matching = sortDocuments(matching, normalizeSort(sort));
+    if (!many) matching = matching.slice(0, 1);
+
+    // Remove them from the store.
+    const deleted = new Set(matching);
+    store.documents = store.documents.filter((document) => !deleted.has(document));
+    matching.forEach((document) => store.ids.delete(idKey(document._id)));
+    if (store.written) matching.forEach((document) => store.written.add(idKey(document._id)));
+
+    return matching;
+}
+
+/**
+ * Creates the document inserted by an upsert out of the equality conditions of the selector.
+ * @param {Object} selector The selector.
+ * @returns {Object} Returns the document.
+ */
+function createUpsertSeed(selector) {
+    const seed = {};
+    Object.keys(selector).forEach((key) => {
+        const condition = selector[key];
+        // Use the equality conditions of the $and operator.
+        if (key === '$and') condition.forEach((nested) => Object.assign(seed, createUpsertSeed(nested)));
+        // Skip other top level operators.
+        else if (key.startsWith('$')) return;
+        // Use $eq conditions ..
+        else if (isOperatorObject(condition)) { if (Object.prototype.hasOwnProperty.call(condition, '$eq')) setPathValue(seed, key, cloneValue(condition.$eq)); }
+        // .. and equalities.
+        else if (!(condition instanceof RegExp)) setPathValue(seed, key, cloneValue(condition));
+    });
+    return seed;
+}
+
+/**
+ * Converts the outcome of the in-memory update into the result returned by updateOne, updateMany and replaceOne.
+ * @param {Object} outcome The outcome.
+ * @returns {Object} Returns the result.
+ */
+function toUpdateResult(outcome) {
+    const upsertedCount = outcome.upsertedId === null ? 0 : 1;
+    return {
+        matchedCount: outcome.matched, modifiedCount: outcome.modified, upsertedCount, upsertedId: upsertedCount ? { _id: outcome.upsertedId } : null,
+        result: { ok: 1, n: outcome.matched + upsertedCount, nModified: outcome.modified }
+    };
+}
+
+/**
+ * Converts the outcome of the in-memory update into the result returned by findOneAndUpdate and findOneAndReplace.
+ * @param {Object} outcome The outcome.
+ * @param {Object=} options Settings of the call, which 'returnOriginal' and 'projection' are taken into account.
+ * @returns {Object} Returns the result.
+ */
+function toFindAndModifyResult(outcome, options) {
+    const { returnOriginal = true, projection } = options || {};
+    const value = returnOriginal ? outcome.before : outcome.after;
+    return {
+        value: value ? (projection ? applyProjection(value, projection) : cloneValue(value)) : null, ok: 1,
+        lastErrorObject: Object.assign({ n: outcome.matched || (outcome.upsertedId !== null ? 1 : 0), updatedExisting: outcome.matched > 0 },
+            outcome.upsertedId !== null ? { upserted: outcome.upsertedId } : {})
+    };
+}
+
+/**
+ * Runs the driver bulk operations against the in-memory collection.
+ * @param {MemoryCollection} collection The collection.
+ * @param {[Object]} operations The driver bulk operations.
+ * @param {Object=} options Settings of the bulk write, which 'ordered' and 'session' are taken into account.
+ * @returns {Object} Returns the result of the bulk write, which is thrown as the 'result' of the error if any operation failed.
+ */
+function runMemoryBulkWrite(collection, operations, options) {
+    const ordered = !options || options.ordered !== false, session = (options || {}).session;
+    const counts = { nInserted: 0, nMatched: 0, nModified: 0, nRemoved: 0, nUpserted: 0 };
+    const insertedIds = {}, upserted = [], writeErrors = [];
+
+    // Run the operations one by one.
+    for (let index = 0; index < operations.length; index++) {
+        const [type] = Object.keys(operations[index]);
+        const operation = operations[index][type];
+        try {
+            if (type === 'insertOne') {
+                insertMemoryDocuments(collection, [operation.document], session);
+                insertedIds[index] = operation.document._id;
+                counts.nInserted++;
+            } else if (['updateOne', 'updateMany', 'replaceOne'].includes(type)) {
+                const outcome = updateMemoryDocuments(collection, operation.filter, type === 'replaceOne' ? operation.replacement : operation.update,
+                    { upsert: operation.upsert, session }, type === 'updateMany', type === 'replaceOne');
+                counts.nMatched += outcome.matched;
+                counts.nModified += outcome.modified;
+                if (outcome.upsertedId !== null) { upserted.push({ index, _id: outcome.upsertedId }); counts.nUpserted++; }
+            } else if (['deleteOne', 'deleteMany'].includes(type)) counts.nRemoved += deleteMemoryDocuments(collection, operation.filter, { session }, type === 'deleteMany').length;
+            else throw createMemoryError(9, `Unsupported bulk operation '${type}'.`);
+        } catch (error) {
+            // Collect the write error and stop if the bulk write is ordered.
+            writeErrors.push(createMemoryError(error.code, error.message, { index, keyValue: error.keyValue, errInfo: error.errInfo }));
+            if (ordered) break;
+        }
+    }
+
+    // Create the result the same way the driver does.
+    const result = Object.assign({}, counts, {
+        ok: 1, insertedCount: counts.nInserted, matchedCount: counts.nMatched, modifiedCount: counts.nModified, deletedCount: counts.nRemoved,
+        upsertedCount: counts.nUpserted, insertedIds, upsertedIds: upserted.reduce((ids, entry) => { ids[entry.index] = entry._id; return ids; }, {}),
+        result: Object.assign({ ok: 1, writeErrors, writeConcernErrors: [], upserted }, counts),
+        getUpsertedIds: () => upserted.slice(), getWriteErrors: () => writeErrors.slice(), getWriteErrorCount: () => writeErrors.length,
+        hasWriteErrors: () => writeErrors.length > 0, getWriteConcernError: () => null, getInsertedIds: () => Object.keys(insertedIds).map((index) => ({ index: +index, _id: insertedIds[index] }))
+    });
+
+    // If any operation failed throw the error containing the result.
+    if (writeErrors.length) {
+        const error = createMemoryError(writeErrors[0].code, writeErrors[0].message, { writeErrors, result, keyValue: writeErrors[0].keyValue });
+        error.name = 'BulkWriteError';
+        throw error;
+    }
+
+    return result;
+}
+
+/**
+ * Answers a question whether the document matches the selector.
+ * @param {Object} document The document.
+ * @param {Object} selector The selector.
+ * @returns {Boolean} Returns true if the document matches the selector.
+ */
+function matchesSelector(document, selector) {
+    return Object.keys(selector).every((key) => {
+        const condition = selector[key];
+        switch (key) {
+            case '$and': return condition.every((nested) => matchesSelector(document, nested));
+            case '$or': return condition.some((nested) => matchesSelector(document, nested));
+            case '$nor': return !condition.some((nested) => matchesSelector(document, nested));
+            case '$expr': return isTruthy(evaluateExpression(condition, document));
+            case '$comment': return true;
+            default:
+                if (key.startsWith('$')) throw createMemoryError(2, `Operator '${key}' is not supported by the in-memory database.`);
+                return matchesCondition(resolveQueryValues(document, key.split('.')), condition);
+        }
+    });
+}
+
+/**
+ * Resolves the values a query path refers to, descending into arrays of subdocuments.
+ * @param {*} value The value the path is resolved against.
+ * @param {[String]} segments Segments of the path.
+ * @returns {Array} Returns the values, containing undefined if the path doesn't exist.
+ */
+function resolveQueryValues(value, segments) {
+    if (!segments.length) return [value];
+    const [segment, ...rest] = segments;
+
+    // Descend into the element at the index and into all the elements of an array.
+    if (Array.isArray(value)) {
+        const values = [];
+        if (/^\d+$/.test(segment) && +segment < value.length) values.push(...resolveQueryValues(value[+segment], rest));
+        value.forEach((item) => { if (isPlainObject(item)) values.push(...resolveQueryValues(item, segments).filter((found) => found !== undefined)); });
+        return values.length ? values : [undefined];
+    }
+
+    // Descend into the field of an object.
+    if (isPlainObject(value) && value[segment] !== undefined) return resolveQueryValues(value[segment], rest);
+
+    return [undefined];
+}
+
+/**
+ * Expands values resolved by resolveQueryValues by the elements of the arrays among them, as conditions match arrays as well as their elements.
+ * @param {Array} values The values.
+ * @returns {Array} Returns the expanded values.
+ */
+function expandArrays(values) {
+    return values.reduce((expanded, value) => expanded.concat(Array.isArray(value) ? [value].concat(value) : [value]), []);
+}
+
+/**
+ * Answers a question whether values of the field match the condition.
+ * @param {Array} values Values resolved by resolveQueryValues.
+ * @param {*} condition The condition, either the value to be equal to or an object of query operators.
+ * @returns {Boolean} Returns true if the values match the condition.
+ */
+function matchesCondition(values, condition) {
+    // Match equalities and regular expressions.
+    if (!isOperatorObject(condition)) return matchesOperator(values, condition instanceof RegExp ? '$regex' : '$eq', condition);
+
+    // Match all the operators.
+    return Object.keys(condition).every((operator) => operator === '$options' || matchesOperator(values, operator, condition[operator], condition));
+}
+
+/**
+ * Answers a question whether values of the field match the query operator.
+ * @param {Array} values Values resolved by resolveQueryValues.
+ * @param {String} operator The operator.
+ * @param {*} operand The operand of the operator.
+ * @param {Object=} condition Object containing the operator, used to obtain '$options' of '$regex'.
+ * @returns {Boolean} Returns true if the values match the operator.
+ */
+function matchesOperator(values, operator, operand, condition) {
+    const expanded = expandArrays(values);
+    switch (operator) {
+        case '$eq': return expanded.some((value) => operand === null ? value === null || value === undefined : valuesEqual(value, operand))
+            || (operand instanceof RegExp && expanded.some((value) => value instanceof RegExp && String(value) === String(operand)));
+        case '$ne': return !matchesOperator(values, '$eq', operand);
+        case '$gt': return expanded.some((value) => compareSameType(value, operand, (order) => order > 0));
+        case '$gte': return expanded.some((value) => compareSameType(value, operand, (order) => order >= 0));
+        case '$lt': return expanded.some((value) => compareSameType(value, operand, (order) => order < 0));
+        case '$lte': return expanded.some((value) => compareSameType(value, operand, (order) => order <= 0));
+        case '$in': return operand.some((item) => matchesOperator(values, item instanceof RegExp ? '$regex' : '$eq', item));
+        case '$nin': return !matchesOperator(values, '$in', operand);
+        case '$exists': return values.some((value) => value !== undefined) === Boolean(operand);
+        case '$type': return [].concat(operand).some((type) => (type === 'array' || type === 4) ? values.some(Array.isArray) : expanded.some((value) => isOfBsonType(value, type)));
+        case '$mod': return expanded.some((value) => isNumeric(value) && Math.trunc(toNumber(value)) % operand[0] === operand[1]);
+        case '$regex': {
+            const regex = operand instanceof RegExp ? new RegExp(operand.source, (condition && condition.$options) || operand.flags) : new RegExp(operand, (condition && condition.$options) || '');
+            return expanded.some((value) => typeof value === 'string' && regex.test(value));
+        }
+        case '$not': return !matchesCondition(values, operand);
+        case '$all': return operand.length > 0 && operand.every((item) => isPlainObject(item) && item.$elemMatch ? matchesOperator(values, '$elemMatch', item.$elemMatch) : matchesOperator(values, '$eq', item));
+        case '$elemMatch': return values.some((value) => Array.isArray(value) && value.some((item) => isOperatorObject(operand) && !logicalQueryOperators.some((key) => operand[key])
+            ? matchesCondition([item], operand) : isPlainObject(item) && matchesSelector(item, operand)));
+        case '$size': return values.some((value) => Array.isArray(value) && value.length === operand);
+        default: throw createMemoryError(2, `Operator '${operator}' is not supported by the in-memory database.`);
+    }
+}
+
+/**
+ * Compares two values of the same type class, as range operators don't match values of different types.
+ * @param {*} value The value of the field.
+ * @param {*} operand The operand.
+ * @param {Function} predicate Function receiving the result of the comparison.
+ * @returns {Boolean} Returns false for values of different type classes, otherwise returns the result of the predicate.
+ */
+function compareSameType(value, operand, predicate) {
+    return value !== undefined && getTypeOrder(value) === getTypeOrder(operand) && predicate(compareValues(value, operand));
+}
+
+/**
+ * Answers a question whether the value is of provided $type.
+ * @param {*} value The value.
+ * @param {String|Number} type Alias or number of the type.
+ * @returns {Boolean} Returns true if the value is of the type.
+ */
+function isOfBsonType(value, type) {
+    const aliases = { 1: 'double', 2: 'string', 3: 'object', 4: 'array', 5: 'binData', 7: 'objectId', 8: 'bool', 9: 'date', 10: 'null', 11: 'regex', 16: 'int', 17: 'timestamp', 18: 'long', 19: 'decimal' };
+    const alias = aliases[type] || type;
+    if (value === undefined) return false;
+    if (alias === 'number') return isNumeric(value);
+    if (alias === 'double') return typeof value === 'number' && !Number.isInteger(value) || (value !== null && value._bsontype === 'Double');
+    if (alias === 'int') return Number.isInteger(value) || (value !== null && value._bsontype === 'Int32');
+    if (alias === 'long') return value !== null && value._bsontype === 'Long';
+    return isOfType(value, alias);
+}
+
+/**
+ * Converts the numeric value into a number.
+ * @param {*} value The numeric value.
+ * @returns {Number} Returns the number.
+ */
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (value && typeof value.toNumber === 'function') return value.toNumber();
+    if (value && value._bsontype === 'Decimal128') return parseFloat(value.toString());
+    return Number(value);
+}
+
+/**
+ * Compares two values the way the database sorts them.
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @returns {Number} Returns negative number if a precedes b, positive number if b precedes a, otherwise returns 0.
+ */
+function compareValues(a, b) {
+    const typeOrder = getTypeOrder(a) - getTypeOrder(b);
+    if (typeOrder) return typeOrder;
+
+    switch (getTypeOrder(a)) {
+        case 1: return 0;
+        case 2: return Math.sign(toNumber(a) - toNumber(b));
+        case 3: return a < b ? -1 : a > b ? 1 : 0;
+        case 4: {
+            // Compare objects field by field, both names and values.
+            const keysA = Object.keys(a), keysB = Object.keys(b);
+            for (let index = 0; index < Math.min(keysA.length, keysB.length); index++) {
+                const order = compareValues(keysA[index], keysB[index]) || compareValues(a[keysA[index]], b[keysB[index]]);
+                if (order) return order;
+            }
+            return keysA.length - keysB.length;
+        }
+        case 5: {
+            // Compare arrays element by element.
+            for (let index = 0; index < Math.min(a.length, b.length); index++) {
+                const order = compareValues(a[index], b[index]);
+                if (order) return order;
+            }
+            return a.length - b.length;
+        }
+        case 7: return compareValues(a.toHexString(), b.toHexString());
+        case 8: return Number(a) - Number(b);
+        case 9: return Math.sign(a.getTime() - b.getTime());
+        default: return compareValues(String(a), String(b));
+    }
+}
+
+/**
+ * Converts sort specification provided as an object, array of pairs, array of field names or a field name into array of [field, direction] pairs.
+ * @param {Object|Array|String} sort The sort specification.
+ * @returns {[Array]} Returns array of [field, direction] pairs.
+ */
+function normalizeSort(sort) {
+    const pairs = typeof sort === 'string' ? [[sort, 1]] : Array.isArray(sort) ? sort.map((item) => Array.isArray(item) ? item : [item, 1]) : Object.keys(sort).map((key) => [key, sort[key]]);
+    return pairs.map(([field, direction]) => [field, direction === -1 || direction === 'desc' || direction === 'descending' ? -1 : 1]);
+}
+
+/**
+ * Sorts the documents. Arrays are sorted by their lowest element in ascending and by their highest element in descending order.
+ * @param {[Object]} documents The documents.
+ * @param {[Array]} sort Array of [field, direction] pairs.
+ * @returns {[Object]} Returns the sorted copy of the array.
+ */
+function sortDocuments(documents, sort) {
+    // Obtain the values compared for each of the documents.
+    const keyed = documents.map((document, index) => ({ document, index, keys: sort.map(([field, direction]) => {
+        const values = expandArrays(resolveQueryValues(document, field.split('.'))).filter((value) => !Array.isArray(value));
+        if (!values.length) return undefined;
+        return values.reduce((selected, value) => compareValues(value, selected) * direction < 0 ? value : selected);
+    }) }));
+
+    // Sort them, keeping the order of insertion of equal documents.
+    keyed.sort((a, b) => {
+        for (let index = 0; index < sort.length; index++) {
+            const order = compareValues(a.keys[index], b.keys[index]) * sort[index][1];
+            if (order) return order;
+        }
+        return a.index - b.index;
+    });
+    return keyed.map(({ document }) => document);
+}
+
+/**
+ * Applies the find projection to the document.
+ * @param {Object} document The document.
+ * @param {Object} projection The projection containing only inclusions or only exclusions of (dotted) paths, _id may be excluded in both.
+ * @returns {Object} Returns the projected copy of the document.
+ */
+function applyProjection(document, projection) {
+    const paths = Object.keys(projection).filter((path) => path !== '_id');
+    // If any path contains an operator throw appropriate exception.
+    paths.forEach((path) => {
+        if (typeof projection[path] === 'object' && projection[path] !== null) throw createMemoryError(2, `Projection of '${path}' is not supported by the in-memory database.`);
+    });
+
+    // Determine whether the projection includes or excludes fields, the projection of only _id includes it.
+    const inclusive = paths.some((path) => projection[path]) || (!paths.length && Boolean(projection._id));
+    if (inclusive && paths.some((path) => !projection[path])) throw createMemoryError(31254, 'Cannot do exclusion in inclusion projection');
+    const includeId = projection._id === undefined ? true : Boolean(projection._id);
+
+    // Create the tree of the projected paths.
+    const tree = createPathTree(inclusive ? paths.concat(includeId ? ['_id'] : []) : paths.concat(includeId ? [] : ['_id']));
+    return inclusive ? projectInclusive(document, tree) : projectExclusive(document, tree);
+}
+
+/**
+ * Creates the tree of dotted paths, e.g. { a: { b: true }, c: true } out of ['a.b', 'c'].
+ * @param {[String]} paths The paths.
+ * @returns {Object} Returns the tree.
+ */
+function createPathTree(paths) {
+    return paths.reduce((tree, path) => {
+        const segments = path.split('.');
+        let node = tree;
+        segments.forEach((segment, index) => {
+            if (index === segments.length - 1) node[segment] = true;
+            else if (node[segment] !== true) node = node[segment] = node[segment] || {};
+        });
+        return tree;
+    }, {});
+}
+
+/**
+ * Copies the fields of the value included by the tree.
+ * @param {*} value The value.
+ * @param {Object} tree The tree of included paths.
+ * @returns {*} Returns the projected copy of the value or undefined if nothing is included.
+ */
+function projectInclusive(value, tree) {
+    if (Array.isArray(value)) return value.filter((item) => isPlainObject(item) || Array.isArray(item)).map((item) => projectInclusive(item, tree));
+    if (!isPlainObject(value)) return undefined;
+    return Object.keys(value).reduce((result, key) => {
+        if (tree[key] === true) result[key] = cloneValue(value[key]);
+        else if (tree[key]) {
+            const projected = projectInclusive(value[key], tree[key]);
+            if (projected !== undefined) result[key] = projected;
+        }
+        return result;
+    }, {});
+}
+
+/**
+ * Copies the fields of the value not excluded by the tree.
+ * @param {*} value The value.
+ * @param {Object} tree The tree of excluded paths.
+ * @returns {*} Returns the projected copy of the value.
+ */
+function projectExclusive(value, tree) {
+    if (Array.isArray(value)) return value.map((item) => projectExclusive(item, tree));
+    if (!isPlainObject(value)) return cloneValue(value);
+    return Object.keys(value).reduce((result, key) => {
+        if (tree[key] !== true) result[key] = tree[key] ? projectExclusive(value[key], tree[key]) : cloneValue(value[key]);
+        return result;
+    }, {});
+}
+
+/**
+ * Sets the value at the dotted path, creating missing objects along the way.
+ * @param {Object} object The object.
+ * @param {String} path The path.
+ * @param {*} value The value.
+ */
+function setPathValue(object, path, value) {
+    const segments = path.split('.');
+    let current = object;
+    segments.slice(0, -1).forEach((segment) => {
+        if (current[segment] === undefined || current[segment] === null) current[segment] = {};
+        else if (typeof current[segment] !== 'object' || !(isPlainObject(current[segment]) || Array.isArray(current[segment])))
+            throw createMemoryError(28, `Cannot create field '${segment}' in element {${segment}: ${JSON.stringify(current[segment])}}`);
+        current = current[segment];
+    });
+    const last = segments[segments.length - 1];
+    if (Array.isArray(current) && /^\d+$/.test(last)) while (current.length < +last) current.push(null);
+    current[last] = value;
+}
+
+/**
+ * Removes the value at the dotted path.
+ * @param {Object} object The object.
+ * @param {String} path The path.
+ */
+function unsetPathValue(object, path) {
+    const segments = path.split('.');
+    const parent = segments.slice(0, -1).reduce((current, segment) => current !== null && typeof current === 'object' ? current[segment] : undefined, object);
+    const last = segments[segments.length - 1];
+    // Elements of arrays are set to null, the same way the database does it.
+    if (Array.isArray(parent)) { if (/^\d+$/.test(last) && +last < parent.length) parent[+last] = null; }
+    else if (isPlainObject(parent)) delete parent[last];
+}
+
+/**
+ * Applies the update document or pipeline to the copy of the document.
+ * @param {Object} document The document.
+ * @param {Object|[Object]} update The update document or pipeline.
+ * @param {Boolean} inserting Whether the document is being inserted by an upsert, which applies $setOnInsert.
+ * @returns {Object} Returns the updated copy of the document.
+ */
+function applyUpdate(document, update, inserting) {
+    // Run pipeline updates as an aggregation of the single document.
+    if (Array.isArray(update)) return runMemoryPipeline(null, [document], update)[0];
+
+    const updated = cloneValue(document);
+    Object.keys(update).forEach((operator) => {
+        Object.keys(update[operator]).forEach((path) => {
+            // If the path contains positional operator throw appropriate exception.
+            if (path.split('.').some((segment) => segment.startsWith('$'))) throw createMemoryError(2, `Positional operators in '${path}' are not supported by the in-memory database.`);
+            applyUpdateOperator(updated, operator, path, update[operator][path], inserting);
+        });
+    });
+    return updated;
+}
+
+/**
+ * Applies the update operator to the field of the document.
+ * @param {Object} document The document being updated.
+ * @param {String} operator The update operator.
+ * @param {String} path The path of the field.
+ * @param {*} operand The operand of the operator.
+ * @param {Boolean} inserting Whether the document is being inserted by an upsert.
+ */
+function applyUpdateOperator(document, operator, path, operand, inserting) {
+    const current = getPathValue(document, path);
+    // Returns the current value if it is an array, otherwise throws appropriate exception.
+    const currentArray = (create) => {
+        if (current === undefined && create) { const created = []; setPathValue(document, path, created); return created; }
+        if (current === undefined) return null;
+        if (!Array.isArray(current)) throw createMemoryError(2, `Cannot apply ${operator} to a non-array field '${path}'`);
+        return current;
+    };
+    // If the current value is present but not numeric throw appropriate exception.
+    const assertNumeric = () => {
+        if (current !== undefined && current !== null && !isNumeric(current)) throw createMemoryError(14, `Cannot apply ${operator} to a value of non-numeric type at '${path}'`);
+    };
+
+    switch (operator) {
+        case '$set': return setPathValue(document, path, cloneValue(operand));
+        case '$setOnInsert': if (inserting) setPathValue(document, path, cloneValue(operand)); return;
+        case '$unset': return unsetPathValue(document, path);
+        case '$inc': assertNumeric(); return setPathValue(document, path, toNumber(current || 0) + toNumber(operand));
+        case '$mul': assertNumeric(); return setPathValue(document, path, toNumber(current || 0) * toNumber(operand));
+        case '$min': if (current === undefined || compareValues(operand, current) < 0) setPathValue(document, path, cloneValue(operand)); return;
+        case '$max': if (current === undefined || compareValues(operand, current) > 0) setPathValue(document, path, cloneValue(operand)); return;
+        case '$rename': if (current !== undefined) { unsetPathValue(document, path); setPathValue(document, operand, current); } return;
+        case '$currentDate': return setPathValue(document, path, isPlainObject(operand) && operand.$type === 'timestamp' ? new mongodb.Timestamp(0, Math.floor(Date.now() / 1000)) : new Date());
+        case '$bit': {
+            assertNumeric();
+            const [bitOperator] = Object.keys(operand), value = toNumber(current || 0), mask = toNumber(operand[bitOperator]);
+            return setPathValue(document, path, bitOperator === 'and' ? value & mask : bitOperator === 'or' ? value | mask : value ^ mask);
+        }
+        case '$pop': { const array = currentArray(false); if (array) { if (operand === 1) array.pop(); else array.shift(); } return; }
+        case '$pullAll': { const array = currentArray(false); if (array) setPathValue(document, path, array.filter((item) => !operand.some((value) => valuesEqual(item, value)))); return; }
+        case '$pull': {
+            const array = currentArray(false);
+            if (!array) return;
+            // Remove the items equal to the operand or matching the condition.
+            const matches = (item) => !isPlainObject(operand) && !(operand instanceof RegExp) ? valuesEqual(item, operand)
+                : isOperatorObject(operand) || operand instanceof RegExp ? matchesCondition([item], operand) : isPlainObject(item) && matchesSelector(item, operand);
+            return setPathValue(document, path, array.filter((item) => !matches(item)));
+        }
+        case '$addToSet': {
+            const array = currentArray(true);
+            const items = isPlainObject(operand) && Array.isArray(operand.$each) ? operand.$each : [operand];
+            items.forEach((item) => { if (!array.some((existing) => valuesEqual(existing, item))) array.push(cloneValue(item)); });
+            return;
+        }
+        case '$push': {
+            const array = currentArray(true);
+            const modifiers = isPlainObject(operand) && Array.isArray(operand.$each) ? operand : { $each: [operand] };
+            // Insert the items at the position.
+            const position = modifiers.$position === undefined ? array.length : modifiers.$position < 0 ? Math.max(array.length + modifiers.$position, 0) : modifiers.$position;
+            array.splice(position, 0, ...modifiers.$each.map(cloneValue));
+            let result = array;
+            // Sort the array.
+            if (modifiers.$sort !== undefined) {
+                result = isPlainObject(modifiers.$sort) ? sortDocuments(result, normalizeSort(modifiers.$sort))
+                    : result.slice().sort((a, b) => compareValues(a, b) * modifiers.$sort);
+            }
+            // Slice the array.
+            if (modifiers.$slice !== undefined) result = modifiers.$slice < 0 ? result.slice(modifiers.$slice) : result.slice(0, modifiers.$slice);
+            return setPathValue(document, path, result);
+        }
+        default: throw createMemoryError(9, `Update operator '${operator}' is not supported by the in-memory database.`);
+    }
+}
+
+/**
+ * Runs the aggregation pipeline over the documents.
+ * Supported stages: $match, $project, $addFields, $set, $unset, $replaceRoot, $replaceWith, $group, $sort, $skip, $limit, $count, $unwind, $sortByCount,
+ * $lookup (including its 'let' and 'pipeline' form), $facet, $unionWith and $out and $merge writing into the collections of the same database.
+ * @param {MemoryDb} db The database used by $lookup, $unionWith, $out and $merge stages.
+ * @param {[Object]} documents The input documents.
+ * @param {[Object]} pipeline The pipeline.
+ * @param {MemorySession=} session The session used by $lookup, $unionWith, $out and $merge stages.
+ * @returns {[Object]} Returns the output documents.
+ */
+function runMemoryPipeline(db, documents, pipeline, session) {
+    return pipeline.reduce((input, stage) => {
+        const [name] = Object.keys(stage);
+        const specification = stage[name];
+        switch (name) {
+            case '$match': return input.filter((document) => matchesSelector(document, specification));
+            case '$project': return input.map((document) => projectWithExpressions(document, specification));
+            case '$addFields': case '$set': return input.map((document) => {
+                const output = cloneValue(document);
+                Object.keys(specification).forEach((path) => setPathValue(output, path, evaluateExpression(specification[path], document)));
+                return output;
+            });
+            case '$unset': return input.map((document) => applyProjection(document, [].concat(specification).reduce((projection, path) => { projection[path] = 0; return projection; }, {})));
+            case '$replaceRoot': case '$replaceWith': return input.map((document) => {
+                const root = evaluateExpression(name === '$replaceRoot' ? specification.newRoot : specification, document);
+                if (!isPlainObject(root)) throw createMemoryError(40228, `'newRoot' must evaluate to an object, but resulting value was: ${JSON.stringify(root)}`);
+                return cloneValue(root);
+            });
+            case '$group': return groupDocuments(input, specification);
+            case '$sort': return sortDocuments(input, normalizeSort(specification));
+            case '$skip': return input.slice(specification);
+            case '$limit': return input.slice(0, specification);
+            case '$count': return input.length ? [{ [specification]: input.length }] : [];
+            case '$sortByCount': return sortDocuments(groupDocuments(input, { _id: specification, count: { $sum: 1 } }), [['count', -1]]);
+            case '$unwind': return unwindDocuments(input, typeof specification === 'string' ? { path: specification } : specification);
+            case '$lookup': return input.map((document) => {
+                let foreign = getMemoryStore(db, specification.from, false, session).documents;
+                // Match the looked up documents by the equality of the fields ..
+                if (specification.localField !== undefined) {
+                    const local = getPathValue(document, specification.localField);
+                    foreign = foreign.filter((candidate) => matchesOperator(resolveQueryValues(candidate, specification.foreignField.split('.')), '$in',
+                        Array.isArray(local) ? local : [local === undefined ? null : local]));
+                }
+                // .. and run the pipeline over them with the variables bound to the values computed out of the document.
+                if (specification.pipeline) {
+                    const variables = Object.keys(specification.let || {}).reduce((bound, variable) => {
+                        bound[variable] = evaluateExpression(specification.let[variable], document);
+                        return bound;
+                    }, {});
+                    foreign = runMemoryPipeline(db, foreign, bindMemoryVariables(specification.pipeline, variables), session);
+                }
+                const output = cloneValue(document);
+                setPathValue(output, specification.as, foreign.map(cloneValue));
+                return output;
+            });
+            case '$facet': return [Object.keys(specification).reduce((output, facet) => {
+                output[facet] = runMemoryPipeline(db, input, specification[facet], session).map(cloneValue);
+                return output;
+            }, {})];
+            case '$unionWith': {
+                const { coll, pipeline } = typeof specification === 'string' ? { coll: specification } : specification;
+                return input.concat(runMemoryPipeline(db, getMemoryStore(db, coll, false, session).documents, pipeline || [], session).map(cloneValue));
+            }
+            case '$out': replaceMemoryDocuments(db.collection(getMemoryOutputCollection(db, specification)), input, session); return [];
+            case '$merge': mergeMemoryDocuments(db, typeof specification === 'string' ? { into: specification } : specification, input, session); return [];
+            default: throw createMemoryError(40324, `Pipeline stage '${name}' is not supported by the in-memory database.`);
+        }
+    }, documents);
+}
+
+/**
+ * Returns the name of the collection the results of $out or $merge stage are written to.
+ * @param {MemoryDb} db The database.
+ * @param {String|Object} output Either the name of the collection or an object containing 'db' and 'coll'.
+ * @returns {String} Returns the name of the collection.
+ */
+function getMemoryOutputCollection(db, output) {
+    if (typeof output === 'string') return output;
+    // Each in-memory database is on its own, so the results can't be written into another one.
+    if (output.db !== undefined && output.db !== db.databaseName) throw createMemoryError(40324, 'Writing the results into another database is not supported by the in-memory database.');
+    return output.coll;
+}
+
+/**
+ * Replaces all the documents of the in-memory collection by provided ones, the way $out stage does. If any of the documents can't be stored
+ * (e.g. due to the duplicate key) the collection is left as it was.
+ * @param {MemoryCollection} collection The collection.
+ * @param {[Object]} documents The documents.
+ * @param {MemorySession=} session The session.
+ */
+function replaceMemoryDocuments(collection, documents, session) {
+    const store = getMemoryStore(collection.db, collection.collectionName, true, session);
+    const previous = { documents: store.documents.slice(), ids: new Map(store.ids) };
+    if (store.written) previous.written = new Set(store.written);
+    try {
+        deleteMemoryDocuments(collection, {}, { session }, true);
+        insertMemoryDocuments(collection, documents.map(cloneValue), session);
+    } catch (error) {
+        Object.assign(store, previous);
+        throw error;
+    }
+}
+
+/**
+ * Writes the documents into the in-memory collection the way $merge stage does, matching them with the existing documents by the 'on' fields.
+ * @param {MemoryDb} db The database.
+ * @param {Object} specification The specification of the stage containing 'into' and optionally 'on', 'let', 'whenMatched' and 'whenNotMatched'.
+ * @param {[Object]} documents The documents.
+ * @param {MemorySession=} session The session.
+ */
+function mergeMemoryDocuments(db, specification, documents, session) {
+    const { into, on = '_id', whenMatched = 'merge', whenNotMatched = 'insert' } = specification;
+    const collection = db.collection(getMemoryOutputCollection(db, into));
+    const fields = [].concat(on);
+
+    documents.map(cloneValue).forEach((document) => {
+        // All the 'on' fields must be provided, except of _id given to the inserted documents without it.
+        if (document._id === undefined && fields.includes('_id')) document._id = new ObjectID();
+        const selector = fields.reduce((selector, field) => {
+            const value = getPathValue(document, field);
+            if (value === undefined || value === null || Array.isArray(value)) throw createMemoryError(51132, `$merge write error: 'on' field '${field}' cannot be missing, null, undefined or an array`);
+            selector[field] = value;
+            return selector;
+        }, {});
+        const existing = getMemoryStore(db, collection.collectionName, false, session).documents.find((candidate) => matchesSelector(candidate, selector));
+
+        // Insert, discard or reject the documents which don't match any existing one ..
+        if (!existing) {
+            if (whenNotMatched === 'insert') insertMemoryDocuments(collection, [document], session);
+            else if (whenNotMatched === 'fail') throw createMemoryError(13113, '$merge could not find a matching document in the target collection for at least one document in the source collection');
+            return;
+        }
+        // .. and replace, merge, keep, update by the pipeline or reject the ones which do.
+        if (whenMatched === 'fail') throw createMemoryError(11000, `E11000 duplicate key error collection: ${db.databaseName}.${collection.collectionName}`, { keyValue: selector });
+        if (whenMatched === 'keepExisting') return;
+        const update = whenMatched === 'replace' ? document : whenMatched === 'merge' ? { $set: document }
+            : bindMemoryVariables(whenMatched, Object.assign({ new: document }, Object.keys(specification.let || {}).reduce((bound, variable) => {
+                bound[variable] = evaluateExpression(specification.let[variable], document);
+                return bound;
+            }, {})));
+        updateMemoryDocuments(collection, { _id: existing._id }, update, { session }, false, whenMatched === 'replace');
+    });
+}
+
+/**
+ * Replaces the references to the variables within the pipeline by the literals of their values, so the pipeline of $lookup stage can be run on its own.
+ * @param {*} value The pipeline or any part of it.
+ * @param {Object} variables Values of the variables indexed by their names.
+ * @returns {*} Returns the pipeline with the variables replaced.
+ */
+function bindMemoryVariables(value, variables) {
+    if (typeof value === 'string' && value.startsWith('$$')) {
+        const [name, ...segments] = value.slice(2).split('.');
+        if (!Object.prototype.hasOwnProperty.call(variables, name)) return value;
+        return { $literal: segments.length ? resolveFieldPath(variables[name], segments) : variables[name] };
+    }
+    if (Array.isArray(value)) return value.map((item) => bindMemoryVariables(item, variables));
+    if (isPlainObject(value)) return Object.keys(value).reduce((bound, key) => { bound[key] = bindMemoryVariables(value[key], variables); return bound; }, {});
+    return value;
+}
+
+/**
+ * Applies the $project stage, which in addition to inclusions and exclusions may contain computed fields.
+ * @param {Object} document The document.
+ * @param {Object} specification The specification of the stage.
+ * @returns {Object} Returns the projected document.
+ */
+function projectWithExpressions(document, specification) {
+    // Flatten nested specifications into dotted paths.
+    const flatten = (object, prefix) => Object.keys(object).reduce((flat, key) => {
+        const path = joinPath(prefix, key);
+        if (isPlainObject(object[key]) && !isOperatorObject(object[key])) Object.assign(flat, flatten(object[key], path));
+        else flat[path] = object[key];
+        return flat;
+    }, {});
+    const flat = flatten(specification, '');
+    const isFlag = (value) => typeof value === 'boolean' || typeof value === 'number';
+
+    // Separate the computed fields from inclusions and exclusions.
+    const computed = Object.keys(flat).filter((path) => !isFlag(flat[path]));
+    const flags = Object.keys(flat).filter((path) => isFlag(flat[path])).reduce((projection, path) => { projection[path] = flat[path]; return projection; }, {});
+
+    const included = Object.keys(flags).filter((path) => path !== '_id' && flags[path]);
+    const excluded = Object.keys(flags).filter((path) => path !== '_id' && !flags[path]);
+
+    // Apply exclusions if there is nothing to include ..
+    if (!computed.length && !included.length) return applyProjection(document, flags);
+    // .. otherwise include the fields, followed by the computed ones.
+    if (excluded.length) throw createMemoryError(31254, `Cannot do exclusion on field ${excluded[0]} in inclusion projection`);
+    const output = Object.assign(flags._id === undefined || flags._id ? removeUndefined({ _id: cloneValue(document._id) }) : {},
+        included.length ? applyProjection(document, included.reduce((projection, path) => { projection[path] = 1; return projection; }, { _id: 0 })) : {});
+    computed.forEach((path) => {
+        const value = evaluateExpression(flat[path], document);
+        if (value !== undefined) setPathValue(output, path, value);
+    });
+    return output;
+}
+
+/**
+ * Applies the $group stage.
+ * @param {[Object]} documents The input documents.
+ * @param {Object} specification The specification containing '_id' expression and accumulators of the output fields.
+ * @returns {[Object]} Returns the groups in the order of their first appearance.
+ */
+function groupDocuments(documents, specification) {
+    const groups = new Map();
+    documents.forEach((document) => {
+        const _id = evaluateExpression(specification._id, document);
+        const key = idKey(_id === undefined ? null : _id);
+        if (!groups.has(key)) groups.set(key, { _id: _id === undefined ? null : _id, documents: [] });
+        groups.get(key).documents.push(document);
+    });
+
+    return Array.from(groups.values()).map((group) => Object.keys(specification).filter((field) => field !== '_id').reduce((output, field) => {
+        const [accumulator] = Object.keys(specification[field]);
+        const values = group.documents.map((document) => evaluateExpression(specification[field][accumulator], document));
+        output[field] = accumulate(accumulator, values);
+        return output;
+    }, { _id: cloneValue(group._id) }));
+}
+
+/**
+ * Computes the value of the accumulator.
+ * @param {String} accumulator The accumulator.
+ * @param {Array} values Values of the expression of the accumulator for all the documents of the group.
+ * @returns {*} Returns the accumulated value.
+ */
+function accumulate(accumulator, values) {
+    const defined = values.filter((value) => value !== undefined && value !== null);
+    switch (accumulator) {
+        case '$sum': return defined.filter(isNumeric).reduce((sum, value) => sum + toNumber(value), 0);
+        case '$count': return values.length;
+        case '$avg': { const numbers = defined.filter(isNumeric); return numbers.length ? numbers.reduce((sum, value) => sum + toNumber(value), 0) / numbers.length : null; }
+        case '$min': return defined.length ? defined.reduce((min, value) => compareValues(value, min) < 0 ? value : min) : null;
+        case '$max': return defined.length ? defined.reduce((max, value) => compareValues(value, max) > 0 ? value : max) : null;
+        case '$first': return values.length ? (values[0] === undefined ? null : values[0]) : null;
+        case '$last': return values.length ? (values[values.length - 1] === undefined ? null : values[values.length - 1]) : null;
+        case '$push': return values.filter((value) => value !== undefined).map(cloneValue);
+        case '$addToSet': return values.filter((value) => value !== undefined).reduce((set, value) => set.some((item) => valuesEqual(item, value)) ? set : set.concat([cloneValue(value)]), []);
+        default: throw createMemoryError(15952, `Accumulator '${accumulator}' is not supported by the in-memory database.`);
+    }
+}
+
+/**
+ * Applies the $unwind stage.
+ * @param {[Object]} documents The input documents.
+ * @param {Object} specification The specification containing 'path', 'includeArrayIndex' and 'preserveNullAndEmptyArrays'.
+ * @returns {[Object]} Returns the output documents.
+ */
+function unwindDocuments(documents, specification) {
+    const path = specification.path.replace(/^\$/, '');
+    return documents.reduce((output, document) => {
+        const value = getPathValue(document, path);
+        // Output one document for each element of the array ..
+        if (Array.isArray(value) && value.length) value.forEach((item, index) => {
+            const unwound = cloneValue(document);
+            setPathValue(unwound, path, cloneValue(item));
+            if (specification.includeArrayIndex) setPathValue(unwound, specification.includeArrayIndex, index);
+            output.push(unwound);
+        });
+        // .. the document itself for non-array values ..
+        else if (value !== undefined && value !== null && !Array.isArray(value)) {
+            const unwound = cloneValue(document);
+            if (specification.includeArrayIndex) setPathValue(unwound, specification.includeArrayIndex, null);
+            output.push(unwound);
+        }
+        // .. and the document without the field for missing values, null and empty arrays if they are to be preserved.
+        else if (specification.preserveNullAndEmptyArrays) {
+            const unwound = cloneValue(document);
+            if (Array.isArray(value)) unsetPathValue(unwound, path);
+            if (specification.includeArrayIndex) setPathValue(unwound, specification.includeArrayIndex, null);
+            output.push(unwound);
+        }
+        return output;
+    }, []);
+}
+
+/**
+ * Answers a question whether the value is truthy in aggregation expressions, where only false, null, undefined and 0 are falsy.
+ * @param {*} value The value.
+ * @returns {Boolean} Returns true if the value is truthy.
+ */
+function isTruthy(value) {
+    return !(value === false || value === null || value === undefined || (isNumeric(value) && toNumber(value) === 0));
+}
+
+/**
+ * Evaluates the aggregation expression against the document.
+ * @param {*} expression The expression.
+ * @param {Object} document The document, available as '$$ROOT' and '$$CURRENT'.
+ * @param {Object=} variables Additional variables.
+ * @returns {*} Returns the value or undefined if the expression refers to a missing field.
+ */
+function evaluateExpression(expression, document, variables) {
+    // Resolve variables and field paths.
+    if (typeof expression === 'string' && expression.startsWith('$$')) {
+        const [name, ...segments] = expression.slice(2).split('.');
+        const scope = Object.assign({ NOW: new Date(), ROOT: document, CURRENT: document, REMOVE: undefined }, variables);
+        if (!Object.prototype.hasOwnProperty.call(scope, name)) throw createMemoryError(17276, `Use of undefined variable: ${name}`);
+        return segments.length ? resolveFieldPath(scope[name], segments) : scope[name];
+    }
+    if (typeof expression === 'string' && expression.startsWith('$')) return resolveFieldPath(document, expression.slice(1).split('.'));
+
+    // Evaluate arrays and objects.
+    if (Array.isArray(expression)) return expression.map((item) => evaluateExpression(item, document, variables));
+    if (!isPlainObject(expression)) return expression;
+    const keys = Object.keys(expression);
+    if (keys.length !== 1 || !keys[0].startsWith('$'))
+        return keys.reduce((object, key) => { const value = evaluateExpression(expression[key], document, variables); if (value !== undefined) object[key] = value; return object; }, {});
+
+    // Evaluate operators.
+    const [operator] = keys;
+    const operand = expression[operator];
+    if (operator === '$literal') return operand;
+    const args = () => [].concat(operand).map((item) => evaluateExpression(item, document, variables));
+    const numbers = () => args().map((value) => value === undefined || value === null ? null : toNumber(value));
+
+    switch (operator) {
+        case '$add': {
+            const values = args();
+            if (values.some((value) => value === undefined || value === null)) return null;
+            const date = values.find((value) => value instanceof Date);
+            const sum = values.reduce((total, value) => total + (value instanceof Date ? value.getTime() : toNumber(value)), 0);
+            return date ? new Date(sum) : sum;
+        }
+        case '$subtract': {
+            const [a, b] = args();
+            if (a === undefined || a === null || b === undefined || b === null) return null;
+            if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+            if (a instanceof Date) return new Date(a.getTime() - toNumber(b));
+            return toNumber(a) - toNumber(b);
+        }
+        case '$multiply': { const values = numbers(); return values.includes(null) ? null : values.reduce((product, value) => product * value, 1); }
+        case '$divide': { const [a, b] = numbers(); return a === null || b === null ? null : a / b; }
+        case '$mod': { const [a, b] = numbers(); return a === null || b === null ? null : a % b; }
+        case '$abs': { const [a] = numbers(); return a === null ? null : Math.abs(a); }
+        case '$ceil': { const [a] = numbers(); return a === null ? null : Math.ceil(a); }
+        case '$floor': { const [a] = numbers(); return a === null ? null : Math.floor(a); }
+        case '$concat': { const values = args(); return values.some((value) => value === undefined || value === null) ? null : values.join(''); }
+        case '$toLower': { const [value] = args(); return value === undefined || value === null ? '' : String(value).toLowerCase(); }
+        case '$toUpper': { const [value] = args(); return value === undefined || value === null ? '' : String(value).toUpperCase(); }
+        case '$toString': { const [value] = args(); return value === undefined || value === null ? null : value instanceof Date ? value.toISOString() : String(value); }
+        case '$ifNull': { const values = args(); const found = values.slice(0, -1).find((value) => value !== undefined && value !== null); return found !== undefined ? found : values[values.length - 1]; }
+        case '$cond': {
+            const [condition, then, otherwise] = Array.isArray(operand) ? operand : [operand.if, operand.then, operand.else];
+            return evaluateExpression(isTruthy(evaluateExpression(condition, document, variables)) ? then : otherwise, document, variables);
+        }
+        case '$eq': case '$ne': case '$gt': case '$gte': case '$lt': case '$lte': case '$cmp': {
+            const [a, b] = args().map((value) => value === undefined ? null : value);
+            const order = compareValues(a, b);
+            return { $eq: order === 0, $ne: order !== 0, $gt: order > 0, $gte: order >= 0, $lt: order < 0, $lte: order <= 0, $cmp: Math.sign(order) }[operator];
+        }
+        case '$and': return args().every(isTruthy);
+        case '$or': return args().some(isTruthy);
+        case '$not': return !isTruthy(args()[0]);
+        case '$in': { const [value, array] = args(); return Array.isArray(array) && array.some((item) => valuesEqual(item, value)); }
+        case '$isArray': return Array.isArray(args()[0]);
+        case '$size': { const [array] = args(); if (!Array.isArray(array)) throw createMemoryError(17124, 'The argument to $size must be an array'); return array.length; }
+        case '$arrayElemAt': { const [array, index] = args(); return Array.isArray(array) ? array[index < 0 ? array.length + index : index] : null; }
+        case '$concatArrays': { const values = args(); return values.some((value) => !Array.isArray(value)) ? null : [].concat(...values); }
+        case '$first': case '$last': { const [array] = args(); return Array.isArray(array) ? array[operator === '$first' ? 0 : array.length - 1] : null; }
+        case '$sum': case '$avg': case '$min': case '$max': {
+            const values = args();
+            return accumulate(operator, values.length === 1 && Array.isArray(values[0]) ? values[0] : values);
+        }
+        case '$mergeObjects': return args().reduce((merged, value) => isPlainObject(value) ? Object.assign(merged, cloneValue(value)) : merged, {});
+        default: throw createMemoryError(168, `Expression operator '${operator}' is not supported by the in-memory database.`);
+    }
+}
+
+/**
+ * Resolves the field path of the aggregation expression, which results in an array of values when traversing arrays.
+ * @param {*} value The value the path is resolved against.
+ * @param {[String]} segments Segments of the path.
+ * @returns {*} Returns the value or undefined if the path doesn't exist.
+ */
+function resolveFieldPath(value, segments) {
+    if (!segments.length) return value;
+    if (Array.isArray(value)) return value.filter(isPlainObject).map((item) => resolveFieldPath(item, segments)).filter((item) => item !== undefined);
+    if (!isPlainObject(value)) return undefined;
+    return resolveFieldPath(value[segments[0]], segments.slice(1));
+}
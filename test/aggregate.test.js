@@ -0,0 +1,120 @@
+// Tests of the aggregation functions and the pipeline builder running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+const { MongoNetworkError } = require('mongodb');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+// Orders used by the tests.
+const orders = [
+    { _id: 1, customer: 'a', total: 10, items: ['x', 'y'] },
+    { _id: 2, customer: 'b', total: 20, items: ['x'] },
+    { _id: 3, customer: 'a', total: 30, items: [] }
+];
+
+test('runs the pipeline and reads the results at once or as a stream', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertManyAsync(db, 'orders', orders);
+    const pipeline = [{ $group: { _id: '$customer', total: { $sum: '$total' } } }, { $sort: { _id: 1 } }];
+
+    assert.deepStrictEqual(await crud.aggregateAsync(db, 'orders', pipeline), [{ _id: 'a', total: 40 }, { _id: 'b', total: 20 }]);
+
+    const streamed = [];
+    for await (const batch of crud.aggregateStream(db, 'orders', [{ $unwind: '$items' }, { $sort: { _id: 1 } }], { batchSize: 2, yieldBatches: true }))
+        streamed.push(batch.map((order) => order.items));
+    assert.deepStrictEqual(streamed, [['x', 'y'], ['x']]);
+});
+
+test('builds the pipeline validating each stage as it is added', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertManyAsync(db, 'builtOrders', orders);
+    await crud.insertManyAsync(db, 'customers', [{ _id: 'a', name: 'Alice' }, { _id: 'b', name: 'Bob' }]);
+
+    const builder = crud.createPipeline()
+        .match({ total: { $gte: 20 } })
+        .lookup({ from: 'customers', localField: 'customer', foreignField: '_id', as: 'customer' })
+        .unwind('$customer')
+        .project({ _id: 0, name: '$customer.name', total: 1 })
+        .sort({ total: -1 });
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(builder)), builder.build());
+    assert.deepStrictEqual(await builder.aggregateAsync(db, 'builtOrders'), [{ total: 30, name: 'Alice' }, { total: 20, name: 'Bob' }]);
+
+    // Facets and unions run their own pipelines.
+    const facets = await crud.createPipeline().facet({ count: crud.createPipeline().count('count'), top: [{ $sort: { total: -1 } }, { $limit: 1 }] })
+        .aggregateAsync(db, 'builtOrders');
+    assert.deepStrictEqual(facets, [{ count: [{ count: 3 }], top: [orders[2]] }]);
+    assert.deepStrictEqual(await crud.aggregateAsync(db, 'customers', [{ $project: { _id: 1 } }, { $unionWith: { coll: 'builtOrders', pipeline: [{ $project: { _id: 1 } }] } }]),
+        [{ _id: 'a' }, { _id: 'b' }, { _id: 1 }, { _id: 2 }, { _id: 3 }]);
+
+    // Misplaced and malformed stages are rejected when they are added, leaving the builder as it was.
+    assert.throws(() => builder.skip(-1), TypeError);
+    assert.throws(() => builder.stage({ $foo: 1 }), /unknown stage/);
+    assert.strictEqual(builder.build().length, 5);
+    assert.throws(() => crud.createPipeline().out('top').match({}), /must be the last stage/);
+});
+
+test('runs the pipelines ending with $out or $merge as writes of the output collection', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.configureCollection('totals', { cache: true });
+    await crud.insertManyAsync(db, 'writtenOrders', orders);
+    await crud.insertOneAsync(db, 'totals', { _id: 'c', total: 5 });
+
+    // Read the output collection to cache its entries.
+    assert.strictEqual((await crud.findManyAsync(db, 'totals', {})).length, 1);
+    assert.deepStrictEqual(await crud.aggregateAsync(db, 'writtenOrders', [{ $group: { _id: '$customer', total: { $sum: '$total' } } }, { $out: 'totals' }]), []);
+    // The write invalidated the cached entries, $out replaced all of them.
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'totals', {}, { sort: { _id: 1 } }), [{ _id: 'a', total: 40 }, { _id: 'b', total: 20 }]);
+
+    await crud.createPipeline().match({ customer: 'b' }).project({ _id: '$customer', count: { $size: '$items' } })
+        .merge({ into: 'totals', whenMatched: 'merge' }).aggregateAsync(db, 'writtenOrders');
+    assert.deepStrictEqual(await crud.findOneAsync(db, 'totals', { _id: 'b' }), { _id: 'b', total: 20, count: 1 });
+
+    // Make the aggregations fail with the network error, reads are retried while the writes are not.
+    const collection = db.collection.bind(db);
+    let attempts = 0;
+    db.collection = (name) => Object.assign(Object.create(collection(name)), {
+        aggregate: (...args) => { attempts++; args[args.length - 1](new MongoNetworkError('connection reset')); }
+    });
+    const retry = { initialDelayMS: 1, jitter: false };
+    await assert.rejects(crud.aggregateAsync(db, 'writtenOrders', [{ $match: {} }], { retry }), crud.NetworkError);
+    assert.strictEqual(attempts, 3);
+    await assert.rejects(crud.aggregateStream(db, 'writtenOrders', [{ $merge: 'totals' }], { retry })[Symbol.asyncIterator]().next(), crud.NetworkError);
+    assert.strictEqual(attempts, 4);
+});
+
+test('merges the results into the output collection as configured', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertManyAsync(db, 'merged', [{ _id: 1, code: 'a', value: 1 }, { _id: 2, code: 'b', value: 2 }]);
+    const merge = (specification, documents) => crud.aggregateAsync(db, 'merged', [{ $match: { _id: 0 } }, { $unionWith: { coll: 'sources', pipeline: [{ $match: { _id: { $in: documents } } }] } },
+        { $project: { _id: 0 } }, { $merge: Object.assign({ into: 'merged', on: 'code' }, specification) }]);
+    await crud.insertManyAsync(db, 'sources', [{ _id: 1, code: 'a', value: 10 }, { _id: 2, code: 'c', value: 30 }, { _id: 3, value: 40 }]);
+
+    await merge({ whenMatched: 'replace', whenNotMatched: 'discard' }, [1, 2]);
+    await merge({ whenMatched: [{ $set: { value: { $add: ['$value', '$$new.value'] } } }] }, [1]);
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'merged', {}, { sort: { _id: 1 }, projection: { _id: 0 } }), [{ code: 'a', value: 20 }, { code: 'b', value: 2 }]);
+
+    await assert.rejects(merge({ whenMatched: 'fail' }, [1]), (error) => error.code === 11000);
+    await assert.rejects(merge({ whenNotMatched: 'fail' }, [2]), (error) => error.code === 13113);
+    await assert.rejects(merge({}, [3]), (error) => error.code === 51132);
+});
+
+test('excludes soft-deleted entries unless they are requested', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.configureCollection('aggregatedSoftDeleted', { softDelete: true });
+    await crud.insertManyAsync(db, 'aggregatedSoftDeleted', orders);
+    await crud.deleteOneAsync(db, 'aggregatedSoftDeleted', { _id: 2 });
+
+    assert.deepStrictEqual(await crud.aggregateAsync(db, 'aggregatedSoftDeleted', [{ $count: 'count' }]), [{ count: 2 }]);
+    assert.deepStrictEqual(await crud.aggregateAsync(db, 'aggregatedSoftDeleted', [{ $count: 'count' }], { withDeleted: true }), [{ count: 3 }]);
+});
+
+test('validates the arguments before the pipeline runs', () => {
+    const db = crud.createMemoryDatabase();
+    assert.throws(() => crud.aggregateAsync(null, 'invalid', []), TypeError);
+    assert.throws(() => crud.aggregateAsync(db, 5, []), TypeError);
+    assert.throws(() => crud.aggregateAsync(db, 'invalid', {}), /must be an array of stages/);
+    assert.throws(() => crud.aggregateAsync(db, 'invalid', [{ $out: 'a' }, { $match: {} }]), /must be the last stage/);
+    assert.throws(() => crud.aggregateStream(db, 'invalid', [], { batchSize: 0 }), TypeError);
+    assert.throws(() => crud.aggregateStream(db, 'invalid', [{ $limit: 'a' }]), TypeError);
+});
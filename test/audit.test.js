@@ -0,0 +1,47 @@
+// Tests of the audit trail running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+test('records the history of audited collections', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.configureCollection('audited', { audit: true, versioning: true });
+    await crud.insertManyAsync(db, 'audited', [{ _id: 1, value: 1 }, { _id: 2, value: 1 }]);
+    await crud.updateManyAsync(db, 'audited', {}, { $inc: { value: 1 } });
+    await crud.deleteOneAsync(db, 'audited', { _id: 1 });
+
+    assert.deepStrictEqual((await crud.getHistoryAsync(db, 'audited', 1)).map((entry) => `${entry.version}${entry.operation}`), ['1insertMany', '2updateMany', '3deleteOne']);
+    assert.strictEqual((await crud.getHistoryAsync(db, 'audited', 2)).length, 2);
+
+    await crud.revertToVersionAsync(db, 'audited', 2, 1);
+    assert.strictEqual((await crud.findOneAsync(db, 'audited', { _id: 2 })).value, 1);
+});
+
+test('inserts the audited entries only together with their history', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.configureCollection('auditedInserts', { audit: true });
+    // Make the writes of the history fail.
+    const collection = db.collection.bind(db);
+    db.collection = (collectionKey, ...rest) => Object.assign(collection(collectionKey, ...rest),
+        collectionKey === 'auditedInserts_history' ? { insertMany: (records, options, callback) => callback(new Error('History is not available.')) } : {});
+
+    await assert.rejects(crud.insertOneAsync(db, 'auditedInserts', { _id: 1 }), /History is not available/);
+    await assert.rejects(crud.insertManyAsync(db, 'auditedInserts', [{ _id: 2 }, { _id: 3 }]), /History is not available/);
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'auditedInserts', {}), []);
+
+    // Once the history is available the inserts are recorded within the transaction of the call.
+    db.collection = collection;
+    await crud.withTransactionAsync(db, (scope) => scope.insertOneAsync('auditedInserts', { _id: 1 }, undefined, { actor: 'tester' }));
+    assert.deepStrictEqual((await crud.getHistoryAsync(db, 'auditedInserts', 1)).map((record) => [record.version, record.operation, record.actor]), [[1, 'insertOne', 'tester']]);
+});
+
+test('validates the arguments of the revert before the operation starts', () => {
+    const db = crud.createMemoryDatabase();
+    crud.configureCollection('reverted', { audit: true });
+    assert.throws(() => crud.revertToVersionAsync(db, 5, 1, 1), TypeError);
+    assert.throws(() => crud.revertToVersionAsync(db, 'reverted', 1, 0), TypeError);
+    assert.throws(() => crud.revertToVersionAsync(null, 'reverted', 1, 1), TypeError);
+    assert.throws(() => crud.revertToVersionAsync(db, 'notAudited', 1, 1), /Audit trail is not enabled/);
+});
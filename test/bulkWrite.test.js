@@ -0,0 +1,90 @@
+// Tests of the bulk writes running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+test('executes the operations in chunks reporting the progress', async () => {
+    const db = crud.createMemoryDatabase();
+    const progress = [];
+    const operations = [1, 2, 3, 4, 5].map((_id) => ({ insertOne: { objectToInsert: { _id, payload: 'x'.repeat(100) } } }));
+
+    const report = await crud.bulkWriteAsync(db, 'chunked', operations, { maxChunkCount: 2, onProgress: (state) => progress.push(state) });
+    assert.strictEqual(report.insertedCount, 5);
+    assert.deepStrictEqual(progress.map((state) => state.processed), [2, 4, 5]);
+    assert.deepStrictEqual(progress[2], { processed: 5, total: 5, succeeded: 5, failed: 0 });
+
+    // Chunks are limited by the size as well, a single operation exceeding it forms its own chunk.
+    progress.length = 0;
+    await crud.bulkWriteAsync(db, 'chunked', operations.map((operation) => ({ deleteOne: { selector: { _id: operation.insertOne.objectToInsert._id } } })),
+        { maxChunkBytes: 1, onProgress: (state) => progress.push(state) });
+    assert.strictEqual(progress.length, 5);
+    assert.strictEqual((await crud.findManyAsync(db, 'chunked', {})).length, 0);
+});
+
+test('reports the outcome of each operation', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertManyAsync(db, 'reported', [{ _id: 1, value: 1 }, { _id: 2, value: 2 }]);
+    const objectToInsert = { value: 3 };
+
+    const report = await crud.bulkWriteAsync(db, 'reported', [
+        { insertOne: { objectToInsert, _id: 3 } },
+        { updateOne: { selector: { _id: 1 }, updateQuery: { $inc: { value: 10 } } } },
+        { updateMany: { selector: { _id: 4 }, updateQuery: { $set: { value: 4 } }, upsert: true } },
+        { replaceOne: { selector: { _id: 2 }, replacement: { value: 20 } } },
+        { deleteMany: { selector: { value: { $gt: 100 } } } }
+    ]);
+
+    assert.deepStrictEqual(report.results, [
+        { index: 0, operation: 'insertOne', outcome: 'succeeded', insertedId: 3 },
+        { index: 1, operation: 'updateOne', outcome: 'succeeded' },
+        { index: 2, operation: 'updateMany', outcome: 'succeeded', upsertedId: 4 },
+        { index: 3, operation: 'replaceOne', outcome: 'succeeded' },
+        { index: 4, operation: 'deleteMany', outcome: 'succeeded' }
+    ]);
+    assert.deepStrictEqual([report.insertedCount, report.matchedCount, report.modifiedCount, report.deletedCount, report.upsertedCount], [1, 2, 2, 0, 1]);
+    // The object of the caller is left as it is.
+    assert.deepStrictEqual(objectToInsert, { value: 3 });
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'reported', {}, { sort: { _id: 1 } }),
+        [{ _id: 1, value: 11 }, { _id: 2, value: 20 }, { _id: 3, value: 3 }, { _id: 4, value: 4 }]);
+});
+
+test('stops at the first failure in ordered mode and continues in unordered one', async () => {
+    const operations = () => [
+        { insertOne: { objectToInsert: { _id: 1 } } },
+        { insertOne: { objectToInsert: { _id: 2 } } },
+        { insertOne: { objectToInsert: { _id: 3 } } }
+    ];
+
+    const db = crud.createMemoryDatabase();
+    await crud.insertOneAsync(db, 'ordered', { _id: 2 });
+    const ordered = await crud.bulkWriteAsync(db, 'ordered', operations());
+    assert.deepStrictEqual(ordered.results.map((result) => result.outcome), ['succeeded', 'failed', 'skipped']);
+    assert.ok(ordered.results[1].error instanceof crud.DuplicateKeyError);
+
+    await crud.insertOneAsync(db, 'unordered', { _id: 2 });
+    const unordered = await crud.bulkWriteAsync(db, 'unordered', operations(), { ordered: false });
+    assert.deepStrictEqual(unordered.results.map((result) => result.outcome), ['succeeded', 'failed', 'succeeded']);
+    assert.strictEqual(unordered.insertedCount, 2);
+
+    // Schema violation stops the ordered operations as well, after the preceding ones are executed.
+    crud.registerSchema('orderedSchema', { properties: { value: { bsonType: 'int' } } });
+    const violated = await crud.bulkWriteAsync(db, 'orderedSchema', [
+        { insertOne: { objectToInsert: { _id: 1, value: 1 } } },
+        { insertOne: { objectToInsert: { _id: 2, value: 'a' } } },
+        { insertOne: { objectToInsert: { _id: 3, value: 3 } } }
+    ]);
+    assert.deepStrictEqual(violated.results.map((result) => result.outcome), ['succeeded', 'failed', 'skipped']);
+    assert.ok(violated.results[1].error instanceof crud.ValidationError);
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'orderedSchema', {}), [{ _id: 1, value: 1 }]);
+});
+
+test('validates the arguments before executing any operation', () => {
+    const db = crud.createMemoryDatabase();
+    assert.throws(() => crud.bulkWriteAsync(null, 'invalid', []), TypeError);
+    assert.throws(() => crud.bulkWriteAsync(db, 'invalid', {}), TypeError);
+    assert.throws(() => crud.bulkWriteAsync(db, 'invalid', [], { maxChunkCount: 0 }), TypeError);
+    assert.throws(() => crud.bulkWriteAsync(db, 'invalid', [{ insertOne: { objectToInsert: {} } }, { updateOne: { selector: {}, updateQuery: { value: 1 } } }]), /index 1/);
+    assert.throws(() => crud.bulkWriteAsync(db, 'invalid', [{ insertOne: {}, deleteOne: {} }]), TypeError);
+});
@@ -0,0 +1,33 @@
+// Tests of the query cache running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+test('invalidates cached results on writes', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.configureCollection('cached', { cache: true });
+    await crud.insertOneAsync(db, 'cached', { _id: 1, value: 1 });
+
+    assert.strictEqual((await crud.findOneAsync(db, 'cached', { _id: 1 })).value, 1);
+    assert.strictEqual((await crud.findOneAsync(db, 'cached', { _id: 1 })).value, 1);
+    assert.strictEqual(crud.getCacheStatistics('cached').hits, 1);
+
+    await crud.updateOneAsync(db, 'cached', { _id: 1 }, { $set: { value: 2 } });
+    assert.strictEqual((await crud.findOneAsync(db, 'cached', { _id: 1 })).value, 2);
+});
+
+test('invalidates cached results once the transaction commits', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.configureCollection('cachedTransaction', { cache: true });
+    await crud.insertOneAsync(db, 'cachedTransaction', { _id: 1, value: 1 });
+
+    await crud.withTransactionAsync(db, async (scope) => {
+        await scope.updateOneAsync('cachedTransaction', { _id: 1 }, { $set: { value: 2 } });
+        // Reading outside of the transaction caches the state preceding the commit.
+        assert.strictEqual((await crud.findOneAsync(db, 'cachedTransaction', { _id: 1 })).value, 1);
+    });
+
+    assert.strictEqual((await crud.findOneAsync(db, 'cachedTransaction', { _id: 1 })).value, 2);
+});
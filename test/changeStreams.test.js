@@ -0,0 +1,126 @@
+// Tests of the change stream subscriptions running against the in-memory database with stubbed change streams. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+const { MongoError, MongoNetworkError } = require('mongodb');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+// Creates the stub of the change stream of the driver returning provided events and errors one by one, then waiting until it is closed.
+const createStream = (items) => {
+    let release;
+    const closing = new Promise((resolve) => release = resolve);
+    const stream = { resumeToken: null, closed: false };
+    stream.next = () => {
+        if (!items.length) return closing.then(() => null);
+        const item = items.shift();
+        return item instanceof Error ? Promise.reject(item) : Promise.resolve(item);
+    };
+    stream.close = () => { stream.closed = true; release(); };
+    return stream;
+};
+
+// Makes the collection of the database open provided streams, returning the array of the settings the streams have been opened with.
+const stubWatch = (db, collectionKey, streams) => {
+    const collection = db.collection.bind(db);
+    const opened = [];
+    db.collection = (name) => name !== collectionKey ? collection(name) : {
+        watch: (pipeline, options) => { opened.push(Object.assign({ pipeline }, options)); return streams.shift(); }
+    };
+    return opened;
+};
+
+// Returns the stored checkpoint without the time of its update.
+const getCheckpoint = async (db, checkpointId) => {
+    const checkpoint = await crud.findOneAsync(db, '_changeStreamCheckpoints', { _id: checkpointId });
+    return checkpoint && { resumeToken: checkpoint.resumeToken, invalidated: checkpoint.invalidated };
+};
+
+test('reopens the stream after resumable errors and resumes from the checkpoint', async () => {
+    const db = crud.createMemoryDatabase();
+    const streams = [
+        createStream([{ _id: { t: 1 }, operationType: 'insert' }, new MongoNetworkError('connection reset')]),
+        createStream([{ _id: { t: 2 }, operationType: 'update' }]),
+        createStream([{ _id: { t: 3 }, operationType: 'invalidate' }]),
+        createStream([])
+    ];
+    const opened = stubWatch(db, 'watched', streams.slice());
+
+    const subscription = await crud.watchAsync(db, 'watched', { operationTypes: ['insert', 'update'], batchSize: 10 });
+    const received = [];
+    for await (const event of subscription) {
+        received.push(event._id.t);
+        if (received.length === 2) break;
+    }
+    assert.deepStrictEqual(received, [1, 2]);
+    assert.deepStrictEqual(opened.map((options) => options.resumeAfter), [undefined, { t: 1 }]);
+    assert.deepStrictEqual(opened[0], { pipeline: [{ $match: { operationType: { $in: ['insert', 'update'] } } }], batchSize: 10, fullDocument: 'default' });
+    assert.ok(streams[0].closed && streams[1].closed);
+    // The token of the event being handled when the consumer stopped isn't stored, so the event is delivered again.
+    assert.deepStrictEqual(await getCheckpoint(db, 'watched'), { resumeToken: { t: 1 }, invalidated: false });
+
+    // The stream ends once invalidated, after which it can be resumed only by 'startAfter'.
+    const events = [];
+    for await (const event of await crud.watchAsync(db, 'watched')) events.push(event.operationType);
+    assert.deepStrictEqual(events, ['invalidate']);
+    assert.deepStrictEqual(opened[2].resumeAfter, { t: 1 });
+    assert.deepStrictEqual(await getCheckpoint(db, 'watched'), { resumeToken: { t: 3 }, invalidated: true });
+
+    const restarted = await crud.watchAsync(db, 'watched');
+    const iterator = restarted[Symbol.asyncIterator]();
+    const next = iterator.next();
+    await restarted.close();
+    assert.deepStrictEqual(await next, { done: true, value: undefined });
+    assert.deepStrictEqual(opened[3].startAfter, { t: 3 });
+    assert.throws(() => restarted[Symbol.asyncIterator](), /only once/);
+});
+
+test('reports the lost history and the errors which are not resumable', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertOneAsync(db, '_changeStreamCheckpoints', { _id: 'lostConsumer', resumeToken: { t: 1 }, invalidated: false });
+    const opened = stubWatch(db, 'lost', [
+        createStream([Object.assign(new MongoError('resume token not found'), { code: 286 })]),
+        createStream([Object.assign(new MongoError('unauthorized'), { code: 13 })])
+    ]);
+
+    await assert.rejects(async () => {
+        for await (const event of await crud.watchAsync(db, 'lost', { checkpointId: 'lostConsumer' })) assert.fail(`Unexpected event ${event._id}.`);
+    }, (error) => error instanceof crud.ChangeStreamHistoryLostError && error.checkpointId === 'lostConsumer' && error.cause.code === 286);
+    assert.deepStrictEqual(opened[0].resumeAfter, { t: 1 });
+
+    // Errors which are not resumable are rethrown without reopening the stream.
+    await assert.rejects(async () => {
+        for await (const event of await crud.watchAsync(db, 'lost', { checkpointCollectionKey: null })) assert.fail(`Unexpected event ${event._id}.`);
+    }, (error) => error.code === 13 && !(error instanceof crud.ChangeStreamHistoryLostError));
+    assert.strictEqual(opened.length, 2);
+    assert.strictEqual(opened[1].resumeAfter, undefined);
+});
+
+test('stores the token of the stream while waiting and ends the iteration once closed', async () => {
+    const db = crud.createMemoryDatabase();
+    const stream = createStream([]);
+    stubWatch(db, 'waiting', [stream]);
+
+    const subscription = await crud.watchAsync(db, 'waiting', { checkpointIntervalMS: 5 });
+    const iterator = subscription[Symbol.asyncIterator]();
+    const next = iterator.next();
+
+    // The stream advances its token even if no event passes the filter.
+    stream.resumeToken = { t: 5 };
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.deepStrictEqual(await getCheckpoint(db, 'waiting'), { resumeToken: { t: 5 }, invalidated: false });
+
+    await subscription.close();
+    assert.deepStrictEqual(await next, { done: true, value: undefined });
+    assert.ok(stream.closed);
+});
+
+test('validates the arguments before the subscription starts', () => {
+    const db = crud.createMemoryDatabase();
+    assert.throws(() => crud.watchAsync(null, 'invalid'), TypeError);
+    assert.throws(() => crud.watchAsync(db, 5), TypeError);
+    assert.throws(() => crud.watchAsync(db, 'invalid', { operationTypes: ['created'] }), TypeError);
+    assert.throws(() => crud.watchAsync(db, 'invalid', { fullDocument: 'always' }), TypeError);
+    assert.throws(() => crud.watchAsync(db, 'invalid', { selector: { $foo: 1 } }), TypeError);
+    assert.throws(() => crud.watchAsync(db, 'invalid', { checkpointIntervalMS: 0 }), TypeError);
+});
@@ -0,0 +1,184 @@
+// Tests of the connection registry running against stubbed MongoClient. Run them by: node --test test/
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { MongoClient } = require('mongodb');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+// Stubbed client recording the databases obtained from it and whether it has been closed.
+class StubClient extends EventEmitter {
+    constructor(connectionURL, options) {
+        super();
+        this.connectionURL = connectionURL;
+        this.options = options;
+        this.closed = false;
+    }
+    db(databaseName) { return { databaseName }; }
+    close(callback) { this.closed = true; callback(null); }
+}
+
+// Original connect function and the clients created by the stub.
+const connect = MongoClient.connect;
+let clients;
+// Callbacks of the connections, which have been deferred.
+let deferred;
+
+beforeEach(() => {
+    clients = [];
+    deferred = null;
+    MongoClient.connect = (connectionURL, options, callback) => {
+        const client = new StubClient(connectionURL, options);
+        clients.push(client);
+        if (deferred) deferred.push(() => callback(null, client));
+        else setImmediate(() => callback(null, client));
+    };
+});
+
+afterEach(async () => {
+    await crud.closeAllAsync();
+    MongoClient.connect = connect;
+});
+
+test('reuses the client registered under the same url and options', async () => {
+    const first = await crud.getClientAsync('mongodb://registry', { a: 1, b: { c: 1, d: 2 } });
+    const second = await crud.getClientAsync('mongodb://registry', { b: { d: 2, c: 1 }, a: 1 });
+    assert.strictEqual(first, second);
+    assert.strictEqual(clients.length, 1);
+    assert.strictEqual(first.options.poolSize, 5);
+    assert.strictEqual(first.options.monitorCommands, true);
+
+    // Different options register another client.
+    await crud.getClientAsync('mongodb://registry', { a: 2 });
+    assert.strictEqual(clients.length, 2);
+
+    // Omitted database name falls back to the database of the url.
+    assert.deepStrictEqual(await crud.getDatabaseAsync('mongodb://registry/app', undefined, { a: 1, b: { c: 1, d: 2 } }), { databaseName: undefined });
+    assert.strictEqual(crud.getConnectionHealth('mongodb://registry', { a: 1, b: { c: 1, d: 2 } }).state, 'connected');
+    assert.strictEqual(crud.getConnectionHealth('mongodb://unknown'), null);
+});
+
+test('rejects registering clients over the maximum', async () => {
+    crud.configureConnections({ maxClients: 1 });
+    try {
+        await crud.getClientAsync('mongodb://maximum/1');
+        const rejected = crud.getClientAsync('mongodb://maximum/2');
+        assert.ok(rejected instanceof Promise);
+        await assert.rejects(rejected, /Maximum number of registered clients \(1\)/);
+        // Already registered client is still returned.
+        await crud.getClientAsync('mongodb://maximum/1');
+    } finally {
+        crud.configureConnections({ maxClients: 100 });
+    }
+});
+
+test('closes the clients once the operations in flight complete', async () => {
+    const client = await crud.getClientAsync('mongodb://close/1');
+    await crud.getClientAsync('mongodb://close/2');
+    const events = [];
+    const listener = (event) => events.push(event);
+    crud.connectionEvents.on('closed', listener);
+
+    try {
+        // Closing waits for the command in flight.
+        client.emit('commandStarted', { requestId: 1 });
+        const closing = crud.closeAsync('mongodb://close/1');
+        assert.strictEqual(crud.getConnectionHealth('mongodb://close/1'), null);
+        await new Promise((resolve) => setImmediate(resolve));
+        assert.strictEqual(client.closed, false);
+        client.emit('commandSucceeded', { requestId: 1 });
+        assert.strictEqual(await closing, true);
+        assert.strictEqual(client.closed, true);
+        assert.strictEqual(await crud.closeAsync('mongodb://close/1'), false);
+
+        // Closing all the clients closes the remaining one.
+        assert.strictEqual(await crud.closeAllAsync(), 1);
+        assert.ok(clients.every((client) => client.closed));
+        assert.deepStrictEqual(events.map((event) => [event.connectionURL, event.state]), [['mongodb://close/1', 'closed'], ['mongodb://close/2', 'closed']]);
+    } finally {
+        crud.connectionEvents.removeListener('closed', listener);
+    }
+});
+
+test('closes the client closed while it is still connecting', async () => {
+    deferred = [];
+    const events = [];
+    const listener = () => events.push('connected');
+    crud.connectionEvents.on('connected', listener);
+
+    try {
+        const connecting = crud.getClientAsync('mongodb://connecting');
+        const closing = crud.closeAsync('mongodb://connecting');
+        deferred.forEach((callback) => callback());
+
+        assert.strictEqual(await connecting, clients[0]);
+        assert.strictEqual(await closing, true);
+        assert.strictEqual(clients[0].closed, true);
+        // The client is neither announced nor monitored.
+        assert.deepStrictEqual(events, []);
+        assert.strictEqual(clients[0].listenerCount('commandStarted'), 0);
+        assert.strictEqual(crud.getConnectionHealth('mongodb://connecting'), null);
+    } finally {
+        crud.connectionEvents.removeListener('connected', listener);
+    }
+});
+
+test('closes all the clients when the process receives the signal', async () => {
+    await crud.getClientAsync('mongodb://shutdown');
+    const kill = process.kill;
+    const killed = new Promise((resolve) => { process.kill = (pid, signal) => resolve({ pid, signal }); });
+    const unregister = crud.registerShutdownHook(['SIGUSR2']);
+
+    try {
+        assert.strictEqual(process.listenerCount('SIGUSR2'), 1);
+        process.emit('SIGUSR2');
+        // The signal is raised again after the clients are closed.
+        assert.deepStrictEqual(await killed, { pid: process.pid, signal: 'SIGUSR2' });
+        assert.strictEqual(clients[0].closed, true);
+        assert.strictEqual(process.listenerCount('SIGUSR2'), 0);
+
+        // Unregistering removes the handlers which haven't been called.
+        crud.registerShutdownHook(['SIGUSR2']);
+        const unregisterAgain = crud.registerShutdownHook(['SIGUSR1']);
+        unregisterAgain();
+        assert.strictEqual(process.listenerCount('SIGUSR1'), 0);
+    } finally {
+        unregister();
+        process.removeAllListeners('SIGUSR2');
+        process.kill = kill;
+    }
+});
+
+test('tracks the health of the client and emits the reconnect events', async () => {
+    const client = await crud.getClientAsync('mongodb://health');
+    const events = [];
+    const listeners = ['disconnected', 'reconnect'].map((eventName) => {
+        const listener = (event) => events.push([eventName, event.state]);
+        crud.connectionEvents.on(eventName, listener);
+        return [eventName, listener];
+    });
+
+    try {
+        client.emit('serverHeartbeatSucceeded', {});
+        const failure = new Error('heartbeat');
+        client.emit('serverHeartbeatFailed', { failure });
+        client.emit('topologyDescriptionChanged', { newDescription: { hasDataBearingServers: false } });
+        assert.strictEqual(crud.getConnectionHealth('mongodb://health').state, 'disconnected');
+        // Repeated state doesn't emit the event again.
+        client.emit('topologyDescriptionChanged', { newDescription: { hasDataBearingServers: false } });
+        client.emit('topologyDescriptionChanged', { newDescription: { hasDataBearingServers: true } });
+        client.emit('commandStarted', { requestId: 7 });
+
+        const health = crud.getConnectionHealth('mongodb://health');
+        assert.strictEqual(health.state, 'connected');
+        assert.strictEqual(health.inFlight, 1);
+        assert.ok(health.lastHeartbeat instanceof Date);
+        assert.strictEqual(health.lastError, failure);
+        assert.deepStrictEqual(events, [['disconnected', 'disconnected'], ['reconnect', 'connected']]);
+        client.emit('commandFailed', { requestId: 7 });
+        assert.strictEqual(crud.getConnectionHealth('mongodb://health').inFlight, 0);
+    } finally {
+        listeners.forEach(([eventName, listener]) => crud.connectionEvents.removeListener(eventName, listener));
+    }
+});
@@ -0,0 +1,64 @@
+// Tests of the error mapping and retries running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+const { MongoError, MongoNetworkError } = require('mongodb');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+test('reports duplicate keys as DuplicateKeyError', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertOneAsync(db, 'duplicates', { _id: 1 });
+    await assert.rejects(crud.insertOneAsync(db, 'duplicates', { _id: 1 }), crud.DuplicateKeyError);
+});
+
+test('maps the driver errors into the database errors', () => {
+    const duplicate = crud.mapDriverError(new MongoError({ message: 'E11000', code: 11000 }));
+    assert.ok(duplicate instanceof crud.DuplicateKeyError);
+    assert.strictEqual(duplicate.code, 11000);
+    assert.strictEqual(duplicate.retryable, false);
+
+    const conflict = crud.mapDriverError(new MongoError({ message: 'WriteConflict', code: 112 }));
+    assert.ok(conflict instanceof crud.WriteConflictError && conflict.retryable);
+    assert.ok(crud.mapDriverError(new MongoNetworkError('connection closed')) instanceof crud.NetworkError);
+    assert.ok(crud.mapDriverError(new MongoError({ message: 'time limit', code: 50 })) instanceof crud.TimeoutError);
+    assert.ok(crud.mapDriverError(new MongoError({ message: 'invalid', code: 121 }), 'validated') instanceof crud.ValidationError);
+
+    // Other errors are returned as they are.
+    const other = new MongoError({ message: 'other', code: 2 });
+    assert.strictEqual(crud.mapDriverError(other), other);
+    assert.strictEqual(crud.mapDriverError(duplicate), duplicate);
+});
+
+test('retries the retryable reads and leaves writes to the retryWrites setting', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertOneAsync(db, 'retried', { _id: 1 });
+
+    // Make the first calls of the collection methods fail with the network error.
+    const collection = db.collection.bind(db);
+    const failures = { findOne: 1, insertOne: 2 };
+    db.collection = (name) => {
+        const instance = collection(name);
+        return new Proxy(instance, {
+            get: (target, property) => typeof target[property] !== 'function' ? target[property] : (...args) => {
+                if (failures[property] > 0) {
+                    failures[property]--;
+                    return args[args.length - 1](new MongoNetworkError('connection reset'));
+                }
+                return target[property](...args);
+            }
+        });
+    };
+
+    const retry = { initialDelayMS: 1, jitter: false };
+    assert.deepStrictEqual(await crud.findOneAsync(db, 'retried', { _id: 1 }, { retry }), { _id: 1 });
+    assert.strictEqual(failures.findOne, 0);
+    await assert.rejects(crud.insertOneAsync(db, 'retried', { _id: 2 }, undefined, { retry }), crud.NetworkError);
+    await crud.insertOneAsync(db, 'retried', { _id: 3 }, undefined, { retry: Object.assign({ retryWrites: true }, retry) });
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'retried', {}, { sort: { _id: 1 } }), [{ _id: 1 }, { _id: 3 }]);
+
+    // Disabled retries reject on the first failure.
+    failures.findOne = 1;
+    await assert.rejects(crud.findOneAsync(db, 'retried', { _id: 1 }, { retry: false }), crud.NetworkError);
+    assert.throws(() => crud.configureRetryPolicy({ maxRetries: -1 }), TypeError);
+});
@@ -0,0 +1,56 @@
+// Tests of the export and import running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+const { Readable, Writable, PassThrough } = require('stream');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+test('resumes the import failed in the middle of a batch', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertOneAsync(db, 'imported', { _id: 4 });
+    const input = () => Readable.from([[1, 2, 3, 4, 5].map((id) => JSON.stringify({ _id: id })).join('\n')]);
+
+    let checkpoint;
+    const onProgress = (progress) => { checkpoint = progress.checkpoint; };
+    await assert.rejects(crud.importCollectionAsync(db, 'imported', input(), { batchSize: 5, onProgress }), crud.DuplicateKeyError);
+    assert.deepStrictEqual(checkpoint, { line: 3 });
+
+    // Once the conflict is resolved the import continues with the failed document.
+    await crud.deleteOneAsync(db, 'imported', { _id: 4 });
+    const result = await crud.importCollectionAsync(db, 'imported', input(), { batchSize: 5, checkpoint });
+    assert.strictEqual(result.inserted, 2);
+    assert.deepStrictEqual((await crud.findManyAsync(db, 'imported', {})).map((document) => document._id).sort(), [1, 2, 3, 4, 5]);
+});
+
+test('exports the entries and imports them back preserving their types', async () => {
+    const db = crud.createMemoryDatabase();
+    const date = new Date('2024-01-02T03:04:05.000Z');
+    await crud.insertManyAsync(db, 'exported', [{ _id: 1, date, tags: ['a'] }, { _id: 2, nested: { value: 1.5 } }]);
+
+    const chunks = [];
+    const output = new Writable({ write: (chunk, encoding, callback) => { chunks.push(chunk.toString()); callback(); } });
+    assert.deepStrictEqual(await crud.exportCollectionAsync(db, 'exported', output, { sort: { _id: 1 } }), { exported: 2 });
+    const lines = chunks.join('').trim().split('\n');
+    assert.deepStrictEqual(JSON.parse(lines[0]), { _id: 1, date: { $date: '2024-01-02T03:04:05.000Z' }, tags: ['a'] });
+
+    const result = await crud.importCollectionAsync(db, 'reimported', Readable.from([`${lines.join('\n')}\n`]));
+    assert.strictEqual(result.inserted, 2);
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'reimported', {}, { sort: { _id: 1 } }), [{ _id: 1, date, tags: ['a'] }, { _id: 2, nested: { value: 1.5 } }]);
+});
+
+test('validates the arguments of the export and the import before they start', () => {
+    const db = crud.createMemoryDatabase();
+    const output = new PassThrough();
+    assert.throws(() => crud.exportCollectionAsync(null, 'invalid', output), TypeError);
+    assert.throws(() => crud.exportCollectionAsync(db, 'invalid', {}), TypeError);
+    assert.throws(() => crud.exportCollectionAsync(db, 'invalid', output, { format: 'binary' }), TypeError);
+    assert.throws(() => crud.exportCollectionAsync(db, 'invalid', output, { selector: { $foo: 1 } }), TypeError);
+
+    const input = Readable.from([]);
+    assert.throws(() => crud.importCollectionAsync(db, 5, input), TypeError);
+    assert.throws(() => crud.importCollectionAsync(db, 'invalid', 'lines'), TypeError);
+    assert.throws(() => crud.importCollectionAsync(db, 'invalid', input, { conflicts: 'merge' }), TypeError);
+    assert.throws(() => crud.importCollectionAsync(db, 'invalid', input, { batchSize: 0 }), TypeError);
+    assert.throws(() => crud.importCollectionAsync(db, 'invalid', input, { checkpoint: { line: -1 } }), TypeError);
+});
@@ -0,0 +1,65 @@
+// Tests of the find-and-modify functions running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+test('finds and updates the entry returning it before or after the update', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertManyAsync(db, 'counters', [{ _id: 1, value: 1 }, { _id: 2, value: 5 }]);
+
+    assert.deepStrictEqual(await crud.findOneAndUpdateAsync(db, 'counters', { _id: 1 }, { $inc: { value: 1 } }), { _id: 1, value: 1 });
+    assert.deepStrictEqual(await crud.findOneAndUpdateAsync(db, 'counters', { _id: 1 }, { $inc: { value: 1 } }, { returnDocument: 'after' }), { _id: 1, value: 3 });
+    // The first entry in the order of the sort is updated.
+    assert.deepStrictEqual(await crud.findOneAndUpdateAsync(db, 'counters', {}, { $set: { top: true } }, { sort: { value: -1 }, returnDocument: 'after' }), { _id: 2, value: 5, top: true });
+    assert.strictEqual(await crud.findOneAndUpdateAsync(db, 'counters', { _id: 3 }, { $inc: { value: 1 } }), null);
+    assert.throws(() => crud.findOneAndUpdateAsync(db, 'counters', { _id: 1 }, { $inc: { value: 1 } }, { returnDocument: 'later' }), TypeError);
+    assert.throws(() => crud.findOneAndUpdateAsync(db, 'counters', { _id: 1 }, { value: 1 }), TypeError);
+});
+
+test('finds and replaces or deletes the entry', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertManyAsync(db, 'replaced', [{ _id: 1, value: 1 }, { _id: 2, value: 2 }]);
+
+    assert.deepStrictEqual(await crud.findOneAndReplaceAsync(db, 'replaced', { _id: 1 }, { value: 10 }), { _id: 1, value: 1 });
+    assert.deepStrictEqual(await crud.findOneAndReplaceAsync(db, 'replaced', { _id: 1 }, { name: 'a' }, { returnDocument: 'after' }), { _id: 1, name: 'a' });
+    assert.throws(() => crud.findOneAndReplaceAsync(db, 'replaced', { _id: 1 }, { $set: { value: 1 } }), TypeError);
+
+    assert.deepStrictEqual(await crud.findOneAndDeleteAsync(db, 'replaced', { value: 2 }), { _id: 2, value: 2 });
+    assert.strictEqual(await crud.findOneAndDeleteAsync(db, 'replaced', { value: 2 }), null);
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'replaced', {}), [{ _id: 1, name: 'a' }]);
+});
+
+test('replaces and upserts the entry', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertOneAsync(db, 'upserts', { _id: 1, value: 1 });
+
+    const replaced = await crud.replaceOneAsync(db, 'upserts', { _id: 1 }, { value: 2 });
+    assert.strictEqual(replaced.matchedCount, 1);
+    assert.strictEqual(replaced.modifiedCount, 1);
+    assert.strictEqual((await crud.replaceOneAsync(db, 'upserts', { _id: 2 }, { value: 3 }, { upsert: true })).upsertedCount, 1);
+
+    // The upserted entry is returned after the upsert by default.
+    assert.deepStrictEqual(await crud.upsertOneAsync(db, 'upserts', { _id: 3 }, { $set: { value: 4 } }), { _id: 3, value: 4 });
+    assert.deepStrictEqual(await crud.upsertOneAsync(db, 'upserts', { _id: 3 }, { $inc: { value: 1 } }), { _id: 3, value: 5 });
+    assert.strictEqual(await crud.upsertOneAsync(db, 'upserts', { _id: 4 }, { $set: { value: 6 } }, { returnDocument: 'before' }), null);
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'upserts', {}, { sort: { _id: 1 } }),
+        [{ _id: 1, value: 2 }, { _id: 2, value: 3 }, { _id: 3, value: 5 }, { _id: 4, value: 6 }]);
+});
+
+test('validates the database and the collection key before the operation starts', () => {
+    const db = crud.createMemoryDatabase();
+    for (const call of [
+        () => crud.insertOneAsync(null, 'invalid', {}),
+        () => crud.findOneAsync(null, 'invalid', {}),
+        () => crud.findManyAsync({}, 'invalid', {}),
+        () => crud.updateOneAsync(null, 'invalid', {}, { $set: { value: 1 } }),
+        () => crud.deleteOneAsync(null, 5),
+        () => crud.deleteManyAsync(null, 'invalid', {}),
+        () => crud.deleteOneAsync(db, 5, {}),
+        () => crud.deleteManyAsync(db, null, {}),
+        () => crud.findOneAndDeleteAsync(db, 5, {}),
+        () => crud.upsertOneAsync(null, 'invalid', {}, { $set: { value: 1 } })
+    ]) assert.throws(call, TypeError);
+});
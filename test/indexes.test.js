@@ -0,0 +1,70 @@
+// Tests of the declared indexes running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+// Returns the names of the indexes listed by the report.
+const names = (entries) => entries.map((entry) => entry.name);
+
+// Returns the indexes of the collection except the _id one.
+const listIndexesAsync = async (db, collectionKey) => (await db.collection(collectionKey).listIndexes().toArray()).filter((index) => index.name !== '_id_');
+
+test('creates the missing indexes and leaves the matching ones as they are', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.defineIndexes('indexedCreated', [{ key: { email: 1 }, unique: true }, { key: { name: 1, age: -1 } }]);
+
+    // The plan is computed without changing anything.
+    const plan = await crud.ensureIndexesAsync(db, { collectionKeys: ['indexedCreated'], dryRun: true });
+    assert.deepStrictEqual(names(plan.created), ['email_1', 'name_1_age_-1']);
+    assert.deepStrictEqual(names((await crud.ensureIndexesAsync(db, { collectionKeys: ['indexedCreated'], dryRun: true })).created), ['email_1', 'name_1_age_-1']);
+
+    const report = await crud.ensureIndexesAsync(db, { collectionKeys: ['indexedCreated'] });
+    assert.deepStrictEqual(report.created, [{ collectionKey: 'indexedCreated', name: 'email_1', key: { email: 1 } }, { collectionKey: 'indexedCreated', name: 'name_1_age_-1', key: { name: 1, age: -1 } }]);
+    assert.deepStrictEqual((await listIndexesAsync(db, 'indexedCreated')).map((index) => [index.name, Boolean(index.unique)]), [['email_1', true], ['name_1_age_-1', false]]);
+    // Created unique index is enforced.
+    await crud.insertOneAsync(db, 'indexedCreated', { email: 'a' });
+    await assert.rejects(crud.insertOneAsync(db, 'indexedCreated', { email: 'a' }), crud.DuplicateKeyError);
+
+    const repeated = await crud.ensureIndexesAsync(db, { collectionKeys: ['indexedCreated'] });
+    assert.deepStrictEqual([names(repeated.created), names(repeated.unchanged)], [[], ['email_1', 'name_1_age_-1']]);
+});
+
+test('reports the undeclared indexes and drops them only if requested', async () => {
+    const db = crud.createMemoryDatabase();
+    await db.collection('indexedDropped').createIndexes([{ key: { legacy: 1 }, name: 'legacy_1' }, { key: { name: 1 }, name: 'name_1' }]);
+    crud.defineIndexes('indexedDropped', [{ key: { name: 1 } }]);
+
+    const report = await crud.ensureIndexesAsync(db, { collectionKeys: ['indexedDropped'] });
+    assert.deepStrictEqual([names(report.undeclared), names(report.unchanged), names(report.dropped)], [['legacy_1'], ['name_1'], []]);
+    assert.deepStrictEqual(names(await listIndexesAsync(db, 'indexedDropped')), ['legacy_1', 'name_1']);
+
+    const dropped = await crud.ensureIndexesAsync(db, { collectionKeys: ['indexedDropped'], dropUndeclared: true });
+    assert.deepStrictEqual([names(dropped.dropped), names(dropped.undeclared)], [['legacy_1'], []]);
+    assert.deepStrictEqual(names(await listIndexesAsync(db, 'indexedDropped')), ['name_1']);
+});
+
+test('reports the indexes which settings differ from the declaration and recreates them only if requested', async () => {
+    const db = crud.createMemoryDatabase();
+    await db.collection('indexedChanged').createIndexes([{ key: { email: 1 }, name: 'email_1' }, { key: { code: 1 }, name: 'custom' }]);
+    crud.defineIndexes('indexedChanged', [{ key: { email: 1 }, unique: true }, { key: { code: 1 } }]);
+
+    // Both the settings and the name of the index are compared.
+    const report = await crud.ensureIndexesAsync(db, { collectionKeys: ['indexedChanged'] });
+    assert.deepStrictEqual([names(report.changed), names(report.recreated)], [['email_1', 'code_1'], []]);
+    assert.ok(!(await listIndexesAsync(db, 'indexedChanged'))[0].unique);
+
+    const recreated = await crud.ensureIndexesAsync(db, { collectionKeys: ['indexedChanged'], recreateChanged: true });
+    assert.deepStrictEqual([names(recreated.recreated), names(recreated.changed)], [['email_1', 'code_1'], []]);
+    assert.deepStrictEqual((await listIndexesAsync(db, 'indexedChanged')).map((index) => [index.name, Boolean(index.unique)]), [['email_1', true], ['code_1', false]]);
+});
+
+test('validates the declarations and the settings before the operation starts', () => {
+    const db = crud.createMemoryDatabase();
+    assert.throws(() => crud.defineIndexes('indexedInvalid', {}), TypeError);
+    assert.throws(() => crud.defineIndexes('indexedInvalid', [{ key: { a: 1 } }, { key: { a: 1 }, name: 'other' }]), /more than once/);
+    assert.throws(() => crud.ensureIndexesAsync(null), TypeError);
+    assert.throws(() => crud.ensureIndexesAsync(db, { collectionKeys: ['notDeclared'] }), TypeError);
+    assert.throws(() => crud.ensureIndexesAsync(db, { collectionKeys: 'indexedInvalid' }), TypeError);
+});
@@ -0,0 +1,33 @@
+// Tests of the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+test('requires the in-memory database only once it is requested', async () => {
+    assert.strictEqual(require.cache[require.resolve('../memoryDb')], undefined);
+    const db = await crud.getDatabaseAsync('memory://lazy', 'lazy');
+    assert.ok(require.cache[require.resolve('../memoryDb')]);
+
+    // The same url and name refer to the same database, the name defaults to the path of the url.
+    assert.strictEqual(await crud.getDatabaseAsync('memory://lazy', 'lazy'), db);
+    assert.strictEqual((await crud.getDatabaseAsync('memory://lazy/other')).databaseName, 'other');
+    assert.ok(crud.createMemoryDatabase() instanceof require('mongodb').Db);
+});
+
+test('inserts, finds, updates and deletes documents', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertManyAsync(db, 'users', [{ _id: 1, name: 'a', age: 30 }, { _id: 2, name: 'b', age: 20 }, { _id: 3, name: 'c', age: 40 }]);
+
+    const older = await crud.findManyAsync(db, 'users', { age: { $gte: 25 } }, { sort: { age: -1 }, projection: { _id: 0, name: 1 } });
+    assert.deepStrictEqual(older, [{ name: 'c' }, { name: 'a' }]);
+
+    const updated = await crud.updateManyAsync(db, 'users', { age: { $lt: 35 } }, { $inc: { age: 1 } });
+    assert.strictEqual(updated.modifiedCount, 2);
+    assert.strictEqual((await crud.findOneAsync(db, 'users', { _id: 2 })).age, 21);
+
+    const deleted = await crud.deleteManyAsync(db, 'users', { age: { $gt: 30 } });
+    assert.strictEqual(deleted.deletedCount, 2);
+    assert.deepStrictEqual((await crud.findManyAsync(db, 'users', {})).map((user) => user._id), [2]);
+});
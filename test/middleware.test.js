@@ -0,0 +1,141 @@
+// Tests of the middleware hooks running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+// Registers provided hooks, returning the function unregistering all of them.
+const useAll = (...hooks) => {
+    const unregisters = hooks.map((hook) => crud.use(hook));
+    return () => unregisters.forEach((unregister) => unregister());
+};
+
+// Creates the hook of the collection recording its phases under provided name.
+const recordingHook = (calls, name, hook) => Object.assign({
+    before: () => { calls.push(`${name}.before`); },
+    after: () => { calls.push(`${name}.after`); },
+    error: () => { calls.push(`${name}.error`); }
+}, hook);
+
+test('runs global hooks first and unwinds the hooks in the reverse order', async () => {
+    const db = crud.createMemoryDatabase();
+    const calls = [];
+    const unregister = useAll(
+        recordingHook(calls, 'collection', { collectionKey: 'ordered' }),
+        recordingHook(calls, 'global', { operations: ['insertOne'] }),
+        recordingHook(calls, 'other', { collectionKey: 'otherOrdered' }),
+        recordingHook(calls, 'rewriting', { collectionKey: 'ordered', before: (context) => { calls.push('rewriting.before'); context.objectToInsert = { _id: 2 }; } })
+    );
+    try {
+        await crud.insertOneAsync(db, 'ordered', { _id: 1 });
+        assert.deepStrictEqual(calls, ['global.before', 'collection.before', 'rewriting.before', 'rewriting.after', 'collection.after', 'global.after']);
+        // The arguments replaced by the hook are used by the call.
+        assert.deepStrictEqual(await crud.findManyAsync(db, 'ordered', {}), [{ _id: 2 }]);
+    } finally {
+        unregister();
+    }
+});
+
+test('short-circuits the call returning the value of the before phase', async () => {
+    const db = crud.createMemoryDatabase();
+    const calls = [];
+    const unregister = useAll(
+        recordingHook(calls, 'outer', { collectionKey: 'shortCircuited' }),
+        recordingHook(calls, 'cache', { collectionKey: 'shortCircuited', before: () => { calls.push('cache.before'); return { cached: true }; } }),
+        recordingHook(calls, 'inner', { collectionKey: 'shortCircuited' })
+    );
+    try {
+        assert.deepStrictEqual(await crud.findOneAsync(db, 'shortCircuited', { _id: 1 }), { cached: true });
+        // Neither the operation nor the remaining before phases run, the after phases of the entered hooks do.
+        assert.deepStrictEqual(calls, ['outer.before', 'cache.before', 'cache.after', 'outer.after']);
+
+        calls.length = 0;
+        assert.deepStrictEqual(await crud.updateOneAsync(db, 'shortCircuited', { _id: 1 }, { $set: { value: 1 } }, { upsert: true }), { cached: true });
+    } finally {
+        unregister();
+    }
+    // The upsert hasn't been executed.
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'shortCircuited', {}), []);
+});
+
+test('replaces the result by the values returned by the after phases', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertManyAsync(db, 'replacedResults', [{ _id: 1, value: 1 }, { _id: 2, value: 2 }]);
+    const unregister = useAll(
+        { collectionKey: 'replacedResults', after: (context, result) => result && Object.assign({}, result, { outer: true }) },
+        { collectionKey: 'replacedResults', after: (context, result) => (result ? undefined : { missing: context.selector._id }) }
+    );
+    try {
+        // The inner hook keeps the result by returning undefined, the outer one sees the result of the inner one.
+        assert.deepStrictEqual(await crud.findOneAsync(db, 'replacedResults', { _id: 1 }), { _id: 1, value: 1, outer: true });
+        assert.deepStrictEqual(await crud.findOneAsync(db, 'replacedResults', { _id: 3 }), { missing: 3, outer: true });
+    } finally {
+        unregister();
+    }
+});
+
+test('passes the error through the error phases until one of them recovers', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertOneAsync(db, 'recovered', { _id: 1 });
+    const calls = [];
+    const unregister = useAll(
+        { collectionKey: 'recovered', error: (context, error) => { calls.push(`recovering ${error.message}`); return { recovered: error.message }; } },
+        { collectionKey: 'recovered', error: (context, error) => { calls.push(`replacing ${error.name}`); throw new Error('Replaced.'); } },
+        { collectionKey: 'recovered', error: (context, error) => { calls.push(`passing ${error.name}`); } }
+    );
+    try {
+        assert.deepStrictEqual(await crud.insertOneAsync(db, 'recovered', { _id: 1 }), { recovered: 'Replaced.' });
+        assert.deepStrictEqual(calls, ['passing DuplicateKeyError', 'replacing DuplicateKeyError', 'recovering Replaced.']);
+    } finally {
+        unregister();
+    }
+
+    // Errors thrown by the phases are handled the same way, the error passed by all the phases is rethrown.
+    calls.length = 0;
+    const unregisterFailing = useAll(
+        { collectionKey: 'recovered', error: (context, error) => { calls.push(`outer ${error.message}`); } },
+        { collectionKey: 'recovered', after: () => { throw new Error('After failed.'); }, error: (context, error) => { calls.push(`inner ${error.message}`); } }
+    );
+    try {
+        await assert.rejects(crud.findOneAsync(db, 'recovered', { _id: 1 }), /After failed/);
+        assert.deepStrictEqual(calls, ['inner After failed.', 'outer After failed.']);
+    } finally {
+        unregisterFailing();
+    }
+});
+
+test('stops running the hooks once they are unregistered', async () => {
+    const db = crud.createMemoryDatabase();
+    const calls = [];
+    const unregister = crud.use(recordingHook(calls, 'removed', { collectionKey: 'unregistered', operations: ['insertOne'] }));
+
+    await crud.insertOneAsync(db, 'unregistered', { _id: 1 });
+    // The hook applies only to its operations.
+    await crud.deleteOneAsync(db, 'unregistered', { _id: 1 });
+    assert.deepStrictEqual(calls, ['removed.before', 'removed.after']);
+
+    // Unregistering twice has no effect.
+    unregister();
+    unregister();
+    await crud.insertOneAsync(db, 'unregistered', { _id: 2 });
+    assert.deepStrictEqual(calls, ['removed.before', 'removed.after']);
+});
+
+test('validates the hooks and the arguments of the hooked calls', () => {
+    const db = crud.createMemoryDatabase();
+    assert.throws(() => crud.use(null), TypeError);
+    assert.throws(() => crud.use({ operations: ['aggregate'] }), TypeError);
+    assert.throws(() => crud.use({ before: 'x' }), TypeError);
+
+    // Invalid calls throw before any hook runs.
+    const calls = [];
+    const unregister = crud.use(recordingHook(calls, 'validated', { collectionKey: 'validatedHooks' }));
+    try {
+        assert.throws(() => crud.updateOneAsync(db, 'validatedHooks', { _id: 1 }, { value: 1 }), TypeError);
+        assert.throws(() => crud.insertManyAsync(db, 'validatedHooks', {}), TypeError);
+        assert.deepStrictEqual(calls, []);
+    } finally {
+        unregister();
+    }
+});
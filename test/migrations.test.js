@@ -0,0 +1,20 @@
+// Tests of the migrations running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+test('renews the migration lock while a migration is running and stops once it is lost', async () => {
+    const db = crud.createMemoryDatabase();
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    // The migration running longer than the time to live of the lock keeps it.
+    const result = await crud.migrateAsync(db, [{ id: '1', up: () => wait(400) }, { id: '2', up: async () => { } }], { lockTTLMS: 150 });
+    assert.deepStrictEqual(result.applied, ['1', '2']);
+
+    // The migration during which another instance takes over the lock is not recorded.
+    const stolen = { id: '3', up: async () => { await crud.updateOneAsync(db, '_migrations', { _id: '_lock' }, { $set: { owner: 'other' } }); await wait(200); } };
+    await assert.rejects(crud.migrateAsync(db, [{ id: '1', up: async () => { } }, { id: '2', up: async () => { } }, stolen], { lockTTLMS: 150 }), crud.MigrationLockError);
+    assert.strictEqual(await crud.findOneAsync(db, '_migrations', { _id: '3' }), null);
+});
@@ -0,0 +1,50 @@
+// Tests of the streaming and paging running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+test('pages through documents with missing and mixed-type sort keys', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertManyAsync(db, 'paged', [{ _id: 1, key: 'b' }, { _id: 2 }, { _id: 3, key: 2 }, { _id: 4, key: null }, { _id: 5, key: 1 }, { _id: 6, key: 'a' }]);
+
+    const ids = [];
+    let continuationToken;
+    do {
+        const page = await crud.findPageAsync(db, 'paged', {}, { limit: 2, sortKey: 'key', projection: { _id: 1 }, continuationToken });
+        ids.push(...page.items.map((item) => item._id));
+        continuationToken = page.continuationToken;
+    } while (continuationToken);
+
+    assert.deepStrictEqual(ids, [2, 4, 5, 3, 6, 1]);
+});
+
+test('validates the settings of the page before reading it', async () => {
+    const db = crud.createMemoryDatabase();
+    assert.throws(() => crud.findPageAsync(db, 'paged', {}, { sortKey: 1 }), TypeError);
+    assert.throws(() => crud.findPageAsync(db, 'paged', {}, { sortDirection: 0 }), TypeError);
+    assert.throws(() => crud.findPageAsync(db, 'paged', {}, { limit: 0 }), TypeError);
+    assert.throws(() => crud.findPageAsync(null, 'paged', {}), TypeError);
+
+    // The token can't be used with a different query.
+    await crud.insertManyAsync(db, 'tokens', [{ _id: 1 }, { _id: 2 }]);
+    const { continuationToken } = await crud.findPageAsync(db, 'tokens', {}, { limit: 1 });
+    assert.throws(() => crud.findPageAsync(db, 'tokens', { _id: { $gt: 0 } }, { limit: 1, continuationToken }), /created for a different query/);
+    assert.deepStrictEqual((await crud.findPageAsync(db, 'tokens', {}, { limit: 1, continuationToken })).items, [{ _id: 2 }]);
+});
+
+test('streams the documents in batches', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertManyAsync(db, 'streamed', [1, 2, 3, 4, 5].map((_id) => ({ _id })));
+
+    const ids = [];
+    for await (const document of crud.findStream(db, 'streamed', {}, { batchSize: 2, sort: { _id: -1 } })) ids.push(document._id);
+    assert.deepStrictEqual(ids, [5, 4, 3, 2, 1]);
+
+    const batches = [];
+    for await (const batch of crud.findStream(db, 'streamed', { _id: { $gt: 1 } }, { batchSize: 3, yieldBatches: true })) batches.push(batch.map((document) => document._id));
+    assert.deepStrictEqual(batches, [[2, 3, 4], [5]]);
+
+    assert.throws(() => crud.findStream(db, 'streamed', {}, { batchSize: 0 }), TypeError);
+});
@@ -0,0 +1,51 @@
+// Tests of the repositories running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+test('applies the repository defaults to the find operations', async () => {
+    const db = crud.createMemoryDatabase();
+    const repository = crud.createRepository(db, 'people', { projection: { _id: 0, name: 1 }, sort: { age: -1 }, readPreference: 'secondaryPreferred' });
+    await repository.insertManyAsync([{ _id: 1, name: 'a', age: 30 }, { _id: 2, name: 'b', age: 20 }, { _id: 3, name: 'c', age: 40 }]);
+
+    assert.deepStrictEqual(await repository.findManyAsync({}), [{ name: 'c' }, { name: 'a' }, { name: 'b' }]);
+    assert.deepStrictEqual(await repository.findOneAsync({ age: { $lt: 35 } }), { name: 'a' });
+    // Pages always include _id, as the continuation token is created from it, and are sorted by the sort key of the page.
+    assert.deepStrictEqual((await repository.findPageAsync({}, { limit: 2 })).items, [{ _id: 1, name: 'a' }, { _id: 2, name: 'b' }]);
+    assert.deepStrictEqual(repository.getReadOptions(), { projection: { _id: 0, name: 1 }, sort: { age: -1 }, readPreference: 'secondaryPreferred' });
+});
+
+test('lets the options of the caller take precedence over the repository defaults', async () => {
+    const db = crud.createMemoryDatabase();
+    const repository = new crud.Repository(db, 'people', { projection: { _id: 0, name: 1 }, sort: { age: -1 }, writeConcern: { w: 'majority', j: true } });
+    await repository.insertManyAsync([{ _id: 1, name: 'a', age: 30 }, { _id: 2, name: 'b', age: 20 }], undefined, { w: 1 });
+
+    assert.deepStrictEqual(await repository.findManyAsync({}, { sort: { age: 1 }, projection: { name: 0 } }), [{ _id: 2, age: 20 }, { _id: 1, age: 30 }]);
+    assert.deepStrictEqual(repository.getReadOptions({ readPreference: 'primary', sort: undefined }), { projection: { _id: 0, name: 1 }, sort: undefined, readPreference: 'primary' });
+    assert.deepStrictEqual(repository.getWriteOptions(), { w: 'majority', j: true });
+    assert.deepStrictEqual(repository.getWriteOptions({ w: 1, upsert: true }), { w: 1, j: true, upsert: true });
+    // Repository without defaults passes the options through.
+    assert.deepStrictEqual(new crud.Repository(db, 'people').getWriteOptions({ w: 1 }), { w: 1 });
+    assert.deepStrictEqual(new crud.Repository(db, 'people').getReadOptions(), {});
+});
+
+test('creates the repositories of provided subclass', async () => {
+    class PeopleRepository extends crud.Repository {
+        findAdultsAsync() {
+            return this.findManyAsync({ age: { $gte: 18 } }, { sort: { _id: 1 } });
+        }
+    }
+
+    const db = crud.createMemoryDatabase();
+    const repository = crud.createRepository(db, 'people', { projection: { _id: 1 } }, PeopleRepository);
+    assert.ok(repository instanceof PeopleRepository);
+    assert.strictEqual(repository.collectionKey, 'people');
+    await repository.insertManyAsync([{ _id: 1, age: 30 }, { _id: 2, age: 10 }, { _id: 3, age: 18 }]);
+    assert.deepStrictEqual(await repository.findAdultsAsync(), [{ _id: 1 }, { _id: 3 }]);
+
+    assert.throws(() => crud.createRepository(db, 'people', undefined, class { }), TypeError);
+    assert.throws(() => crud.createRepository(null, 'people'), TypeError);
+    assert.throws(() => crud.createRepository(db, 'people', 'config'), TypeError);
+});
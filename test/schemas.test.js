@@ -0,0 +1,110 @@
+// Tests of the schema validation running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+// Schema of the products used by the tests.
+const productSchema = {
+    bsonType: 'object',
+    required: ['name', 'stock'],
+    additionalProperties: false,
+    properties: {
+        _id: {},
+        name: { bsonType: 'string', minLength: 1 },
+        stock: { bsonType: 'int', minimum: 0, maximum: 10 },
+        tags: { bsonType: 'array', items: { bsonType: 'string' } }
+    }
+};
+
+// Returns the paths and messages of the validation error thrown by provided function.
+const getErrors = (fn) => {
+    try { fn(); } catch (error) {
+        assert.ok(error instanceof crud.ValidationError);
+        return error.errors;
+    }
+    assert.fail('ValidationError has not been thrown.');
+};
+
+test('validates inserted documents and updated fields against the schema', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.registerSchema('products', productSchema);
+
+    assert.deepStrictEqual(getErrors(() => crud.insertOneAsync(db, 'products', { name: '', price: 1 })), [
+        { path: 'stock', message: 'is required' },
+        { path: 'name', message: 'must be at least 1 characters long' },
+        { path: 'price', message: 'is not allowed by the schema' }
+    ]);
+    await crud.insertOneAsync(db, 'products', { _id: 1, name: 'a', stock: 5 });
+
+    assert.deepStrictEqual(getErrors(() => crud.updateOneAsync(db, 'products', { _id: 1 }, { $set: { 'tags.0': 1, price: 2 }, $unset: { name: '' } })), [
+        { path: 'tags.0', message: 'must be of type string' },
+        { path: 'price', message: 'is not allowed by the schema' },
+        { path: 'name', message: 'is required and can not be unset' }
+    ]);
+    assert.deepStrictEqual(getErrors(() => crud.updateManyAsync(db, 'products', {}, { $inc: { name: 1 } })), [
+        { path: 'name', message: 'is not numeric and can not be incremented' }
+    ]);
+});
+
+test('validates the document inserted by the upsert against the whole schema', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.registerSchema('upserted', productSchema);
+
+    // Required fields must be provided by the selector or the update query.
+    assert.deepStrictEqual(getErrors(() => crud.updateOneAsync(db, 'upserted', { _id: 1 }, { $set: { name: 'a' } }, { upsert: true })), [
+        { path: 'stock', message: 'is required' }
+    ]);
+    assert.deepStrictEqual(getErrors(() => crud.upsertOneAsync(db, 'upserted', { _id: 1, name: { $ne: 'b' } }, { $setOnInsert: { stock: 1 } })), [
+        { path: 'name', message: 'is required' }
+    ]);
+    // Values of the selector are validated as well.
+    assert.deepStrictEqual(getErrors(() => crud.upsertOneAsync(db, 'upserted', { _id: 1, name: 1 }, { $set: { stock: 1 } })), [
+        { path: 'name', message: 'must be of type string' }
+    ]);
+    // Bulk upserts are reported as failed.
+    const report = await crud.bulkWriteAsync(db, 'upserted', [{ updateOne: { selector: { _id: 1 }, updateQuery: { $set: { name: 'a' } }, upsert: true } }]);
+    assert.strictEqual(report.results[0].outcome, 'failed');
+    assert.deepStrictEqual(report.results[0].error.errors, [{ path: 'stock', message: 'is required' }]);
+
+    await crud.upsertOneAsync(db, 'upserted', { $and: [{ _id: 1 }, { name: { $eq: 'a' } }] }, { $setOnInsert: { stock: 1 } });
+    await crud.updateOneAsync(db, 'upserted', { _id: 2, stock: { $lte: 7 } }, { $set: { name: 'b' }, $inc: { stock: 3 } }, { upsert: true });
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'upserted', {}, { sort: { _id: 1 } }), [{ _id: 1, name: 'a', stock: 1 }, { _id: 2, name: 'b', stock: 3 }]);
+    // Updates without upsert don't require the whole document.
+    await crud.updateOneAsync(db, 'upserted', { _id: 1 }, { $set: { name: 'c' } });
+});
+
+test('requires the selector to keep the incremented field within its range', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.registerSchema('stock', productSchema);
+    await crud.insertManyAsync(db, 'stock', [{ _id: 1, name: 'a', stock: 2 }, { _id: 2, name: 'b', stock: 9 }]);
+
+    assert.deepStrictEqual(getErrors(() => crud.updateOneAsync(db, 'stock', { _id: 1 }, { $inc: { stock: -2 } })), [
+        { path: 'stock', message: 'must be greater than or equal to 0, select only the entries with \'stock\' greater than or equal to 2' }
+    ]);
+    assert.deepStrictEqual(getErrors(() => crud.updateOneAsync(db, 'stock', { _id: 2, stock: { $lte: 9 } }, { $inc: { stock: 2 } })), [
+        { path: 'stock', message: 'must be less than or equal to 10, select only the entries with \'stock\' less than or equal to 8' }
+    ]);
+
+    // Bounded increments are accepted and apply only to the entries within the range.
+    assert.strictEqual((await crud.updateManyAsync(db, 'stock', { stock: { $gte: 2 } }, { $inc: { stock: -2 } })).modifiedCount, 2);
+    assert.strictEqual((await crud.updateManyAsync(db, 'stock', { $and: [{ stock: { $lt: 8 } }] }, { $inc: { stock: 2 } })).modifiedCount, 2);
+    assert.strictEqual((await crud.updateOneAsync(db, 'stock', { _id: 1, stock: 2 }, { $inc: { stock: 8 } })).modifiedCount, 1);
+    assert.deepStrictEqual((await crud.findManyAsync(db, 'stock', {}, { sort: { _id: 1 } })).map((product) => product.stock), [10, 9]);
+});
+
+test('rejects aggregation pipeline updates of the collections with a schema', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.registerSchema('pipelines', productSchema);
+    await crud.insertOneAsync(db, 'pipelines', { _id: 1, name: 'a', stock: 1 });
+
+    assert.deepStrictEqual(getErrors(() => crud.updateOneAsync(db, 'pipelines', { _id: 1 }, [{ $set: { name: 'b' } }])), [
+        { path: '<root>', message: 'can not be updated by an aggregation pipeline as the collection has a schema' }
+    ]);
+
+    // Once the schema is unregistered the pipeline is accepted.
+    crud.unregisterSchema('pipelines');
+    await crud.updateOneAsync(db, 'pipelines', { _id: 1 }, [{ $set: { name: 'b' } }]);
+    assert.strictEqual((await crud.findOneAsync(db, 'pipelines', { _id: 1 })).name, 'b');
+});
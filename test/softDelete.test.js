@@ -0,0 +1,73 @@
+// Tests of the soft delete mode running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+test('soft deletes and restores documents', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.configureCollection('softDeleted', { softDelete: true });
+    await crud.insertOneAsync(db, 'softDeleted', { _id: 1 });
+
+    await crud.deleteOneAsync(db, 'softDeleted', { _id: 1 });
+    assert.strictEqual(await crud.findOneAsync(db, 'softDeleted', { _id: 1 }), null);
+    assert.ok((await crud.findOneAsync(db, 'softDeleted', { _id: 1 }, { withDeleted: true })).deletedAt instanceof Date);
+    assert.strictEqual((await crud.findManyAsync(db, 'softDeleted', {}, { withDeleted: true })).length, 1);
+
+    await crud.restoreOneAsync(db, 'softDeleted', { _id: 1 });
+    assert.deepStrictEqual(await crud.findOneAsync(db, 'softDeleted', { _id: 1 }), { _id: 1 });
+});
+
+test('keeps excluding deleted entries when the selector conditions the deletedAt field', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.configureCollection('deletedAtSelected', { softDelete: true });
+    await crud.insertManyAsync(db, 'deletedAtSelected', [{ _id: 1 }, { _id: 2 }]);
+    await crud.deleteOneAsync(db, 'deletedAtSelected', { _id: 2 });
+
+    // Own condition of the deletedAt field is combined with the exclusion of deleted entries.
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'deletedAtSelected', { deletedAt: { $exists: true } }), []);
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'deletedAtSelected', { deletedAt: { $exists: false } }), [{ _id: 1 }]);
+    assert.strictEqual((await crud.updateManyAsync(db, 'deletedAtSelected', { deletedAt: { $ne: null } }, { $set: { value: 1 } })).matchedCount, 0);
+    // Only 'withDeleted' setting opts out.
+    assert.deepStrictEqual((await crud.findManyAsync(db, 'deletedAtSelected', { deletedAt: { $exists: true } }, { withDeleted: true })).map((entry) => entry._id), [2]);
+});
+
+test('upserts the entries without copying the soft delete condition into them', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.configureCollection('softUpserted', { softDelete: true });
+
+    await crud.upsertOneAsync(db, 'softUpserted', { _id: 1 }, { $set: { value: 1 } });
+    await crud.updateOneAsync(db, 'softUpserted', { _id: 2 }, { $set: { value: 2 } }, { upsert: true });
+    await crud.replaceOneAsync(db, 'softUpserted', { _id: 3 }, { value: 3 }, { upsert: true });
+    await crud.bulkWriteAsync(db, 'softUpserted', [{ updateOne: { selector: { _id: 4 }, updateQuery: { $set: { value: 4 } }, upsert: true } }]);
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'softUpserted', {}, { sort: { _id: 1 }, withDeleted: true }),
+        [{ _id: 1, value: 1 }, { _id: 2, value: 2 }, { _id: 3, value: 3 }, { _id: 4, value: 4 }]);
+});
+
+test('rejects the upserts onto the _id of a soft-deleted entry', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.configureCollection('softConflicts', { softDelete: true });
+    await crud.insertManyAsync(db, 'softConflicts', [{ _id: 1, value: 1 }, { _id: 2, value: 2 }]);
+    await crud.deleteOneAsync(db, 'softConflicts', { _id: 2 });
+
+    // Upserts onto the live entry update it.
+    assert.deepStrictEqual(await crud.upsertOneAsync(db, 'softConflicts', { _id: 1 }, { $inc: { value: 1 } }), { _id: 1, value: 2 });
+    assert.strictEqual((await crud.updateOneAsync(db, 'softConflicts', { _id: 1 }, { $inc: { value: 1 } }, { upsert: true })).modifiedCount, 1);
+
+    // Upserts onto the soft-deleted entry are rejected, leaving it deleted.
+    for (const upsert of [
+        () => crud.upsertOneAsync(db, 'softConflicts', { _id: 2 }, { $set: { value: 3 } }),
+        () => crud.updateOneAsync(db, 'softConflicts', { _id: 2 }, { $set: { value: 3 } }, { upsert: true }),
+        () => crud.replaceOneAsync(db, 'softConflicts', { _id: 2 }, { value: 3 }, { upsert: true })
+    ]) await assert.rejects(upsert, (error) => error instanceof crud.SoftDeletedEntryError && error instanceof crud.DuplicateKeyError && error._id === 2);
+    assert.strictEqual(await crud.findOneAsync(db, 'softConflicts', { _id: 2 }), null);
+    assert.strictEqual((await crud.findOneAsync(db, 'softConflicts', { _id: 2 }, { withDeleted: true })).value, 2);
+
+    // Once restored the entry is upserted, 'withDeleted' setting updates it as it is.
+    await crud.restoreOneAsync(db, 'softConflicts', { _id: 2 });
+    assert.deepStrictEqual(await crud.upsertOneAsync(db, 'softConflicts', { _id: 2 }, { $set: { value: 3 } }), { _id: 2, value: 3 });
+    await crud.deleteOneAsync(db, 'softConflicts', { _id: 2 });
+    const deleted = await crud.upsertOneAsync(db, 'softConflicts', { _id: 2 }, { $set: { value: 4 } }, { withDeleted: true });
+    assert.ok(deleted.value === 4 && deleted.deletedAt instanceof Date);
+});
@@ -0,0 +1,49 @@
+// Tests of the tenant scope running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+test('restricts the tenant scope to the documents of the tenant', async () => {
+    const db = crud.createMemoryDatabase();
+    const first = crud.scopeToTenant(db, 'first'), second = crud.scopeToTenant(db, 'second');
+    await first.insertOneAsync('tenants', { _id: 1 });
+    await second.insertOneAsync('tenants', { _id: 2 });
+
+    assert.deepStrictEqual(await first.findManyAsync('tenants', {}), [{ _id: 1, tenantId: 'first' }]);
+    assert.throws(() => first.findManyAsync('tenants', { tenantId: 'second' }), crud.TenantViolationError);
+    assert.strictEqual((await second.deleteManyAsync('tenants', {})).deletedCount, 1);
+    assert.strictEqual((await crud.findManyAsync(db, 'tenants', {})).length, 1);
+});
+
+test('restricts the collections looked up within the tenant scope', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertManyAsync(db, 'tenantOrders', [{ _id: 1, tenantId: 'first', customer: 'a' }, { _id: 2, tenantId: 'first', customer: ['a', 'b'] }]);
+    await crud.insertManyAsync(db, 'tenantCustomers', [{ _id: 'a', tenantId: 'first' }, { _id: 'b', tenantId: 'second' }]);
+
+    const orders = await crud.scopeToTenant(db, 'first').aggregateAsync('tenantOrders',
+        [{ $lookup: { from: 'tenantCustomers', localField: 'customer', foreignField: '_id', as: 'customers' } }, { $project: { customers: '$customers._id' } }]);
+    assert.deepStrictEqual(orders, [{ _id: 1, customers: ['a'] }, { _id: 2, customers: ['a'] }]);
+});
+
+test('restricts the unions and the lookups within the facets to the tenant', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertManyAsync(db, 'tenantInvoices', [{ _id: 1, tenantId: 'first', customer: 'a' }, { _id: 2, tenantId: 'second', customer: 'b' }]);
+    await crud.insertManyAsync(db, 'tenantPayments', [{ _id: 3, tenantId: 'first', customer: 'a' }, { _id: 4, tenantId: 'second', customer: 'a' }]);
+    await crud.insertManyAsync(db, 'tenantCustomers', [{ _id: 'a', tenantId: 'first' }, { _id: 'b', tenantId: 'second' }]);
+    await crud.insertOneAsync(db, 'currencies', { _id: 'EUR' });
+    const scope = crud.scopeToTenant(db, 'first', { globalCollections: ['currencies'] });
+
+    const documents = await scope.aggregateAsync('tenantInvoices', [{ $unionWith: 'tenantPayments' }, { $unionWith: { coll: 'currencies', pipeline: [] } }, { $project: { _id: 1 } }]);
+    assert.deepStrictEqual(documents, [{ _id: 1 }, { _id: 3 }, { _id: 'EUR' }]);
+
+    const [facets] = await scope.aggregateAsync('tenantPayments', [{ $facet: {
+        count: [{ $count: 'count' }],
+        customers: [{ $lookup: { from: 'tenantCustomers', localField: 'customer', foreignField: '_id', as: 'customers' } }, { $project: { customers: '$customers._id' } }]
+    } }]);
+    assert.deepStrictEqual(facets, { count: [{ count: 1 }], customers: [{ _id: 3, customers: ['a'] }] });
+
+    // Stages writing the results into other collections are rejected.
+    assert.throws(() => scope.aggregateAsync('tenantInvoices', [{ $merge: 'tenantPayments' }]), crud.TenantViolationError);
+});
@@ -0,0 +1,87 @@
+// Tests of the transactions running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+test('keeps the writes of a transaction invisible until it commits', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertOneAsync(db, 'isolated', { _id: 1, value: 0 });
+
+    let resume;
+    const paused = new Promise((resolve) => { resume = resolve; });
+    let started;
+    const writing = new Promise((resolve) => { started = resolve; });
+    const transaction = crud.withTransactionAsync(db, async (scope) => {
+        await scope.updateOneAsync('isolated', { _id: 1 }, { $set: { value: 1 } });
+        await scope.insertOneAsync('isolated', { _id: 2 });
+        // The transaction sees its own writes.
+        assert.strictEqual((await scope.findOneAsync('isolated', { _id: 1 })).value, 1);
+        started();
+        await paused;
+    });
+
+    // Others don't see them before the commit.
+    await writing;
+    assert.strictEqual((await crud.findOneAsync(db, 'isolated', { _id: 1 })).value, 0);
+    assert.strictEqual(await crud.findOneAsync(db, 'isolated', { _id: 2 }), null);
+    resume();
+    await transaction;
+
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'isolated', {}, { sort: { _id: 1 } }), [{ _id: 1, value: 1 }, { _id: 2 }]);
+});
+
+test('aborts only the writes of the transaction', async () => {
+    const db = crud.createMemoryDatabase();
+    await assert.rejects(crud.withTransactionAsync(db, async (scope) => {
+        await scope.insertOneAsync('aborted', { _id: 1 });
+        await crud.insertOneAsync(db, 'aborted', { _id: 2 });
+        throw new Error('Aborted.');
+    }), /Aborted\./);
+
+    assert.deepStrictEqual(await crud.findManyAsync(db, 'aborted', {}), [{ _id: 2 }]);
+});
+
+test('retries the transaction conflicting with another write', async () => {
+    const db = crud.createMemoryDatabase();
+    await crud.insertOneAsync(db, 'conflicts', { _id: 1, value: 0 });
+
+    let attempts = 0;
+    await crud.withTransactionAsync(db, async (scope) => {
+        attempts++;
+        await scope.updateOneAsync('conflicts', { _id: 1 }, { $inc: { value: 1 } });
+        // Change the same document outside of the transaction during the first attempt.
+        if (attempts === 1) await crud.updateOneAsync(db, 'conflicts', { _id: 1 }, { $inc: { value: 10 } });
+    });
+
+    assert.strictEqual(attempts, 2);
+    assert.strictEqual((await crud.findOneAsync(db, 'conflicts', { _id: 1 })).value, 11);
+});
+
+test('validates the arguments of the transaction before it starts', () => {
+    const db = crud.createMemoryDatabase();
+    assert.throws(() => crud.withTransactionAsync(null, async () => { }), TypeError);
+    assert.throws(() => crud.withTransactionAsync(db, null), TypeError);
+    assert.throws(() => crud.withTransactionAsync(db, async () => { }, { maxRetries: -1 }), TypeError);
+});
+
+test('passes the session of the transaction to the functions of the scope', async () => {
+    const db = crud.createMemoryDatabase();
+    const sessions = [];
+    const unregister = crud.use({ collectionKey: 'scoped', before: (context) => { sessions.push(context.options && context.options.session); } });
+
+    try {
+        const result = await crud.withTransactionAsync(db, async (scope) => {
+            await scope.insertManyAsync('scoped', [{ _id: 1 }, { _id: 2 }]);
+            await scope.deleteOneAsync('scoped', { _id: 1 }, { comment: 'kept' });
+            return scope.findManyAsync('scoped', {});
+        });
+
+        assert.deepStrictEqual(result, [{ _id: 2 }]);
+        assert.strictEqual(sessions.length, 3);
+        assert.ok(sessions.every((session) => session && session === sessions[0]));
+    } finally {
+        unregister();
+    }
+});
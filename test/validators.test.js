@@ -0,0 +1,57 @@
+// Tests of the update query and selector validators. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+test('rejects update queries mixing operators with plain fields or unknown operators', () => {
+    assert.deepStrictEqual(crud.validateUpdateQuery({ $set: { a: 1 } }), []);
+    assert.deepStrictEqual(crud.validateUpdateQuery({ $set: { a: 1 }, b: 2 }),
+        [{ path: 'b', message: 'is a plain field, which can not be mixed with update operators (use replaceOneAsync to replace the whole entry)' }]);
+    assert.deepStrictEqual(crud.validateUpdateQuery({ $foo: { a: 1 } }), [{ path: '$foo', message: 'is not a valid update operator' }]);
+    assert.deepStrictEqual(crud.validateUpdateQuery({}), [{ path: '<root>', message: 'must contain at least one update operator' }]);
+    assert.deepStrictEqual(crud.validateUpdateQuery(null), [{ path: '<root>', message: 'must be a non-null object or an aggregation pipeline array' }]);
+});
+
+test('rejects operators affecting conflicting paths', () => {
+    assert.deepStrictEqual(crud.validateUpdateQuery({ $set: { a: 1 }, $unset: { a: '' } }), [{ path: '$unset.a', message: 'conflicts with \'a\' affected by $set' }]);
+    assert.deepStrictEqual(crud.validateUpdateQuery({ $set: { 'a.b': 1 }, $inc: { a: 1 } }), [{ path: '$inc.a', message: 'conflicts with \'a.b\' affected by $set' }]);
+    // Sibling paths don't conflict.
+    assert.deepStrictEqual(crud.validateUpdateQuery({ $set: { 'a.b': 1 }, $unset: { 'a.c': '' }, $inc: { ab: 1 } }), []);
+});
+
+test('validates the values and modifiers of the operators', () => {
+    assert.deepStrictEqual(crud.validateUpdateQuery({ $inc: { a: 'x' }, $push: { b: { $each: 1 } }, $rename: { c: 'c' } }), [
+        { path: '$inc.a', message: 'must be a number' },
+        { path: '$push.b', message: 'modifiers require $each with an array value' },
+        { path: '$rename.c', message: 'must differ from the renamed path' },
+        { path: '$rename.c', message: 'conflicts with \'c\' affected by $rename' }
+    ]);
+    assert.deepStrictEqual(crud.validateUpdateQuery({ $push: { a: { $each: [1, 2], $position: 0, $slice: -5, $sort: { b: 1 } } }, $addToSet: { c: { $each: [1] } } }), []);
+});
+
+test('validates the stages of the pipeline updates', () => {
+    assert.deepStrictEqual(crud.validateUpdateQuery([{ $set: { a: 1 } }, { $unset: 'b' }]), []);
+    assert.deepStrictEqual(crud.validateUpdateQuery([{ $set: { a: 1 } }, { $match: {} }]),
+        [{ path: '1', message: 'must be an object with a single property named as one of $addFields,$set,$project,$unset,$replaceRoot,$replaceWith' }]);
+});
+
+test('rejects unknown and misplaced query operators of the selectors', () => {
+    assert.deepStrictEqual(crud.validateSelector({ a: 1, b: { $gt: 1 }, $or: [{ c: 1 }, { d: { $in: [1] } }] }), []);
+    assert.deepStrictEqual(crud.validateSelector({ $foo: 1 }), [{ path: '$foo', message: 'is not a valid top level query operator' }]);
+    assert.deepStrictEqual(crud.validateSelector({ a: { $bar: 1 } }), [{ path: 'a.$bar', message: 'is not a valid query operator' }]);
+    assert.deepStrictEqual(crud.validateSelector({ a: { $gt: 1, b: 2 } }), [{ path: 'a', message: 'must not mix query operators with fields' }]);
+    assert.deepStrictEqual(crud.validateSelector({ $or: {} }), [{ path: '$or', message: 'must be a non-empty array of selectors' }]);
+    assert.deepStrictEqual(crud.validateSelector({ $and: [{ a: 1 }, { b: { $in: 5 } }] }), [{ path: '$and.1.b.$in', message: 'must be an array' }]);
+    // Content of $expr is not validated.
+    assert.deepStrictEqual(crud.validateSelector({ a: { $elemMatch: { b: { $gt: 1 } } }, $expr: { $foo: 1 } }), []);
+    assert.deepStrictEqual(crud.validateSelector(null), [{ path: '<root>', message: 'must be a non-null object' }]);
+});
+
+test('throws the problems found by the validators before the operation starts', () => {
+    const db = crud.createMemoryDatabase();
+    assert.throws(() => crud.updateOneAsync(db, 'validated', { _id: 1 }, { $set: { a: 1 }, b: 2 }), /is a plain field/);
+    assert.throws(() => crud.findManyAsync(db, 'validated', { a: { $bar: 1 } }), /'a\.\$bar' is not a valid query operator/);
+    assert.throws(() => crud.deleteManyAsync(db, 'validated', { $foo: 1 }), TypeError);
+});
@@ -0,0 +1,23 @@
+// Tests of the timestamps and versioning running against the in-memory database. Run them by: node --test test/
+const { test } = require('node:test');
+const assert = require('assert');
+
+// Require the library.
+const crud = require('../awaitableMongoCRUD');
+
+test('checks the expected version and stamps replacements', async () => {
+    const db = crud.createMemoryDatabase();
+    crud.configureCollection('versioned', { timestamps: true, versioning: true });
+    await crud.insertOneAsync(db, 'versioned', { _id: 1, value: 1 });
+    const { createdAt } = await crud.findOneAsync(db, 'versioned', { _id: 1 });
+
+    await crud.updateOneAsync(db, 'versioned', { _id: 1 }, { $set: { value: 2 } }, { expectedVersion: 1 });
+    await assert.rejects(crud.updateOneAsync(db, 'versioned', { _id: 1 }, { $set: { value: 3 } }, { expectedVersion: 1 }), crud.ConcurrencyConflictError);
+    assert.throws(() => crud.updateOneAsync(db, 'versioned', { _id: 1 }, { $set: { value: 3 } }, { expectedVersion: 2, upsert: true }), TypeError);
+
+    await crud.replaceOneAsync(db, 'versioned', { _id: 1 }, { value: 4 });
+    const replaced = await crud.findOneAsync(db, 'versioned', { _id: 1 });
+    assert.strictEqual(replaced.version, 3);
+    assert.deepStrictEqual(replaced.createdAt, createdAt);
+    assert.ok(replaced.updatedAt instanceof Date);
+});